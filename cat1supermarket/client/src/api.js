@@ -53,7 +53,25 @@ export const inventoryAPI = {
     }
   }),
   updateItem: (id, data) => api.put(`/inventory/${id}`, data),
-  updateStock: (id, stock) => api.put(`/inventory/${id}/stock`, { stock }),
+  updateStock: (id, stock, note, lot = {}) => api.put(`/inventory/${id}/stock`, { stock, note, ...lot }),
+  getLots: (id) => api.get(`/inventory/${id}/lots`),
+  getExpiring: (days = 30, branch = null) => {
+    const params = branch && branch !== 'All' ? { days, branch } : { days };
+    return api.get('/inventory/expiring', { params });
+  },
+  getMovements: (id, limit = 100) => api.get(`/inventory/${id}/movements`, { params: { limit } }),
+  getDrift: (branch = null) => {
+    const params = branch && branch !== 'All' ? { branch } : {};
+    return api.get('/inventory/ledger/drift', { params });
+  },
+  rebuildStock: (inventoryId = null) => api.post('/inventory/ledger/rebuild', inventoryId ? { inventory_id: inventoryId } : {}),
+  getLowStock: (branch = null) => {
+    const params = branch && branch !== 'All' ? { branch } : {};
+    return api.get('/inventory/low-stock', { params });
+  },
+  getReorderSuggestions: (params = {}) => api.get('/inventory/reorder-suggestions', { params }),
+  getAlerts: (status = 'active') => api.get('/inventory/alerts', { params: { status } }),
+  acknowledgeAlert: (id) => api.post(`/inventory/alerts/${id}/acknowledge`),
   deleteItem: (id) => api.delete(`/inventory/${id}`),
   getCounties: () => api.get('/inventory/counties'),
   addCounty: (countyData) => api.post('/inventory/counties', countyData),
@@ -64,6 +82,101 @@ export const inventoryAPI = {
   }
 };
 
+// Stock transfers API
+export const transfersAPI = {
+  getAll: (params = {}) => api.get('/transfers', { params }),
+  getById: (id) => api.get(`/transfers/${id}`),
+  create: (transferData) => api.post('/transfers', transferData),
+  dispatch: (id) => api.post(`/transfers/${id}/dispatch`),
+  receive: (id, items = []) => api.post(`/transfers/${id}/receive`, { items }),
+  cancel: (id) => api.post(`/transfers/${id}/cancel`),
+};
+
+// Suppliers API
+export const suppliersAPI = {
+  getAll: (params = {}) => api.get('/suppliers', { params }),
+  create: (supplierData) => api.post('/suppliers', supplierData),
+  update: (id, supplierData) => api.put(`/suppliers/${id}`, supplierData),
+  delete: (id) => api.delete(`/suppliers/${id}`),
+};
+
+// Purchase orders API
+export const purchaseOrdersAPI = {
+  getAll: (params = {}) => api.get('/purchase-orders', { params }),
+  getById: (id) => api.get(`/purchase-orders/${id}`),
+  create: (orderData) => api.post('/purchase-orders', orderData),
+  update: (id, orderData) => api.put(`/purchase-orders/${id}`, orderData),
+  send: (id) => api.post(`/purchase-orders/${id}/send`),
+  receive: (id, receiptData) => api.post(`/purchase-orders/${id}/receive`, receiptData),
+  cancel: (id) => api.post(`/purchase-orders/${id}/cancel`),
+};
+
+// Stocktakes API
+export const stocktakesAPI = {
+  getAll: (params = {}) => api.get('/stocktakes', { params }),
+  getById: (id) => api.get(`/stocktakes/${id}`),
+  create: (stocktakeData) => api.post('/stocktakes', stocktakeData),
+  count: (id, items) => api.post(`/stocktakes/${id}/counts`, { items }),
+  submit: (id) => api.post(`/stocktakes/${id}/submit`),
+  reopen: (id) => api.post(`/stocktakes/${id}/reopen`),
+  post: (id, skip = []) => api.post(`/stocktakes/${id}/post`, { skip }),
+  cancel: (id) => api.post(`/stocktakes/${id}/cancel`),
+};
+
+// Write-offs API
+export const writeOffsAPI = {
+  getAll: (params = {}) => api.get('/write-offs', { params }),
+  getReport: (params = {}) => api.get('/write-offs/report', { params }),
+  create: (formData) => api.post('/write-offs', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    }
+  }),
+};
+
+// Deposits API (returnable bottles and crates, and the store credit they can turn into)
+export const depositsAPI = {
+  getEmpties: (params = {}) => api.get('/deposits/empties', { params }),
+  collect: (data) => api.post('/deposits/empties/collect', data),
+  count: (data) => api.post('/deposits/empties/count', data),
+  getReturns: (params = {}) => api.get('/deposits/returns', { params }),
+  createReturn: (data) => api.post('/deposits/returns', data),
+  getLiability: (params = {}) => api.get('/deposits/liability', { params }),
+  getCredit: (params = {}) => api.get('/deposits/credit', { params }),
+};
+
+export const promotionsAPI = {
+  getAll: (params = {}) => api.get('/promotions', { params }),
+  create: (data) => api.post('/promotions', data),
+  update: (id, data) => api.put(`/promotions/${id}`, data),
+  delete: (id) => api.delete(`/promotions/${id}`),
+};
+
+export const branchesAPI = {
+  getAll: (params = {}) => api.get('/branches', { params }),
+  getById: (id) => api.get(`/branches/${id}`),
+  create: (branchData) => api.post('/branches', branchData),
+  update: (id, branchData) => api.put(`/branches/${id}`, branchData),
+  delete: (id) => api.delete(`/branches/${id}`),
+};
+
+// Products API (the catalog shared by all branches)
+export const productsAPI = {
+  getAll: (params = {}) => api.get('/products', { params }),
+  getById: (id) => api.get(`/products/${id}`),
+  create: (productData) => api.post('/products', productData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    }
+  }),
+  update: (id, productData) => api.put(`/products/${id}`, productData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    }
+  }),
+  delete: (id) => api.delete(`/products/${id}`),
+};
+
 // Sales API
 export const salesAPI = {
   record: (saleData) => api.post('/sales', saleData),
@@ -80,6 +193,38 @@ export const salesAPI = {
   getByBranch: () => api.get('/sales/by-branch'),
 };
 
+// Orders API
+export const ordersAPI = {
+  create: (orderData) => api.post('/orders', orderData),
+  getAll: (branch = null) => {
+    const params = branch && branch !== 'All' ? { branch } : {};
+    return api.get('/orders', { params });
+  },
+  getById: (id) => api.get(`/orders/${id}`),
+  quote: (branch, items) => api.post('/orders/quote', { branch, items }),
+};
+
+// Payments API - checkout with one or more tenders (M-Pesa, card, cash)
+export const paymentsAPI = {
+  getProviders: () => api.get('/payments/providers'),
+  checkout: (checkoutData) => api.post('/payments/checkout', checkoutData),
+  getOrderPayments: (orderId) => api.get(`/payments/order/${orderId}`),
+  query: (id) => api.post(`/payments/${id}/query`),
+  refund: (id, refundData) => api.post(`/payments/${id}/refund`, refundData),
+};
+
+// Card gateway - card details go from the browser straight to the gateway, which answers
+// with a single-use token. Only that token is sent to our server.
+export const cardGatewayAPI = {
+  tokenize: async (card) => {
+    const { data: providers } = await paymentsAPI.getProviders();
+    const { gatewayUrl, publishableKey } = providers.find(provider => provider.name === 'card').clientConfig;
+    return axios.post(`${gatewayUrl}/v1/tokens`, { card }, {
+      headers: { Authorization: `Bearer ${publishableKey}` }
+    });
+  },
+};
+
 // M-Pesa API
 export const mpesaAPI = {
   stkPush: (paymentData) => api.post('/mpesa/stkpush', paymentData),
@@ -87,6 +232,21 @@ export const mpesaAPI = {
   getTransactions: () => api.get('/mpesa/transactions'),
   getConfigStatus: () => api.get('/mpesa/config-status'),
   testConnection: () => api.get('/mpesa/test-connection'),
+  getAccounts: () => api.get('/mpesa/accounts'),
+  createAccount: (accountData) => api.post('/mpesa/accounts', accountData),
+  updateAccount: (id, accountData) => api.put(`/mpesa/accounts/${id}`, accountData),
+  deleteAccount: (id) => api.delete(`/mpesa/accounts/${id}`),
+  uploadStatement: (formData) => api.post('/mpesa/statements', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    }
+  }),
+  getStatements: () => api.get('/mpesa/statements'),
+  getStatement: (id) => api.get(`/mpesa/statements/${id}`),
+  exportStatement: (id) => api.get(`/mpesa/statements/${id}/export`, { responseType: 'blob' }),
+  getTransactionRefunds: (id) => api.get(`/mpesa/transactions/${id}/refunds`),
+  requestRefund: (id, refundData) => api.post(`/mpesa/transactions/${id}/refunds`, refundData),
+  getRefunds: () => api.get('/mpesa/refunds'),
 };
 
 // Helper functions for session management
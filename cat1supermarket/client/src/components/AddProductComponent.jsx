@@ -1,7 +1,7 @@
-import { inventoryAPI } from "../api.js";
-import { useState } from "react";
+import { inventoryAPI, productsAPI } from "../api.js";
+import { useEffect, useState } from "react";
 
-function AddProductSection({ counties, onProductAdded }) {
+function AddProductSection({ branches, onProductAdded }) {
     const [formData, setFormData] = useState({
         product: '',
         branch: '',
@@ -11,6 +11,19 @@ function AddProductSection({ counties, onProductAdded }) {
     });
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    const [catalog, setCatalog] = useState([]);
+
+    useEffect(() => {
+        productsAPI.getAll()
+            .then(response => setCatalog(response.data))
+            .catch(err => console.error('Error fetching catalog:', err));
+    }, []);
+
+    // A name already in the catalog adds that product to the branch; its default price
+    // applies unless a branch price is entered
+    const catalogProduct = catalog.find(
+        product => product.name.toLowerCase() === formData.product.trim().toLowerCase()
+    );
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -22,7 +35,9 @@ function AddProductSection({ counties, onProductAdded }) {
             data.append('product', formData.product.trim());
             data.append('branch', formData.branch.trim());
             data.append('stock', parseInt(formData.stock) || 0);
-            data.append('price', parseFloat(formData.price) || 0);
+            if (formData.price !== '') {
+                data.append('price', parseFloat(formData.price) || 0);
+            }
             if (formData.image) {
                 data.append('image', formData.image);
             }
@@ -47,7 +62,7 @@ function AddProductSection({ counties, onProductAdded }) {
             // Show success message (you could add a toast notification here)
             alert('Product added successfully!');
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to add product. Please try again.');
+            setError(err.response?.data?.error || err.response?.data?.message || 'Failed to add product. Please try again.');
             console.error('Add product error:', err);
         } finally {
             setLoading(false);
@@ -91,9 +106,20 @@ function AddProductSection({ counties, onProductAdded }) {
                                 value={formData.product}
                                 onChange={handleChange}
                                 required
+                                list="catalog-products"
                                 className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
                                 placeholder="e.g., Coke, Fanta, Sprite"
                             />
+                            <datalist id="catalog-products">
+                                {catalog.map(product => (
+                                    <option key={product.id} value={product.name}>{product.sku}</option>
+                                ))}
+                            </datalist>
+                            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                                {catalogProduct
+                                    ? `In the catalog as ${catalogProduct.sku}`
+                                    : 'New names are added to the product catalog'}
+                            </p>
                         </div>
 
                         {/* Branch Dropdown */}
@@ -109,14 +135,14 @@ function AddProductSection({ counties, onProductAdded }) {
                                 className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
                             >
                                 <option value="">Select a branch</option>
-                                {counties.map(county => (
-                                    <option key={county.id} value={county.name}>
-                                        {county.name}
+                                {branches.map(name => (
+                                    <option key={name} value={name}>
+                                        {name}
                                     </option>
                                 ))}
                             </select>
                             <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                                Select from available counties
+                                Open branches; add new ones on the Branches tab
                             </p>
                         </div>
 
@@ -145,7 +171,7 @@ function AddProductSection({ counties, onProductAdded }) {
                         {/* Price */}
                         <div>
                             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                                Price (KES) *
+                                Price (KES) {catalogProduct ? '' : '*'}
                             </label>
                             <div className="relative">
                                 <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400">
@@ -156,13 +182,18 @@ function AddProductSection({ counties, onProductAdded }) {
                                     name="price"
                                     value={formData.price}
                                     onChange={handleChange}
-                                    required
+                                    required={!catalogProduct}
                                     min="0"
                                     step="0.01"
                                     className="w-full pl-12 pr-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
-                                    placeholder="0.00"
+                                    placeholder={catalogProduct ? String(catalogProduct.default_price) : '0.00'}
                                 />
                             </div>
+                            {catalogProduct && (
+                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                                    Leave empty to use the default price of KES {catalogProduct.default_price}
+                                </p>
+                            )}
                         </div>
 
                         {/* Image Upload */}
@@ -230,11 +261,9 @@ function AddProductSection({ counties, onProductAdded }) {
                 <div className="mt-8 p-4 bg-gray-50 dark:bg-gray-700/30 rounded-lg">
                     <h3 className="font-medium text-gray-900 dark:text-white mb-2">Guidelines</h3>
                     <ul className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-                        <li>• Product names should be consistent (e.g., always use "Coke" not "Coca-Cola")</li>
-                        <li>• Branch names should follow your naming convention</li>
+                        <li>• Pick products from the catalog so every branch sells the same item under one name</li>
                         <li>• Initial stock should reflect current physical inventory</li>
                         <li>• Prices should be in Kenyan Shillings (KES)</li>
-                        <li>• Adding a county is optional but recommended for better analytics</li>
                     </ul>
                 </div>
             </div>
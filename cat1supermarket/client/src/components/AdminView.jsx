@@ -1,10 +1,26 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
-import { inventoryAPI, salesAPI, mpesaAPI } from '../api';
+import { inventoryAPI, salesAPI, mpesaAPI, branchesAPI } from '../api';
 import socketService from '../socket';
 import { session } from '../api';
 import AddProductSection from "./AddProductComponent.jsx";
+import MpesaAccountsSection from './MpesaAccountsSection.jsx';
+import StatementReconciliationSection from './StatementReconciliationSection.jsx';
+import RefundModal, { REFUND_STATUS_BADGES } from './RefundModal.jsx';
+import StaffCheckoutSection from './StaffCheckoutSection.jsx';
+import ProductCatalogSection from './ProductCatalogSection.jsx';
+import BranchesSection from './BranchesSection.jsx';
+import StockHistoryModal from './StockHistoryModal.jsx';
+import TransfersSection from './TransfersSection.jsx';
+import PurchasingSection from './PurchasingSection.jsx';
+import LowStockPanel from './LowStockPanel.jsx';
+import ReorderSuggestionsSection from './ReorderSuggestionsSection.jsx';
+import ExpiringLotsPanel from './ExpiringLotsPanel.jsx';
+import StocktakesSection from './StocktakesSection.jsx';
+import WriteOffsSection from './WriteOffsSection.jsx';
+import DepositsSection from './DepositsSection.jsx';
+import PromotionsSection from './PromotionsSection.jsx';
 
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
@@ -15,25 +31,34 @@ export default function AdminView() {
   const [sales, setSales] = useState([]);
   const [loading, setLoading] = useState(false);
   const [counties, setCounties] = useState([]);
+  const [branches, setBranches] = useState([]);
+  const [branchFilter, setBranchFilter] = useState('All');
   const [mpesaTransactions, setMpesaTransactions] = useState([]);
   const [notifications, setNotifications] = useState([]);
   const [editingItem, setEditingItem] = useState(null);
   const [restockAmount, setRestockAmount] = useState(10);
+  const [restockLot, setRestockLot] = useState({ batch_number: '', expiry_date: '' });
   const [editMode, setEditMode] = useState('restock'); // 'restock' or 'edit'
-  const [editForm, setEditForm] = useState({ product: '', price: '', stock: '' });
+  const [editForm, setEditForm] = useState({ price: '', stock: '', reorder_point: '', reorder_quantity: '' });
+  const [stockAlerts, setStockAlerts] = useState([]);
   const [deletingItem, setDeletingItem] = useState(null);
+  const [historyItem, setHistoryItem] = useState(null);
 
   const fetchData = async () => {
     setLoading(true);
     try {
-      const [invResponse, salesResponse, countiesResponse] = await Promise.all([
+      const [invResponse, salesResponse, countiesResponse, branchesResponse, alertsResponse] = await Promise.all([
         inventoryAPI.getAll(),
         salesAPI.getReport(),
-        inventoryAPI.getCounties()
+        inventoryAPI.getCounties(),
+        branchesAPI.getAll(),
+        inventoryAPI.getAlerts()
       ]);
       setInventory(invResponse.data);
       setSales(salesResponse.data);
       setCounties(countiesResponse.data);
+      setBranches(branchesResponse.data);
+      setStockAlerts(alertsResponse.data);
     } catch (error) {
       console.error('Error fetching data:', error);
     } finally {
@@ -41,6 +66,15 @@ export default function AdminView() {
     }
   };
 
+  const fetchStockAlerts = async () => {
+    try {
+      const response = await inventoryAPI.getAlerts();
+      setStockAlerts(response.data);
+    } catch (error) {
+      console.error('Error fetching stock alerts:', error);
+    }
+  };
+
   const fetchMpesaTransactions = async () => {
     try {
       const response = await mpesaAPI.getTransactions();
@@ -68,11 +102,14 @@ export default function AdminView() {
     socketService.connect();
     socketService.joinAdmin();
 
-    // Listen for inventory updates (sales)
-    const handleInventoryUpdate = (data) => {
+    // Listen for completed orders (sales)
+    const handleOrderCompleted = (data) => {
+      const summary = data.items
+        .map(item => `${item.quantity}x ${item.product} (${item.newStock} remaining)`)
+        .join(', ');
       const notification = {
         id: Date.now(),
-        message: `Sale: ${data.product} (${data.branch}) - ${data.newStock} remaining`,
+        message: `Sale (${data.branch}): ${summary} - KES ${data.total_amount}`,
         type: 'sale'
       };
       setNotifications(prev => [notification, ...prev].slice(0, 5));
@@ -108,14 +145,96 @@ export default function AdminView() {
       fetchMpesaTransactions();
     };
 
-    socketService.on('inventory-updated', handleInventoryUpdate);
+    // The reconciliation job settled payments whose callback never arrived
+    const handleMpesaReconciled = (data) => {
+      const notification = {
+        id: Date.now(),
+        message: `M-Pesa reconciliation settled ${data.transactions.length} stuck payment${data.transactions.length !== 1 ? 's' : ''}`,
+        type: 'restock'
+      };
+      setNotifications(prev => [notification, ...prev].slice(0, 5));
+      fetchMpesaTransactions();
+      fetchData();
+    };
+
+    // A payment landed after its stock ran out
+    const handleOrderNeedsReview = (data) => {
+      const notification = {
+        id: Date.now(),
+        message: data.message,
+        type: 'error'
+      };
+      setNotifications(prev => [notification, ...prev].slice(0, 5));
+      fetchData();
+    };
+
+    // A refund was sent, or M-Pesa reported how it went
+    const handleRefundUpdated = (refund) => {
+      if (refund.status !== 'pending') {
+        const notification = {
+          id: Date.now(),
+          message: refund.status === 'completed'
+            ? `Refund of KES ${refund.amount} for ${refund.mpesa_receipt || `transaction ${refund.transaction_id}`} completed`
+            : `Refund of KES ${refund.amount} failed: ${refund.result_desc}`,
+          type: refund.status === 'completed' ? 'success' : 'error'
+        };
+        setNotifications(prev => [notification, ...prev].slice(0, 5));
+      }
+      fetchMpesaTransactions();
+    };
+
+    // A catalog product or a branch was added, renamed or changed, or a transfer, purchase order or stocktake moved on
+    const handleCatalogUpdated = (data) => {
+      const notification = {
+        id: Date.now(),
+        message: data.message,
+        type: 'restock'
+      };
+      setNotifications(prev => [notification, ...prev].slice(0, 5));
+      fetchData();
+    };
+
+    // An item fell to its reorder point
+    const handleLowStock = (data) => {
+      const notification = {
+        id: Date.now(),
+        message: data.message,
+        type: 'error'
+      };
+      setNotifications(prev => [notification, ...prev].slice(0, 5));
+      fetchStockAlerts();
+    };
+
+    socketService.on('order-completed', handleOrderCompleted);
+    socketService.on('low-stock', handleLowStock);
+    socketService.on('branches-updated', handleCatalogUpdated);
     socketService.on('stock-restocked', handleRestock);
     socketService.on('mpesa-callback', handleMpesaCallback);
+    socketService.on('mpesa-reconciled', handleMpesaReconciled);
+    socketService.on('order-needs-review', handleOrderNeedsReview);
+    socketService.on('mpesa-refund-updated', handleRefundUpdated);
+    socketService.on('catalog-updated', handleCatalogUpdated);
+    socketService.on('transfer-updated', handleCatalogUpdated);
+    socketService.on('purchase-order-updated', handleCatalogUpdated);
+    socketService.on('stocktake-updated', handleCatalogUpdated);
+    socketService.on('empties-updated', handleCatalogUpdated);
+    socketService.on('promotions-updated', handleCatalogUpdated);
 
     return () => {
-      socketService.off('inventory-updated', handleInventoryUpdate);
+      socketService.off('order-completed', handleOrderCompleted);
+      socketService.off('low-stock', handleLowStock);
       socketService.off('stock-restocked', handleRestock);
       socketService.off('mpesa-callback', handleMpesaCallback);
+      socketService.off('mpesa-reconciled', handleMpesaReconciled);
+      socketService.off('order-needs-review', handleOrderNeedsReview);
+      socketService.off('mpesa-refund-updated', handleRefundUpdated);
+      socketService.off('catalog-updated', handleCatalogUpdated);
+      socketService.off('branches-updated', handleCatalogUpdated);
+      socketService.off('transfer-updated', handleCatalogUpdated);
+      socketService.off('purchase-order-updated', handleCatalogUpdated);
+      socketService.off('stocktake-updated', handleCatalogUpdated);
+      socketService.off('empties-updated', handleCatalogUpdated);
+      socketService.off('promotions-updated', handleCatalogUpdated);
     };
   }, []);
 
@@ -124,24 +243,24 @@ export default function AdminView() {
     const user = session.getUser();
     const adminName = user?.username || 'Unknown';
     try {
-      await inventoryAPI.updateItem(editingItem.id, {
-        stock: editingItem.stock + parseInt(restockAmount)
-      });
+      await inventoryAPI.updateStock(editingItem.id, editingItem.stock + parseInt(restockAmount), null, restockLot);
       setEditingItem(null);
       fetchData();
       // The notification will come from WebSocket broadcast - no local notification needed
     } catch (error) {
-      alert('Failed to update stock');
+      alert(error.response?.data?.error || 'Failed to update stock');
     }
   };
 
   const openEditModal = (item) => {
     setEditingItem(item);
     setEditMode('edit');
+    // An empty price means the branch follows the catalog default
     setEditForm({
-      product: item.product,
-      price: item.price.toString(),
-      stock: item.stock.toString()
+      price: item.price_override !== null ? item.price_override.toString() : '',
+      stock: item.stock.toString(),
+      reorder_point: item.reorder_point.toString(),
+      reorder_quantity: item.reorder_quantity !== null ? item.reorder_quantity.toString() : ''
     });
     setRestockAmount(10);
   };
@@ -150,6 +269,7 @@ export default function AdminView() {
     setEditingItem(item);
     setEditMode('restock');
     setRestockAmount(10);
+    setRestockLot({ batch_number: '', expiry_date: '' });
   };
 
   const handleEditItem = async () => {
@@ -157,9 +277,12 @@ export default function AdminView() {
 
     try {
       const updates = {};
-      if (editForm.product !== editingItem.product) updates.product = editForm.product;
-      if (parseFloat(editForm.price) !== editingItem.price) updates.price = parseFloat(editForm.price);
+      const override = editForm.price === '' ? null : parseFloat(editForm.price);
+      if (override !== editingItem.price_override) updates.price = override;
       if (parseInt(editForm.stock) !== editingItem.stock) updates.stock = parseInt(editForm.stock);
+      if (parseInt(editForm.reorder_point) !== editingItem.reorder_point) updates.reorder_point = parseInt(editForm.reorder_point);
+      const reorderQuantity = editForm.reorder_quantity === '' ? null : parseInt(editForm.reorder_quantity);
+      if (reorderQuantity !== editingItem.reorder_quantity) updates.reorder_quantity = reorderQuantity;
 
       if (Object.keys(updates).length === 0) {
         setEditingItem(null);
@@ -171,7 +294,7 @@ export default function AdminView() {
       fetchData();
       // The notification will come from WebSocket broadcast - no local notification needed
     } catch (error) {
-      alert('Failed to update item');
+      alert(error.response?.data?.error || 'Failed to update item');
     }
   };
 
@@ -184,7 +307,7 @@ export default function AdminView() {
       fetchData();
       // The notification will come from WebSocket broadcast - no local notification needed
     } catch (error) {
-      alert('Failed to delete item');
+      alert(error.response?.data?.error || 'Failed to delete item');
     }
   };
 
@@ -205,6 +328,12 @@ export default function AdminView() {
     return { soldPerBrand, incomePerBrand };
   };
 
+  const branchNames = branches.map(branch => branch.name);
+  const activeBranchNames = branches.filter(branch => branch.is_active).map(branch => branch.name);
+  const visibleInventory = branchFilter === 'All'
+    ? inventory
+    : inventory.filter(item => item.branch === branchFilter);
+
   const chartData = prepareChartData();
   const totalIncome = Object.values(chartData.incomePerBrand).reduce((a, b) => a + b, 0);
   const totalSold = Object.values(chartData.soldPerBrand).reduce((a, b) => a + b, 0);
@@ -270,6 +399,15 @@ export default function AdminView() {
             >
               Inventory
             </button>
+            <button
+              onClick={() => setActiveTab('products')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'products'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Products
+            </button>
             <button
               onClick={() => setActiveTab('reports')}
               className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'reports'
@@ -291,6 +429,96 @@ export default function AdminView() {
             >
               M-Pesa
             </button>
+            <button
+              onClick={() => setActiveTab('checkout')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'checkout'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Checkout
+            </button>
+            <button
+              onClick={() => setActiveTab('reconciliation')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'reconciliation'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Reconciliation
+            </button>
+            <button
+              onClick={() => setActiveTab('transfers')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'transfers'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Transfers
+            </button>
+            <button
+              onClick={() => setActiveTab('purchasing')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'purchasing'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Purchasing
+            </button>
+            <button
+              onClick={() => setActiveTab('stocktakes')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'stocktakes'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Stocktakes
+            </button>
+            <button
+              onClick={() => setActiveTab('write-offs')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'write-offs'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Write-offs
+            </button>
+            <button
+              onClick={() => setActiveTab('deposits')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'deposits'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Deposits
+            </button>
+            <button
+              onClick={() => setActiveTab('promotions')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'promotions'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Promotions
+            </button>
+            <button
+              onClick={() => setActiveTab('reorder')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'reorder'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Reorder
+            </button>
+            <button
+              onClick={() => setActiveTab('branches')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'branches'
+                  ? 'bg-white dark:bg-gray-700 shadow text-blue-600 dark:text-blue-400'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+            >
+              Branches
+            </button>
             <button
               onClick={() => setActiveTab('counties')}
               className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${activeTab === 'counties'
@@ -319,10 +547,28 @@ export default function AdminView() {
         </div>
       ) : (
         <>
+          {activeTab === 'inventory' && (
+            <LowStockPanel alerts={stockAlerts} branch={branchFilter} onAcknowledged={fetchStockAlerts} />
+          )}
+
+          {activeTab === 'inventory' && (
+            <ExpiringLotsPanel branch={branchFilter} inventory={inventory} />
+          )}
+
           {activeTab === 'inventory' && (
             <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
-              <div className="p-4 border-b dark:border-gray-700">
+              <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center">
                 <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Inventory Management</h2>
+                <select
+                  value={branchFilter}
+                  onChange={(e) => setBranchFilter(e.target.value)}
+                  className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+                >
+                  <option value="All">All branches</option>
+                  {branchNames.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
               </div>
               <div className="overflow-x-auto">
                 <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
@@ -336,7 +582,7 @@ export default function AdminView() {
                     </tr>
                   </thead>
                   <tbody className="divide-y dark:divide-gray-700">
-                    {inventory.map((item) => (
+                    {visibleInventory.map((item) => (
                       <tr key={item.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
                         <td className="px-6 py-4 font-medium text-gray-900 dark:text-white">{item.branch}</td>
                         <td className="px-6 py-4">
@@ -346,18 +592,50 @@ export default function AdminView() {
                             }`}>
                             {item.product}
                           </span>
+                          {item.sku && (
+                            <span className="ml-2 text-xs text-gray-400 dark:text-gray-500">{item.sku}</span>
+                          )}
                         </td>
                         <td className="px-6 py-4">
-                          <span className={item.stock < 10 ? 'text-red-600 dark:text-red-400 font-bold' : 'dark:text-gray-300'}>
+                          <span className={item.low_stock ? 'text-red-600 dark:text-red-400 font-bold' : 'dark:text-gray-300'}>
                             {item.stock}
                           </span>
+                          {item.reserved > 0 && (
+                            <span className="ml-2 text-xs text-amber-600 dark:text-amber-400">
+                              ({item.reserved} reserved)
+                            </span>
+                          )}
+                          {item.expired > 0 && (
+                            <span className="ml-2 text-xs text-red-600 dark:text-red-400">
+                              ({item.expired} expired)
+                            </span>
+                          )}
+                          {item.pack_unit_id && item.pack_stock === 'units' && (
+                            <span className="block text-xs text-gray-400 dark:text-gray-500">
+                              Packs of {item.pack_size} from unit stock
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4">
+                          KES {item.price}
+                          {item.price_override !== null && (
+                            <span className="block text-xs text-gray-400 dark:text-gray-500">
+                              Catalog: KES {item.default_price}
+                            </span>
+                          )}
+                          {item.cost_price !== null && item.cost_price !== undefined && (
+                            <span className="block text-xs text-gray-400 dark:text-gray-500">
+                              Cost: KES {item.cost_price}
+                            </span>
+                          )}
                         </td>
-                        <td className="px-6 py-4">KES {item.price}</td>
                         <td className="px-6 py-4 text-right">
                           <div className="flex items-center justify-end gap-2">
                             <button
                               onClick={() => openRestockModal(item)}
-                              className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300 font-medium hover:underline text-sm"
+                              disabled={Boolean(item.pack_unit_id) && item.pack_stock === 'units'}
+                              title={item.pack_unit_id && item.pack_stock === 'units' ? 'Restock the unit this pack is made of' : ''}
+                              className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300 font-medium hover:underline text-sm disabled:opacity-40 disabled:no-underline"
                             >
                               Restock
                             </button>
@@ -369,6 +647,13 @@ export default function AdminView() {
                               Edit
                             </button>
                             <span className="text-gray-300 dark:text-gray-600">|</span>
+                            <button
+                              onClick={() => setHistoryItem(item)}
+                              className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 font-medium hover:underline text-sm"
+                            >
+                              History
+                            </button>
+                            <span className="text-gray-300 dark:text-gray-600">|</span>
                             <button
                               onClick={() => setDeletingItem(item)}
                               className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300 font-medium hover:underline text-sm"
@@ -385,6 +670,10 @@ export default function AdminView() {
             </div>
           )}
 
+          {activeTab === 'products' && (
+            <ProductCatalogSection inventory={inventory} onUpdate={fetchData} />
+          )}
+
           {activeTab === 'reports' && (
             <div className="space-y-6">
               {/* Stats Cards */}
@@ -450,7 +739,51 @@ export default function AdminView() {
           )}
 
           {activeTab === 'mpesa' && (
-            <MpesaSection transactions={mpesaTransactions} />
+            <MpesaSection
+              transactions={mpesaTransactions}
+              branches={branchNames}
+              onTransactionsChange={fetchMpesaTransactions}
+            />
+          )}
+
+          {activeTab === 'checkout' && (
+            <StaffCheckoutSection inventory={inventory} branches={activeBranchNames} onCompleted={fetchData} />
+          )}
+
+          {activeTab === 'reconciliation' && (
+            <StatementReconciliationSection branches={branchNames} />
+          )}
+
+          {activeTab === 'transfers' && (
+            <TransfersSection inventory={inventory} branches={activeBranchNames} />
+          )}
+
+          {activeTab === 'purchasing' && (
+            <PurchasingSection branches={activeBranchNames} />
+          )}
+
+          {activeTab === 'stocktakes' && (
+            <StocktakesSection inventory={inventory} branches={activeBranchNames} />
+          )}
+
+          {activeTab === 'write-offs' && (
+            <WriteOffsSection inventory={inventory} branches={activeBranchNames} />
+          )}
+
+          {activeTab === 'deposits' && (
+            <DepositsSection inventory={inventory} branches={activeBranchNames} />
+          )}
+
+          {activeTab === 'promotions' && (
+            <PromotionsSection inventory={inventory} branches={activeBranchNames} />
+          )}
+
+          {activeTab === 'reorder' && (
+            <ReorderSuggestionsSection branches={activeBranchNames} />
+          )}
+
+          {activeTab === 'branches' && (
+            <BranchesSection branches={branches} counties={counties} onUpdate={fetchData} />
           )}
 
           {activeTab === 'counties' && (
@@ -459,7 +792,7 @@ export default function AdminView() {
 
           {activeTab === 'add-product' && (
             <AddProductSection
-              counties={counties}
+              branches={activeBranchNames}
               onProductAdded={fetchData}
             />
           )}
@@ -503,6 +836,28 @@ export default function AdminView() {
                   </div>
                 </div>
 
+                <div className="grid grid-cols-2 gap-3 mb-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Batch Number</label>
+                    <input
+                      type="text"
+                      placeholder="Optional"
+                      value={restockLot.batch_number}
+                      onChange={(e) => setRestockLot({ ...restockLot, batch_number: e.target.value })}
+                      className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Best Before</label>
+                    <input
+                      type="date"
+                      value={restockLot.expiry_date}
+                      onChange={(e) => setRestockLot({ ...restockLot, expiry_date: e.target.value })}
+                      className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+                    />
+                  </div>
+                </div>
+
                 <div className="flex gap-3">
                   <button
                     onClick={() => setEditingItem(null)}
@@ -527,22 +882,28 @@ export default function AdminView() {
 
                 <div className="space-y-4 mb-6">
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Product Name</label>
-                    <input
-                      type="text"
-                      value={editForm.product}
-                      onChange={(e) => setEditForm({ ...editForm, product: e.target.value })}
-                      className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Price (KES)</label>
+                    <div className="flex justify-between items-center mb-1">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Branch Price (KES)</label>
+                      {editForm.price !== '' && (
+                        <button
+                          type="button"
+                          onClick={() => setEditForm({ ...editForm, price: '' })}
+                          className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                        >
+                          Use catalog price
+                        </button>
+                      )}
+                    </div>
                     <input
                       type="number"
                       value={editForm.price}
+                      placeholder={String(editingItem.default_price)}
                       onChange={(e) => setEditForm({ ...editForm, price: e.target.value })}
                       className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
                     />
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      Catalog price is KES {editingItem.default_price}. Leave empty to charge it here; rename the product on the Products tab.
+                    </p>
                   </div>
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Stock</label>
@@ -553,6 +914,32 @@ export default function AdminView() {
                       className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
                     />
                   </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Reorder Point</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={editForm.reorder_point}
+                        onChange={(e) => setEditForm({ ...editForm, reorder_point: e.target.value })}
+                        className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Reorder Quantity</label>
+                      <input
+                        type="number"
+                        min="1"
+                        placeholder="Not set"
+                        value={editForm.reorder_quantity}
+                        onChange={(e) => setEditForm({ ...editForm, reorder_quantity: e.target.value })}
+                        className="w-full px-3 py-2 border dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+                      />
+                    </div>
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Admins are alerted when stock falls to the reorder point.
+                  </p>
                 </div>
 
                 <div className="flex gap-3">
@@ -575,6 +962,15 @@ export default function AdminView() {
         </div>
       )}
 
+      {/* Stock History Modal */}
+      {historyItem && (
+        <StockHistoryModal
+          item={historyItem}
+          onClose={() => setHistoryItem(null)}
+          onRebuilt={fetchData}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {deletingItem && (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
@@ -611,8 +1007,9 @@ export default function AdminView() {
   );
 }
 
-function MpesaSection({ transactions }) {
+function MpesaSection({ transactions, branches, onTransactionsChange }) {
   const [configStatus, setConfigStatus] = useState(null);
+  const [refunding, setRefunding] = useState(null);
   const [connectionTest, setConnectionTest] = useState(null);
   const [loading, setLoading] = useState(true);
   const [testing, setTesting] = useState(false);
@@ -781,6 +1178,8 @@ function MpesaSection({ transactions }) {
         )}
       </div>
 
+      <MpesaAccountsSection branches={branches} />
+
       {/* Transactions Table */}
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
         <div className="p-4 border-b dark:border-gray-700">
@@ -794,13 +1193,15 @@ function MpesaSection({ transactions }) {
                 <th className="px-6 py-4">Amount</th>
                 <th className="px-6 py-4">Branch</th>
                 <th className="px-6 py-4">Status</th>
+                <th className="px-6 py-4">Settled By</th>
+                <th className="px-6 py-4">Refund</th>
                 <th className="px-6 py-4">Date</th>
               </tr>
             </thead>
             <tbody className="divide-y dark:divide-gray-700">
               {transactions.length === 0 ? (
                 <tr>
-                  <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-500">
                     No transactions yet
                   </td>
                 </tr>
@@ -818,6 +1219,38 @@ function MpesaSection({ transactions }) {
                         {tx.status}
                       </span>
                     </td>
+                    <td className="px-6 py-4">
+                      {tx.settledBy === 'job' ? (
+                        <span
+                          title="The callback never arrived; the reconciliation job queried Daraja for the result"
+                          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300"
+                        >
+                          Reconciled by job
+                        </span>
+                      ) : (
+                        tx.settledBy || '-'
+                      )}
+                    </td>
+                    <td className="px-6 py-4">
+                      <div className="flex items-center gap-2">
+                        {tx.refundStatus && (
+                          <span
+                            title={tx.refundedAmount > 0 ? `KES ${tx.refundedAmount} refunded` : undefined}
+                            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${REFUND_STATUS_BADGES[tx.refundStatus]}`}
+                          >
+                            {tx.refundStatus === 'completed' ? `Refunded KES ${tx.refundedAmount}` : `Refund ${tx.refundStatus}`}
+                          </span>
+                        )}
+                        {(tx.status === 'completed' || tx.status === 'flagged') && tx.refundedAmount < Math.round(tx.amount) && (
+                          <button
+                            onClick={() => setRefunding(tx)}
+                            className="px-3 py-1 text-sm text-purple-600 dark:text-purple-400 hover:bg-purple-50 dark:hover:bg-purple-900/30 rounded"
+                          >
+                            Refund
+                          </button>
+                        )}
+                      </div>
+                    </td>
                     <td className="px-6 py-4">{new Date(tx.createdAt).toLocaleString()}</td>
                   </tr>
                 ))
@@ -826,6 +1259,17 @@ function MpesaSection({ transactions }) {
           </table>
         </div>
       </div>
+
+      {refunding && (
+        <RefundModal
+          transaction={refunding}
+          onClose={() => setRefunding(null)}
+          onRefunded={() => {
+            setRefunding(null);
+            onTransactionsChange();
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import { branchesAPI } from '../api';
+
+const EMPTY_BRANCH = { name: '', county: '', address: '', phone: '', opening_hours: '', manager: '', latitude: '', longitude: '' };
+
+// Stores the business operates. Closing a branch hides it from customers and stops new
+// orders there; its stock and sales stay on record.
+export default function BranchesSection({ branches, counties, onUpdate }) {
+  const [editing, setEditing] = useState(null); // null, 'new' or a branch
+  const [form, setForm] = useState(EMPTY_BRANCH);
+  const [error, setError] = useState('');
+
+  const openForm = (branch) => {
+    setEditing(branch || 'new');
+    setError('');
+    setForm(branch ? {
+      name: branch.name,
+      county: branch.county || '',
+      address: branch.address || '',
+      phone: branch.phone || '',
+      opening_hours: branch.opening_hours || '',
+      manager: branch.manager || '',
+      latitude: branch.latitude ?? '',
+      longitude: branch.longitude ?? ''
+    } : EMPTY_BRANCH);
+  };
+
+  const handleSave = async () => {
+    setError('');
+    try {
+      if (editing === 'new') {
+        await branchesAPI.create(form);
+      } else {
+        await branchesAPI.update(editing.id, form);
+      }
+      setEditing(null);
+      onUpdate();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save branch');
+    }
+  };
+
+  const toggleActive = async (branch) => {
+    try {
+      await branchesAPI.update(branch.id, { is_active: !branch.is_active });
+      onUpdate();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update branch');
+    }
+  };
+
+  const handleDelete = async (branch) => {
+    if (!window.confirm(`Delete the ${branch.name} branch?`)) return;
+    try {
+      await branchesAPI.delete(branch.id);
+      onUpdate();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete branch');
+    }
+  };
+
+  const field = (name, placeholder, type = 'text') => (
+    <input
+      type={type}
+      placeholder={placeholder}
+      value={form[name]}
+      onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+      className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+    />
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Branches</h2>
+        <button
+          onClick={() => openForm(null)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" />
+          </svg>
+          Add Branch
+        </button>
+      </div>
+
+      {editing && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+          {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            {field('name', 'Branch name *')}
+            <select
+              value={form.county}
+              onChange={(e) => setForm({ ...form, county: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            >
+              <option value="">No county</option>
+              {counties.map(county => (
+                <option key={county.id} value={county.name}>{county.name}</option>
+              ))}
+            </select>
+            {field('address', 'Address')}
+            {field('phone', 'Phone')}
+            {field('opening_hours', 'Opening hours, e.g. Mon-Sat 8am-9pm')}
+            {field('manager', 'Manager username')}
+            {field('latitude', 'Latitude', 'number')}
+            {field('longitude', 'Longitude', 'number')}
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+            <tr>
+              <th className="px-6 py-4">Branch</th>
+              <th className="px-6 py-4">County</th>
+              <th className="px-6 py-4">Contact</th>
+              <th className="px-6 py-4">Hours</th>
+              <th className="px-6 py-4">Manager</th>
+              <th className="px-6 py-4">Status</th>
+              <th className="px-6 py-4 text-right">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y dark:divide-gray-700">
+            {branches.map((branch) => (
+              <tr key={branch.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                <td className="px-6 py-4">
+                  <div className="font-medium text-gray-900 dark:text-white">{branch.name}</div>
+                  {branch.address && <div className="text-xs text-gray-400">{branch.address}</div>}
+                </td>
+                <td className="px-6 py-4">{branch.county || '-'}</td>
+                <td className="px-6 py-4">{branch.phone || '-'}</td>
+                <td className="px-6 py-4">{branch.opening_hours || '-'}</td>
+                <td className="px-6 py-4">{branch.manager || '-'}</td>
+                <td className="px-6 py-4">
+                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${branch.is_active ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' :
+                      'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+                    }`}>
+                    {branch.is_active ? 'Open' : 'Closed'}
+                  </span>
+                </td>
+                <td className="px-6 py-4 text-right">
+                  <div className="flex items-center justify-end gap-2">
+                    <button
+                      onClick={() => openForm(branch)}
+                      className="text-amber-600 dark:text-amber-400 hover:text-amber-900 dark:hover:text-amber-300 font-medium hover:underline text-sm"
+                    >
+                      Edit
+                    </button>
+                    <span className="text-gray-300 dark:text-gray-600">|</span>
+                    <button
+                      onClick={() => toggleActive(branch)}
+                      className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300 font-medium hover:underline text-sm"
+                    >
+                      {branch.is_active ? 'Close' : 'Reopen'}
+                    </button>
+                    <span className="text-gray-300 dark:text-gray-600">|</span>
+                    <button
+                      onClick={() => handleDelete(branch)}
+                      className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300 font-medium hover:underline text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
-import { useState, useEffect, useCallback } from 'react';
-import { inventoryAPI, salesAPI, mpesaAPI } from '../api';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { inventoryAPI, salesAPI, ordersAPI, paymentsAPI, cardGatewayAPI, branchesAPI, depositsAPI, session } from '../api';
 import socketService from '../socket';
 
 // Product image mapping
@@ -9,21 +9,39 @@ const productImages = {
   'Sprite': 'https://images.unsplash.com/photo-1625772299848-391b6a87d7b3?q=80&w=600&auto=format&fit=crop'
 };
 
-// 5 available locations
-const AVAILABLE_LOCATIONS = ['Nairobi', 'Kisumu', 'Mombasa', 'Nakuru', 'Eldoret'];
-
 export default function CustomerView({ user }) {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [cart, setCart] = useState([]);
+  const [quote, setQuote] = useState(null);
   const [showCart, setShowCart] = useState(false);
   const [showPayment, setShowPayment] = useState(false);
-  const [selectedBranch, setSelectedBranch] = useState('Nairobi');
+  const [branches, setBranches] = useState([]);
+  const [selectedBranch, setSelectedBranch] = useState('');
   const [notifications, setNotifications] = useState([]);
   const [purchaseHistory, setPurchaseHistory] = useState([]);
   const [activeTab, setActiveTab] = useState('shop'); // 'shop' or 'history'
 
+  // Open branches. Stay on the selected one while it is open, otherwise fall back to the first.
+  const fetchBranches = useCallback(async () => {
+    try {
+      const response = await branchesAPI.getAll();
+      setBranches(response.data);
+      if (response.data.length === 0) setLoading(false);
+      setSelectedBranch(current =>
+        response.data.some(branch => branch.name === current) ? current : (response.data[0]?.name || '')
+      );
+    } catch (error) {
+      console.error('Error fetching branches:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBranches();
+  }, [fetchBranches]);
+
   const fetchProducts = useCallback(async () => {
+    if (!selectedBranch) return;
     setLoading(true);
     try {
       const response = await inventoryAPI.getAll(selectedBranch);
@@ -50,6 +68,7 @@ export default function CustomerView({ user }) {
   useEffect(() => {
     socketService.connect();
     socketService.joinCustomer();
+    socketService.joinUser(session.getToken());
 
     // Listen for inventory updates (only for other customers' purchases, not our own)
     const handleInventoryUpdate = (data) => {
@@ -68,12 +87,55 @@ export default function CustomerView({ user }) {
       fetchProducts();
     };
 
+    // Listen for completed orders - one event per basket
+    const handleOrderCompleted = (data) => {
+      if (!window.__PURCHASE_IN_PROGRESS__) {
+        const summary = data.items
+          .map(item => `${item.product} (${item.newStock} left)`)
+          .join(', ');
+        const notification = {
+          id: Date.now(),
+          message: `Stock updated in ${data.branch}: ${summary}`,
+          type: 'info'
+        };
+        setNotifications(prev => [notification, ...prev].slice(0, 3));
+      }
+
+      fetchProducts();
+    };
+
+    // Stock held for an unpaid order has been released
+    const handleStockReleased = () => {
+      fetchProducts();
+    };
+
+    // A product was renamed or repriced in the catalog, or a promotion changed. Reloading the
+    // products prices the cart again too.
+    const handleCatalogUpdated = () => {
+      fetchProducts();
+    };
+
+    // A branch opened, closed or was renamed
+    const handleBranchesUpdated = () => {
+      fetchBranches();
+    };
+
     socketService.on('inventory-updated', handleInventoryUpdate);
+    socketService.on('order-completed', handleOrderCompleted);
+    socketService.on('stock-released', handleStockReleased);
+    socketService.on('catalog-updated', handleCatalogUpdated);
+    socketService.on('promotions-updated', handleCatalogUpdated);
+    socketService.on('branches-updated', handleBranchesUpdated);
 
     return () => {
       socketService.off('inventory-updated', handleInventoryUpdate);
+      socketService.off('order-completed', handleOrderCompleted);
+      socketService.off('stock-released', handleStockReleased);
+      socketService.off('catalog-updated', handleCatalogUpdated);
+      socketService.off('promotions-updated', handleCatalogUpdated);
+      socketService.off('branches-updated', handleBranchesUpdated);
     };
-  }, [fetchProducts]);
+  }, [fetchProducts, fetchBranches]);
 
   const fetchPurchaseHistory = useCallback(async () => {
     try {
@@ -96,7 +158,22 @@ export default function CustomerView({ user }) {
     const existing = cart.find(item => item.id === product.id);
     const currentQtyInCart = existing ? existing.cartQuantity : 0;
 
-    if (currentQtyInCart + 1 > product.stock) {
+    // An order is placed against a single branch
+    if (cart.length > 0 && cart[0].branch !== product.branch) {
+      alert(`Your cart has items from ${cart[0].branch}. Check out or empty it before shopping in ${product.branch}.`);
+      return;
+    }
+
+    // A crate sold from bottle stock shares the shelf with the bottles, so count every cart
+    // line taking from the same stock in units
+    const stockId = item => item.stock_inventory_id || item.id;
+    const unitsPer = item => (item.pack_unit_id && item.pack_stock === 'units' ? item.pack_size : 1);
+    const shelf = products.find(item => item.id === stockId(product));
+    const unitsInCart = cart
+      .filter(item => stockId(item) === stockId(product))
+      .reduce((sum, item) => sum + item.cartQuantity * unitsPer(item), 0);
+
+    if (currentQtyInCart + 1 > product.available || (shelf && unitsInCart + unitsPer(product) > shelf.available)) {
       alert('Not enough stock!');
       return;
     }
@@ -124,38 +201,79 @@ export default function CustomerView({ user }) {
     setCart(cart.filter(item => item.id !== id));
   };
 
-  const handlePaymentSuccess = async () => {
-    const timestamp = new Date().toISOString();
-
-    // Set flag to prevent showing stock update notifications for our own purchase
-    window.__PURCHASE_IN_PROGRESS__ = true;
+  // Variants of one product (sizes, packs) share a card, e.g. a bottle and a crate of them
+  const families = products.reduce((groups, item) => {
+    const key = item.parent_id || item.product_id;
+    const family = groups.find(group => group.key === key);
+    if (family) {
+      family.variants.push(item);
+    } else {
+      groups.push({ key, variants: [item] });
+    }
+    return groups;
+  }, []);
 
-    try {
-      // Record sales - this will also update stock on the server
-      for (const item of cart) {
-        await salesAPI.record({
-          branch: item.branch,
-          product: item.product,
-          quantity: item.cartQuantity,
-          total_amount: item.price * item.cartQuantity,
-          timestamp
-        });
-      }
+  // Cart lines as the server expects them - prices are looked up server-side
+  const cartItems = () => cart.map(item => ({
+    inventory_id: item.id,
+    quantity: item.cartQuantity
+  }));
 
-      // Show success notification (will auto-dismiss after 2 seconds)
-      const notification = {
-        id: Date.now(),
-        message: 'Purchase successful! Thank you for shopping with us.',
-        type: 'success'
-      };
-      setNotifications(prev => [notification, ...prev].slice(0, 3));
-    } finally {
-      // Clear the flag after a short delay to allow WebSocket to process
-      setTimeout(() => {
-        window.__PURCHASE_IN_PROGRESS__ = false;
-      }, 500);
+  // Price the cart on the server, which applies the promotions running at the branch, whenever
+  // it or the products behind it change
+  useEffect(() => {
+    if (cart.length === 0) {
+      setQuote(null);
+      return;
     }
 
+    // A quote for an older cart is never shown against this one
+    let current = true;
+    setQuote(null);
+    ordersAPI.quote(cart[0].branch, cartItems())
+      .then(response => {
+        if (current) setQuote(response.data);
+      })
+      .catch(error => console.error('Error pricing cart:', error));
+    return () => {
+      current = false;
+    };
+  }, [JSON.stringify(cartItems()), products]);
+
+  // The server's price once it has quoted; until then goods plus the deposits on returnable
+  // bottles and crates, which the server adds the same way
+  const cartTotal = () => (quote ? quote.total_amount : cart.reduce(
+    (sum, item) => sum + ((item.price + (item.deposit_amount || 0)) * item.cartQuantity),
+    0
+  ));
+
+  // Trim the cart down to what the server says is still available
+  const applyShortages = (shortages = []) => {
+    setCart(prev => prev
+      .map(item => {
+        const short = shortages.find(s => s.inventory_id === item.id);
+        return short ? { ...item, cartQuantity: short.available } : item;
+      })
+      .filter(item => item.cartQuantity > 0));
+    fetchProducts();
+  };
+
+  // The order was created when payment started and completed once every tender was paid,
+  // which is what told the payment modal to call this - all that is left is to reset the cart
+  const handlePaymentSuccess = () => {
+    // Show success notification (will auto-dismiss after 2 seconds)
+    const notification = {
+      id: Date.now(),
+      message: 'Purchase successful! Thank you for shopping with us.',
+      type: 'success'
+    };
+    setNotifications(prev => [notification, ...prev].slice(0, 3));
+
+    // Clear the flag after a short delay to allow WebSocket to process
+    setTimeout(() => {
+      window.__PURCHASE_IN_PROGRESS__ = false;
+    }, 500);
+
     setCart([]);
     setShowPayment(false);
     setShowCart(false);
@@ -163,28 +281,38 @@ export default function CustomerView({ user }) {
     fetchPurchaseHistory();
   };
 
-  // Handle M-Pesa payment
-  const handleMpesaPayment = async (phone) => {
-    const total = cart.reduce((sum, item) => sum + (item.price * item.cartQuantity), 0);
+  // Check out the cart with the tenders chosen in the payment modal
+  const handlePayment = async (tenders) => {
+    // Set flag to prevent showing stock update notifications for our own purchase
+    window.__PURCHASE_IN_PROGRESS__ = true;
 
     try {
-      // Initiate STK Push
-      const response = await mpesaAPI.stkPush({
-        phone,
-        amount: total,
+      // The server prices the items and rejects the request if the amount shown here is
+      // no longer current. Card payments come back completed; M-Pesa ones finish later.
+      const response = await paymentsAPI.checkout({
         branch: cart[0]?.branch,
-        product: cart.map(c => c.product).join(', ')
+        items: cartItems(),
+        expected_total: cartTotal(),
+        tenders
       });
-
-      if (response.data.success) {
-        return response.data.data;
-      }
+      return response.data;
     } catch (error) {
-      console.error('M-Pesa error:', error);
+      console.error('Payment error:', error);
+      window.__PURCHASE_IN_PROGRESS__ = false;
+      if (error.response?.status === 409) {
+        applyShortages(error.response.data.details?.shortages);
+      }
       throw error;
     }
   };
 
+  // Payment modal closed without a successful payment
+  const handlePaymentClosed = () => {
+    window.__PURCHASE_IN_PROGRESS__ = false;
+    setShowPayment(false);
+    fetchProducts();
+  };
+
   const handleLocationChange = (location) => {
     setSelectedBranch(location);
   };
@@ -199,7 +327,9 @@ export default function CustomerView({ user }) {
               key={notif.id}
               className={`${notif.type === 'success'
                 ? 'bg-green-500'
-                : 'bg-blue-500'
+                : notif.type === 'error'
+                  ? 'bg-red-500'
+                  : 'bg-blue-500'
                 } text-white px-4 py-3 pr-8 rounded-lg shadow-lg transition-all duration-300 relative`}
             >
               {notif.message}
@@ -245,10 +375,11 @@ export default function CustomerView({ user }) {
               <div className="flex items-center gap-4">
                 <span className="text-gray-500 dark:text-gray-400 font-medium whitespace-nowrap">Select Location:</span>
                 <div className="flex flex-wrap gap-2">
-                  {AVAILABLE_LOCATIONS.map(location => (
+                  {branches.map(({ id, name: location, opening_hours }) => (
                     <button
-                      key={location}
+                      key={id}
                       onClick={() => handleLocationChange(location)}
+                      title={opening_hours || undefined}
                       className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${selectedBranch === location
                         ? 'bg-blue-600 text-white'
                         : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
@@ -285,8 +416,8 @@ export default function CustomerView({ user }) {
             </div>
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-              {products.map(p => (
-                <ProductCard key={p.id} product={p} onAddToCart={addToCart} />
+              {families.map(family => (
+                <ProductCard key={family.key} variants={family.variants} onAddToCart={addToCart} />
               ))}
               {products.length === 0 && (
                 <div className="col-span-full text-center py-12 bg-white dark:bg-gray-800 rounded-xl border border-dashed border-gray-300 dark:border-gray-700">
@@ -300,6 +431,7 @@ export default function CustomerView({ user }) {
           {showCart && (
             <CartModal
               cart={cart}
+              quote={quote}
               onClose={() => setShowCart(false)}
               onRemove={removeFromCart}
               onCheckout={() => setShowPayment(true)}
@@ -308,10 +440,10 @@ export default function CustomerView({ user }) {
 
           {showPayment && (
             <PaymentProcessing
-              amount={cart.reduce((sum, item) => sum + (item.price * item.cartQuantity), 0)}
-              onCancel={() => setShowPayment(false)}
+              amount={cartTotal()}
+              onCancel={handlePaymentClosed}
               onSuccess={handlePaymentSuccess}
-              onMpesa={handleMpesaPayment}
+              onPay={handlePayment}
             />
           )}
         </>
@@ -343,7 +475,12 @@ export default function CustomerView({ user }) {
                     </td>
                     <td className="px-6 py-4 text-sm text-gray-600 dark:text-gray-300">{item.branch}</td>
                     <td className="px-6 py-4 text-sm text-gray-600 dark:text-gray-300">{item.quantity}</td>
-                    <td className="px-6 py-4 text-sm font-bold text-blue-600 dark:text-blue-400">KES {item.total_amount}</td>
+                    <td className="px-6 py-4 text-sm font-bold text-blue-600 dark:text-blue-400">
+                      KES {item.total_amount}
+                      {item.discount_amount > 0 && (
+                        <span className="block text-xs font-normal text-green-600 dark:text-green-400">KES {item.discount_amount} off</span>
+                      )}
+                    </td>
                   </tr>
                 ))}
                 {purchaseHistory.length === 0 && (
@@ -362,7 +499,10 @@ export default function CustomerView({ user }) {
   );
 }
 
-function ProductCard({ product, onAddToCart }) {
+function ProductCard({ variants, onAddToCart }) {
+  const [selectedId, setSelectedId] = useState(variants[0].id);
+  const product = variants.find(variant => variant.id === selectedId) || variants[0];
+
   return (
     <div className="card hover:shadow-md transition-all flex flex-col h-full group bg-white dark:bg-gray-800 dark:border-gray-700">
       <div className="relative h-48 mb-4 overflow-hidden rounded-lg bg-gray-100 dark:bg-gray-700">
@@ -379,20 +519,41 @@ function ProductCard({ product, onAddToCart }) {
       <div className="flex-1">
         <h3 className="text-lg font-bold text-gray-900 dark:text-white">{product.product}</h3>
         <p className="text-gray-500 dark:text-gray-400 text-sm mb-2">Refreshing drink</p>
+        {variants.length > 1 && (
+          <div className="flex flex-wrap gap-2 mb-2">
+            {variants.map(variant => (
+              <button
+                key={variant.id}
+                onClick={() => setSelectedId(variant.id)}
+                className={`px-2 py-1 rounded-lg text-xs font-medium border transition-colors ${variant.id === product.id
+                  ? 'bg-blue-600 text-white border-blue-600'
+                  : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+              >
+                {variant.variant_name || variant.product}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="flex items-center justify-between mt-2">
-          <span className="text-xl font-bold text-blue-600 dark:text-blue-400">KES {product.price}</span>
-          <span className={`text-xs px-2 py-1 rounded-full ${product.stock > 0
+          <span className="text-xl font-bold text-blue-600 dark:text-blue-400">
+            KES {product.price}
+            {product.deposit_amount > 0 && (
+              <span className="block text-xs font-normal text-gray-500 dark:text-gray-400">+ KES {product.deposit_amount} deposit</span>
+            )}
+          </span>
+          <span className={`text-xs px-2 py-1 rounded-full ${product.available > 0
             ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400'
             : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'
             }`}>
-            {product.stock > 0 ? `${product.stock} in stock` : 'Out of Stock'}
+            {product.available > 0 ? `${product.available} in stock` : 'Out of Stock'}
           </span>
         </div>
       </div>
 
       <button
         onClick={() => onAddToCart(product)}
-        disabled={product.stock <= 0}
+        disabled={product.available <= 0}
         className="mt-4 w-full bg-black text-white dark:bg-white dark:text-black py-2 rounded-lg hover:bg-gray-800 dark:hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 transition-colors"
       >
         <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
@@ -405,8 +566,10 @@ function ProductCard({ product, onAddToCart }) {
   );
 }
 
-function CartModal({ cart, onClose, onRemove, onCheckout }) {
-  const total = cart.reduce((sum, item) => sum + (item.price * item.cartQuantity), 0);
+function CartModal({ cart, quote, onClose, onRemove, onCheckout }) {
+  const deposits = cart.reduce((sum, item) => sum + ((item.deposit_amount || 0) * item.cartQuantity), 0);
+  const total = quote ? quote.total_amount : cart.reduce((sum, item) => sum + (item.price * item.cartQuantity), 0) + deposits;
+  const quotedLine = (item) => quote?.items.find(line => line.inventory_id === item.id);
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
@@ -453,7 +616,12 @@ function CartModal({ cart, onClose, onRemove, onCheckout }) {
                   </div>
                   <div className="flex items-center gap-4">
                     <span className="font-mono text-sm text-gray-600 dark:text-gray-300">x{item.cartQuantity}</span>
-                    <span className="font-bold text-gray-900 dark:text-white">KES {item.price * item.cartQuantity}</span>
+                    <span className="font-bold text-gray-900 dark:text-white text-right">
+                      {quotedLine(item)?.discount_amount > 0 && (
+                        <span className="block text-xs font-normal text-gray-400 line-through">KES {item.price * item.cartQuantity}</span>
+                      )}
+                      KES {quotedLine(item) ? quotedLine(item).total_amount : item.price * item.cartQuantity}
+                    </span>
                     <button onClick={() => onRemove(item.id)} className="text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 p-1.5 rounded-full">
                       <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                         <polyline points="3 6 5 6 21 6" /><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
@@ -467,6 +635,18 @@ function CartModal({ cart, onClose, onRemove, onCheckout }) {
         </div>
 
         <div className="p-6 border-t dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50 rounded-b-xl">
+          {quote?.promotions.map((promotion, index) => (
+            <div key={index} className="flex justify-between items-center mb-2 text-sm text-green-700 dark:text-green-400">
+              <span>{promotion.name}{promotion.product ? ` (${promotion.product})` : ''}</span>
+              <span>- KES {promotion.discount_amount}</span>
+            </div>
+          ))}
+          {deposits > 0 && (
+            <div className="flex justify-between items-center mb-2 text-sm text-gray-600 dark:text-gray-300">
+              <span>Bottle and crate deposits (refunded when you bring the empties back)</span>
+              <span>KES {deposits}</span>
+            </div>
+          )}
           <div className="flex justify-between items-center mb-4">
             <span className="text-gray-600 dark:text-gray-300">Total Amount</span>
             <span className="text-2xl font-bold text-gray-900 dark:text-white">KES {total}</span>
@@ -477,9 +657,9 @@ function CartModal({ cart, onClose, onRemove, onCheckout }) {
             className="w-full bg-green-600 text-white py-3 rounded-xl font-bold hover:bg-green-700 disabled:opacity-50 transition-colors flex items-center justify-center gap-2"
           >
             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-              <rect x="5" y="2" width="14" height="20" rx="2" ry="2" /><line x1="12" y1="18" x2="12.01" y2="18" />
+              <rect x="1" y="4" width="22" height="16" rx="2" ry="2" /><line x1="1" y1="10" x2="23" y2="10" />
             </svg>
-            Pay via M-Pesa
+            Checkout
           </button>
         </div>
       </div>
@@ -487,11 +667,163 @@ function CartModal({ cart, onClose, onRemove, onCheckout }) {
   );
 }
 
-function PaymentProcessing({ amount, onSuccess, onCancel, onMpesa }) {
-  const [step, setStep] = useState('phone');
+// Headings for the ways a payment can end other than success
+const PAYMENT_FAILURE_TITLES = {
+  cancelled: 'Payment Cancelled',
+  insufficient_funds: 'Insufficient Funds',
+  timeout: 'Payment Timed Out',
+  invalid_pin: 'Wrong PIN Entered',
+  needs_review: 'Payment Received',
+  failed: 'Payment Failed'
+};
+
+// How long to wait for M-Pesa to report back before giving up on the modal
+const PAYMENT_RESULT_TIMEOUT_MS = 2 * 60 * 1000;
+
+const EMPTY_CARD = { number: '', expiry: '', cvc: '' };
+
+function PaymentProcessing({ amount, onSuccess, onCancel, onPay }) {
+  const [step, setStep] = useState('method');
   const [phone, setPhone] = useState('');
+  const [card, setCard] = useState(EMPTY_CARD);
   const [error, setError] = useState('');
   const [processingMessage, setProcessingMessage] = useState('');
+  const [paymentResult, setPaymentResult] = useState(null);
+  const [pendingOrderId, setPendingOrderId] = useState(null);
+  const [creditBalance, setCreditBalance] = useState(0);
+
+  // Store credit from returned empties can pay for the whole order when it covers it
+  useEffect(() => {
+    depositsAPI.getCredit()
+      .then(response => setCreditBalance(response.data.balance))
+      .catch(error => console.error('Error fetching store credit:', error));
+  }, []);
+
+  // Order we are waiting on (readable from the socket handler), and results that arrived before the STK push call returned
+  const pendingOrderRef = useRef(null);
+  const earlyResultsRef = useRef([]);
+
+  // The server reports the real M-Pesa outcome to this user's room
+  useEffect(() => {
+    const handlePaymentStatus = (data) => {
+      if (pendingOrderRef.current === null) {
+        earlyResultsRef.current.push(data);
+      } else if (data.orderId === pendingOrderRef.current) {
+        setPaymentResult(data);
+      }
+    };
+
+    socketService.on('payment-status', handlePaymentStatus);
+    return () => {
+      socketService.off('payment-status', handlePaymentStatus);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!paymentResult) return;
+
+    if (paymentResult.status === 'success') {
+      setStep('success');
+      const timer = setTimeout(() => {
+        onSuccess();
+      }, 2000);
+      return () => clearTimeout(timer);
+    }
+
+    setStep('failed');
+  }, [paymentResult]);
+
+  // Stop waiting if no result arrives at all
+  useEffect(() => {
+    if (step !== 'processing' || pendingOrderId === null) return;
+
+    const timer = setTimeout(() => {
+      setPaymentResult({
+        status: 'timeout',
+        resultDesc: 'We did not hear back from M-Pesa. If money left your account, your order will be completed automatically.'
+      });
+    }, PAYMENT_RESULT_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [step, pendingOrderId]);
+
+  const resetPayment = () => {
+    pendingOrderRef.current = null;
+    earlyResultsRef.current = [];
+    setPendingOrderId(null);
+    setPaymentResult(null);
+    setError('');
+    setStep('method');
+  };
+
+  // Send the tenders to the server. A card is charged on the spot; an M-Pesa payment
+  // reports back through the socket once the customer has entered their PIN.
+  const submitPayment = async (tenders, retryStep) => {
+    setError('');
+    setStep('processing');
+
+    try {
+      const result = await onPay(tenders);
+
+      if (result.status === 'completed') {
+        const paid = result.payments.find(payment => payment.provider === 'card');
+        setPaymentResult({ status: 'success', card: paid?.details });
+        return;
+      }
+
+      pendingOrderRef.current = result.order.id;
+      setPendingOrderId(result.order.id);
+      setProcessingMessage('Please check your phone and enter your M-Pesa PIN...');
+
+      const early = earlyResultsRef.current.find(data => data.orderId === result.order.id);
+      earlyResultsRef.current = [];
+      if (early) {
+        setPaymentResult(early);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Payment initiation failed. Please try again.');
+      setStep(retryStep);
+    }
+  };
+
+  const handleCardPay = async () => {
+    const number = card.number.replace(/\s+/g, '');
+    const [expMonth, expYear] = card.expiry.split('/');
+
+    if (number.length < 12) {
+      setError('Please enter a valid card number');
+      return;
+    }
+    if (!expMonth || !expYear || Number(expMonth) < 1 || Number(expMonth) > 12) {
+      setError('Expiry must be in MM/YY format');
+      return;
+    }
+    if (!/^\d{3,4}$/.test(card.cvc)) {
+      setError('Please enter the 3 or 4 digit CVC');
+      return;
+    }
+
+    setError('');
+    setProcessingMessage('Checking your card...');
+    setStep('processing');
+
+    let token;
+    try {
+      const response = await cardGatewayAPI.tokenize({
+        number,
+        exp_month: Number(expMonth),
+        exp_year: 2000 + Number(expYear),
+        cvc: card.cvc
+      });
+      token = response.data.id;
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Could not reach the card gateway. Please try again.');
+      setStep('card');
+      return;
+    }
+
+    setProcessingMessage('Charging your card...');
+    submitPayment([{ provider: 'card', card_token: token }], 'card');
+  };
 
   const handlePay = async () => {
     if (phone.length < 10) {
@@ -517,32 +849,120 @@ function PaymentProcessing({ amount, onSuccess, onCancel, onMpesa }) {
       return;
     }
 
-    setError('');
-    setStep('processing');
     setProcessingMessage('Initiating M-Pesa STK Push...');
-
-    try {
-      // Call M-Pesa API
-      const result = await onMpesa(formattedPhone);
-      setProcessingMessage('Please check your phone for the STK push notification...');
-
-      // Simulate waiting for callback (in real app, this would be real-time via WebSocket)
-      setTimeout(() => {
-        setStep('success');
-        setTimeout(() => {
-          onSuccess();
-        }, 2000);
-      }, 3000);
-    } catch (err) {
-      setError('Payment initiation failed. Please try again.');
-      setStep('phone');
-    }
+    submitPayment([{ provider: 'mpesa', phone: formattedPhone }], 'phone');
   };
 
   return (
     <div className="fixed inset-0 z-[60] flex items-center justify-center p-4">
       <div className="absolute inset-0 bg-black/60 backdrop-blur-sm"></div>
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-sm relative z-10 p-6 text-center transition-colors duration-200">
+        {step === 'method' && (
+          <div className="animate-in fade-in zoom-in duration-300">
+            <h3 className="text-xl font-bold mb-2 text-gray-900 dark:text-white">Choose Payment Method</h3>
+            <p className="text-gray-500 dark:text-gray-400 mb-6 text-sm">
+              Amount due <span className="font-bold text-gray-900 dark:text-white">KES {amount}</span>
+            </p>
+
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+            <div className="space-y-3 mb-6">
+              <button
+                onClick={() => { setError(''); setStep('phone'); }}
+                className="w-full flex items-center gap-3 p-4 border dark:border-gray-600 rounded-lg hover:border-green-500 hover:bg-green-50 dark:hover:bg-green-900/20 transition-colors text-left"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-green-600 dark:text-green-400">
+                  <rect x="5" y="2" width="14" height="20" rx="2" ry="2" /><line x1="12" y1="18" x2="12.01" y2="18" />
+                </svg>
+                <span className="font-semibold text-gray-900 dark:text-white">M-Pesa</span>
+              </button>
+              <button
+                onClick={() => { setError(''); setStep('card'); }}
+                className="w-full flex items-center gap-3 p-4 border dark:border-gray-600 rounded-lg hover:border-blue-500 hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors text-left"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-blue-600 dark:text-blue-400">
+                  <rect x="1" y="4" width="22" height="16" rx="2" ry="2" /><line x1="1" y1="10" x2="23" y2="10" />
+                </svg>
+                <span className="font-semibold text-gray-900 dark:text-white">Debit / Credit Card</span>
+              </button>
+              {creditBalance >= amount && (
+                <button
+                  onClick={() => {
+                    setProcessingMessage('Using your store credit...');
+                    submitPayment([{ provider: 'credit' }], 'method');
+                  }}
+                  className="w-full flex items-center gap-3 p-4 border dark:border-gray-600 rounded-lg hover:border-amber-500 hover:bg-amber-50 dark:hover:bg-amber-900/20 transition-colors text-left"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-amber-600 dark:text-amber-400">
+                    <circle cx="12" cy="12" r="10" /><line x1="12" y1="6" x2="12" y2="18" />
+                  </svg>
+                  <span className="font-semibold text-gray-900 dark:text-white">Store Credit (KES {creditBalance} available)</span>
+                </button>
+              )}
+            </div>
+
+            <button onClick={onCancel} className="w-full py-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg">Cancel</button>
+          </div>
+        )}
+
+        {step === 'card' && (
+          <div className="animate-in fade-in zoom-in duration-300">
+            <div className="w-16 h-16 bg-blue-100 dark:bg-blue-900/30 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-blue-600 dark:text-blue-400">
+                <rect x="1" y="4" width="22" height="16" rx="2" ry="2" /><line x1="1" y1="10" x2="23" y2="10" />
+              </svg>
+            </div>
+            <h3 className="text-xl font-bold mb-2 text-gray-900 dark:text-white">Card Payment</h3>
+            <p className="text-gray-500 dark:text-gray-400 mb-6 text-sm">
+              Pay <span className="font-bold text-gray-900 dark:text-white">KES {amount}</span> with your card
+            </p>
+
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Card number"
+              className="w-full border dark:border-gray-600 px-4 py-3 rounded-lg mb-2 font-mono tracking-widest focus:ring-2 focus:ring-blue-500 outline-none dark:bg-gray-700 dark:text-white"
+              value={card.number}
+              onChange={(e) => {
+                const digits = e.target.value.replace(/\D/g, '').slice(0, 19);
+                setCard({ ...card, number: digits.replace(/(\d{4})(?=\d)/g, '$1 ') });
+                setError('');
+              }}
+            />
+            <div className="flex gap-2 mb-2">
+              <input
+                type="text"
+                inputMode="numeric"
+                placeholder="MM/YY"
+                className="w-1/2 border dark:border-gray-600 px-4 py-3 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 outline-none dark:bg-gray-700 dark:text-white"
+                value={card.expiry}
+                onChange={(e) => {
+                  const digits = e.target.value.replace(/\D/g, '').slice(0, 4);
+                  setCard({ ...card, expiry: digits.length > 2 ? `${digits.slice(0, 2)}/${digits.slice(2)}` : digits });
+                  setError('');
+                }}
+              />
+              <input
+                type="password"
+                inputMode="numeric"
+                placeholder="CVC"
+                className="w-1/2 border dark:border-gray-600 px-4 py-3 rounded-lg font-mono focus:ring-2 focus:ring-blue-500 outline-none dark:bg-gray-700 dark:text-white"
+                value={card.cvc}
+                onChange={(e) => {
+                  setCard({ ...card, cvc: e.target.value.replace(/\D/g, '').slice(0, 4) });
+                  setError('');
+                }}
+              />
+            </div>
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+            <div className="flex gap-3 mt-4">
+              <button onClick={() => { setError(''); setStep('method'); }} className="flex-1 py-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg">Back</button>
+              <button onClick={handleCardPay} className="flex-1 bg-blue-600 text-white py-2 rounded-lg font-semibold hover:bg-blue-700">Pay Now</button>
+            </div>
+          </div>
+        )}
+
         {step === 'phone' && (
           <div className="animate-in fade-in zoom-in duration-300">
             <div className="w-16 h-16 bg-green-100 dark:bg-green-900/30 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -569,7 +989,7 @@ function PaymentProcessing({ amount, onSuccess, onCancel, onMpesa }) {
             {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
 
             <div className="flex gap-3">
-              <button onClick={onCancel} className="flex-1 py-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg">Cancel</button>
+              <button onClick={() => { setError(''); setStep('method'); }} className="flex-1 py-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg">Back</button>
               <button onClick={handlePay} className="flex-1 bg-green-600 text-white py-2 rounded-lg font-semibold hover:bg-green-700">Pay Now</button>
             </div>
           </div>
@@ -593,7 +1013,35 @@ function PaymentProcessing({ amount, onSuccess, onCancel, onMpesa }) {
               </svg>
             </div>
             <h3 className="text-xl font-bold text-green-600 dark:text-green-400 mb-1">Payment Successful!</h3>
-            <p className="text-gray-500 dark:text-gray-400 text-sm">Thank you for shopping with us.</p>
+            <p className="text-gray-500 dark:text-gray-400 text-sm">
+              {paymentResult?.mpesaReceipt ? `M-Pesa receipt ${paymentResult.mpesaReceipt}. ` : ''}
+              {paymentResult?.card ? `Charged to ${paymentResult.card.brand} ending ${paymentResult.card.last4}. ` : ''}
+              Thank you for shopping with us.
+            </p>
+          </div>
+        )}
+
+        {step === 'failed' && (
+          <div className="py-6">
+            <div className="w-16 h-16 bg-red-100 dark:bg-red-900/30 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-red-600 dark:text-red-400">
+                <line x1="18" y1="6" x2="6" y2="18" /><line x1="6" y1="6" x2="18" y2="18" />
+              </svg>
+            </div>
+            <h3 className="text-xl font-bold text-red-600 dark:text-red-400 mb-1">
+              {PAYMENT_FAILURE_TITLES[paymentResult?.status] || PAYMENT_FAILURE_TITLES.failed}
+            </h3>
+            <p className="text-gray-500 dark:text-gray-400 text-sm mb-6">
+              {paymentResult?.status === 'needs_review'
+                ? 'Your payment was received but some items sold out in the meantime. Our team will contact you.'
+                : paymentResult?.resultDesc}
+            </p>
+            <div className="flex gap-3">
+              <button onClick={onCancel} className="flex-1 py-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg">Close</button>
+              {paymentResult?.status !== 'needs_review' && (
+                <button onClick={resetPayment} className="flex-1 bg-green-600 text-white py-2 rounded-lg font-semibold hover:bg-green-700">Try Again</button>
+              )}
+            </div>
           </div>
         )}
       </div>
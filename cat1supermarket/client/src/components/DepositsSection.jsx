@@ -0,0 +1,296 @@
+import { useState, useEffect } from 'react';
+import { depositsAPI } from '../api';
+
+const EMPTY_EMPTIES_RETURN = { branch: '', settlement: 'cash', customer: '', note: '', lines: [{ product_id: '', quantity: 1 }] };
+
+// Empty bottles and crates coming back for their deposits, what each branch holds until the
+// supplier collects them, and the deposits still owed to customers
+export default function DepositsSection({ inventory, branches }) {
+  const [form, setForm] = useState(EMPTY_EMPTIES_RETURN);
+  const [branchFilter, setBranchFilter] = useState('All');
+  const [onHand, setOnHand] = useState([]);
+  const [liability, setLiability] = useState(null);
+  const [returns, setReturns] = useState([]);
+  const [adjustments, setAdjustments] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Other admins' returns and collections reload inventory, which refreshes this too
+  const fetchDeposits = () => {
+    const params = { branch: branchFilter };
+    Promise.all([depositsAPI.getEmpties(params), depositsAPI.getLiability(params), depositsAPI.getReturns(params)])
+      .then(([emptiesResponse, liabilityResponse, returnsResponse]) => {
+        setOnHand(emptiesResponse.data);
+        setLiability(liabilityResponse.data);
+        setReturns(returnsResponse.data);
+      })
+      .catch(error => console.error('Error fetching deposits:', error));
+  };
+
+  useEffect(() => {
+    fetchDeposits();
+  }, [branchFilter, inventory]);
+
+  // Every returnable product once, whichever branches stock it
+  const returnables = Object.values(inventory
+    .filter(item => item.deposit_amount > 0)
+    .reduce((products, item) => ({ ...products, [item.product_id]: item }), {}));
+
+  const updateLine = (index, changes) => {
+    setForm({ ...form, lines: form.lines.map((line, i) => (i === index ? { ...line, ...changes } : line)) });
+  };
+
+  const returnTotal = form.lines.reduce((sum, line) => {
+    const product = returnables.find(item => item.product_id === Number(line.product_id));
+    return sum + (product ? product.deposit_amount * Number(line.quantity || 0) : 0);
+  }, 0);
+
+  const handleReturn = async () => {
+    setError('');
+    setSaving(true);
+    try {
+      await depositsAPI.createReturn({
+        branch: form.branch,
+        settlement: form.settlement,
+        customer: form.customer.trim() || undefined,
+        note: form.note,
+        items: form.lines
+          .filter(line => line.product_id)
+          .map(line => ({ product_id: Number(line.product_id), quantity: Number(line.quantity) }))
+      });
+      setForm({ ...EMPTY_EMPTIES_RETURN, branch: form.branch });
+      fetchDeposits();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to record empties return');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Supplier collection takes empties away; a count replaces what the branch holds
+  const handleAdjust = async (row, action) => {
+    const key = `${row.branch_id}-${row.product_id}`;
+    const payload = { branch: row.branch, items: [{ product_id: row.product_id, quantity: Number(adjustments[key]) }] };
+    try {
+      await (action === 'collect' ? depositsAPI.collect(payload) : depositsAPI.count(payload));
+      setAdjustments({ ...adjustments, [key]: '' });
+      fetchDeposits();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update empties');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-4 space-y-3 transition-colors duration-200">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Empties Returned</h2>
+        {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <select
+            value={form.branch}
+            onChange={(e) => setForm({ ...form, branch: e.target.value })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+          >
+            <option value="">Branch *</option>
+            {branches.map(branch => <option key={branch} value={branch}>{branch}</option>)}
+          </select>
+          <select
+            value={form.settlement}
+            onChange={(e) => setForm({ ...form, settlement: e.target.value })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+          >
+            <option value="cash">Pay out in cash</option>
+            <option value="credit">Credit the customer</option>
+          </select>
+          <input
+            type="text"
+            placeholder={form.settlement === 'credit' ? 'Customer username *' : 'Customer username (optional)'}
+            value={form.customer}
+            onChange={(e) => setForm({ ...form, customer: e.target.value })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+          />
+          <input
+            type="text"
+            placeholder="Note"
+            value={form.note}
+            onChange={(e) => setForm({ ...form, note: e.target.value })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+          />
+        </div>
+        {form.lines.map((line, index) => (
+          <div key={index} className="flex gap-3">
+            <select
+              value={line.product_id}
+              onChange={(e) => updateLine(index, { product_id: e.target.value })}
+              className="flex-1 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            >
+              <option value="">Returnable product *</option>
+              {returnables.map(item => (
+                <option key={item.product_id} value={item.product_id}>{item.product} (KES {item.deposit_amount} deposit)</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              value={line.quantity}
+              onChange={(e) => updateLine(index, { quantity: e.target.value })}
+              className="w-24 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            {form.lines.length > 1 && (
+              <button
+                onClick={() => setForm({ ...form, lines: form.lines.filter((_, i) => i !== index) })}
+                className="text-sm text-red-600 dark:text-red-400 hover:underline"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={() => setForm({ ...form, lines: [...form.lines, { product_id: '', quantity: 1 }] })}
+            className="px-3 py-2 text-sm border dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+          >
+            + Line
+          </button>
+          <button
+            onClick={handleReturn}
+            disabled={!form.branch || !form.lines.some(line => line.product_id) || saving}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : `${form.settlement === 'credit' ? 'Credit' : 'Pay out'} KES ${returnTotal}`}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 transition-colors duration-200">
+        <div className="p-4 border-b dark:border-gray-700 flex flex-wrap justify-between items-center gap-3">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Deposits Owed
+            {liability && (
+              <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                KES {liability.outstanding.toLocaleString()} on empties not yet returned, KES {liability.store_credit_outstanding.toLocaleString()} in unspent store credit
+              </span>
+            )}
+          </h2>
+          <select
+            value={branchFilter}
+            onChange={(e) => setBranchFilter(e.target.value)}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+          >
+            <option value="All">All branches</option>
+            {branches.map(branch => <option key={branch} value={branch}>{branch}</option>)}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs">
+              <tr>
+                <th className="px-6 py-3">Branch</th>
+                <th className="px-6 py-3">Product</th>
+                <th className="px-6 py-3">Sold</th>
+                <th className="px-6 py-3">Returned</th>
+                <th className="px-6 py-3 text-right">Charged (KES)</th>
+                <th className="px-6 py-3 text-right">Paid Back (KES)</th>
+                <th className="px-6 py-3 text-right">Outstanding (KES)</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y dark:divide-gray-700">
+              {!liability || liability.lines.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-400">No deposits charged yet</td>
+                </tr>
+              ) : liability.lines.map(line => (
+                <tr key={`${line.branch}-${line.product}`}>
+                  <td className="px-6 py-3">{line.branch}</td>
+                  <td className="px-6 py-3">{line.product}</td>
+                  <td className="px-6 py-3">{line.units_sold}</td>
+                  <td className="px-6 py-3">{line.units_returned}</td>
+                  <td className="px-6 py-3 text-right">{line.charged.toLocaleString()}</td>
+                  <td className="px-6 py-3 text-right">{line.returned.toLocaleString()}</td>
+                  <td className={`px-6 py-3 text-right font-medium ${line.outstanding < 0 ? 'text-amber-600 dark:text-amber-400' : ''}`}>
+                    {line.outstanding.toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+          <h2 className="p-4 border-b dark:border-gray-700 text-lg font-semibold text-gray-900 dark:text-white">Empties On Hand</h2>
+          <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+            <tbody className="divide-y dark:divide-gray-700">
+              {onHand.length === 0 ? (
+                <tr>
+                  <td className="px-4 py-8 text-center text-gray-400">No empties held</td>
+                </tr>
+              ) : onHand.map(row => {
+                const key = `${row.branch_id}-${row.product_id}`;
+                return (
+                  <tr key={key}>
+                    <td className="px-4 py-3">
+                      {row.product}
+                      <div className="text-xs text-gray-400">{row.branch}</div>
+                    </td>
+                    <td className="px-4 py-3 font-medium">{row.on_hand}</td>
+                    <td className="px-4 py-3">
+                      <div className="flex items-center justify-end gap-2">
+                        <input
+                          type="number"
+                          min="0"
+                          value={adjustments[key] || ''}
+                          onChange={(e) => setAdjustments({ ...adjustments, [key]: e.target.value })}
+                          className="w-20 px-2 py-1 border dark:border-gray-600 rounded dark:bg-gray-700"
+                        />
+                        <button
+                          onClick={() => handleAdjust(row, 'collect')}
+                          disabled={!(Number(adjustments[key]) > 0)}
+                          className="text-blue-600 dark:text-blue-400 hover:underline text-sm disabled:opacity-40 disabled:no-underline"
+                        >
+                          Collected
+                        </button>
+                        <button
+                          onClick={() => handleAdjust(row, 'count')}
+                          disabled={adjustments[key] === undefined || adjustments[key] === ''}
+                          className="text-amber-600 dark:text-amber-400 hover:underline text-sm disabled:opacity-40 disabled:no-underline"
+                        >
+                          Set count
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+          <h2 className="p-4 border-b dark:border-gray-700 text-lg font-semibold text-gray-900 dark:text-white">Recent Returns</h2>
+          <ul className="divide-y dark:divide-gray-700 text-sm text-gray-600 dark:text-gray-300">
+            {returns.length === 0 && <li className="px-4 py-8 text-center text-gray-400">No empties returned yet</li>}
+            {returns.map(empties => (
+              <li key={empties.id} className="px-4 py-3 flex justify-between gap-3">
+                <span>
+                  {empties.items.map(item => `${item.quantity} × ${item.product}`).join(', ')}
+                  <span className="block text-xs text-gray-400">
+                    {empties.branch} · {new Date(empties.created_at).toLocaleString()} · by {empties.created_by_username || '-'}
+                  </span>
+                </span>
+                <span className="text-right font-medium">
+                  KES {empties.total_amount}
+                  <span className="block text-xs font-normal text-gray-400">
+                    {empties.settlement === 'credit' ? `Credited to ${empties.customer}` : 'Cash'}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { inventoryAPI, writeOffsAPI } from '../api';
+
+export default function ExpiringLotsPanel({ branch, inventory }) {
+  const [days, setDays] = useState(30);
+  const [lots, setLots] = useState([]);
+
+  // Refetch whenever stock changes, since sales and restocks move lots
+  useEffect(() => {
+    inventoryAPI.getExpiring(days, branch)
+      .then(response => setLots(response.data))
+      .catch(error => console.error('Error fetching expiring lots:', error));
+  }, [days, branch, inventory]);
+
+  const expiredCount = lots.filter(lot => lot.expired).length;
+
+  const writeOffLot = async (lot) => {
+    if (!window.confirm(`Write off ${lot.quantity} expired ${lot.product} (batch ${lot.batch_number || 'without number'}) at ${lot.branch}?`)) return;
+    const data = new FormData();
+    data.append('inventory_id', lot.inventory_id);
+    data.append('lot_id', lot.id);
+    data.append('quantity', lot.quantity);
+    data.append('reason', 'expired');
+    try {
+      await writeOffsAPI.create(data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to write off batch');
+    }
+  };
+
+  return (
+    <div className="mb-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Expiring Stock
+          {expiredCount > 0 && (
+            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">
+              {expiredCount} expired
+            </span>
+          )}
+        </h2>
+        <select
+          value={days}
+          onChange={(e) => setDays(Number(e.target.value))}
+          className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+        >
+          <option value={7}>Within 7 days</option>
+          <option value={14}>Within 14 days</option>
+          <option value={30}>Within 30 days</option>
+          <option value={60}>Within 60 days</option>
+        </select>
+      </div>
+
+      {lots.length === 0 ? (
+        <p className="px-4 pb-4 text-sm text-gray-400">Nothing expires within {days} days</p>
+      ) : (
+        <div className="overflow-x-auto border-t dark:border-gray-700">
+          <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs">
+              <tr>
+                <th className="px-6 py-3">Branch</th>
+                <th className="px-6 py-3">Product</th>
+                <th className="px-6 py-3">Batch</th>
+                <th className="px-6 py-3">Units</th>
+                <th className="px-6 py-3">Best Before</th>
+                <th className="px-6 py-3 text-right">Action</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y dark:divide-gray-700">
+              {lots.map(lot => (
+                <tr key={lot.id}>
+                  <td className="px-6 py-3">{lot.branch}</td>
+                  <td className="px-6 py-3">{lot.product}</td>
+                  <td className="px-6 py-3">{lot.batch_number || '-'}</td>
+                  <td className="px-6 py-3">{lot.quantity}</td>
+                  <td className={`px-6 py-3 ${lot.expired ? 'text-red-600 dark:text-red-400 font-bold' : ''}`}>
+                    {lot.expiry_date}
+                    <span className="block text-xs font-normal text-gray-400">
+                      {lot.expired ? 'Expired - cannot be sold' : lot.days_to_expiry === 0 ? 'Today' : `In ${lot.days_to_expiry} days`}
+                    </span>
+                  </td>
+                  <td className="px-6 py-3 text-right">
+                    {lot.expired && (
+                      <button
+                        onClick={() => writeOffLot(lot)}
+                        className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300 font-medium hover:underline text-sm"
+                      >
+                        Write off
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
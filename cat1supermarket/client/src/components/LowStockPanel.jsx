@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { inventoryAPI } from '../api';
+
+export default function LowStockPanel({ alerts, branch, onAcknowledged }) {
+  const [report, setReport] = useState(null);
+
+  const visibleAlerts = branch === 'All' ? alerts : alerts.filter(alert => alert.branch === branch);
+
+  const toggleReport = async () => {
+    if (report) {
+      setReport(null);
+      return;
+    }
+    try {
+      const response = await inventoryAPI.getLowStock(branch);
+      setReport(response.data);
+    } catch (error) {
+      alert('Failed to load reorder report');
+    }
+  };
+
+  const handleAcknowledge = async (stockAlert) => {
+    try {
+      await inventoryAPI.acknowledgeAlert(stockAlert.id);
+      onAcknowledged();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to acknowledge alert');
+    }
+  };
+
+  return (
+    <div className="mb-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+          Low Stock Alerts
+          {visibleAlerts.length > 0 && (
+            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300">
+              {visibleAlerts.length}
+            </span>
+          )}
+        </h2>
+        <button
+          onClick={toggleReport}
+          className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+        >
+          {report ? 'Hide reorder report' : 'Reorder report'}
+        </button>
+      </div>
+
+      {visibleAlerts.length > 0 && (
+        <ul className="px-4 pb-4 space-y-2 text-sm">
+          {visibleAlerts.map(stockAlert => (
+            <li key={stockAlert.id} className="flex items-center justify-between gap-3 text-gray-600 dark:text-gray-300">
+              <span>
+                <strong className="text-gray-900 dark:text-white">{stockAlert.branch} {stockAlert.product}</strong>
+                {' '}fell to {stockAlert.stock} (reorder point {stockAlert.reorder_point}); {stockAlert.current_stock} now in stock
+              </span>
+              {stockAlert.status === 'open' ? (
+                <button
+                  onClick={() => handleAcknowledge(stockAlert)}
+                  className="shrink-0 text-amber-600 dark:text-amber-400 hover:underline font-medium"
+                >
+                  Acknowledge
+                </button>
+              ) : (
+                <span className="shrink-0 text-xs text-gray-400">Acknowledged by {stockAlert.acknowledged_by_username}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {report && (
+        <div className="overflow-x-auto border-t dark:border-gray-700">
+          <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs">
+              <tr>
+                <th className="px-6 py-3">Branch</th>
+                <th className="px-6 py-3">Product</th>
+                <th className="px-6 py-3">Stock</th>
+                <th className="px-6 py-3">Reorder Point</th>
+                <th className="px-6 py-3">On Order</th>
+                <th className="px-6 py-3">Suggested Order</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y dark:divide-gray-700">
+              {report.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-6 text-center text-gray-400">Nothing is below its reorder point</td>
+                </tr>
+              ) : report.map(row => (
+                <tr key={row.inventory_id}>
+                  <td className="px-6 py-3">{row.branch}</td>
+                  <td className="px-6 py-3">{row.product}</td>
+                  <td className="px-6 py-3 text-red-600 dark:text-red-400 font-bold">{row.stock}</td>
+                  <td className="px-6 py-3">{row.reorder_point}</td>
+                  <td className="px-6 py-3">{row.on_order}</td>
+                  <td className="px-6 py-3">{row.suggested_quantity}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
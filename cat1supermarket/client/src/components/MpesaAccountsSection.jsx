@@ -0,0 +1,283 @@
+import { useState, useEffect } from 'react';
+import { mpesaAPI } from '../api';
+
+const EMPTY_ACCOUNT = {
+  branch: '',
+  shortcode: '',
+  till_number: '',
+  transaction_type: 'CustomerPayBillOnline',
+  environment: 'sandbox',
+  passkey: '',
+  consumer_key: '',
+  consumer_secret: ''
+};
+
+export default function MpesaAccountsSection({ branches }) {
+  const [accounts, setAccounts] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await mpesaAPI.getAccounts();
+      setAccounts(response.data);
+    } catch (error) {
+      console.error('Error fetching M-Pesa accounts:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const startAdd = () => {
+    setEditingId(null);
+    setForm(EMPTY_ACCOUNT);
+    setError('');
+  };
+
+  const startEdit = (account) => {
+    setEditingId(account.id);
+    setForm({
+      ...EMPTY_ACCOUNT,
+      branch: account.branch,
+      shortcode: account.shortcode,
+      till_number: account.till_number || '',
+      transaction_type: account.transaction_type,
+      environment: account.environment,
+      consumer_key: account.consumer_key || ''
+    });
+    setError('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    // Blank secrets are left out so the stored ones are kept when editing
+    const payload = { ...form };
+    if (!payload.passkey) delete payload.passkey;
+    if (!payload.consumer_secret) delete payload.consumer_secret;
+
+    try {
+      if (editingId) {
+        await mpesaAPI.updateAccount(editingId, payload);
+      } else {
+        await mpesaAPI.createAccount(payload);
+      }
+      setForm(null);
+      setEditingId(null);
+      fetchAccounts();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save M-Pesa account');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (account) => {
+    try {
+      await mpesaAPI.updateAccount(account.id, { is_active: !account.is_active });
+      fetchAccounts();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update M-Pesa account');
+    }
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Remove the M-Pesa account for ${account.branch}? Payments there will use the default .env account.`)) return;
+    try {
+      await mpesaAPI.deleteAccount(account.id);
+      fetchAccounts();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete M-Pesa account');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Branch M-Pesa Accounts</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Branches without an account use the default from the server .env</p>
+        </div>
+        <button
+          onClick={startAdd}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+            <line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" />
+          </svg>
+          Add Account
+        </button>
+      </div>
+
+      {form && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+          <div className="flex gap-4 flex-wrap">
+            <input
+              type="text"
+              list="mpesa-account-branches"
+              placeholder="Branch"
+              value={form.branch}
+              onChange={(e) => setForm({ ...form, branch: e.target.value })}
+              className={inputClass}
+            />
+            <datalist id="mpesa-account-branches">
+              {branches.map((branch) => (
+                <option key={branch} value={branch} />
+              ))}
+            </datalist>
+            <select
+              value={form.transaction_type}
+              onChange={(e) => setForm({ ...form, transaction_type: e.target.value })}
+              className={inputClass}
+            >
+              <option value="CustomerPayBillOnline">PayBill</option>
+              <option value="CustomerBuyGoodsOnline">Buy Goods (Till)</option>
+            </select>
+            <input
+              type="text"
+              placeholder={form.transaction_type === 'CustomerBuyGoodsOnline' ? 'Store number' : 'PayBill number'}
+              value={form.shortcode}
+              onChange={(e) => setForm({ ...form, shortcode: e.target.value })}
+              className={`${inputClass} w-40`}
+            />
+            {form.transaction_type === 'CustomerBuyGoodsOnline' && (
+              <input
+                type="text"
+                placeholder="Till number"
+                value={form.till_number}
+                onChange={(e) => setForm({ ...form, till_number: e.target.value })}
+                className={`${inputClass} w-40`}
+              />
+            )}
+            <select
+              value={form.environment}
+              onChange={(e) => setForm({ ...form, environment: e.target.value })}
+              className={inputClass}
+            >
+              <option value="sandbox">Sandbox</option>
+              <option value="production">Production</option>
+            </select>
+          </div>
+          <div className="flex gap-4 flex-wrap">
+            <input
+              type="password"
+              placeholder={editingId ? 'Passkey (leave blank to keep)' : 'Passkey'}
+              value={form.passkey}
+              onChange={(e) => setForm({ ...form, passkey: e.target.value })}
+              className={`${inputClass} flex-1 min-w-[200px]`}
+              autoComplete="new-password"
+            />
+            <input
+              type="text"
+              placeholder="Consumer key (optional)"
+              value={form.consumer_key}
+              onChange={(e) => setForm({ ...form, consumer_key: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="password"
+              placeholder={editingId ? 'Consumer secret (leave blank to keep)' : 'Consumer secret (optional)'}
+              value={form.consumer_secret}
+              onChange={(e) => setForm({ ...form, consumer_secret: e.target.value })}
+              className={inputClass}
+              autoComplete="new-password"
+            />
+          </div>
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+            <tr>
+              <th className="px-6 py-4">Branch</th>
+              <th className="px-6 py-4">Type</th>
+              <th className="px-6 py-4">Shortcode</th>
+              <th className="px-6 py-4">Environment</th>
+              <th className="px-6 py-4">Status</th>
+              <th className="px-6 py-4">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y dark:divide-gray-700">
+            {accounts.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
+                  No branch accounts yet
+                </td>
+              </tr>
+            ) : (
+              accounts.map((account) => (
+                <tr key={account.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                  <td className="px-6 py-4 font-medium text-gray-900 dark:text-white">{account.branch}</td>
+                  <td className="px-6 py-4">{account.transaction_type === 'CustomerBuyGoodsOnline' ? 'Buy Goods' : 'PayBill'}</td>
+                  <td className="px-6 py-4">
+                    {account.shortcode}
+                    {account.till_number && <span className="text-gray-500"> (Till {account.till_number})</span>}
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${account.environment === 'production' ? 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300' :
+                        'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300'
+                      }`}>
+                      {account.environment}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${account.is_active ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' :
+                        'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+                      }`}>
+                      {account.is_active ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => startEdit(account)}
+                        className="px-3 py-1 text-sm text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(account)}
+                        className="px-3 py-1 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded"
+                      >
+                        {account.is_active ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(account)}
+                        className="px-3 py-1 text-sm text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
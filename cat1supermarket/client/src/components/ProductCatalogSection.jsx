@@ -0,0 +1,331 @@
+import { useState, useEffect } from 'react';
+import { productsAPI } from '../api';
+
+const EMPTY_PRODUCT = {
+  name: '', sku: '', category: '', brand: '', default_price: '', deposit_amount: '', description: '',
+  parent_id: '', variant_name: '', pack_unit_id: '', pack_size: '', pack_stock: 'units', image: null
+};
+
+// The catalog every branch stocks from. Changes here apply at all branches at once.
+export default function ProductCatalogSection({ inventory, onUpdate }) {
+  const [products, setProducts] = useState([]);
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null); // null, 'new' or a product
+  const [form, setForm] = useState(EMPTY_PRODUCT);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchProducts = async () => {
+    try {
+      const response = await productsAPI.getAll(search ? { search } : {});
+      setProducts(response.data);
+    } catch (error) {
+      console.error('Error fetching products:', error);
+    }
+  };
+
+  // Refetch when the search changes, or when inventory reloads after a catalog event
+  useEffect(() => {
+    fetchProducts();
+  }, [search, inventory]);
+
+  const openForm = (product) => {
+    setEditing(product || 'new');
+    setError('');
+    setForm(product ? {
+      name: product.name,
+      sku: product.sku,
+      category: product.category || '',
+      brand: product.brand || '',
+      default_price: product.default_price.toString(),
+      deposit_amount: product.deposit_amount ? product.deposit_amount.toString() : '',
+      description: product.description || '',
+      parent_id: product.parent_id ? product.parent_id.toString() : '',
+      variant_name: product.variant_name || '',
+      pack_unit_id: product.pack_unit_id ? product.pack_unit_id.toString() : '',
+      pack_size: product.pack_size ? product.pack_size.toString() : '',
+      pack_stock: product.pack_stock || 'units',
+      image: null
+    } : EMPTY_PRODUCT);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = new FormData();
+      [
+        'name', 'sku', 'category', 'brand', 'default_price', 'deposit_amount', 'description',
+        'parent_id', 'variant_name', 'pack_unit_id', 'pack_size', 'pack_stock'
+      ].forEach(field => {
+        data.append(field, form[field].trim());
+      });
+      if (form.image) data.append('image', form.image);
+
+      if (editing === 'new') {
+        await productsAPI.create(data);
+      } else {
+        await productsAPI.update(editing.id, data);
+      }
+      setEditing(null);
+      fetchProducts();
+      onUpdate();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save product');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (product) => {
+    if (!window.confirm(`Remove ${product.name} from the catalog?`)) return;
+    try {
+      await productsAPI.delete(product.id);
+      fetchProducts();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete product');
+    }
+  };
+
+  // Branches charging something other than the catalog price
+  const overridesFor = (productId) => inventory.filter(
+    item => item.product_id === productId && item.price_override !== null
+  );
+
+  // Families are one level deep, and a pack's unit can't itself sell from another product's stock
+  const editingId = editing && editing !== 'new' ? editing.id : null;
+  const parentOptions = products.filter(product => !product.parent_id && product.id !== editingId);
+  const unitOptions = products.filter(product =>
+    product.id !== editingId && !(product.pack_unit_id && product.pack_stock === 'units')
+  );
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center gap-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Product Catalog</h2>
+        <div className="flex gap-3">
+          <input
+            type="text"
+            placeholder="Search name, SKU or brand"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="px-3 py-2 border dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white text-sm"
+          />
+          <button
+            onClick={() => openForm(null)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" />
+            </svg>
+            New Product
+          </button>
+        </div>
+      </div>
+
+      {editing && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+          {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              placeholder="Name *"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            <input
+              type="text"
+              placeholder="SKU (generated if empty)"
+              value={form.sku}
+              onChange={(e) => setForm({ ...form, sku: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="Default price (KES) *"
+              value={form.default_price}
+              onChange={(e) => setForm({ ...form, default_price: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="Bottle/crate deposit (KES, returnables only)"
+              value={form.deposit_amount}
+              onChange={(e) => setForm({ ...form, deposit_amount: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            <input
+              type="text"
+              placeholder="Category"
+              value={form.category}
+              onChange={(e) => setForm({ ...form, category: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            <input
+              type="text"
+              placeholder="Brand"
+              value={form.brand}
+              onChange={(e) => setForm({ ...form, brand: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => setForm({ ...form, image: e.target.files[0] })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+            />
+            <select
+              value={form.parent_id}
+              onChange={(e) => setForm({ ...form, parent_id: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            >
+              <option value="">Not a variant</option>
+              {parentOptions.map(product => (
+                <option key={product.id} value={product.id}>Variant of {product.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Variant label, e.g. 500ml bottle"
+              value={form.variant_name}
+              onChange={(e) => setForm({ ...form, variant_name: e.target.value })}
+              disabled={!form.parent_id}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white disabled:opacity-50"
+            />
+            <div />
+            <select
+              value={form.pack_unit_id}
+              onChange={(e) => setForm({ ...form, pack_unit_id: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            >
+              <option value="">Not a pack</option>
+              {unitOptions.map(product => (
+                <option key={product.id} value={product.id}>Pack of {product.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="2"
+              step="1"
+              placeholder="Units per pack, e.g. 24"
+              value={form.pack_size}
+              onChange={(e) => setForm({ ...form, pack_size: e.target.value })}
+              disabled={!form.pack_unit_id}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white disabled:opacity-50"
+            />
+            <select
+              value={form.pack_stock}
+              onChange={(e) => setForm({ ...form, pack_stock: e.target.value })}
+              disabled={!form.pack_unit_id}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white disabled:opacity-50"
+            >
+              <option value="units">Sell from unit stock</option>
+              <option value="own">Count packs as their own stock</option>
+            </select>
+            <textarea
+              placeholder="Description"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              className="md:col-span-3 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              rows={2}
+            />
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+            <tr>
+              <th className="px-6 py-4">SKU</th>
+              <th className="px-6 py-4">Product</th>
+              <th className="px-6 py-4">Category</th>
+              <th className="px-6 py-4">Default Price</th>
+              <th className="px-6 py-4">Branches</th>
+              <th className="px-6 py-4">Total Stock</th>
+              <th className="px-6 py-4 text-right">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y dark:divide-gray-700">
+            {products.map((product) => {
+              const overrides = overridesFor(product.id);
+              return (
+                <tr key={product.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                  <td className="px-6 py-4 font-mono text-xs">{product.sku}</td>
+                  <td className="px-6 py-4">
+                    <div className="font-medium text-gray-900 dark:text-white">{product.name}</div>
+                    {product.brand && <div className="text-xs text-gray-400">{product.brand}</div>}
+                    {product.parent_id && (
+                      <div className="text-xs text-blue-600 dark:text-blue-400">
+                        {product.variant_name || 'Variant'} of {product.parent_name}
+                      </div>
+                    )}
+                    {product.pack_unit_id && (
+                      <div className="text-xs text-gray-400">
+                        {product.pack_size} × {product.pack_unit_name}
+                        {product.pack_stock === 'units' ? ', sold from unit stock' : ''}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4">{product.category || '-'}</td>
+                  <td className="px-6 py-4">
+                    KES {product.default_price}
+                    {product.deposit_amount > 0 && (
+                      <span className="block text-xs text-gray-400">+ KES {product.deposit_amount} deposit</span>
+                    )}
+                    {overrides.length > 0 && (
+                      <span className="block text-xs text-amber-600 dark:text-amber-400">
+                        {overrides.map(item => `${item.branch}: KES ${item.price_override}`).join(', ')}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4">{product.branch_count}</td>
+                  <td className="px-6 py-4">{product.total_stock}</td>
+                  <td className="px-6 py-4 text-right">
+                    <div className="flex items-center justify-end gap-2">
+                      <button
+                        onClick={() => openForm(product)}
+                        className="text-amber-600 dark:text-amber-400 hover:text-amber-900 dark:hover:text-amber-300 font-medium hover:underline text-sm"
+                      >
+                        Edit
+                      </button>
+                      <span className="text-gray-300 dark:text-gray-600">|</span>
+                      <button
+                        onClick={() => handleDelete(product)}
+                        disabled={product.branch_count > 0}
+                        title={product.branch_count > 0 ? 'Remove it from every branch first' : ''}
+                        className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300 font-medium hover:underline text-sm disabled:opacity-40 disabled:no-underline"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,378 @@
+import { useState, useEffect } from 'react';
+import { promotionsAPI } from '../api';
+
+const EMPTY_PROMOTION = {
+  name: '', type: 'percentage', product_id: '', category: '', value: '', buy_quantity: '', get_quantity: '',
+  bundle_quantity: '', bundle_price: '', min_spend: '', branch: '', starts_at: '', ends_at: ''
+};
+
+const PROMOTION_TYPE_LABELS = {
+  percentage: 'Percentage off',
+  fixed: 'Amount off',
+  buy_x_get_y: 'Buy X get Y free',
+  bundle: 'Multi-buy price'
+};
+
+const PROMOTION_STATUS_STYLES = {
+  live: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  scheduled: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  ended: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  inactive: 'bg-gray-100 text-gray-500 dark:bg-gray-700 dark:text-gray-400'
+};
+
+// Promotion times are stored in UTC; the form works in the browser's local time
+const utcTime = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const time = utcTime(value);
+  return new Date(time.getTime() - time.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// What a promotion gives, e.g. "3 for KES 250 on Coke"
+function describePromotion(promotion) {
+  const scope = promotion.product || promotion.category;
+  switch (promotion.type) {
+    case 'percentage':
+      return `${promotion.value}% off ${scope || 'the order'}`;
+    case 'fixed':
+      return scope ? `KES ${promotion.value} off each ${scope}` : `KES ${promotion.value} off the order`;
+    case 'buy_x_get_y':
+      return `Buy ${promotion.buy_quantity} ${scope}, get ${promotion.get_quantity} free`;
+    case 'bundle':
+      return `${promotion.bundle_quantity} ${scope} for KES ${promotion.bundle_price}`;
+    default:
+      return promotion.type;
+  }
+}
+
+// Discount rules the server applies when it prices an order
+export default function PromotionsSection({ inventory, branches }) {
+  const [promotions, setPromotions] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [editing, setEditing] = useState(null); // null, 'new' or a promotion
+  const [form, setForm] = useState(EMPTY_PROMOTION);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchPromotions = () => {
+    promotionsAPI.getAll({ status: statusFilter })
+      .then(response => setPromotions(response.data))
+      .catch(error => console.error('Error fetching promotions:', error));
+  };
+
+  // Other admins' changes reload inventory, which refreshes this too
+  useEffect(() => {
+    fetchPromotions();
+  }, [statusFilter, inventory]);
+
+  // Every product and category once, whichever branches stock them
+  const products = Object.values(inventory.reduce((all, item) => ({ ...all, [item.product_id]: item }), {}))
+    .sort((a, b) => a.product.localeCompare(b.product));
+  const categories = [...new Set(inventory.map(item => item.category).filter(Boolean))].sort();
+
+  const productOnly = form.type === 'buy_x_get_y' || form.type === 'bundle';
+
+  const openForm = (promotion) => {
+    setEditing(promotion || 'new');
+    setError('');
+    setForm(promotion ? {
+      ...EMPTY_PROMOTION,
+      ...Object.fromEntries(Object.keys(EMPTY_PROMOTION).map(field => [
+        field,
+        promotion[field] === null || promotion[field] === undefined ? '' : promotion[field].toString()
+      ])),
+      branch: promotion.branch || '',
+      starts_at: toLocalInput(promotion.starts_at),
+      ends_at: toLocalInput(promotion.ends_at)
+    } : EMPTY_PROMOTION);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = {
+        ...form,
+        category: productOnly ? '' : form.category,
+        starts_at: form.starts_at ? new Date(form.starts_at).toISOString() : '',
+        ends_at: form.ends_at ? new Date(form.ends_at).toISOString() : ''
+      };
+      if (editing === 'new') {
+        await promotionsAPI.create(data);
+      } else {
+        await promotionsAPI.update(editing.id, data);
+      }
+      setEditing(null);
+      fetchPromotions();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save promotion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (promotion) => {
+    try {
+      await promotionsAPI.update(promotion.id, { is_active: promotion.is_active ? 0 : 1 });
+      fetchPromotions();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update promotion');
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(`Delete ${promotion.name}?`)) return;
+    try {
+      await promotionsAPI.delete(promotion.id);
+      fetchPromotions();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete promotion');
+    }
+  };
+
+  const inputClass = 'px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white';
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 border-b dark:border-gray-700 flex flex-wrap justify-between items-center gap-3">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Promotions</h2>
+        <div className="flex gap-3">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+          >
+            <option value="all">All</option>
+            <option value="live">Live</option>
+            <option value="scheduled">Scheduled</option>
+            <option value="ended">Ended</option>
+            <option value="inactive">Switched off</option>
+          </select>
+          <button
+            onClick={() => openForm(null)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+          >
+            New Promotion
+          </button>
+        </div>
+      </div>
+
+      {editing && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+          {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <input
+              type="text"
+              placeholder="Name *"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className={inputClass}
+            />
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(PROMOTION_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            <select
+              value={form.product_id}
+              onChange={(e) => setForm({ ...form, product_id: e.target.value, category: '' })}
+              className={inputClass}
+            >
+              <option value="">{productOnly ? 'Product *' : 'Any product'}</option>
+              {products.map(item => <option key={item.product_id} value={item.product_id}>{item.product}</option>)}
+            </select>
+            {!productOnly && (
+              <select
+                value={form.category}
+                onChange={(e) => setForm({ ...form, category: e.target.value, product_id: '' })}
+                className={inputClass}
+              >
+                <option value="">Any category</option>
+                {categories.map(category => <option key={category} value={category}>{category}</option>)}
+              </select>
+            )}
+            {(form.type === 'percentage' || form.type === 'fixed') && (
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={form.type === 'percentage' ? 'Percent off *' : 'KES off *'}
+                value={form.value}
+                onChange={(e) => setForm({ ...form, value: e.target.value })}
+                className={inputClass}
+              />
+            )}
+            {form.type === 'buy_x_get_y' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Buy *"
+                  value={form.buy_quantity}
+                  onChange={(e) => setForm({ ...form, buy_quantity: e.target.value })}
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Get free *"
+                  value={form.get_quantity}
+                  onChange={(e) => setForm({ ...form, get_quantity: e.target.value })}
+                  className={inputClass}
+                />
+              </>
+            )}
+            {form.type === 'bundle' && (
+              <>
+                <input
+                  type="number"
+                  min="2"
+                  placeholder="Quantity *"
+                  value={form.bundle_quantity}
+                  onChange={(e) => setForm({ ...form, bundle_quantity: e.target.value })}
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="For KES *"
+                  value={form.bundle_price}
+                  onChange={(e) => setForm({ ...form, bundle_price: e.target.value })}
+                  className={inputClass}
+                />
+              </>
+            )}
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder="Minimum spend (KES)"
+              value={form.min_spend}
+              onChange={(e) => setForm({ ...form, min_spend: e.target.value })}
+              className={inputClass}
+            />
+            <select
+              value={form.branch}
+              onChange={(e) => setForm({ ...form, branch: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">All branches</option>
+              {branches.map(branch => <option key={branch} value={branch}>{branch}</option>)}
+            </select>
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+              From
+              <input
+                type="datetime-local"
+                value={form.starts_at}
+                onChange={(e) => setForm({ ...form, starts_at: e.target.value })}
+                className={`flex-1 ${inputClass}`}
+              />
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+              Until
+              <input
+                type="datetime-local"
+                value={form.ends_at}
+                onChange={(e) => setForm({ ...form, ends_at: e.target.value })}
+                className={`flex-1 ${inputClass}`}
+              />
+            </label>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs">
+            <tr>
+              <th className="px-6 py-3">Promotion</th>
+              <th className="px-6 py-3">Branch</th>
+              <th className="px-6 py-3">Runs</th>
+              <th className="px-6 py-3">Status</th>
+              <th className="px-6 py-3 text-right">Orders</th>
+              <th className="px-6 py-3 text-right">Discount Given (KES)</th>
+              <th className="px-6 py-3 text-right">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y dark:divide-gray-700">
+            {promotions.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-400">No promotions</td>
+              </tr>
+            ) : promotions.map(promotion => (
+              <tr key={promotion.id}>
+                <td className="px-6 py-3">
+                  <div className="font-medium text-gray-900 dark:text-white">{promotion.name}</div>
+                  <div className="text-xs text-gray-400">
+                    {describePromotion(promotion)}
+                    {promotion.min_spend > 0 && ` · spend KES ${promotion.min_spend}+`}
+                  </div>
+                </td>
+                <td className="px-6 py-3">{promotion.branch || 'All'}</td>
+                <td className="px-6 py-3 text-xs">
+                  {promotion.starts_at ? utcTime(promotion.starts_at).toLocaleString() : 'Now'}
+                  {' – '}
+                  {promotion.ends_at ? utcTime(promotion.ends_at).toLocaleString() : 'No end'}
+                </td>
+                <td className="px-6 py-3">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${PROMOTION_STATUS_STYLES[promotion.status]}`}>
+                    {promotion.status}
+                  </span>
+                </td>
+                <td className="px-6 py-3 text-right">{promotion.order_count}</td>
+                <td className="px-6 py-3 text-right">{promotion.discount_given.toLocaleString()}</td>
+                <td className="px-6 py-3 text-right">
+                  <div className="flex items-center justify-end gap-2">
+                    <button
+                      onClick={() => openForm(promotion)}
+                      className="text-amber-600 dark:text-amber-400 hover:underline text-sm"
+                    >
+                      Edit
+                    </button>
+                    <span className="text-gray-300 dark:text-gray-600">|</span>
+                    <button
+                      onClick={() => handleToggle(promotion)}
+                      className="text-blue-600 dark:text-blue-400 hover:underline text-sm"
+                    >
+                      {promotion.is_active ? 'Switch off' : 'Switch on'}
+                    </button>
+                    <span className="text-gray-300 dark:text-gray-600">|</span>
+                    <button
+                      onClick={() => handleDelete(promotion)}
+                      disabled={promotion.order_count > 0}
+                      title={promotion.order_count > 0 ? 'Orders have used it; switch it off instead' : ''}
+                      className="text-red-600 dark:text-red-400 hover:underline text-sm disabled:opacity-40 disabled:no-underline"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,564 @@
+import { useState, useEffect, useCallback } from 'react';
+import { productsAPI, suppliersAPI, purchaseOrdersAPI } from '../api';
+import socketService from '../socket';
+
+const EMPTY_SUPPLIER = { name: '', contact_name: '', phone: '', email: '', address: '' };
+
+function SuppliersPanel({ suppliers, onUpdate }) {
+  const [editing, setEditing] = useState(null); // null, 'new' or a supplier
+  const [form, setForm] = useState(EMPTY_SUPPLIER);
+  const [error, setError] = useState('');
+
+  const openForm = (supplier) => {
+    setEditing(supplier || 'new');
+    setError('');
+    setForm(supplier ? {
+      name: supplier.name,
+      contact_name: supplier.contact_name || '',
+      phone: supplier.phone || '',
+      email: supplier.email || '',
+      address: supplier.address || ''
+    } : EMPTY_SUPPLIER);
+  };
+
+  const handleSave = async () => {
+    setError('');
+    try {
+      if (editing === 'new') {
+        await suppliersAPI.create(form);
+      } else {
+        await suppliersAPI.update(editing.id, form);
+      }
+      setEditing(null);
+      onUpdate();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to save supplier');
+    }
+  };
+
+  const toggleActive = async (supplier) => {
+    try {
+      await suppliersAPI.update(supplier.id, { is_active: !supplier.is_active });
+      onUpdate();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update supplier');
+    }
+  };
+
+  const handleDelete = async (supplier) => {
+    if (!window.confirm(`Delete ${supplier.name}?`)) return;
+    try {
+      await suppliersAPI.delete(supplier.id);
+      onUpdate();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to delete supplier');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Suppliers</h2>
+        <button
+          onClick={() => openForm(null)}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+        >
+          Add Supplier
+        </button>
+      </div>
+
+      {editing && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+          {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+            {[['name', 'Supplier name *'], ['contact_name', 'Contact person'], ['phone', 'Phone'], ['email', 'Email'], ['address', 'Address']].map(([name, placeholder]) => (
+              <input
+                key={name}
+                type="text"
+                placeholder={placeholder}
+                value={form[name]}
+                onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              />
+            ))}
+          </div>
+          <div className="flex gap-3">
+            <button onClick={handleSave} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
+              Save
+            </button>
+            <button onClick={() => setEditing(null)} className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+            <tr>
+              <th className="px-6 py-4">Supplier</th>
+              <th className="px-6 py-4">Contact</th>
+              <th className="px-6 py-4">Open Orders</th>
+              <th className="px-6 py-4">Status</th>
+              <th className="px-6 py-4 text-right">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y dark:divide-gray-700">
+            {suppliers.length === 0 ? (
+              <tr>
+                <td colSpan="5" className="px-6 py-8 text-center text-gray-400">No suppliers yet</td>
+              </tr>
+            ) : suppliers.map(supplier => (
+              <tr key={supplier.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                <td className="px-6 py-4">
+                  <div className="font-medium text-gray-900 dark:text-white">{supplier.name}</div>
+                  {supplier.address && <div className="text-xs text-gray-400">{supplier.address}</div>}
+                </td>
+                <td className="px-6 py-4">
+                  {supplier.contact_name || '-'}
+                  <div className="text-xs text-gray-400">{[supplier.phone, supplier.email].filter(Boolean).join(' · ')}</div>
+                </td>
+                <td className="px-6 py-4">{supplier.open_orders}</td>
+                <td className="px-6 py-4">
+                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${supplier.is_active ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' :
+                      'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+                    }`}>
+                    {supplier.is_active ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td className="px-6 py-4 text-right">
+                  <div className="flex items-center justify-end gap-2">
+                    <button
+                      onClick={() => openForm(supplier)}
+                      className="text-amber-600 dark:text-amber-400 hover:text-amber-900 dark:hover:text-amber-300 font-medium hover:underline text-sm"
+                    >
+                      Edit
+                    </button>
+                    <span className="text-gray-300 dark:text-gray-600">|</span>
+                    <button
+                      onClick={() => toggleActive(supplier)}
+                      className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300 font-medium hover:underline text-sm"
+                    >
+                      {supplier.is_active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <span className="text-gray-300 dark:text-gray-600">|</span>
+                    <button
+                      onClick={() => handleDelete(supplier)}
+                      className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300 font-medium hover:underline text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+const PURCHASE_ORDER_STATUS_BADGES = {
+  draft: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  sent: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  partially_received: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  received: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  cancelled: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+const EMPTY_PURCHASE_ORDER = { supplier_id: '', branch: '', expected_date: '', note: '', items: [{ product_id: '', quantity: 1, unit_cost: '' }] };
+
+export default function PurchasingSection({ branches }) {
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('outstanding');
+  const [form, setForm] = useState(null);
+  const [receiving, setReceiving] = useState(null); // { purchaseOrder, delivery_reference, note, lines: { [itemId]: { quantity, unit_cost } } }
+  const [error, setError] = useState('');
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await suppliersAPI.getAll();
+      setSuppliers(response.data);
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+    }
+  };
+
+  const fetchPurchaseOrders = useCallback(async () => {
+    const params = statusFilter === 'outstanding' ? { outstanding: 1 } : statusFilter ? { status: statusFilter } : {};
+    try {
+      const response = await purchaseOrdersAPI.getAll(params);
+      setPurchaseOrders(response.data);
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchSuppliers();
+    productsAPI.getAll()
+      .then(response => setProducts(response.data))
+      .catch(error => console.error('Error fetching products:', error));
+  }, []);
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+    socketService.on('purchase-order-updated', fetchPurchaseOrders);
+    return () => {
+      socketService.off('purchase-order-updated', fetchPurchaseOrders);
+    };
+  }, [fetchPurchaseOrders]);
+
+  const refresh = () => {
+    fetchPurchaseOrders();
+    fetchSuppliers();
+  };
+
+  const updateLine = (index, changes) => {
+    setForm({ ...form, items: form.items.map((line, i) => (i === index ? { ...line, ...changes } : line)) });
+  };
+
+  const handleCreate = async () => {
+    setError('');
+    try {
+      await purchaseOrdersAPI.create({
+        supplier_id: form.supplier_id,
+        branch: form.branch,
+        expected_date: form.expected_date,
+        note: form.note,
+        items: form.items
+          .filter(line => line.product_id)
+          .map(line => ({ product_id: Number(line.product_id), quantity: Number(line.quantity), unit_cost: line.unit_cost }))
+      });
+      setForm(null);
+      refresh();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to create purchase order');
+    }
+  };
+
+  const runAction = async (action, purchaseOrder) => {
+    if (action === 'cancel' && !window.confirm(`Cancel PO #${purchaseOrder.id}?`)) return;
+    try {
+      await purchaseOrdersAPI[action](purchaseOrder.id);
+      refresh();
+    } catch (error) {
+      alert(error.response?.data?.error || `Failed to ${action} purchase order`);
+    }
+  };
+
+  const openReceive = (purchaseOrder) => {
+    const lines = {};
+    purchaseOrder.items.forEach(item => {
+      lines[item.id] = { quantity: String(item.outstanding), unit_cost: String(item.unit_cost), batch_number: '', expiry_date: '' };
+    });
+    setReceiving({ purchaseOrder, delivery_reference: '', note: '', lines });
+  };
+
+  const updateReceived = (itemId, changes) => {
+    setReceiving({
+      ...receiving,
+      lines: { ...receiving.lines, [itemId]: { ...receiving.lines[itemId], ...changes } }
+    });
+  };
+
+  const handleReceive = async () => {
+    const items = receiving.purchaseOrder.items
+      .filter(item => Number(receiving.lines[item.id].quantity) > 0)
+      .map(item => ({
+        id: item.id,
+        quantity: Number(receiving.lines[item.id].quantity),
+        unit_cost: receiving.lines[item.id].unit_cost,
+        batch_number: receiving.lines[item.id].batch_number,
+        expiry_date: receiving.lines[item.id].expiry_date
+      }));
+
+    try {
+      await purchaseOrdersAPI.receive(receiving.purchaseOrder.id, {
+        items,
+        delivery_reference: receiving.delivery_reference,
+        note: receiving.note
+      });
+      setReceiving(null);
+      refresh();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to record goods received');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+        <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center gap-3">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Purchase Orders</h2>
+          <div className="flex items-center gap-3">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+            >
+              <option value="outstanding">Awaiting goods</option>
+              <option value="">All</option>
+              <option value="draft">Draft</option>
+              <option value="sent">Sent</option>
+              <option value="partially_received">Partially received</option>
+              <option value="received">Received</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+            <button
+              onClick={() => { setForm(EMPTY_PURCHASE_ORDER); setError(''); }}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+            >
+              New Purchase Order
+            </button>
+          </div>
+        </div>
+
+        {form && (
+          <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+            {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <select
+                value={form.supplier_id}
+                onChange={(e) => setForm({ ...form, supplier_id: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              >
+                <option value="">Supplier *</option>
+                {suppliers.filter(supplier => supplier.is_active).map(supplier => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                ))}
+              </select>
+              <select
+                value={form.branch}
+                onChange={(e) => setForm({ ...form, branch: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              >
+                <option value="">Deliver to branch *</option>
+                {branches.map(branch => <option key={branch} value={branch}>{branch}</option>)}
+              </select>
+              <input
+                type="date"
+                value={form.expected_date}
+                onChange={(e) => setForm({ ...form, expected_date: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              />
+              <input
+                type="text"
+                placeholder="Note"
+                value={form.note}
+                onChange={(e) => setForm({ ...form, note: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              />
+            </div>
+
+            {form.items.map((line, index) => (
+              <div key={index} className="flex gap-3">
+                <select
+                  value={line.product_id}
+                  onChange={(e) => updateLine(index, { product_id: e.target.value })}
+                  className="flex-1 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                >
+                  <option value="">Product</option>
+                  {products.map(product => (
+                    <option key={product.id} value={product.id}>{product.name} ({product.sku})</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Qty"
+                  value={line.quantity}
+                  onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                  className="w-24 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Unit cost"
+                  value={line.unit_cost}
+                  onChange={(e) => updateLine(index, { unit_cost: e.target.value })}
+                  className="w-32 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                />
+                {form.items.length > 1 && (
+                  <button
+                    onClick={() => setForm({ ...form, items: form.items.filter((_, i) => i !== index) })}
+                    className="px-3 text-red-600 dark:text-red-400 hover:underline text-sm"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => setForm({ ...form, items: [...form.items, { product_id: '', quantity: 1, unit_cost: '' }] })}
+                className="px-4 py-2 text-blue-600 dark:text-blue-400 hover:underline text-sm"
+              >
+                + Add line
+              </button>
+              <button onClick={handleCreate} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
+                Save Draft
+              </button>
+              <button onClick={() => setForm(null)} className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600">
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {receiving && (
+          <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+            <h3 className="font-medium text-gray-900 dark:text-white">
+              Goods received for PO #{receiving.purchaseOrder.id} at {receiving.purchaseOrder.branch}
+            </h3>
+            {receiving.purchaseOrder.items.filter(item => item.outstanding > 0).map(item => (
+              <div key={item.id} className="flex items-center gap-3 text-sm text-gray-600 dark:text-gray-300">
+                <span className="flex-1">{item.product} ({item.outstanding} outstanding)</span>
+                <input
+                  type="number"
+                  min="0"
+                  max={item.outstanding}
+                  value={receiving.lines[item.id].quantity}
+                  onChange={(e) => updateReceived(item.id, { quantity: e.target.value })}
+                  className="w-24 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={receiving.lines[item.id].unit_cost}
+                  onChange={(e) => updateReceived(item.id, { unit_cost: e.target.value })}
+                  className="w-32 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                />
+                <input
+                  type="text"
+                  placeholder="Batch"
+                  value={receiving.lines[item.id].batch_number}
+                  onChange={(e) => updateReceived(item.id, { batch_number: e.target.value })}
+                  className="w-28 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                />
+                <input
+                  type="date"
+                  title="Best before"
+                  value={receiving.lines[item.id].expiry_date}
+                  onChange={(e) => updateReceived(item.id, { expiry_date: e.target.value })}
+                  className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                />
+              </div>
+            ))}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input
+                type="text"
+                placeholder="Delivery note number"
+                value={receiving.delivery_reference}
+                onChange={(e) => setReceiving({ ...receiving, delivery_reference: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              />
+              <input
+                type="text"
+                placeholder="Note"
+                value={receiving.note}
+                onChange={(e) => setReceiving({ ...receiving, note: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              />
+            </div>
+            <div className="flex gap-3">
+              <button onClick={handleReceive} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700">
+                Record Goods Received
+              </button>
+              <button onClick={() => setReceiving(null)} className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600">
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+              <tr>
+                <th className="px-6 py-4">PO</th>
+                <th className="px-6 py-4">Supplier</th>
+                <th className="px-6 py-4">Branch</th>
+                <th className="px-6 py-4">Lines (received / ordered)</th>
+                <th className="px-6 py-4">Total Cost</th>
+                <th className="px-6 py-4">Status</th>
+                <th className="px-6 py-4 text-right">Action</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y dark:divide-gray-700">
+              {purchaseOrders.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-400">No purchase orders</td>
+                </tr>
+              ) : purchaseOrders.map(purchaseOrder => (
+                <tr key={purchaseOrder.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                  <td className="px-6 py-4 font-medium text-gray-900 dark:text-white">
+                    #{purchaseOrder.id}
+                    {purchaseOrder.expected_date && (
+                      <div className="text-xs font-normal text-gray-400">Due {purchaseOrder.expected_date}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4">{purchaseOrder.supplier}</td>
+                  <td className="px-6 py-4">{purchaseOrder.branch}</td>
+                  <td className="px-6 py-4">
+                    {purchaseOrder.items.map(item => (
+                      <div key={item.id} className={item.outstanding > 0 && purchaseOrder.status !== 'draft' ? 'text-amber-600 dark:text-amber-400' : ''}>
+                        {item.product}: {item.received_quantity} / {item.quantity} @ KES {item.unit_cost}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="px-6 py-4">KES {purchaseOrder.total_cost.toLocaleString()}</td>
+                  <td className="px-6 py-4">
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${PURCHASE_ORDER_STATUS_BADGES[purchaseOrder.status]}`}>
+                      {purchaseOrder.status.replace('_', ' ')}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <div className="flex items-center justify-end gap-2">
+                      {purchaseOrder.status === 'draft' && (
+                        <button
+                          onClick={() => runAction('send', purchaseOrder)}
+                          className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300 font-medium hover:underline text-sm"
+                        >
+                          Send
+                        </button>
+                      )}
+                      {(purchaseOrder.status === 'sent' || purchaseOrder.status === 'partially_received') && (
+                        <button
+                          onClick={() => openReceive(purchaseOrder)}
+                          className="text-green-600 dark:text-green-400 hover:text-green-900 dark:hover:text-green-300 font-medium hover:underline text-sm"
+                        >
+                          Receive
+                        </button>
+                      )}
+                      {purchaseOrder.status !== 'received' && purchaseOrder.status !== 'cancelled' && (
+                        <>
+                          <span className="text-gray-300 dark:text-gray-600">|</span>
+                          <button
+                            onClick={() => runAction('cancel', purchaseOrder)}
+                            className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300 font-medium hover:underline text-sm"
+                          >
+                            Cancel
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <SuppliersPanel suppliers={suppliers} onUpdate={fetchSuppliers} />
+    </div>
+  );
+}
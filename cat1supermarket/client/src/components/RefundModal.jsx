@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import { mpesaAPI } from '../api';
+
+export const REFUND_STATUS_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  completed: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+export default function RefundModal({ transaction, onClose, onRefunded }) {
+  const [details, setDetails] = useState(null);
+  const [form, setForm] = useState({ method: 'b2c', amount: '', reason: '' });
+  const [returns, setReturns] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    mpesaAPI.getTransactionRefunds(transaction.id)
+      .then(response => {
+        setDetails(response.data);
+        setForm(prev => ({ ...prev, amount: String(response.data.refundable) }));
+      })
+      .catch(() => setError('Failed to load refund details'));
+  }, [transaction.id]);
+
+  const canReturnItems = details?.order?.status === 'completed';
+  const isReversal = form.method === 'reversal';
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setError('');
+
+    const items = Object.entries(returns)
+      .filter(([, quantity]) => Number(quantity) > 0)
+      .map(([orderItemId, quantity]) => ({ order_item_id: Number(orderItemId), quantity: Number(quantity) }));
+
+    try {
+      await mpesaAPI.requestRefund(transaction.id, {
+        method: form.method,
+        amount: isReversal ? undefined : Number(form.amount),
+        reason: form.reason,
+        items
+      });
+      onRefunded();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to request refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-lg relative z-10 p-6 transition-colors duration-200">
+        <h3 className="text-lg font-bold mb-1 text-gray-900 dark:text-white">Refund Payment</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          KES {transaction.amount} from {transaction.phone}
+          {transaction.mpesaReceipt ? ` · ${transaction.mpesaReceipt}` : ''}
+        </p>
+
+        {!details ? (
+          error ? (
+            <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+          ) : (
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+          )
+        ) : (
+          <div className="space-y-4">
+            {details.refunds.length > 0 && (
+              <ul className="text-sm space-y-1">
+                {details.refunds.map(refund => (
+                  <li key={refund.id} className="flex items-center gap-2 text-gray-600 dark:text-gray-300">
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${REFUND_STATUS_BADGES[refund.status]}`}>
+                      {refund.status}
+                    </span>
+                    KES {refund.amount} by {refund.method === 'reversal' ? 'reversal' : 'B2C'}
+                    {refund.result_desc ? ` - ${refund.result_desc}` : ''}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {details.refundable <= 0 ? (
+              <p className="text-sm text-gray-600 dark:text-gray-300">Nothing is left to refund on this payment.</p>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="text-sm text-gray-600 dark:text-gray-300">
+                    Method
+                    <select
+                      value={form.method}
+                      onChange={(e) => setForm({ ...form, method: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700"
+                    >
+                      <option value="b2c">B2C payment</option>
+                      <option value="reversal" disabled={details.refundable !== Math.round(details.transaction.amount)}>
+                        Reversal (whole payment)
+                      </option>
+                    </select>
+                  </label>
+                  <label className="text-sm text-gray-600 dark:text-gray-300">
+                    Amount (max {details.refundable})
+                    <input
+                      type="number"
+                      min="1"
+                      max={details.refundable}
+                      value={isReversal ? details.refundable : form.amount}
+                      disabled={isReversal}
+                      onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 disabled:opacity-50"
+                    />
+                  </label>
+                </div>
+
+                <input
+                  type="text"
+                  placeholder="Reason"
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                  className="w-full px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm"
+                />
+
+                {canReturnItems && (
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Items returned to stock</h4>
+                    <div className="space-y-2">
+                      {details.order.items.map(item => (
+                        <div key={item.id} className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-300">
+                          <span>{item.product} ({item.quantity - item.returned_quantity} of {item.quantity} returnable)</span>
+                          <input
+                            type="number"
+                            min="0"
+                            max={item.quantity - item.returned_quantity}
+                            value={returns[item.id] || ''}
+                            onChange={(e) => setReturns({ ...returns, [item.id]: e.target.value })}
+                            className="w-20 px-2 py-1 border dark:border-gray-600 rounded dark:bg-gray-700"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Stock is added back once M-Pesa confirms the refund.</p>
+                  </div>
+                )}
+              </>
+            )}
+
+            {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+          </div>
+        )}
+
+        <div className="flex gap-3 mt-6">
+          <button
+            onClick={onClose}
+            className="flex-1 py-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+          >
+            Close
+          </button>
+          {details && details.refundable > 0 && (
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="flex-1 bg-purple-600 text-white py-2 rounded-lg font-semibold hover:bg-purple-700 disabled:opacity-50"
+            >
+              {submitting ? 'Sending...' : 'Send Refund'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
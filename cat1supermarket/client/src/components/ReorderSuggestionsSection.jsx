@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback } from 'react';
+import { inventoryAPI, transfersAPI, suppliersAPI, purchaseOrdersAPI } from '../api';
+
+export default function ReorderSuggestionsSection({ branches }) {
+  const [branch, setBranch] = useState('');
+  const [coverDays, setCoverDays] = useState('14');
+  const [suggestions, setSuggestions] = useState([]);
+  const [lines, setLines] = useState({}); // { [inventoryId]: { selected, quantity, unit_cost } }
+  const [suppliers, setSuppliers] = useState([]);
+  const [supplierId, setSupplierId] = useState('');
+  const [sourceBranch, setSourceBranch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    suppliersAPI.getAll({ active: 1 })
+      .then(response => setSuppliers(response.data))
+      .catch(error => console.error('Error fetching suppliers:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!branch && branches.length > 0) setBranch(branches[0]);
+  }, [branch, branches]);
+
+  const fetchSuggestions = useCallback(async () => {
+    if (!branch) return;
+    setLoading(true);
+    try {
+      const response = await inventoryAPI.getReorderSuggestions({ branch, cover_days: coverDays || undefined });
+      setSuggestions(response.data);
+      const initial = {};
+      response.data.forEach(row => {
+        initial[row.inventory_id] = {
+          selected: row.suggested_quantity > 0,
+          quantity: String(row.suggested_quantity || ''),
+          unit_cost: row.cost_price !== null ? String(row.cost_price) : ''
+        };
+      });
+      setLines(initial);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to load reorder suggestions' });
+    } finally {
+      setLoading(false);
+    }
+  }, [branch, coverDays]);
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, [fetchSuggestions]);
+
+  const updateLine = (inventoryId, changes) => {
+    setLines({ ...lines, [inventoryId]: { ...lines[inventoryId], ...changes } });
+  };
+
+  const selected = suggestions.filter(row => lines[row.inventory_id]?.selected && Number(lines[row.inventory_id].quantity) > 0);
+  const note = `Drafted from reorder suggestions (${coverDays} days of cover)`;
+
+  const draftPurchaseOrder = async () => {
+    setMessage(null);
+    try {
+      const response = await purchaseOrdersAPI.create({
+        supplier_id: supplierId,
+        branch,
+        note,
+        items: selected.map(row => ({
+          product_id: row.product_id,
+          quantity: Number(lines[row.inventory_id].quantity),
+          unit_cost: lines[row.inventory_id].unit_cost
+        }))
+      });
+      setMessage({ type: 'success', text: `Draft PO #${response.data.id} created - review and send it from Purchasing` });
+      fetchSuggestions();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to draft purchase order' });
+    }
+  };
+
+  const requestTransfer = async () => {
+    setMessage(null);
+    try {
+      const response = await transfersAPI.create({
+        from_branch: sourceBranch,
+        to_branch: branch,
+        note,
+        items: selected.map(row => ({ product_id: row.product_id, quantity: Number(lines[row.inventory_id].quantity) }))
+      });
+      setMessage({ type: 'success', text: `Transfer #${response.data.id} requested from ${sourceBranch} - dispatch it from Transfers` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to request transfer' });
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 border-b dark:border-gray-700 flex flex-wrap justify-between items-center gap-3">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Reorder Suggestions</h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Daily demand is smoothed from recent sales and adjusted for the day of the week.
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <select
+            value={branch}
+            onChange={(e) => { setBranch(e.target.value); setSourceBranch(''); }}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+          >
+            {branches.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          <label className="text-sm text-gray-600 dark:text-gray-300 flex items-center gap-2">
+            Cover
+            <input
+              type="number"
+              min="1"
+              max="90"
+              value={coverDays}
+              onChange={(e) => setCoverDays(e.target.value)}
+              className="w-20 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+            days
+          </label>
+        </div>
+      </div>
+
+      {message && (
+        <p className={`px-4 pt-4 text-sm ${message.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+          {message.text}
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs">
+            <tr>
+              <th className="px-4 py-3"></th>
+              <th className="px-4 py-3">Product</th>
+              <th className="px-4 py-3">Stock</th>
+              <th className="px-4 py-3">On Order</th>
+              <th className="px-4 py-3">Daily Demand</th>
+              <th className="px-4 py-3">Days of Cover</th>
+              <th className="px-4 py-3">Forecast</th>
+              <th className="px-4 py-3">Order Qty</th>
+              <th className="px-4 py-3">Unit Cost</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y dark:divide-gray-700">
+            {loading ? (
+              <tr>
+                <td colSpan="9" className="px-4 py-6 text-center text-gray-400">Forecasting...</td>
+              </tr>
+            ) : suggestions.length === 0 ? (
+              <tr>
+                <td colSpan="9" className="px-4 py-6 text-center text-gray-400">Stock covers forecast demand for the next {coverDays} days</td>
+              </tr>
+            ) : suggestions.map(row => (
+              <tr key={row.inventory_id}>
+                <td className="px-4 py-3">
+                  <input
+                    type="checkbox"
+                    checked={lines[row.inventory_id]?.selected || false}
+                    onChange={(e) => updateLine(row.inventory_id, { selected: e.target.checked })}
+                  />
+                </td>
+                <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">{row.product}</td>
+                <td className={`px-4 py-3 ${row.stock <= row.reorder_point ? 'text-red-600 dark:text-red-400 font-bold' : ''}`}>{row.stock}</td>
+                <td className="px-4 py-3">{row.on_order}</td>
+                <td className="px-4 py-3" title={`${row.moving_average}/day average over the last ${Math.min(row.history_days, 28)} days`}>
+                  {row.daily_demand}
+                </td>
+                <td className="px-4 py-3">{row.days_of_cover === null ? 'No sales' : row.days_of_cover}</td>
+                <td className="px-4 py-3">{row.forecast_demand}</td>
+                <td className="px-4 py-3">
+                  <input
+                    type="number"
+                    min="1"
+                    value={lines[row.inventory_id]?.quantity || ''}
+                    onChange={(e) => updateLine(row.inventory_id, { quantity: e.target.value })}
+                    className="w-20 px-2 py-1 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                  />
+                </td>
+                <td className="px-4 py-3">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={lines[row.inventory_id]?.unit_cost || ''}
+                    onChange={(e) => updateLine(row.inventory_id, { unit_cost: e.target.value })}
+                    className="w-24 px-2 py-1 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="p-4 border-t dark:border-gray-700 flex flex-wrap items-center gap-3">
+        <select
+          value={supplierId}
+          onChange={(e) => setSupplierId(e.target.value)}
+          className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+        >
+          <option value="">Supplier</option>
+          {suppliers.map(supplier => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+        </select>
+        <button
+          onClick={draftPurchaseOrder}
+          disabled={!supplierId || selected.length === 0}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 text-sm"
+        >
+          Draft Purchase Order ({selected.length})
+        </button>
+        <span className="text-gray-300 dark:text-gray-600">|</span>
+        <select
+          value={sourceBranch}
+          onChange={(e) => setSourceBranch(e.target.value)}
+          className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+        >
+          <option value="">Restock from branch</option>
+          {branches.filter(name => name !== branch).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button
+          onClick={requestTransfer}
+          disabled={!sourceBranch || selected.length === 0}
+          className="px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:opacity-50 text-sm"
+        >
+          Request Transfer ({selected.length})
+        </button>
+      </div>
+    </div>
+  );
+}
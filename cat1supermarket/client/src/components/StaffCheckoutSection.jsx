@@ -0,0 +1,343 @@
+import { useState, useEffect } from 'react';
+import { ordersAPI, paymentsAPI, cardGatewayAPI, session } from '../api';
+import socketService from '../socket';
+
+const PAYMENT_STATUS_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  completed: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  refunded: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300',
+  voided: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  cancelled: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+const TENDER_LABELS = { cash: 'Cash', mpesa: 'M-Pesa', card: 'Card', credit: 'Store credit' };
+
+// A tender left without an amount pays whatever the others do not cover
+const newTender = (provider) => ({
+  provider,
+  amount: '',
+  tendered: '',
+  phone: '',
+  customer: '',
+  cardNumber: '',
+  expiry: '',
+  cvc: ''
+});
+
+export default function StaffCheckoutSection({ inventory, branches, onCompleted }) {
+  const [branch, setBranch] = useState(branches[0] || '');
+  const [quantities, setQuantities] = useState({});
+  const [quote, setQuote] = useState(null);
+  const [tenders, setTenders] = useState([newTender('cash')]);
+  const [result, setResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const items = Object.entries(quantities)
+    .filter(([, quantity]) => Number(quantity) > 0)
+    .map(([inventoryId, quantity]) => ({ inventory_id: Number(inventoryId), quantity: Number(quantity) }));
+
+  // M-Pesa tenders are settled later; their result comes to this user's room
+  useEffect(() => {
+    socketService.joinUser(session.getToken());
+
+    const handlePaymentStatus = async (data) => {
+      if (!result || data.orderId !== result.order.id) return;
+      try {
+        const response = await paymentsAPI.getOrderPayments(data.orderId);
+        setResult(prev => ({ ...prev, payments: response.data, status: data.orderStatus }));
+        onCompleted();
+      } catch (error) {
+        console.error('Error refreshing payments:', error);
+      }
+    };
+
+    socketService.on('payment-status', handlePaymentStatus);
+    return () => {
+      socketService.off('payment-status', handlePaymentStatus);
+    };
+  }, [result?.order.id]);
+
+  // Price the basket on the server whenever it changes
+  useEffect(() => {
+    if (items.length === 0) {
+      setQuote(null);
+      return;
+    }
+
+    ordersAPI.quote(branch, items)
+      .then(response => {
+        setQuote(response.data);
+        setError('');
+      })
+      .catch(error => {
+        setQuote(null);
+        setError(error.response?.data?.error || 'Failed to price basket');
+      });
+  }, [branch, JSON.stringify(items)]);
+
+  const updateTender = (index, changes) => {
+    setTenders(prev => prev.map((tender, i) => (i === index ? { ...tender, ...changes } : tender)));
+  };
+
+  const resetCheckout = () => {
+    setQuantities({});
+    setTenders([newTender('cash')]);
+    setResult(null);
+    setError('');
+  };
+
+  const handleCheckout = async () => {
+    setSubmitting(true);
+    setError('');
+
+    try {
+      // Card details go to the gateway for a token; the server only ever sees the token
+      const payloads = [];
+      for (const tender of tenders) {
+        const payload = { provider: tender.provider };
+        if (tender.amount !== '') payload.amount = Number(tender.amount);
+        if (tender.provider === 'cash' && tender.tendered !== '') payload.tendered = Number(tender.tendered);
+        if (tender.provider === 'mpesa') payload.phone = tender.phone;
+        if (tender.provider === 'credit') payload.customer = tender.customer;
+        if (tender.provider === 'card') {
+          const [expMonth, expYear] = tender.expiry.split('/');
+          const response = await cardGatewayAPI.tokenize({
+            number: tender.cardNumber.replace(/\s+/g, ''),
+            exp_month: Number(expMonth),
+            exp_year: 2000 + Number(expYear),
+            cvc: tender.cvc
+          });
+          payload.card_token = response.data.id;
+        }
+        payloads.push(payload);
+      }
+
+      const response = await paymentsAPI.checkout({
+        branch,
+        items,
+        expected_total: quote?.total_amount,
+        tenders: payloads
+      });
+      setResult(response.data);
+      onCompleted();
+    } catch (error) {
+      const message = error.response?.data?.error;
+      setError((typeof message === 'object' ? message.message : message) || 'Checkout failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const changeDue = result?.payments
+    .filter(payment => payment.provider === 'cash' && payment.status === 'completed')
+    .reduce((sum, payment) => sum + (payment.details?.change || 0), 0);
+
+  if (result) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6 max-w-2xl transition-colors duration-200">
+        <h3 className="text-lg font-bold text-gray-900 dark:text-white mb-1">Order #{result.order.id}</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          KES {result.order.total_amount} at {result.order.branch} · {result.status === 'completed' ? 'Paid' : result.status === 'pending_payment' ? 'Waiting for M-Pesa' : result.status}
+        </p>
+
+        <ul className="space-y-2 mb-4">
+          {result.payments.map(payment => (
+            <li key={payment.id} className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-300">
+              <span>
+                {TENDER_LABELS[payment.provider] || payment.provider} · KES {payment.amount}
+                {payment.reference ? ` · ${payment.reference}` : ''}
+                {payment.details?.last4 ? ` · ${payment.details.brand} ${payment.details.last4}` : ''}
+                {payment.provider === 'credit' && payment.details ? ` · KES ${payment.details.balance} credit left` : ''}
+              </span>
+              <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${PAYMENT_STATUS_BADGES[payment.status]}`}>
+                {payment.status}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        {changeDue > 0 && (
+          <p className="text-xl font-bold text-green-600 dark:text-green-400 mb-4">Change due: KES {changeDue}</p>
+        )}
+
+        <button
+          onClick={resetCheckout}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700"
+        >
+          New Checkout
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+        <div className="p-4 border-b dark:border-gray-700 flex items-center justify-between">
+          <h3 className="font-bold text-gray-900 dark:text-white">Basket</h3>
+          <select
+            value={branch}
+            onChange={(e) => {
+              setBranch(e.target.value);
+              setQuantities({});
+            }}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm"
+          >
+            {branches.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="divide-y dark:divide-gray-700">
+          {inventory.filter(item => item.branch === branch).map(item => (
+            <div key={item.id} className="flex items-center justify-between px-4 py-3 text-sm">
+              <span className="text-gray-900 dark:text-white">
+                {item.product}
+                <span className="ml-2 text-gray-500 dark:text-gray-400">KES {item.price} · {item.stock} in stock</span>
+              </span>
+              <input
+                type="number"
+                min="0"
+                max={item.stock}
+                value={quantities[item.id] || ''}
+                onChange={(e) => setQuantities({ ...quantities, [item.id]: e.target.value })}
+                className="w-20 px-2 py-1 border dark:border-gray-600 rounded dark:bg-gray-700"
+              />
+            </div>
+          ))}
+        </div>
+        {quote?.promotions.length > 0 && (
+          <div className="px-4 pt-4 border-t dark:border-gray-700 text-sm text-green-700 dark:text-green-400 space-y-1">
+            {quote.promotions.map((promotion, index) => (
+              <div key={index} className="flex justify-between">
+                <span>{promotion.name}{promotion.product ? ` (${promotion.product})` : ''}</span>
+                <span>- KES {promotion.discount_amount}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {quote?.deposit_total > 0 && (
+          <div className="px-4 pt-4 border-t dark:border-gray-700 text-sm text-gray-600 dark:text-gray-300 space-y-1">
+            {quote.deposits.map(deposit => (
+              <div key={deposit.product} className="flex justify-between">
+                <span>Deposit: {deposit.quantity} × {deposit.product} @ KES {deposit.unit_deposit}</span>
+                <span>KES {deposit.total_amount}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="p-4 border-t dark:border-gray-700 flex justify-between items-center">
+          <span className="text-gray-600 dark:text-gray-300">Total</span>
+          <span className="text-2xl font-bold text-gray-900 dark:text-white">KES {quote?.total_amount || 0}</span>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-4 space-y-4 transition-colors duration-200">
+        <div className="flex items-center justify-between">
+          <h3 className="font-bold text-gray-900 dark:text-white">Tenders</h3>
+          <div className="flex gap-2">
+            {Object.entries(TENDER_LABELS).map(([provider, label]) => (
+              <button
+                key={provider}
+                onClick={() => setTenders([...tenders, newTender(provider)])}
+                disabled={provider === 'mpesa' && tenders.some(tender => tender.provider === 'mpesa')}
+                className="px-3 py-1 text-sm border dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+              >
+                + {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {tenders.map((tender, index) => (
+          <div key={index} className="border dark:border-gray-700 rounded-lg p-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-gray-900 dark:text-white">{TENDER_LABELS[tender.provider]}</span>
+              {tenders.length > 1 && (
+                <button
+                  onClick={() => setTenders(tenders.filter((_, i) => i !== index))}
+                  className="text-sm text-red-600 dark:text-red-400 hover:underline"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+            <input
+              type="number"
+              min="1"
+              placeholder="Amount (leave blank for the balance)"
+              value={tender.amount}
+              onChange={(e) => updateTender(index, { amount: e.target.value })}
+              className="w-full px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm"
+            />
+            {tender.provider === 'cash' && (
+              <input
+                type="number"
+                min="1"
+                placeholder="Cash handed over"
+                value={tender.tendered}
+                onChange={(e) => updateTender(index, { tendered: e.target.value })}
+                className="w-full px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm"
+              />
+            )}
+            {tender.provider === 'mpesa' && (
+              <input
+                type="tel"
+                placeholder="Customer phone (07XX XXX XXX)"
+                value={tender.phone}
+                onChange={(e) => updateTender(index, { phone: e.target.value })}
+                className="w-full px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm"
+              />
+            )}
+            {tender.provider === 'credit' && (
+              <input
+                type="text"
+                placeholder="Customer username"
+                value={tender.customer}
+                onChange={(e) => updateTender(index, { customer: e.target.value })}
+                className="w-full px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm"
+              />
+            )}
+            {tender.provider === 'card' && (
+              <div className="grid grid-cols-4 gap-2">
+                <input
+                  type="text"
+                  placeholder="Card number"
+                  value={tender.cardNumber}
+                  onChange={(e) => updateTender(index, { cardNumber: e.target.value.replace(/[^\d\s]/g, '') })}
+                  className="col-span-2 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm font-mono"
+                />
+                <input
+                  type="text"
+                  placeholder="MM/YY"
+                  value={tender.expiry}
+                  onChange={(e) => updateTender(index, { expiry: e.target.value })}
+                  className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm font-mono"
+                />
+                <input
+                  type="password"
+                  placeholder="CVC"
+                  value={tender.cvc}
+                  onChange={(e) => updateTender(index, { cvc: e.target.value.replace(/\D/g, '').slice(0, 4) })}
+                  className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm font-mono"
+                />
+              </div>
+            )}
+          </div>
+        ))}
+
+        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+        <button
+          onClick={handleCheckout}
+          disabled={submitting || !quote || tenders.length === 0}
+          className="w-full bg-green-600 text-white py-3 rounded-lg font-bold hover:bg-green-700 disabled:opacity-50"
+        >
+          {submitting ? 'Processing...' : `Take Payment${quote ? ` of KES ${quote.total_amount}` : ''}`}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,284 @@
+import { useState, useEffect } from 'react';
+import { mpesaAPI } from '../api';
+
+const RECONCILIATION_CATEGORIES = [
+  { key: 'matched', label: 'Matched', badge: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' },
+  { key: 'amount_mismatch', label: 'Amount Mismatch', badge: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300' },
+  { key: 'phone_mismatch', label: 'Phone Mismatch', badge: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-300' },
+  { key: 'missing_in_system', label: 'Missing in System', badge: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300' },
+  { key: 'missing_in_statement', label: 'Missing in Statement', badge: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300' }
+];
+
+export default function StatementReconciliationSection({ branches }) {
+  const [reports, setReports] = useState([]);
+  const [report, setReport] = useState(null);
+  const [file, setFile] = useState(null);
+  const [period, setPeriod] = useState({ from: '', to: '', branch: '' });
+  const [categoryFilter, setCategoryFilter] = useState('all');
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchReports = async () => {
+    try {
+      const response = await mpesaAPI.getStatements();
+      setReports(response.data);
+    } catch (error) {
+      console.error('Error fetching statement reports:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchReports();
+  }, []);
+
+  const handleUpload = async () => {
+    if (!file) return;
+    setUploading(true);
+    setError('');
+
+    const data = new FormData();
+    data.append('statement', file);
+    if (period.from) data.append('from', period.from);
+    if (period.to) data.append('to', period.to);
+    if (period.branch) data.append('branch', period.branch);
+
+    try {
+      const response = await mpesaAPI.uploadStatement(data);
+      setReport(response.data.report);
+      setCategoryFilter('all');
+      setFile(null);
+      fetchReports();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to reconcile statement');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const openReport = async (id) => {
+    try {
+      const response = await mpesaAPI.getStatement(id);
+      setReport(response.data);
+      setCategoryFilter('all');
+    } catch (error) {
+      alert('Failed to load reconciliation report');
+    }
+  };
+
+  const exportReport = async (id) => {
+    try {
+      const response = await mpesaAPI.exportStatement(id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `mpesa-reconciliation-${id}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Failed to export reconciliation report');
+    }
+  };
+
+  const entries = report
+    ? report.entries.filter(entry => categoryFilter === 'all' || entry.category === categoryFilter)
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+        <div className="p-4 border-b dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">M-Pesa Statement Reconciliation</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Upload the statement CSV exported from the M-Pesa org portal. The period defaults to the dates on the statement.
+          </p>
+        </div>
+        <div className="p-4 space-y-3">
+          <div className="flex gap-4 flex-wrap items-center">
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="text-sm text-gray-600 dark:text-gray-300"
+            />
+            <label className="text-sm text-gray-600 dark:text-gray-300 flex items-center gap-2">
+              From
+              <input
+                type="date"
+                value={period.from}
+                onChange={(e) => setPeriod({ ...period, from: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700"
+              />
+            </label>
+            <label className="text-sm text-gray-600 dark:text-gray-300 flex items-center gap-2">
+              To
+              <input
+                type="date"
+                value={period.to}
+                onChange={(e) => setPeriod({ ...period, to: e.target.value })}
+                className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700"
+              />
+            </label>
+            <select
+              value={period.branch}
+              onChange={(e) => setPeriod({ ...period, branch: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 text-sm"
+            >
+              <option value="">All branches</option>
+              {branches.map((branch) => (
+                <option key={branch} value={branch}>{branch}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleUpload}
+              disabled={!file || uploading}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {uploading ? 'Reconciling...' : 'Upload & Reconcile'}
+            </button>
+          </div>
+          {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+        </div>
+      </div>
+
+      {report && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+          <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Report #{report.id} - {report.filename}</h2>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {report.period_start || '?'} to {report.period_end || '?'}
+                {report.branch ? ` · ${report.branch}` : ''} · {report.line_count} statement lines
+              </p>
+            </div>
+            <button
+              onClick={() => exportReport(report.id)}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+            >
+              Export CSV
+            </button>
+          </div>
+
+          <div className="p-4 grid grid-cols-2 md:grid-cols-5 gap-3">
+            {RECONCILIATION_CATEGORIES.map(({ key, label, badge }) => (
+              <button
+                key={key}
+                onClick={() => setCategoryFilter(categoryFilter === key ? 'all' : key)}
+                className={`text-left rounded-lg p-3 border dark:border-gray-700 transition-colors ${categoryFilter === key ? 'ring-2 ring-blue-500' : ''}`}
+              >
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${badge}`}>{label}</span>
+                <p className="mt-2 text-xl font-bold text-gray-900 dark:text-white">{report.summary[key]?.count || 0}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">KES {(report.summary[key]?.amount || 0).toLocaleString()}</p>
+              </button>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+              <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+                <tr>
+                  <th className="px-6 py-4">Category</th>
+                  <th className="px-6 py-4">Receipt</th>
+                  <th className="px-6 py-4">Statement</th>
+                  <th className="px-6 py-4">System</th>
+                  <th className="px-6 py-4">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y dark:divide-gray-700">
+                {entries.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-8 text-center text-gray-500">
+                      No entries
+                    </td>
+                  </tr>
+                ) : (
+                  entries.map((entry) => {
+                    const category = RECONCILIATION_CATEGORIES.find(c => c.key === entry.category);
+                    return (
+                      <tr key={entry.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                        <td className="px-6 py-4">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${category?.badge}`}>
+                            {category?.label || entry.category}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 font-medium text-gray-900 dark:text-white">{entry.receipt || '-'}</td>
+                        <td className="px-6 py-4">
+                          {entry.statement_amount !== null ? `KES ${entry.statement_amount}` : '-'}
+                          {entry.statement_phone && <div className="text-xs text-gray-500">{entry.statement_phone}</div>}
+                        </td>
+                        <td className="px-6 py-4">
+                          {entry.system_amount !== null ? `KES ${entry.system_amount}` : '-'}
+                          {entry.system_phone && <div className="text-xs text-gray-500">{entry.system_phone}</div>}
+                        </td>
+                        <td className="px-6 py-4">{entry.details || '-'}</td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+        <div className="p-4 border-b dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Previous Reconciliations</h2>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+              <tr>
+                <th className="px-6 py-4">Uploaded</th>
+                <th className="px-6 py-4">File</th>
+                <th className="px-6 py-4">Period</th>
+                <th className="px-6 py-4">Matched</th>
+                <th className="px-6 py-4">Issues</th>
+                <th className="px-6 py-4">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y dark:divide-gray-700">
+              {reports.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
+                    No statements uploaded yet
+                  </td>
+                </tr>
+              ) : (
+                reports.map((item) => {
+                  const issues = RECONCILIATION_CATEGORIES
+                    .filter(({ key }) => key !== 'matched')
+                    .reduce((sum, { key }) => sum + (item.summary[key]?.count || 0), 0);
+                  return (
+                    <tr key={item.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                      <td className="px-6 py-4">{new Date(item.created_at).toLocaleString()}</td>
+                      <td className="px-6 py-4">{item.filename}</td>
+                      <td className="px-6 py-4">{item.period_start || '?'} to {item.period_end || '?'}</td>
+                      <td className="px-6 py-4">{item.summary.matched?.count || 0}</td>
+                      <td className={`px-6 py-4 font-medium ${issues > 0 ? 'text-red-600 dark:text-red-400' : ''}`}>{issues}</td>
+                      <td className="px-6 py-4">
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => openReport(item.id)}
+                            className="px-3 py-1 text-sm text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded"
+                          >
+                            View
+                          </button>
+                          <button
+                            onClick={() => exportReport(item.id)}
+                            className="px-3 py-1 text-sm text-green-600 dark:text-green-400 hover:bg-green-50 dark:hover:bg-green-900/30 rounded"
+                          >
+                            CSV
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
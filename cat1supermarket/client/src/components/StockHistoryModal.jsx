@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { inventoryAPI } from '../api';
+
+const MOVEMENT_BADGES = {
+  sale: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  restock: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  adjustment: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  transfer: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-300',
+  return: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-300',
+  'write-off': 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+};
+
+export default function StockHistoryModal({ item, onClose, onRebuilt }) {
+  const [history, setHistory] = useState(null);
+  const [lots, setLots] = useState(null);
+  const [rebuilding, setRebuilding] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadHistory = () => {
+    inventoryAPI.getMovements(item.id)
+      .then(response => setHistory(response.data))
+      .catch(() => setError('Failed to load stock history'));
+    inventoryAPI.getLots(item.id)
+      .then(response => setLots(response.data))
+      .catch(() => setError('Failed to load lots'));
+  };
+
+  useEffect(loadHistory, [item.id]);
+
+  const handleRebuild = async () => {
+    setRebuilding(true);
+    setError('');
+    try {
+      await inventoryAPI.rebuildStock(item.id);
+      loadHistory();
+      onRebuilt();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to rebuild stock');
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/50 backdrop-blur-sm" onClick={onClose}></div>
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-xl w-full max-w-2xl relative z-10 p-6 transition-colors duration-200">
+        <h3 className="text-lg font-bold mb-1 text-gray-900 dark:text-white">Stock History: {item.product}</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">{item.branch} branch</p>
+
+        {error && <p className="text-sm text-red-600 dark:text-red-400 mb-3">{error}</p>}
+
+        {!history ? (
+          !error && <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto"></div>
+        ) : (
+          <>
+            {history.drift !== 0 && (
+              <div className="flex items-center justify-between gap-3 mb-4 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+                <span>
+                  Stock shows {history.stock} but the ledger adds up to {history.ledger_stock} ({history.drift > 0 ? '+' : ''}{history.drift} unrecorded).
+                </span>
+                <button
+                  onClick={handleRebuild}
+                  disabled={rebuilding}
+                  className="shrink-0 px-3 py-1 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 disabled:opacity-50"
+                >
+                  {rebuilding ? 'Rebuilding...' : 'Rebuild from ledger'}
+                </button>
+              </div>
+            )}
+
+            {lots && lots.lots.length > 0 && (
+              <div className="mb-4">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Lots (sold first-expiring-first-out)</h4>
+                <div className="flex flex-wrap gap-2 text-xs">
+                  {lots.lots.map(lot => (
+                    <span
+                      key={lot.id}
+                      className={`px-2 py-1 rounded-lg ${lot.expired
+                        ? 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
+                        : lot.days_to_expiry !== null && lot.days_to_expiry <= 7
+                          ? 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300'
+                          : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'}`}
+                    >
+                      {lot.batch_number || 'No batch'}: {lot.quantity}
+                      {lot.expiry_date && ` - ${lot.expired ? 'expired' : 'best before'} ${lot.expiry_date}`}
+                    </span>
+                  ))}
+                  {lots.untracked > 0 && (
+                    <span className="px-2 py-1 rounded-lg bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300">
+                      Untracked: {lots.untracked}
+                    </span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            <div className="max-h-96 overflow-y-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="text-xs text-gray-500 dark:text-gray-400 uppercase bg-gray-50 dark:bg-gray-700 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2">When</th>
+                    <th className="px-3 py-2">Type</th>
+                    <th className="px-3 py-2 text-right">Change</th>
+                    <th className="px-3 py-2 text-right">Balance</th>
+                    <th className="px-3 py-2">By</th>
+                    <th className="px-3 py-2">Reference</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-700 text-gray-600 dark:text-gray-300">
+                  {history.movements.map(movement => (
+                    <tr key={movement.id}>
+                      <td className="px-3 py-2 whitespace-nowrap">{new Date(movement.created_at).toLocaleString()}</td>
+                      <td className="px-3 py-2">
+                        <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${MOVEMENT_BADGES[movement.type]}`}>
+                          {movement.type}
+                        </span>
+                      </td>
+                      <td className={`px-3 py-2 text-right font-medium ${movement.delta < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                        {movement.delta > 0 ? '+' : ''}{movement.delta}
+                      </td>
+                      <td className="px-3 py-2 text-right">{movement.balance}</td>
+                      <td className="px-3 py-2">{movement.username || '-'}</td>
+                      <td className="px-3 py-2">
+                        {movement.reference_type ? `${movement.reference_type} #${movement.reference_id}` : ''}
+                        {movement.note && <span className="block text-xs text-gray-400 dark:text-gray-500">{movement.note}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="mt-4 text-right">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
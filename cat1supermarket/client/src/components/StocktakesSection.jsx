@@ -0,0 +1,428 @@
+import { useState, useEffect, useCallback } from 'react';
+import { stocktakesAPI } from '../api';
+import socketService from '../socket';
+
+const STOCKTAKE_STATUS_BADGES = {
+  counting: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  review: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  posted: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  cancelled: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+};
+
+const EMPTY_STOCKTAKE = { branch: '', category: '', note: '' };
+
+const varianceColor = (variance) => {
+  if (variance === null || variance === 0) return 'text-gray-500 dark:text-gray-400';
+  return variance < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400';
+};
+
+const signed = (value) => (value > 0 ? `+${value}` : String(value));
+
+export default function StocktakesSection({ inventory, branches }) {
+  const [stocktakes, setStocktakes] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [form, setForm] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [counts, setCounts] = useState({}); // { [lineId]: counted quantity being typed }
+  const [scan, setScan] = useState('');
+  const [skip, setSkip] = useState([]);
+  const [error, setError] = useState('');
+
+  const fetchStocktakes = useCallback(async () => {
+    try {
+      const response = await stocktakesAPI.getAll(statusFilter ? { status: statusFilter } : {});
+      setStocktakes(response.data);
+    } catch (error) {
+      console.error('Error fetching stocktakes:', error);
+    }
+  }, [statusFilter]);
+
+  const openStocktake = useCallback(async (id) => {
+    try {
+      const response = await stocktakesAPI.getById(id);
+      setSelected(response.data);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to load stocktake');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStocktakes();
+  }, [fetchStocktakes]);
+
+  // Other counters' entries and status changes show up here as they happen
+  const selectedId = selected?.id;
+  useEffect(() => {
+    const handleUpdated = (data) => {
+      fetchStocktakes();
+      if (selectedId && (data.stocktake?.id || data.stocktakeId) === selectedId) {
+        openStocktake(selectedId);
+      }
+    };
+
+    socketService.on('stocktake-updated', handleUpdated);
+    socketService.on('stocktake-counted', handleUpdated);
+    return () => {
+      socketService.off('stocktake-updated', handleUpdated);
+      socketService.off('stocktake-counted', handleUpdated);
+    };
+  }, [fetchStocktakes, openStocktake, selectedId]);
+
+  const categories = form
+    ? [...new Set(inventory.filter(item => item.branch === form.branch && item.category).map(item => item.category))].sort()
+    : [];
+
+  const handleCreate = async () => {
+    setError('');
+    try {
+      const response = await stocktakesAPI.create(form);
+      setForm(null);
+      setSelected(response.data);
+      setCounts({});
+      fetchStocktakes();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to open stocktake');
+    }
+  };
+
+  const saveCounts = async (items) => {
+    setError('');
+    try {
+      const response = await stocktakesAPI.count(selected.id, items);
+      setSelected(response.data);
+      return true;
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to record count');
+      return false;
+    }
+  };
+
+  const saveLine = async (line) => {
+    if (counts[line.id] === undefined) return;
+    const counted = counts[line.id] === '' ? null : Number(counts[line.id]);
+    if (counted !== line.counted_quantity && await saveCounts([{ id: line.id, counted_quantity: counted }])) {
+      setCounts(current => {
+        const next = { ...current };
+        delete next[line.id];
+        return next;
+      });
+    }
+  };
+
+  // A scanner types the SKU and presses Enter; each scan counts one more unit
+  const handleScan = async (e) => {
+    e.preventDefault();
+    if (!scan.trim()) return;
+    if (await saveCounts([{ sku: scan.trim(), add: 1 }])) {
+      setScan('');
+    }
+  };
+
+  const runAction = async (action) => {
+    if (action === 'cancel' && !window.confirm(`Cancel stocktake #${selected.id}? Counts will be discarded.`)) return;
+    if (action === 'post' && !window.confirm(`Post stocktake #${selected.id}? Stock will be adjusted to the counts.`)) return;
+    setError('');
+    try {
+      const response = action === 'post'
+        ? await stocktakesAPI.post(selected.id, skip)
+        : await stocktakesAPI[action](selected.id);
+      setSelected(response.data);
+      setSkip([]);
+      fetchStocktakes();
+    } catch (error) {
+      setError(error.response?.data?.error || `Failed to ${action} stocktake`);
+    }
+  };
+
+  const toggleSkip = (lineId) => {
+    setSkip(skip.includes(lineId) ? skip.filter(id => id !== lineId) : [...skip, lineId]);
+  };
+
+  const reviewLines = selected ? selected.items.filter(line => line.variance !== null && line.variance !== 0) : [];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 border-b dark:border-gray-700 flex flex-wrap justify-between items-center gap-3">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Stocktakes</h2>
+        <div className="flex items-center gap-3">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+          >
+            <option value="">All statuses</option>
+            <option value="counting">Counting</option>
+            <option value="review">In review</option>
+            <option value="posted">Posted</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          <button
+            onClick={() => { setForm(EMPTY_STOCKTAKE); setError(''); }}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" />
+            </svg>
+            New Stocktake
+          </button>
+        </div>
+      </div>
+
+      {form && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+          {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <select
+              value={form.branch}
+              onChange={(e) => setForm({ ...form, branch: e.target.value, category: '' })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            >
+              <option value="">Branch *</option>
+              {branches.map(branch => <option key={branch} value={branch}>{branch}</option>)}
+            </select>
+            <select
+              value={form.category}
+              disabled={!form.branch}
+              onChange={(e) => setForm({ ...form, category: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white disabled:opacity-50"
+            >
+              <option value="">Full count (all categories)</option>
+              {categories.map(category => <option key={category} value={category}>{category}</option>)}
+            </select>
+            <input
+              type="text"
+              placeholder="Note"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={handleCreate}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+            >
+              Start Count
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {selected && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-4">
+          <div className="flex flex-wrap justify-between items-start gap-3">
+            <div>
+              <h3 className="font-medium text-gray-900 dark:text-white">
+                Stocktake #{selected.id} at {selected.branch}{selected.category ? ` (${selected.category})` : ''}
+                <span className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STOCKTAKE_STATUS_BADGES[selected.status]}`}>
+                  {selected.status}
+                </span>
+              </h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {selected.counted_count} of {selected.line_count} counted · {selected.variance_count} variance{selected.variance_count === 1 ? '' : 's'} ·
+                net KES {selected.variance_value.toLocaleString()} · shrinkage KES {Math.abs(selected.shrinkage_value).toLocaleString()}
+              </p>
+            </div>
+            <button
+              onClick={() => setSelected(null)}
+              className="text-sm text-gray-500 dark:text-gray-400 hover:underline"
+            >
+              Close
+            </button>
+          </div>
+
+          {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+
+          {selected.status === 'counting' && (
+            <>
+              <form onSubmit={handleScan} className="flex gap-2">
+                <input
+                  type="text"
+                  autoFocus
+                  placeholder="Scan or type SKU / product name"
+                  value={scan}
+                  onChange={(e) => setScan(e.target.value)}
+                  className="flex-1 px-4 py-3 text-lg border dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                />
+                <button type="submit" className="px-5 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                  +1
+                </button>
+              </form>
+
+              <div className="divide-y dark:divide-gray-700 bg-white dark:bg-gray-800 rounded-lg border dark:border-gray-700">
+                {selected.items.map(line => (
+                  <div key={line.id} className="flex items-center gap-3 p-3">
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-gray-900 dark:text-white truncate">{line.product}</div>
+                      <div className="text-xs text-gray-400">
+                        {line.sku || 'No SKU'}
+                        {line.counted_by_username && ` · counted by ${line.counted_by_username}`}
+                      </div>
+                    </div>
+                    <input
+                      type="number"
+                      min="0"
+                      inputMode="numeric"
+                      placeholder="Count"
+                      value={counts[line.id] !== undefined ? counts[line.id] : (line.counted_quantity ?? '')}
+                      onChange={(e) => setCounts({ ...counts, [line.id]: e.target.value })}
+                      onBlur={() => saveLine(line)}
+                      className="w-24 px-3 py-2 text-lg text-right border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => runAction('submit')}
+                  className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                  Submit for Review
+                </button>
+                <button
+                  onClick={() => runAction('cancel')}
+                  className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+                >
+                  Cancel Stocktake
+                </button>
+              </div>
+            </>
+          )}
+
+          {selected.status !== 'counting' && (
+            <div className="overflow-x-auto bg-white dark:bg-gray-800 rounded-lg border dark:border-gray-700">
+              <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+                  <tr>
+                    {selected.status === 'review' && <th className="px-4 py-3">Apply</th>}
+                    <th className="px-4 py-3">Product</th>
+                    <th className="px-4 py-3 text-right">Expected</th>
+                    <th className="px-4 py-3 text-right">Counted</th>
+                    <th className="px-4 py-3 text-right">Variance</th>
+                    <th className="px-4 py-3 text-right">Value (KES)</th>
+                    {selected.status === 'posted' && <th className="px-4 py-3 text-right">Adjusted</th>}
+                  </tr>
+                </thead>
+                <tbody className="divide-y dark:divide-gray-700">
+                  {reviewLines.length === 0 ? (
+                    <tr>
+                      <td colSpan="6" className="px-4 py-6 text-center text-gray-400">Every counted item matched</td>
+                    </tr>
+                  ) : reviewLines.map(line => (
+                    <tr key={line.id}>
+                      {selected.status === 'review' && (
+                        <td className="px-4 py-3">
+                          <input
+                            type="checkbox"
+                            checked={!skip.includes(line.id)}
+                            onChange={() => toggleSkip(line.id)}
+                          />
+                        </td>
+                      )}
+                      <td className="px-4 py-3 font-medium text-gray-900 dark:text-white">
+                        {line.product}
+                        {line.note && <div className="text-xs font-normal text-gray-400">{line.note}</div>}
+                      </td>
+                      <td className="px-4 py-3 text-right">{line.expected_quantity}</td>
+                      <td className="px-4 py-3 text-right">{line.counted_quantity}</td>
+                      <td className={`px-4 py-3 text-right font-medium ${varianceColor(line.variance)}`}>{signed(line.variance)}</td>
+                      <td className={`px-4 py-3 text-right ${varianceColor(line.variance)}`}>{line.variance_value.toLocaleString()}</td>
+                      {selected.status === 'posted' && (
+                        <td className="px-4 py-3 text-right">{line.adjustment === null ? 'Skipped' : signed(line.adjustment)}</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {selected.status === 'review' && (
+            <div className="flex gap-3">
+              <button
+                onClick={() => runAction('post')}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+              >
+                Post Adjustments
+              </button>
+              <button
+                onClick={() => runAction('reopen')}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Reopen for Recount
+              </button>
+              <button
+                onClick={() => runAction('cancel')}
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+              >
+                Cancel Stocktake
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+            <tr>
+              <th className="px-6 py-4">Stocktake</th>
+              <th className="px-6 py-4">Branch</th>
+              <th className="px-6 py-4">Progress</th>
+              <th className="px-6 py-4 text-right">Variance (KES)</th>
+              <th className="px-6 py-4">Status</th>
+              <th className="px-6 py-4">Opened</th>
+              <th className="px-6 py-4 text-right">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y dark:divide-gray-700">
+            {stocktakes.length === 0 ? (
+              <tr>
+                <td colSpan="7" className="px-6 py-8 text-center text-gray-400">No stocktakes yet</td>
+              </tr>
+            ) : stocktakes.map(stocktake => (
+              <tr key={stocktake.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                <td className="px-6 py-4 font-medium text-gray-900 dark:text-white">
+                  #{stocktake.id}
+                  {stocktake.note && <div className="text-xs font-normal text-gray-400">{stocktake.note}</div>}
+                </td>
+                <td className="px-6 py-4">
+                  {stocktake.branch}
+                  <div className="text-xs text-gray-400">{stocktake.category || 'Full count'}</div>
+                </td>
+                <td className="px-6 py-4">{stocktake.counted_count} / {stocktake.line_count} counted</td>
+                <td className={`px-6 py-4 text-right font-medium ${varianceColor(stocktake.variance_value)}`}>
+                  {stocktake.variance_value.toLocaleString()}
+                </td>
+                <td className="px-6 py-4">
+                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STOCKTAKE_STATUS_BADGES[stocktake.status]}`}>
+                    {stocktake.status}
+                  </span>
+                </td>
+                <td className="px-6 py-4">
+                  {new Date(stocktake.created_at).toLocaleString()}
+                  <div className="text-xs text-gray-400">by {stocktake.created_by_username || '-'}</div>
+                </td>
+                <td className="px-6 py-4 text-right">
+                  <button
+                    onClick={() => { setSkip([]); setCounts({}); setError(''); openStocktake(stocktake.id); }}
+                    className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300 font-medium hover:underline text-sm"
+                  >
+                    {stocktake.status === 'counting' ? 'Count' : stocktake.status === 'review' ? 'Review' : 'View'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,343 @@
+import { useState, useEffect, useCallback } from 'react';
+import { transfersAPI } from '../api';
+import socketService from '../socket';
+
+const TRANSFER_STATUS_BADGES = {
+  requested: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  in_transit: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+  received: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  cancelled: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+};
+
+const EMPTY_TRANSFER = { from_branch: '', to_branch: '', note: '', items: [{ product_id: '', quantity: 1 }] };
+
+export default function TransfersSection({ inventory, branches }) {
+  const [transfers, setTransfers] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [form, setForm] = useState(null);
+  const [receiving, setReceiving] = useState(null); // { transfer, lines: { [itemId]: { received_quantity, note } } }
+  const [error, setError] = useState('');
+
+  const fetchTransfers = useCallback(async () => {
+    try {
+      const response = await transfersAPI.getAll(statusFilter ? { status: statusFilter } : {});
+      setTransfers(response.data);
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchTransfers();
+    socketService.on('transfer-updated', fetchTransfers);
+    return () => {
+      socketService.off('transfer-updated', fetchTransfers);
+    };
+  }, [fetchTransfers]);
+
+  const sourceStock = form ? inventory.filter(item => item.branch === form.from_branch) : [];
+
+  const updateLine = (index, changes) => {
+    setForm({ ...form, items: form.items.map((line, i) => (i === index ? { ...line, ...changes } : line)) });
+  };
+
+  const handleCreate = async () => {
+    setError('');
+    try {
+      await transfersAPI.create({
+        from_branch: form.from_branch,
+        to_branch: form.to_branch,
+        note: form.note,
+        items: form.items
+          .filter(line => line.product_id)
+          .map(line => ({ product_id: Number(line.product_id), quantity: Number(line.quantity) }))
+      });
+      setForm(null);
+      fetchTransfers();
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to create transfer');
+    }
+  };
+
+  const runAction = async (action, transfer) => {
+    if (action === 'cancel' && !window.confirm(`Cancel transfer #${transfer.id}?`)) return;
+    try {
+      await transfersAPI[action](transfer.id);
+      fetchTransfers();
+    } catch (error) {
+      alert(error.response?.data?.error || `Failed to ${action} transfer`);
+    }
+  };
+
+  const openReceive = (transfer) => {
+    const lines = {};
+    transfer.items.forEach(item => {
+      lines[item.id] = { received_quantity: String(item.quantity), note: '' };
+    });
+    setReceiving({ transfer, lines });
+  };
+
+  const handleReceive = async () => {
+    const items = receiving.transfer.items
+      .filter(item => Number(receiving.lines[item.id].received_quantity) !== item.quantity)
+      .map(item => ({
+        id: item.id,
+        received_quantity: Number(receiving.lines[item.id].received_quantity),
+        note: receiving.lines[item.id].note
+      }));
+
+    try {
+      await transfersAPI.receive(receiving.transfer.id, items);
+      setReceiving(null);
+      fetchTransfers();
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to receive transfer');
+    }
+  };
+
+  const updateReceived = (itemId, changes) => {
+    setReceiving({
+      ...receiving,
+      lines: { ...receiving.lines, [itemId]: { ...receiving.lines[itemId], ...changes } }
+    });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 overflow-hidden transition-colors duration-200">
+      <div className="p-4 border-b dark:border-gray-700 flex justify-between items-center gap-3">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Stock Transfers</h2>
+        <div className="flex items-center gap-3">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+          >
+            <option value="">All statuses</option>
+            <option value="requested">Requested</option>
+            <option value="in_transit">In transit</option>
+            <option value="received">Received</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          <button
+            onClick={() => { setForm(EMPTY_TRANSFER); setError(''); }}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-2"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <line x1="12" y1="5" x2="12" y2="19" /><line x1="5" y1="12" x2="19" y2="12" />
+            </svg>
+            New Transfer
+          </button>
+        </div>
+      </div>
+
+      {form && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+          {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <select
+              value={form.from_branch}
+              onChange={(e) => setForm({ ...form, from_branch: e.target.value, items: EMPTY_TRANSFER.items })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            >
+              <option value="">From branch *</option>
+              {branches.map(branch => <option key={branch} value={branch}>{branch}</option>)}
+            </select>
+            <select
+              value={form.to_branch}
+              onChange={(e) => setForm({ ...form, to_branch: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            >
+              <option value="">To branch *</option>
+              {branches.filter(branch => branch !== form.from_branch).map(branch => (
+                <option key={branch} value={branch}>{branch}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Note"
+              value={form.note}
+              onChange={(e) => setForm({ ...form, note: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+            />
+          </div>
+
+          {form.items.map((line, index) => (
+            <div key={index} className="flex gap-3">
+              <select
+                value={line.product_id}
+                disabled={!form.from_branch}
+                onChange={(e) => updateLine(index, { product_id: e.target.value })}
+                className="flex-1 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white disabled:opacity-50"
+              >
+                <option value="">Product</option>
+                {sourceStock.map(item => (
+                  <option key={item.id} value={item.product_id}>{item.product} ({item.available} available)</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="1"
+                value={line.quantity}
+                onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                className="w-24 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              />
+              {form.items.length > 1 && (
+                <button
+                  onClick={() => setForm({ ...form, items: form.items.filter((_, i) => i !== index) })}
+                  className="px-3 text-red-600 dark:text-red-400 hover:underline text-sm"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          ))}
+
+          <div className="flex gap-3">
+            <button
+              onClick={() => setForm({ ...form, items: [...form.items, { product_id: '', quantity: 1 }] })}
+              className="px-4 py-2 text-blue-600 dark:text-blue-400 hover:underline text-sm"
+            >
+              + Add line
+            </button>
+            <button
+              onClick={handleCreate}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+            >
+              Request Transfer
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {receiving && (
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 border-b dark:border-gray-700 space-y-3">
+          <h3 className="font-medium text-gray-900 dark:text-white">
+            Receive transfer #{receiving.transfer.id} at {receiving.transfer.to_branch}
+          </h3>
+          {receiving.transfer.items.map(item => (
+            <div key={item.id} className="flex items-center gap-3 text-sm text-gray-600 dark:text-gray-300">
+              <span className="flex-1">{item.product} ({item.quantity} sent)</span>
+              <input
+                type="number"
+                min="0"
+                value={receiving.lines[item.id].received_quantity}
+                onChange={(e) => updateReceived(item.id, { received_quantity: e.target.value })}
+                className="w-24 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+              />
+              <input
+                type="text"
+                placeholder="Discrepancy note"
+                value={receiving.lines[item.id].note}
+                disabled={Number(receiving.lines[item.id].received_quantity) === item.quantity}
+                onChange={(e) => updateReceived(item.id, { note: e.target.value })}
+                className="flex-1 px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white disabled:opacity-50"
+              />
+            </div>
+          ))}
+          <div className="flex gap-3">
+            <button
+              onClick={handleReceive}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+            >
+              Confirm Receipt
+            </button>
+            <button
+              onClick={() => setReceiving(null)}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs border-b dark:border-gray-700">
+            <tr>
+              <th className="px-6 py-4">Transfer</th>
+              <th className="px-6 py-4">Route</th>
+              <th className="px-6 py-4">Items</th>
+              <th className="px-6 py-4">Status</th>
+              <th className="px-6 py-4">Requested</th>
+              <th className="px-6 py-4 text-right">Action</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y dark:divide-gray-700">
+            {transfers.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="px-6 py-8 text-center text-gray-400">No transfers yet</td>
+              </tr>
+            ) : transfers.map(transfer => (
+              <tr key={transfer.id} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                <td className="px-6 py-4 font-medium text-gray-900 dark:text-white">
+                  #{transfer.id}
+                  {transfer.note && <div className="text-xs font-normal text-gray-400">{transfer.note}</div>}
+                </td>
+                <td className="px-6 py-4">{transfer.from_branch} → {transfer.to_branch}</td>
+                <td className="px-6 py-4">
+                  {transfer.items.map(item => (
+                    <div key={item.id}>
+                      {item.quantity}x {item.product}
+                      {item.discrepancy !== null && item.discrepancy !== 0 && (
+                        <span className="ml-1 text-xs text-red-600 dark:text-red-400">
+                          ({item.received_quantity} received{item.discrepancy_note ? `: ${item.discrepancy_note}` : ''})
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </td>
+                <td className="px-6 py-4">
+                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${TRANSFER_STATUS_BADGES[transfer.status]}`}>
+                    {transfer.status.replace('_', ' ')}
+                  </span>
+                </td>
+                <td className="px-6 py-4">
+                  {new Date(transfer.created_at).toLocaleString()}
+                  <div className="text-xs text-gray-400">by {transfer.requested_by_username || '-'}</div>
+                </td>
+                <td className="px-6 py-4 text-right">
+                  <div className="flex items-center justify-end gap-2">
+                    {transfer.status === 'requested' && (
+                      <button
+                        onClick={() => runAction('dispatch', transfer)}
+                        className="text-blue-600 dark:text-blue-400 hover:text-blue-900 dark:hover:text-blue-300 font-medium hover:underline text-sm"
+                      >
+                        Dispatch
+                      </button>
+                    )}
+                    {transfer.status === 'in_transit' && (
+                      <button
+                        onClick={() => openReceive(transfer)}
+                        className="text-green-600 dark:text-green-400 hover:text-green-900 dark:hover:text-green-300 font-medium hover:underline text-sm"
+                      >
+                        Receive
+                      </button>
+                    )}
+                    {(transfer.status === 'requested' || transfer.status === 'in_transit') && (
+                      <>
+                        <span className="text-gray-300 dark:text-gray-600">|</span>
+                        <button
+                          onClick={() => runAction('cancel', transfer)}
+                          className="text-red-600 dark:text-red-400 hover:text-red-900 dark:hover:text-red-300 font-medium hover:underline text-sm"
+                        >
+                          Cancel
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,305 @@
+import { useState, useEffect } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { inventoryAPI, writeOffsAPI } from '../api';
+
+const WRITE_OFF_REASONS = [
+  { key: 'damaged', label: 'Damaged' },
+  { key: 'expired', label: 'Expired' },
+  { key: 'theft', label: 'Theft' },
+  { key: 'sample', label: 'Sample' },
+  { key: 'internal_use', label: 'Internal use' }
+];
+
+const reasonLabel = (key) => WRITE_OFF_REASONS.find(reason => reason.key === key)?.label || key;
+
+const EMPTY_WRITE_OFF = { branch: '', inventory_id: '', lot_id: '', quantity: 1, reason: 'damaged', note: '', photo: null };
+
+export default function WriteOffsSection({ inventory, branches }) {
+  const [form, setForm] = useState(EMPTY_WRITE_OFF);
+  const [lots, setLots] = useState([]);
+  const [filters, setFilters] = useState({ branch: 'All', reason: '', from: '', to: '', period: 'day' });
+  const [report, setReport] = useState(null);
+  const [writeOffs, setWriteOffs] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Stock changes elsewhere (including other admins' write-offs) refresh the report
+  useEffect(() => {
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+    Promise.all([writeOffsAPI.getReport(params), writeOffsAPI.getAll(params)])
+      .then(([reportResponse, listResponse]) => {
+        setReport(reportResponse.data);
+        setWriteOffs(listResponse.data);
+      })
+      .catch(error => console.error('Error fetching write-offs:', error));
+  }, [filters, inventory]);
+
+  useEffect(() => {
+    if (!form.inventory_id) {
+      setLots([]);
+      return;
+    }
+    inventoryAPI.getLots(form.inventory_id)
+      .then(response => setLots(response.data.lots))
+      .catch(error => console.error('Error fetching lots:', error));
+  }, [form.inventory_id]);
+
+  const branchStock = inventory.filter(item => item.branch === form.branch && item.stock > 0);
+
+  const handleSubmit = async () => {
+    setError('');
+    setSaving(true);
+
+    const data = new FormData();
+    data.append('inventory_id', form.inventory_id);
+    data.append('quantity', form.quantity);
+    data.append('reason', form.reason);
+    if (form.lot_id) data.append('lot_id', form.lot_id);
+    if (form.note) data.append('note', form.note);
+    if (form.photo) data.append('photo', form.photo);
+
+    try {
+      await writeOffsAPI.create(data);
+      setForm({ ...EMPTY_WRITE_OFF, branch: form.branch });
+    } catch (error) {
+      setError(error.response?.data?.error || 'Failed to record write-off');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const breakdownTable = (title, key, rows, format = value => value) => (
+    <div className="border dark:border-gray-700 rounded-lg overflow-hidden">
+      <h3 className="px-4 py-2 bg-gray-50 dark:bg-gray-700/50 text-sm font-semibold text-gray-900 dark:text-white">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="px-4 py-3 text-sm text-gray-400">Nothing written off</p>
+      ) : (
+        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+          <tbody className="divide-y dark:divide-gray-700">
+            {rows.slice(0, 10).map(row => (
+              <tr key={row[key]}>
+                <td className="px-4 py-2">{format(row[key])}</td>
+                <td className="px-4 py-2 text-right">{row.quantity}</td>
+                <td className="px-4 py-2 text-right font-medium">KES {row.value.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-4 space-y-3 transition-colors duration-200">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Write Off Stock</h2>
+        {error && <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <select
+            value={form.branch}
+            onChange={(e) => setForm({ ...form, branch: e.target.value, inventory_id: '', lot_id: '' })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+          >
+            <option value="">Branch *</option>
+            {branches.map(branch => <option key={branch} value={branch}>{branch}</option>)}
+          </select>
+          <select
+            value={form.inventory_id}
+            disabled={!form.branch}
+            onChange={(e) => setForm({ ...form, inventory_id: e.target.value, lot_id: '' })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white disabled:opacity-50"
+          >
+            <option value="">Product *</option>
+            {branchStock.map(item => (
+              <option key={item.id} value={item.id}>{item.product} ({item.stock} in stock)</option>
+            ))}
+          </select>
+          <select
+            value={form.lot_id}
+            disabled={lots.length === 0}
+            onChange={(e) => setForm({ ...form, lot_id: e.target.value })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white disabled:opacity-50"
+          >
+            <option value="">{lots.length === 0 ? 'No batches' : 'Soonest expiry first'}</option>
+            {lots.map(lot => (
+              <option key={lot.id} value={lot.id}>
+                {lot.batch_number || 'No batch'} - {lot.quantity} units{lot.expiry_date ? `, best before ${lot.expiry_date}` : ''}{lot.expired ? ' (expired)' : ''}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="1"
+            value={form.quantity}
+            onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+          />
+          <select
+            value={form.reason}
+            onChange={(e) => setForm({ ...form, reason: e.target.value })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+          >
+            {WRITE_OFF_REASONS.map(reason => <option key={reason.key} value={reason.key}>{reason.label}</option>)}
+          </select>
+          <input
+            type="text"
+            placeholder="Note"
+            value={form.note}
+            onChange={(e) => setForm({ ...form, note: e.target.value })}
+            className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white"
+          />
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="text-sm text-gray-600 dark:text-gray-300">
+            Photo (optional)
+            <input
+              type="file"
+              accept="image/*"
+              capture="environment"
+              onChange={(e) => setForm({ ...form, photo: e.target.files[0] || null })}
+              className="ml-2 text-sm"
+            />
+          </label>
+          <button
+            onClick={handleSubmit}
+            disabled={!form.inventory_id || saving}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Write Off'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 transition-colors duration-200">
+        <div className="p-4 border-b dark:border-gray-700 flex flex-wrap justify-between items-center gap-3">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Shrinkage
+            {report && (
+              <span className="ml-2 text-sm font-normal text-gray-500 dark:text-gray-400">
+                {report.quantity} units, KES {report.value.toLocaleString()} at cost
+              </span>
+            )}
+          </h2>
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={filters.branch}
+              onChange={(e) => setFilters({ ...filters, branch: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+            >
+              <option value="All">All branches</option>
+              {branches.map(branch => <option key={branch} value={branch}>{branch}</option>)}
+            </select>
+            <select
+              value={filters.reason}
+              onChange={(e) => setFilters({ ...filters, reason: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+            >
+              <option value="">All reasons</option>
+              {WRITE_OFF_REASONS.map(reason => <option key={reason.key} value={reason.key}>{reason.label}</option>)}
+            </select>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+            />
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+            />
+            <select
+              value={filters.period}
+              onChange={(e) => setFilters({ ...filters, period: e.target.value })}
+              className="px-3 py-2 border dark:border-gray-600 rounded dark:bg-gray-700 dark:text-white text-sm"
+            >
+              <option value="day">By day</option>
+              <option value="week">By week</option>
+              <option value="month">By month</option>
+            </select>
+          </div>
+        </div>
+
+        {report && (
+          <div className="p-4 space-y-4">
+            {report.by_period.length > 0 && (
+              <div className="h-56">
+                <Bar
+                  data={{
+                    labels: report.by_period.map(row => row.period),
+                    datasets: [{
+                      label: 'Written off (KES at cost)',
+                      data: report.by_period.map(row => row.value),
+                      backgroundColor: '#ef4444',
+                      borderRadius: 6,
+                    }]
+                  }}
+                  options={{
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { display: false } },
+                    scales: { y: { beginAtZero: true } }
+                  }}
+                />
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {breakdownTable('By reason', 'reason', report.by_reason, reasonLabel)}
+              {breakdownTable('By branch', 'branch', report.by_branch)}
+              {breakdownTable('By product', 'product', report.by_product)}
+            </div>
+          </div>
+        )}
+
+        <div className="overflow-x-auto border-t dark:border-gray-700">
+          <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-900 dark:text-white uppercase font-semibold text-xs">
+              <tr>
+                <th className="px-6 py-3">When</th>
+                <th className="px-6 py-3">Branch</th>
+                <th className="px-6 py-3">Product</th>
+                <th className="px-6 py-3">Units</th>
+                <th className="px-6 py-3">Reason</th>
+                <th className="px-6 py-3 text-right">Cost (KES)</th>
+                <th className="px-6 py-3">Photo</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y dark:divide-gray-700">
+              {writeOffs.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="px-6 py-8 text-center text-gray-400">No write-offs in this period</td>
+                </tr>
+              ) : writeOffs.map(writeOff => (
+                <tr key={writeOff.id}>
+                  <td className="px-6 py-3">
+                    {new Date(writeOff.created_at).toLocaleString()}
+                    <div className="text-xs text-gray-400">by {writeOff.created_by_username || '-'}</div>
+                  </td>
+                  <td className="px-6 py-3">{writeOff.branch}</td>
+                  <td className="px-6 py-3">
+                    {writeOff.product}
+                    {writeOff.batch_number && <div className="text-xs text-gray-400">Batch {writeOff.batch_number}</div>}
+                  </td>
+                  <td className="px-6 py-3">{writeOff.quantity}</td>
+                  <td className="px-6 py-3">
+                    {reasonLabel(writeOff.reason)}
+                    {writeOff.note && <div className="text-xs text-gray-400">{writeOff.note}</div>}
+                  </td>
+                  <td className="px-6 py-3 text-right font-medium">{writeOff.value.toLocaleString()}</td>
+                  <td className="px-6 py-3">
+                    {writeOff.photo_url ? (
+                      <a href={writeOff.photo_url} target="_blank" rel="noreferrer">
+                        <img src={writeOff.photo_url} alt="" className="h-10 w-10 object-cover rounded" />
+                      </a>
+                    ) : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
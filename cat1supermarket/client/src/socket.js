@@ -54,6 +54,12 @@ class SocketService {
     }
   }
 
+  joinUser(token) {
+    if (this.socket && token) {
+      this.socket.emit('join-user', token);
+    }
+  }
+
   on(event, callback) {
     if (this.socket) {
       this.socket.on(event, callback);
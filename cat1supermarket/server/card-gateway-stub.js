@@ -0,0 +1,206 @@
+require('dotenv').config();
+
+const express = require('express');
+const cors = require('cors');
+const crypto = require('crypto');
+
+// Local stand-in for a card acquirer. Point CARD_GATEWAY_URL at it and card tenders are
+// charged and refunded here. Nothing leaves the machine.
+//
+// Like a real gateway, card details never pass through the shop's server: the browser
+// swaps them for a single-use token at POST /v1/tokens (with the publishable key), and the
+// server charges the token (with the secret key).
+//
+// Test cards (any future expiry, any 3-digit CVC):
+//   4242 4242 4242 4242 - approved
+//   4000 0000 0000 0002 - declined by the issuer
+//   4000 0000 0000 9995 - declined for insufficient funds
+//   any other number that passes the Luhn check - approved
+// Numbers failing the Luhn check, past expiry dates and bad CVCs are rejected as invalid.
+
+const PORT = process.env.CARD_GATEWAY_PORT || 4100;
+const API_KEY = process.env.CARD_GATEWAY_KEY || 'sk_test_stub';
+const PUBLISHABLE_KEY = process.env.CARD_GATEWAY_PUBLISHABLE_KEY || 'pk_test_stub';
+
+const DECLINES = {
+  '4000000000000002': { code: 'card_declined', message: 'The card was declined' },
+  '4000000000009995': { code: 'insufficient_funds', message: 'The card has insufficient funds' }
+};
+
+const tokens = new Map();
+const charges = new Map();
+const refunds = new Map();
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function passesLuhn(number) {
+  let sum = 0;
+  number.split('').reverse().forEach((digit, index) => {
+    let value = Number(digit);
+    if (index % 2 === 1) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return sum % 10 === 0;
+}
+
+function cardBrand(number) {
+  if (number.startsWith('4')) return 'visa';
+  if (/^5[1-5]/.test(number)) return 'mastercard';
+  if (/^3[47]/.test(number)) return 'amex';
+  return 'unknown';
+}
+
+function invalidRequest(res, message, code = 'invalid_request') {
+  res.status(400).json({ error: { code, message } });
+}
+
+const app = express();
+app.use(express.json());
+
+// Browsers only ever call the token endpoint, with the publishable key
+app.use('/v1/tokens', cors());
+
+app.use('/v1', (req, res, next) => {
+  const key = req.path === '/tokens' ? PUBLISHABLE_KEY : API_KEY;
+  if (req.headers.authorization !== `Bearer ${key}`) {
+    return res.status(401).json({ error: { code: 'unauthorized', message: 'Invalid API key' } });
+  }
+  next();
+});
+
+app.post('/v1/tokens', (req, res) => {
+  const { card } = req.body;
+
+  if (!card || !card.number) {
+    return invalidRequest(res, 'card is required');
+  }
+
+  const number = String(card.number).replace(/\D/g, '');
+  if (number.length < 12 || !passesLuhn(number)) {
+    return invalidRequest(res, 'The card number is invalid', 'invalid_number');
+  }
+
+  const now = new Date();
+  const expiry = new Date(Number(card.exp_year), Number(card.exp_month));
+  if (!(Number(card.exp_month) >= 1 && Number(card.exp_month) <= 12) || expiry <= now) {
+    return invalidRequest(res, 'The card has expired', 'expired_card');
+  }
+  if (!/^\d{3,4}$/.test(String(card.cvc))) {
+    return invalidRequest(res, 'The CVC is invalid', 'invalid_cvc');
+  }
+
+  const token = {
+    id: newId('tok'),
+    number,
+    used: false,
+    card: {
+      brand: cardBrand(number),
+      last4: number.slice(-4),
+      exp_month: Number(card.exp_month),
+      exp_year: Number(card.exp_year)
+    },
+    created: now.toISOString()
+  };
+  tokens.set(token.id, token);
+
+  res.json({ id: token.id, card: token.card, created: token.created });
+});
+
+app.post('/v1/charges', (req, res) => {
+  const { amount, currency, reference, source } = req.body;
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return invalidRequest(res, 'amount must be a positive integer in minor units');
+  }
+
+  const token = tokens.get(source);
+  if (!token) {
+    return invalidRequest(res, 'source must be a card token from /v1/tokens', 'invalid_token');
+  }
+  if (token.used) {
+    return invalidRequest(res, 'The card token has already been used', 'token_already_used');
+  }
+  token.used = true;
+
+  const decline = DECLINES[token.number];
+  const charge = {
+    id: newId('ch'),
+    amount,
+    amount_refunded: 0,
+    currency: currency || 'KES',
+    reference: reference || null,
+    status: decline ? 'failed' : 'succeeded',
+    decline_code: decline ? decline.code : null,
+    decline_message: decline ? decline.message : null,
+    card: { brand: token.card.brand, last4: token.card.last4 },
+    created: new Date().toISOString()
+  };
+  charges.set(charge.id, charge);
+
+  console.log(`Charge ${charge.id}: ${amount} ${charge.currency} on ****${charge.card.last4} - ${charge.status}`);
+  res.status(decline ? 402 : 200).json(decline
+    ? { ...charge, error: { code: decline.code, message: decline.message } }
+    : charge);
+});
+
+app.get('/v1/charges/:id', (req, res) => {
+  const charge = charges.get(req.params.id);
+  if (!charge) {
+    return res.status(404).json({ error: { code: 'resource_missing', message: 'No such charge' } });
+  }
+  res.json(charge);
+});
+
+app.post('/v1/refunds', (req, res) => {
+  const { charge: chargeId, amount, reason } = req.body;
+  const charge = charges.get(chargeId);
+
+  if (!charge) {
+    return res.status(404).json({ error: { code: 'resource_missing', message: 'No such charge' } });
+  }
+  if (charge.status !== 'succeeded') {
+    return invalidRequest(res, 'Only successful charges can be refunded');
+  }
+
+  const refundAmount = amount === undefined ? charge.amount - charge.amount_refunded : amount;
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > charge.amount - charge.amount_refunded) {
+    return invalidRequest(res, 'Refund amount exceeds what is left on the charge', 'amount_too_large');
+  }
+
+  charge.amount_refunded += refundAmount;
+  const refund = {
+    id: newId('re'),
+    charge: charge.id,
+    amount: refundAmount,
+    reason: reason || null,
+    status: 'succeeded',
+    created: new Date().toISOString()
+  };
+  refunds.set(refund.id, refund);
+
+  console.log(`Refund ${refund.id}: ${refundAmount} on charge ${charge.id}`);
+  res.json(refund);
+});
+
+// Inspect what the stub has seen
+app.get('/stub/charges', (req, res) => {
+  res.json(Array.from(charges.values()));
+});
+
+app.get('/stub/refunds', (req, res) => {
+  res.json(Array.from(refunds.values()));
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Card gateway stub running on http://localhost:${PORT}`);
+    console.log(`Set CARD_GATEWAY_URL=http://localhost:${PORT} on the server to use it`);
+  });
+}
+
+module.exports = app;
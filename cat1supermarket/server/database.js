@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const DB_PATH = path.join(__dirname, 'supermarket.db');
 
@@ -11,6 +12,57 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
   }
 });
 
+// Wait for other processes holding a write lock instead of failing with SQLITE_BUSY
+db.configure('busyTimeout', 5000);
+
+// Shared by the CREATE TABLE and the catalog migration that rebuilds older inventory tables.
+// The product's name, default price and image live in products; price_override is set only
+// where a branch sells at its own price, and cost_price is the unit cost of the last goods
+// received. Stock at or below reorder_point raises a low-stock alert, suggesting an order of
+// reorder_quantity. `branch` keeps the branch name next to branch_id
+// so existing queries and reports read as before.
+const INVENTORY_COLUMNS = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  branch TEXT NOT NULL,
+  branch_id INTEGER,
+  product_id INTEGER NOT NULL,
+  price_override REAL,
+  cost_price REAL,
+  stock INTEGER NOT NULL DEFAULT 0,
+  reorder_point INTEGER NOT NULL DEFAULT 10,
+  reorder_quantity INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (branch_id) REFERENCES branches(id),
+  FOREIGN KEY (product_id) REFERENCES products(id)
+`;
+
+// Shared by the CREATE TABLE and the migration that rebuilds older refunds tables. M-Pesa
+// refunds (B2C payment or reversal) point at the transaction; cash, card and store credit
+// refunds point at the payment instead.
+const REFUND_COLUMNS = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER,
+  payment_id INTEGER,
+  order_id INTEGER,
+  method TEXT NOT NULL,
+  amount REAL NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending',
+  originator_conversation_id TEXT,
+  conversation_id TEXT,
+  result_code TEXT,
+  result_desc TEXT,
+  refund_receipt TEXT,
+  requested_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  completed_at DATETIME,
+  FOREIGN KEY (transaction_id) REFERENCES mpesa_transactions(id),
+  FOREIGN KEY (payment_id) REFERENCES payments(id),
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (requested_by) REFERENCES users(id)
+`;
+
 // Initialize tables
 function initializeDatabase() {
   return new Promise((resolve, reject) => {
@@ -26,31 +78,69 @@ function initializeDatabase() {
         )
       `);
 
-      // Inventory table
+      // Branches (stores) - everything stocked or sold belongs to one
       db.run(`
-        CREATE TABLE IF NOT EXISTS inventory (
+        CREATE TABLE IF NOT EXISTS branches (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
-          branch TEXT NOT NULL,
-          product TEXT NOT NULL,
-          price REAL NOT NULL,
-          stock INTEGER NOT NULL DEFAULT 0,
-          imageUrl TEXT NOT NULL,
+          name TEXT NOT NULL COLLATE NOCASE UNIQUE,
+          county_id INTEGER,
+          address TEXT,
+          latitude REAL,
+          longitude REAL,
+          phone TEXT,
+          opening_hours TEXT,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          manager_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (county_id) REFERENCES counties(id),
+          FOREIGN KEY (manager_id) REFERENCES users(id)
+        )
+      `);
+
+      // Product catalog - what a product is, independent of any branch. Sizes and packagings
+      // of one product are variants: products of their own whose parent_id is the product.
+      // A pack (e.g. a crate of 24) holds pack_size of pack_unit_id; with pack_stock 'units'
+      // it sells from the unit's stock, with 'own' it is counted in packs.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS products (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sku TEXT UNIQUE NOT NULL,
+          name TEXT NOT NULL COLLATE NOCASE UNIQUE,
+          description TEXT,
+          category TEXT,
+          brand TEXT,
+          default_price REAL NOT NULL,
+          image_url TEXT,
+          deposit_amount REAL,
+          parent_id INTEGER REFERENCES products(id),
+          variant_name TEXT,
+          pack_size INTEGER,
+          pack_unit_id INTEGER REFERENCES products(id),
+          pack_stock TEXT,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
+      // Inventory table - a catalog product stocked at a branch
+      db.run(`CREATE TABLE IF NOT EXISTS inventory (${INVENTORY_COLUMNS})`);
+
       // Sales table
       db.run(`
         CREATE TABLE IF NOT EXISTS sales (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
           user_id INTEGER,
           branch TEXT NOT NULL,
+          branch_id INTEGER,
           product TEXT NOT NULL,
+          product_id INTEGER,
           quantity INTEGER NOT NULL,
           total_amount REAL NOT NULL,
           timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY (user_id) REFERENCES users(id)
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          FOREIGN KEY (branch_id) REFERENCES branches(id),
+          FOREIGN KEY (product_id) REFERENCES products(id)
         )
       `);
 
@@ -68,11 +158,644 @@ function initializeDatabase() {
           result_code INTEGER,
           result_desc TEXT,
           mpesa_receipt TEXT,
+          order_id INTEGER,
+          mpesa_account_id INTEGER,
+          payment_id INTEGER,
+          settled_by TEXT,
+          reconcile_attempts INTEGER DEFAULT 0,
+          last_reconcile_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME,
+          FOREIGN KEY (order_id) REFERENCES orders(id)
+        )
+      `);
+
+      // Daraja account (PayBill or Till) that collects payments for a branch
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mpesa_accounts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch TEXT UNIQUE NOT NULL,
+          shortcode TEXT NOT NULL,
+          till_number TEXT,
+          transaction_type TEXT NOT NULL DEFAULT 'CustomerPayBillOnline',
+          environment TEXT NOT NULL DEFAULT 'sandbox',
+          passkey_encrypted TEXT NOT NULL,
+          consumer_key TEXT,
+          consumer_secret_encrypted TEXT,
+          is_active INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Every M-Pesa callback body as received, with what was done about it
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mpesa_callback_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          merchant_request_id TEXT,
+          checkout_request_id TEXT,
+          mpesa_receipt TEXT,
+          result_code INTEGER,
+          payload TEXT NOT NULL,
+          outcome TEXT NOT NULL DEFAULT 'received',
+          outcome_detail TEXT,
+          received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Uploaded M-Pesa statements and how each line reconciled
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mpesa_statement_reports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          filename TEXT,
+          uploaded_by INTEGER,
+          branch TEXT,
+          period_start DATETIME,
+          period_end DATETIME,
+          line_count INTEGER NOT NULL,
+          summary TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (uploaded_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mpesa_statement_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          report_id INTEGER NOT NULL,
+          category TEXT NOT NULL,
+          receipt TEXT,
+          statement_amount REAL,
+          statement_phone TEXT,
+          statement_time DATETIME,
+          transaction_id INTEGER,
+          system_amount REAL,
+          system_phone TEXT,
+          system_status TEXT,
+          branch TEXT,
+          details TEXT,
+          FOREIGN KEY (report_id) REFERENCES mpesa_statement_reports(id),
+          FOREIGN KEY (transaction_id) REFERENCES mpesa_transactions(id)
+        )
+      `);
+
+      // Money given back for a payment
+      db.run(`CREATE TABLE IF NOT EXISTS refunds (${REFUND_COLUMNS})`);
+
+      // Units returned with a refund, put back on the shelf when it succeeds
+      db.run(`
+        CREATE TABLE IF NOT EXISTS refund_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          refund_id INTEGER NOT NULL,
+          order_item_id INTEGER NOT NULL,
+          inventory_id INTEGER,
+          quantity INTEGER NOT NULL,
+          FOREIGN KEY (refund_id) REFERENCES refunds(id),
+          FOREIGN KEY (order_item_id) REFERENCES order_items(id),
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_mpesa_transactions_receipt
+        ON mpesa_transactions (mpesa_receipt)
+      `);
+
+      // Orders table - one row per basket
+      db.run(`
+        CREATE TABLE IF NOT EXISTS orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER,
+          branch TEXT NOT NULL,
+          branch_id INTEGER,
+          total_amount REAL NOT NULL,
+          deposit_total REAL NOT NULL DEFAULT 0,
+          discount_total REAL NOT NULL DEFAULT 0,
+          item_count INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'completed',
+          paid_at DATETIME,
+          payment_reference TEXT,
+          legacy_sale_id INTEGER UNIQUE,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          FOREIGN KEY (branch_id) REFERENCES branches(id)
+        )
+      `);
+
+      // Order items table - one row per cart line. total_amount is what the line charges after
+      // its discount_amount from promotions. stock_inventory_id and stock_quantity are the
+      // shelf and units the line takes, which differ from the line's own item for packs sold
+      // from unit stock.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS order_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          inventory_id INTEGER,
+          product_id INTEGER,
+          branch TEXT NOT NULL,
+          product TEXT NOT NULL,
+          quantity INTEGER NOT NULL,
+          unit_price REAL NOT NULL,
+          total_amount REAL NOT NULL,
+          deposit_amount REAL NOT NULL DEFAULT 0,
+          discount_amount REAL NOT NULL DEFAULT 0,
+          stock_inventory_id INTEGER,
+          stock_quantity INTEGER,
+          FOREIGN KEY (order_id) REFERENCES orders(id),
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id),
+          FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+      `);
+
+      // Discount rules applied when orders are priced. A rule may be limited to one branch,
+      // a time window and a minimum spend; which other columns apply depends on the type.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS promotions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          product_id INTEGER,
+          category TEXT,
+          value REAL,
+          buy_quantity INTEGER,
+          get_quantity INTEGER,
+          bundle_quantity INTEGER,
+          bundle_price REAL,
+          min_spend REAL,
+          branch_id INTEGER,
+          starts_at DATETIME,
+          ends_at DATETIME,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (product_id) REFERENCES products(id),
+          FOREIGN KEY (branch_id) REFERENCES branches(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+      `);
+
+      // The promotions an order got, as they were when it was placed. Product promotions
+      // name the line they discounted; order-wide ones have no order_item_id.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS order_promotions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          promotion_id INTEGER NOT NULL,
+          order_item_id INTEGER,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          product TEXT,
+          discount_amount REAL NOT NULL,
+          FOREIGN KEY (order_id) REFERENCES orders(id),
+          FOREIGN KEY (promotion_id) REFERENCES promotions(id),
+          FOREIGN KEY (order_item_id) REFERENCES order_items(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_order_promotions_order
+        ON order_promotions (order_id)
+      `);
+
+      // One row per tender used to pay an order (M-Pesa, cash or card)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          provider TEXT NOT NULL,
+          amount REAL NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          reference TEXT,
+          details TEXT,
+          refunded_amount REAL NOT NULL DEFAULT 0,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME,
+          FOREIGN KEY (order_id) REFERENCES orders(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_payments_order
+        ON payments (order_id)
+      `);
+
+      // Stock held for orders waiting on payment
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stock_reservations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          inventory_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'active',
+          expires_at DATETIME NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          released_at DATETIME,
+          FOREIGN KEY (order_id) REFERENCES orders(id),
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_stock_reservations_active
+        ON stock_reservations (inventory_id, status, expires_at)
+      `);
+
+      // Append-only ledger of every change to inventory.stock. `balance` is the stock the
+      // change left behind; summing `delta` per item gives back its current stock.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stock_movements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          inventory_id INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          delta INTEGER NOT NULL,
+          balance INTEGER NOT NULL,
+          user_id INTEGER,
+          reference_type TEXT,
+          reference_id INTEGER,
+          note TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_stock_movements_inventory
+        ON stock_movements (inventory_id, id)
+      `);
+
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS stock_movements_no_update
+        BEFORE UPDATE ON stock_movements
+        BEGIN
+          SELECT RAISE(ABORT, 'stock_movements is append-only');
+        END
+      `);
+
+      db.run(`
+        CREATE TRIGGER IF NOT EXISTS stock_movements_no_delete
+        BEFORE DELETE ON stock_movements
+        BEGIN
+          SELECT RAISE(ABORT, 'stock_movements is append-only');
+        END
+      `);
+
+      // Stock moved from one branch to another. A transfer is requested, dispatched (stock
+      // leaves the source) and received (stock arrives at the destination), or cancelled.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stock_transfers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          from_branch_id INTEGER NOT NULL,
+          to_branch_id INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'requested',
+          note TEXT,
+          requested_by INTEGER,
+          dispatched_by INTEGER,
+          received_by INTEGER,
+          cancelled_by INTEGER,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          completed_at DATETIME
+          dispatched_at DATETIME,
+          received_at DATETIME,
+          cancelled_at DATETIME,
+          FOREIGN KEY (from_branch_id) REFERENCES branches(id),
+          FOREIGN KEY (to_branch_id) REFERENCES branches(id),
+          FOREIGN KEY (requested_by) REFERENCES users(id),
+          FOREIGN KEY (dispatched_by) REFERENCES users(id),
+          FOREIGN KEY (received_by) REFERENCES users(id),
+          FOREIGN KEY (cancelled_by) REFERENCES users(id)
         )
       `);
 
+      // One row per product on a transfer. Received quantities that differ from what was
+      // dispatched are kept as a discrepancy with the receiver's note.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stock_transfer_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          transfer_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL,
+          received_quantity INTEGER,
+          discrepancy_note TEXT,
+          FOREIGN KEY (transfer_id) REFERENCES stock_transfers(id),
+          FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer
+        ON stock_transfer_items (transfer_id)
+      `);
+
+      // Raised when an item's stock falls to its reorder point. Stays open until an admin
+      // acknowledges it, and is resolved once stock is back above the reorder point.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stock_alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          inventory_id INTEGER NOT NULL,
+          stock INTEGER NOT NULL,
+          reorder_point INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open',
+          acknowledged_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          acknowledged_at DATETIME,
+          resolved_at DATETIME,
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id),
+          FOREIGN KEY (acknowledged_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_stock_alerts_inventory
+        ON stock_alerts (inventory_id, status)
+      `);
+
+      // Batches of an inventory item with their best-before date. `quantity` is what is left
+      // of the batch; stock restocked without a batch is untracked and not in any lot.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stock_lots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          inventory_id INTEGER NOT NULL,
+          batch_number TEXT,
+          expiry_date DATE,
+          quantity INTEGER NOT NULL CHECK (quantity >= 0),
+          received_quantity INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_stock_lots_inventory
+        ON stock_lots (inventory_id, expiry_date)
+      `);
+
+      // The lots a stock movement took units from (negative) or put units into (positive)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stock_movement_lots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          movement_id INTEGER NOT NULL,
+          lot_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL,
+          FOREIGN KEY (movement_id) REFERENCES stock_movements(id),
+          FOREIGN KEY (lot_id) REFERENCES stock_lots(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_stock_movement_lots_movement
+        ON stock_movement_lots (movement_id)
+      `);
+
+      // A physical count of a branch's stock, of every item or one category. Expected
+      // quantities are frozen when the count opens; posting adjusts stock by the variance.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stocktakes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch_id INTEGER NOT NULL,
+          category TEXT,
+          status TEXT NOT NULL DEFAULT 'counting',
+          note TEXT,
+          created_by INTEGER,
+          submitted_by INTEGER,
+          posted_by INTEGER,
+          cancelled_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          submitted_at DATETIME,
+          posted_at DATETIME,
+          cancelled_at DATETIME,
+          FOREIGN KEY (branch_id) REFERENCES branches(id),
+          FOREIGN KEY (created_by) REFERENCES users(id),
+          FOREIGN KEY (submitted_by) REFERENCES users(id),
+          FOREIGN KEY (posted_by) REFERENCES users(id),
+          FOREIGN KEY (cancelled_by) REFERENCES users(id)
+        )
+      `);
+
+      // One row per item counted. `unit_value` (cost price, or selling price when the cost
+      // is unknown) is frozen with the expected quantity to value the variance.
+      // `adjustment` is what posting applied: null for lines skipped or never counted.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS stocktake_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          stocktake_id INTEGER NOT NULL,
+          inventory_id INTEGER NOT NULL,
+          expected_quantity INTEGER NOT NULL,
+          unit_value REAL NOT NULL,
+          counted_quantity INTEGER,
+          counted_by INTEGER,
+          counted_at DATETIME,
+          note TEXT,
+          adjustment INTEGER,
+          FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id),
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id),
+          FOREIGN KEY (counted_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_stocktake_items_stocktake
+        ON stocktake_items (stocktake_id)
+      `);
+
+      // Stock lost to damage, expiry, theft, samples or use in store. Branch and product are
+      // kept alongside the inventory row so the loss stays reportable if the row is removed;
+      // `unit_cost` is frozen when the write-off is recorded.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS write_offs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          inventory_id INTEGER NOT NULL,
+          branch_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          lot_id INTEGER,
+          quantity INTEGER NOT NULL CHECK (quantity > 0),
+          reason TEXT NOT NULL,
+          unit_cost REAL NOT NULL,
+          note TEXT,
+          photo_url TEXT,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id),
+          FOREIGN KEY (branch_id) REFERENCES branches(id),
+          FOREIGN KEY (product_id) REFERENCES products(id),
+          FOREIGN KEY (lot_id) REFERENCES stock_lots(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_write_offs_branch_created
+        ON write_offs (branch_id, created_at)
+      `);
+
+      // Empty returnable bottles and crates brought back to a branch. The deposits are paid
+      // out over the counter or credited to the customer's store credit.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS empties_returns (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch_id INTEGER NOT NULL,
+          customer_id INTEGER,
+          settlement TEXT NOT NULL,
+          total_amount REAL NOT NULL,
+          note TEXT,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (branch_id) REFERENCES branches(id),
+          FOREIGN KEY (customer_id) REFERENCES users(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS empties_return_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          return_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL CHECK (quantity > 0),
+          unit_deposit REAL NOT NULL,
+          total_amount REAL NOT NULL,
+          FOREIGN KEY (return_id) REFERENCES empties_returns(id),
+          FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+      `);
+
+      // Ledger of the empties each branch holds: in when customers return them, out when
+      // the supplier collects them, or corrected after a count. On hand is the sum of delta.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS empties_movements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          delta INTEGER NOT NULL,
+          reference_type TEXT,
+          reference_id INTEGER,
+          note TEXT,
+          user_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (branch_id) REFERENCES branches(id),
+          FOREIGN KEY (product_id) REFERENCES products(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_empties_movements_branch_product
+        ON empties_movements (branch_id, product_id)
+      `);
+
+      // Ledger of what the shop owes each customer in store credit. Credits are positive,
+      // spending it at checkout is negative; the balance is the sum.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS store_credit_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          amount REAL NOT NULL,
+          reference_type TEXT,
+          reference_id INTEGER,
+          note TEXT,
+          created_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id),
+          FOREIGN KEY (created_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_store_credit_entries_user
+        ON store_credit_entries (user_id)
+      `);
+
+      // Companies stock is bought from
+      db.run(`
+        CREATE TABLE IF NOT EXISTS suppliers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL COLLATE NOCASE UNIQUE,
+          contact_name TEXT,
+          phone TEXT,
+          email TEXT,
+          address TEXT,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // An order placed with a supplier for one branch. Drafted, sent, then received in one or
+      // more goods-received notes, or cancelled.
+      db.run(`
+        CREATE TABLE IF NOT EXISTS purchase_orders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          supplier_id INTEGER NOT NULL,
+          branch_id INTEGER NOT NULL,
+          status TEXT NOT NULL DEFAULT 'draft',
+          expected_date DATE,
+          note TEXT,
+          created_by INTEGER,
+          sent_by INTEGER,
+          cancelled_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sent_at DATETIME,
+          cancelled_at DATETIME,
+          FOREIGN KEY (supplier_id) REFERENCES suppliers(id),
+          FOREIGN KEY (branch_id) REFERENCES branches(id),
+          FOREIGN KEY (created_by) REFERENCES users(id),
+          FOREIGN KEY (sent_by) REFERENCES users(id),
+          FOREIGN KEY (cancelled_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS purchase_order_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          purchase_order_id INTEGER NOT NULL,
+          product_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL,
+          unit_cost REAL NOT NULL,
+          received_quantity INTEGER NOT NULL DEFAULT 0,
+          FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id),
+          FOREIGN KEY (product_id) REFERENCES products(id)
+        )
+      `);
+
+      // One delivery against a purchase order, with a line per product that arrived
+      db.run(`
+        CREATE TABLE IF NOT EXISTS goods_received_notes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          purchase_order_id INTEGER NOT NULL,
+          delivery_reference TEXT,
+          note TEXT,
+          received_by INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id),
+          FOREIGN KEY (received_by) REFERENCES users(id)
+        )
+      `);
+
+      db.run(`
+        CREATE TABLE IF NOT EXISTS goods_received_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          grn_id INTEGER NOT NULL,
+          purchase_order_item_id INTEGER NOT NULL,
+          inventory_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL,
+          unit_cost REAL NOT NULL,
+          batch_number TEXT,
+          expiry_date DATE,
+          FOREIGN KEY (grn_id) REFERENCES goods_received_notes(id),
+          FOREIGN KEY (purchase_order_item_id) REFERENCES purchase_order_items(id),
+          FOREIGN KEY (inventory_id) REFERENCES inventory(id)
+        )
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_purchase_order_items_order
+        ON purchase_order_items (purchase_order_id)
+      `);
+
       // Counties table for dynamic county management
       db.run(`
         CREATE TABLE IF NOT EXISTS counties (
@@ -92,12 +815,407 @@ function initializeDatabase() {
       // Initialize counties
       initializeCounties();
 
-      console.log('Database tables initialized');
-      resolve();
+      addMissingColumns()
+        .then(migrateProductCatalog)
+        .then(migrateBranches)
+        .then(migrateRefundPayments)
+        .then(openStockLedger)
+        .then(mergeDuplicateInventory)
+        .then(carryOverLegacySales)
+        .then(() => {
+          console.log('Database tables initialized');
+          resolve();
+        })
+        .catch(reject);
     });
   });
 }
 
+// Columns added after a table was first created. CREATE TABLE IF NOT EXISTS leaves
+// existing databases alone, so these are added with ALTER TABLE when missing.
+const COLUMN_MIGRATIONS = [
+  { table: 'mpesa_transactions', column: 'order_id', definition: 'INTEGER REFERENCES orders(id)' },
+  { table: 'orders', column: 'paid_at', definition: 'DATETIME' },
+  { table: 'orders', column: 'payment_reference', definition: 'TEXT' },
+  { table: 'mpesa_transactions', column: 'mpesa_account_id', definition: 'INTEGER' },
+  { table: 'mpesa_transactions', column: 'settled_by', definition: 'TEXT' },
+  { table: 'mpesa_transactions', column: 'reconcile_attempts', definition: 'INTEGER DEFAULT 0' },
+  { table: 'mpesa_transactions', column: 'last_reconcile_at', definition: 'DATETIME' },
+  { table: 'mpesa_transactions', column: 'payment_id', definition: 'INTEGER' },
+  { table: 'sales', column: 'product_id', definition: 'INTEGER REFERENCES products(id)' },
+  { table: 'order_items', column: 'product_id', definition: 'INTEGER REFERENCES products(id)' },
+  { table: 'inventory', column: 'branch_id', definition: 'INTEGER REFERENCES branches(id)' },
+  { table: 'sales', column: 'branch_id', definition: 'INTEGER REFERENCES branches(id)' },
+  { table: 'orders', column: 'branch_id', definition: 'INTEGER REFERENCES branches(id)' },
+  { table: 'inventory', column: 'cost_price', definition: 'REAL' },
+  { table: 'inventory', column: 'reorder_point', definition: 'INTEGER NOT NULL DEFAULT 10' },
+  { table: 'inventory', column: 'reorder_quantity', definition: 'INTEGER' },
+  { table: 'goods_received_items', column: 'batch_number', definition: 'TEXT' },
+  { table: 'goods_received_items', column: 'expiry_date', definition: 'DATE' },
+  { table: 'products', column: 'deposit_amount', definition: 'REAL' },
+  { table: 'orders', column: 'deposit_total', definition: 'REAL NOT NULL DEFAULT 0' },
+  { table: 'order_items', column: 'deposit_amount', definition: 'REAL NOT NULL DEFAULT 0' },
+  { table: 'products', column: 'parent_id', definition: 'INTEGER REFERENCES products(id)' },
+  { table: 'products', column: 'variant_name', definition: 'TEXT' },
+  { table: 'products', column: 'pack_size', definition: 'INTEGER' },
+  { table: 'products', column: 'pack_unit_id', definition: 'INTEGER REFERENCES products(id)' },
+  { table: 'products', column: 'pack_stock', definition: 'TEXT' },
+  { table: 'order_items', column: 'stock_inventory_id', definition: 'INTEGER' },
+  { table: 'order_items', column: 'stock_quantity', definition: 'INTEGER' },
+  { table: 'orders', column: 'discount_total', definition: 'REAL NOT NULL DEFAULT 0' },
+  { table: 'order_items', column: 'discount_amount', definition: 'REAL NOT NULL DEFAULT 0' }
+];
+
+async function addMissingColumns() {
+  for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+    const columns = await allAsync(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await runAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`Added column ${table}.${column}`);
+    }
+  }
+}
+
+// SKU for a product that was created without one, e.g. "Coca Cola 500ml" -> COCA-COLA-500ML
+function skuFromName(name, taken) {
+  const base = name.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'PRODUCT';
+  let sku = base;
+  for (let n = 2; taken.has(sku); n++) {
+    sku = `${base}-${n}`;
+  }
+  taken.add(sku);
+  return sku;
+}
+
+// The price most branches charge, or the lowest on a tie
+function commonPrice(prices) {
+  const counts = new Map();
+  prices.forEach(price => counts.set(price, (counts.get(price) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+}
+
+// Inventory used to carry the product name, price and image on every branch row, so the
+// same product at two branches was two unrelated strings. Move them into the catalog (one
+// product per distinct name), keep a branch price only where it differs from the default,
+// and point old sales and order lines at the product. Runs once, on tables that still
+// have the text column.
+async function migrateProductCatalog() {
+  const columns = await allAsync('PRAGMA table_info(inventory)');
+
+  if (columns.some(c => c.name === 'product')) {
+    await withTransaction(async () => {
+      const rows = await allAsync('SELECT * FROM inventory ORDER BY id');
+      const existing = await allAsync('SELECT id, sku, name FROM products');
+      const taken = new Set(existing.map(product => product.sku));
+      const productIds = new Map(existing.map(product => [product.name.toLowerCase(), product.id]));
+      const groups = new Map();
+
+      rows.forEach(row => {
+        const name = row.product.trim();
+        const key = name.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { name, rows: [] });
+        groups.get(key).rows.push(row);
+      });
+
+      const defaultPrices = new Map();
+      for (const [key, group] of groups) {
+        const defaultPrice = commonPrice(group.rows.map(row => row.price));
+        defaultPrices.set(key, defaultPrice);
+        if (productIds.has(key)) continue;
+
+        const image = group.rows.find(row => row.imageUrl)?.imageUrl || null;
+        const { lastID } = await runAsync(
+          'INSERT INTO products (sku, name, default_price, image_url) VALUES (?, ?, ?, ?)',
+          [skuFromName(group.name, taken), group.name, defaultPrice, image]
+        );
+        productIds.set(key, lastID);
+      }
+
+      await runAsync(`CREATE TABLE inventory_catalog (${INVENTORY_COLUMNS})`);
+      for (const row of rows) {
+        const key = row.product.trim().toLowerCase();
+        await runAsync(
+          `INSERT INTO inventory_catalog (id, branch, product_id, price_override, stock, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            row.id,
+            row.branch,
+            productIds.get(key),
+            row.price === defaultPrices.get(key) ? null : row.price,
+            row.stock,
+            row.created_at,
+            row.updated_at
+          ]
+        );
+      }
+      await runAsync('DROP TABLE inventory');
+      await runAsync('ALTER TABLE inventory_catalog RENAME TO inventory');
+
+      // Order lines know their inventory row; legacy sales only have the name
+      await runAsync(`
+        UPDATE order_items
+        SET product_id = COALESCE(
+          (SELECT product_id FROM inventory WHERE inventory.id = order_items.inventory_id),
+          (SELECT id FROM products WHERE products.name = TRIM(order_items.product))
+        )
+        WHERE product_id IS NULL
+      `);
+      await runAsync(`
+        UPDATE sales
+        SET product_id = (SELECT id FROM products WHERE products.name = TRIM(sales.product))
+        WHERE product_id IS NULL
+      `);
+
+      console.log(`Moved ${rows.length} inventory rows onto ${groups.size} catalog products`);
+    });
+  }
+
+  await runAsync('CREATE INDEX IF NOT EXISTS idx_inventory_product ON inventory (product_id, branch)');
+}
+
+// Branches used to exist only as names typed into inventory, sales and orders. Give every
+// name in use (and every default county) a branches row, placed in the county of the same
+// name, then point the rows at it by branch_id.
+async function migrateBranches() {
+  for (const county of DEFAULT_COUNTIES) {
+    await runAsync(
+      `INSERT OR IGNORE INTO branches (name, county_id, latitude, longitude)
+       SELECT ?, id, latitude, longitude FROM counties WHERE name = ?`,
+      [county.name, county.name]
+    );
+  }
+
+  const { changes } = await runAsync(`
+    INSERT OR IGNORE INTO branches (name, county_id, latitude, longitude)
+    SELECT names.branch, c.id, c.latitude, c.longitude
+    FROM (
+      SELECT TRIM(branch) AS branch FROM inventory
+      UNION SELECT TRIM(branch) FROM sales
+      UNION SELECT TRIM(branch) FROM orders
+    ) names
+    LEFT JOIN counties c ON c.name = names.branch COLLATE NOCASE
+    WHERE names.branch <> ''
+  `);
+  if (changes > 0) {
+    console.log(`Created ${changes} branch${changes === 1 ? '' : 'es'} from existing branch names`);
+  }
+
+  for (const table of ['inventory', 'sales', 'orders']) {
+    await runAsync(`
+      UPDATE ${table}
+      SET branch_id = (SELECT id FROM branches WHERE branches.name = TRIM(${table}.branch))
+      WHERE branch_id IS NULL
+    `);
+  }
+
+  await runAsync('CREATE INDEX IF NOT EXISTS idx_inventory_branch ON inventory (branch_id)');
+  await runAsync('CREATE INDEX IF NOT EXISTS idx_orders_branch ON orders (branch_id)');
+}
+
+// Refunds used to be M-Pesa only, with transaction_id NOT NULL. SQLite cannot relax a
+// column constraint, so older tables are rebuilt with payment_id and a nullable
+// transaction_id. Runs once, on tables without payment_id.
+async function migrateRefundPayments() {
+  const columns = await allAsync('PRAGMA table_info(refunds)');
+
+  if (!columns.some(c => c.name === 'payment_id')) {
+    await withTransaction(async () => {
+      const copied = columns.map(c => c.name).join(', ');
+      await runAsync(`CREATE TABLE refunds_payments (${REFUND_COLUMNS})`);
+      await runAsync(`INSERT INTO refunds_payments (${copied}) SELECT ${copied} FROM refunds`);
+      await runAsync('DROP TABLE refunds');
+      await runAsync('ALTER TABLE refunds_payments RENAME TO refunds');
+    });
+  }
+
+  await runAsync('CREATE INDEX IF NOT EXISTS idx_refunds_transaction ON refunds (transaction_id, status)');
+  await runAsync('CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds (payment_id)');
+}
+
+// Stock on hand before the ledger existed has no movements behind it. Record it as an
+// opening balance so the ledger adds up to the current stock from the start.
+async function openStockLedger() {
+  const { changes } = await runAsync(`
+    INSERT INTO stock_movements (inventory_id, type, delta, balance, note)
+    SELECT id, 'adjustment', stock, stock, 'Opening balance'
+    FROM inventory
+    WHERE NOT EXISTS (SELECT 1 FROM stock_movements sm WHERE sm.inventory_id = inventory.id)
+  `);
+  if (changes > 0) {
+    console.log(`Recorded opening stock balances for ${changes} inventory item${changes === 1 ? '' : 's'}`);
+  }
+}
+
+// A product is stocked once per branch. Rows doubled up before that was enforced (a legacy
+// name listed twice at a branch, or two requests adding it at once) are merged into the
+// oldest. Their stock is booked over to it through the ledger, and everything else that
+// pointed at them points at it; their own movements stay as the history of what they held.
+async function mergeDuplicateInventory() {
+  const duplicates = await allAsync(`
+    SELECT MIN(id) AS keep_id, GROUP_CONCAT(id) AS ids
+    FROM inventory
+    WHERE branch_id IS NOT NULL
+    GROUP BY branch_id, product_id
+    HAVING COUNT(*) > 1
+  `);
+
+  if (duplicates.length > 0) {
+    const references = [];
+    const tables = await allAsync(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name NOT IN ('inventory', 'stock_movements')
+    `);
+    for (const { name } of tables) {
+      const columns = await allAsync(`PRAGMA table_info(${name})`);
+      columns
+        .filter(c => c.name === 'inventory_id' || c.name.endsWith('_inventory_id'))
+        .forEach(c => references.push({ table: name, column: c.name }));
+    }
+
+    await withTransaction(async () => {
+      for (const { keep_id: keepId, ids } of duplicates) {
+        const merged = ids.split(',').map(Number).filter(id => id !== keepId);
+        const placeholders = merged.map(() => '?').join(', ');
+
+        for (const id of merged) {
+          const { stock } = await getAsync('SELECT stock FROM inventory WHERE id = ?', [id]);
+          if (stock === 0) continue;
+
+          await runAsync(
+            `INSERT INTO stock_movements (inventory_id, type, delta, balance, note) VALUES (?, 'adjustment', ?, 0, ?)`,
+            [id, -stock, `Merged into inventory #${keepId}`]
+          );
+          await runAsync('UPDATE inventory SET stock = stock + ? WHERE id = ?', [stock, keepId]);
+          await runAsync(
+            `INSERT INTO stock_movements (inventory_id, type, delta, balance, note)
+             SELECT id, 'adjustment', ?, stock, ? FROM inventory WHERE id = ?`,
+            [stock, `Merged from inventory #${id}`, keepId]
+          );
+        }
+        for (const { table, column } of references) {
+          await runAsync(`UPDATE ${table} SET ${column} = ? WHERE ${column} IN (${placeholders})`, [keepId, ...merged]);
+        }
+        await runAsync(`DELETE FROM inventory WHERE id IN (${placeholders})`, merged);
+      }
+    });
+    console.log(`Merged duplicate inventory rows of ${duplicates.length} product${duplicates.length === 1 ? '' : 's'}`);
+  }
+
+  await runAsync('CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_branch_product ON inventory (branch_id, product_id)');
+}
+
+// Carry sales recorded before orders existed over as single-line orders
+async function carryOverLegacySales() {
+  await runAsync(`
+    INSERT INTO orders (user_id, branch, branch_id, total_amount, item_count, status, legacy_sale_id, created_at)
+    SELECT user_id, branch, branch_id, total_amount, quantity, 'completed', id, timestamp
+    FROM sales
+    WHERE id NOT IN (SELECT legacy_sale_id FROM orders WHERE legacy_sale_id IS NOT NULL)
+  `);
+
+  await runAsync(`
+    INSERT INTO order_items (order_id, inventory_id, product_id, branch, product, quantity, unit_price, total_amount)
+    SELECT o.id,
+           (SELECT i.id FROM inventory i WHERE i.branch = s.branch AND i.product_id = s.product_id LIMIT 1),
+           s.product_id, s.branch, s.product, s.quantity, s.total_amount / s.quantity, s.total_amount
+    FROM sales s
+    JOIN orders o ON o.legacy_sale_id = s.id
+    WHERE NOT EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = o.id)
+  `);
+}
+
+// Promise wrappers for multi-step operations. All requests share one connection, so a
+// write made while another request's transaction is open would become part of it and be
+// lost if it rolled back, and a read would see its uncommitted rows. Writes outside a
+// transaction therefore wait in the same queue, and so do reads while a transaction is open.
+const transactionContext = new AsyncLocalStorage();
+let writeQueue = Promise.resolve();
+let transactionOpen = false;
+
+function enqueueWrite(task) {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+function execute(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function runAsync(sql, params = []) {
+  if (transactionContext.getStore()) {
+    return execute(sql, params);
+  }
+  return enqueueWrite(() => execute(sql, params));
+}
+
+function read(method, sql, params) {
+  const query = () => new Promise((resolve, reject) => {
+    db[method](sql, params, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+  if (transactionOpen && !transactionContext.getStore()) {
+    return enqueueWrite(query);
+  }
+  return query();
+}
+
+function getAsync(sql, params = []) {
+  return read('get', sql, params);
+}
+
+function allAsync(sql, params = []) {
+  return read('all', sql, params);
+}
+
+// Transactions take their turn in the write queue and run one at a time.
+// The callback receives nothing and should use the *Async helpers above.
+function withTransaction(work) {
+  return enqueueWrite(async () => {
+    const transaction = { commitHooks: [] };
+    transactionOpen = true;
+    const value = await transactionContext.run(transaction, async () => {
+      await execute('BEGIN IMMEDIATE', []);
+      try {
+        const result = await work();
+        await execute('COMMIT', []);
+        return result;
+      } catch (err) {
+        await execute('ROLLBACK', []).catch(() => {});
+        throw err;
+      }
+    }).finally(() => {
+      transactionOpen = false;
+    });
+
+    transaction.commitHooks.forEach(runCommitHook);
+    return value;
+  });
+}
+
+function runCommitHook(hook) {
+  try {
+    hook();
+  } catch (err) {
+    console.error('Error in after-commit hook:', err);
+  }
+}
+
+// Run `hook` once the current transaction commits, e.g. to send a socket event about a row
+// it wrote. Dropped if the transaction rolls back; run straight away outside a transaction.
+function afterCommit(hook) {
+  const transaction = transactionContext.getStore();
+  if (transaction) {
+    transaction.commitHooks.push(hook);
+  } else {
+    runCommitHook(hook);
+  }
+}
+
 // Default counties with coordinates (Kenya)
 const DEFAULT_COUNTIES = [
   { name: 'Nairobi', latitude: -1.2921, longitude: 36.8219 },
@@ -152,9 +1270,18 @@ function seedData() {
         ['Kisumu', 'Sprite', 100, 25]
       ];
 
+      // Catalog products at their lowest branch price; dearer branches get an override
+      ['Coke', 'Fanta', 'Sprite'].forEach(product => {
+        db.run(`INSERT INTO products (sku, name, default_price) VALUES (?, ?, ?)`,
+          [product.toUpperCase(), product, 100]);
+      });
+
       inventoryData.forEach(([branch, product, price, stock]) => {
-        db.run(`INSERT INTO inventory (branch, product, price, stock, imageUrl) VALUES (?, ?, ?, ?, ?)`,
-          [branch, product, price, stock, '']);
+        db.run(
+          `INSERT INTO inventory (branch, branch_id, product_id, price_override, stock)
+           SELECT ?, (SELECT id FROM branches WHERE name = ?), id, NULLIF(?, default_price), ? FROM products WHERE name = ?`,
+          [branch, branch, price, stock, product]
+        );
       });
 
       console.log('Initial data seeded successfully');
@@ -162,5 +1289,14 @@ function seedData() {
   });
 }
 
-module.exports = { db, initializeDatabase, initializeCounties };
+module.exports = {
+  db,
+  initializeDatabase,
+  initializeCounties,
+  runAsync,
+  getAsync,
+  allAsync,
+  withTransaction,
+  afterCommit
+};
 
@@ -5,13 +5,29 @@ const cors = require('cors');
 const path = require('path');
 const http = require('http');
 const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
 const { initializeDatabase } = require('./database');
+const { JWT_SECRET } = require('./middleware/auth');
+const { startReservationSweeper } = require('./services/reservations');
+const { startStkReconciliation } = require('./services/mpesa');
+const { startLowStockAlerts } = require('./services/stock-alerts');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const inventoryRoutes = require('./routes/inventory');
+const productRoutes = require('./routes/products');
+const branchRoutes = require('./routes/branches');
+const transferRoutes = require('./routes/transfers');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchase-orders');
+const stocktakeRoutes = require('./routes/stocktakes');
+const writeOffRoutes = require('./routes/write-offs');
+const depositRoutes = require('./routes/deposits');
+const promotionRoutes = require('./routes/promotions');
 const salesRoutes = require('./routes/sales');
+const orderRoutes = require('./routes/orders');
 const mpesaRoutes = require('./routes/mpesa');
+const paymentRoutes = require('./routes/payments');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -38,8 +54,19 @@ app.use(express.static(path.join(__dirname, '../client/dist')));
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/branches', branchRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/write-offs', writeOffRoutes);
+app.use('/api/deposits', depositRoutes);
+app.use('/api/promotions', promotionRoutes);
 app.use('/api/sales', salesRoutes);
+app.use('/api/orders', orderRoutes);
 app.use('/api/mpesa', mpesaRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -60,6 +87,18 @@ io.on('connection', (socket) => {
     socket.join('customer-room');
     console.log(`${socket.id} joined customer room`);
   });
+
+  // Private room for events meant for one user only (e.g. their payment result).
+  // The client proves who it is with its JWT.
+  socket.on('join-user', (token) => {
+    try {
+      const user = jwt.verify(token, JWT_SECRET);
+      socket.join(`user-${user.id}`);
+      console.log(`${socket.id} joined room user-${user.id}`);
+    } catch (err) {
+      socket.emit('join-user-error', { error: 'Invalid or expired token.' });
+    }
+  });
   
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
@@ -79,8 +118,19 @@ app.get('*', (req, res) => {
       endpoints: {
         auth: '/api/auth',
         inventory: '/api/inventory',
+        products: '/api/products',
+        branches: '/api/branches',
+        transfers: '/api/transfers',
+        suppliers: '/api/suppliers',
+        purchaseOrders: '/api/purchase-orders',
+        stocktakes: '/api/stocktakes',
+        writeOffs: '/api/write-offs',
+        deposits: '/api/deposits',
+        promotions: '/api/promotions',
         sales: '/api/sales',
-        mpesa: '/api/mpesa'
+        orders: '/api/orders',
+        mpesa: '/api/mpesa',
+        payments: '/api/payments'
       },
       note: 'React client not built yet. Run "npm run build" in client directory.'
     });
@@ -96,6 +146,15 @@ async function startServer() {
     const { initializeCounties } = require('./database');
     initializeCounties();
 
+    // Release stock held by payments that never completed
+    startReservationSweeper(io);
+
+    // Ask Daraja about payments whose callback never arrived
+    startStkReconciliation(io);
+
+    // Push low-stock alerts to admins as they are raised
+    startLowStockAlerts(io);
+
     server.listen(PORT, () => {
       console.log(`============================================`);
       console.log(`  🏪 Supermarket Server Running`);
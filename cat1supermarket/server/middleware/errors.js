@@ -0,0 +1,12 @@
+const { HttpError } = require('../services/errors');
+
+// Answer with a service's HttpError as it asks, or log anything else and answer 500
+function sendError(res, error, fallbackMessage) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json(error.toResponse());
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+module.exports = { sendError };
@@ -0,0 +1,364 @@
+require('dotenv').config();
+
+const express = require('express');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Local stand-in for the Safaricom Daraja API. Point MPESA_BASE_URL at it and STK pushes
+// are answered here, with the callback posted to the CallBackURL sent in the request.
+//
+// The outcome depends on the last digit of the phone number:
+//   1 - cancelled by the customer (1032)
+//   2 - insufficient funds (1)
+//   3 - customer could not be reached (1037)
+//   4 - wrong PIN (2001)
+//   5 - paid, but the callback is never sent (only STK query shows the result)
+//   6 - paid, and the callback is delivered twice
+//   anything else - paid
+//
+// Refunds: a B2C payment to a phone ending in 2 fails for lack of funds and one ending in 5
+// times out in the queue. A reversal succeeds once for any receipt the simulator issued.
+
+const PORT = process.env.MPESA_SIMULATOR_PORT || 4000;
+const CALLBACK_DELAY_MS = Number(process.env.MPESA_SIMULATOR_DELAY_MS) || 3000;
+const TOKEN_TTL_SECONDS = 3599;
+
+const SCENARIOS = {
+  1: { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  2: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction' },
+  3: { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+  4: { resultCode: 2001, resultDesc: 'The initiator information is invalid.' },
+  5: { resultCode: 0, resultDesc: 'The service request is processed successfully.', skipCallback: true },
+  6: { resultCode: 0, resultDesc: 'The service request is processed successfully.', repeatCallback: true }
+};
+
+const SUCCESS = { resultCode: 0, resultDesc: 'The service request is processed successfully.' };
+
+const REQUIRED_STK_FIELDS = [
+  'BusinessShortCode',
+  'Password',
+  'Timestamp',
+  'TransactionType',
+  'Amount',
+  'PartyA',
+  'PartyB',
+  'PhoneNumber',
+  'CallBackURL',
+  'AccountReference',
+  'TransactionDesc'
+];
+
+const REQUIRED_B2C_FIELDS = [
+  'InitiatorName',
+  'SecurityCredential',
+  'CommandID',
+  'Amount',
+  'PartyA',
+  'PartyB',
+  'ResultURL',
+  'QueueTimeOutURL'
+];
+
+const REQUIRED_REVERSAL_FIELDS = [
+  'Initiator',
+  'SecurityCredential',
+  'CommandID',
+  'TransactionID',
+  'Amount',
+  'ReceiverParty',
+  'ResultURL',
+  'QueueTimeOutURL'
+];
+
+const B2C_SCENARIOS = {
+  2: { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  5: { resultCode: 1, resultDesc: 'Request timed out in the queue', timeout: true }
+};
+
+const tokens = new Map();
+const transactions = new Map();
+const refunds = new Map();
+
+const app = express();
+app.use(express.json());
+
+function scenarioFor(phone) {
+  return SCENARIOS[String(phone).slice(-1)] || SUCCESS;
+}
+
+function randomId(prefix) {
+  return `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function mpesaReceipt() {
+  return 'SIM' + crypto.randomBytes(4).toString('hex').toUpperCase().slice(0, 7);
+}
+
+// Daraja dates look like 20240131235959
+function darajaTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+}
+
+function darajaError(res, status, errorCode, errorMessage) {
+  res.status(status).json({ requestId: randomId('sim'), errorCode, errorMessage });
+}
+
+function requireBearerToken(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const expiresAt = tokens.get(token);
+
+  if (scheme !== 'Bearer' || !expiresAt || Date.now() >= expiresAt) {
+    return darajaError(res, 401, '404.001.03', 'Invalid Access Token');
+  }
+  next();
+}
+
+function callbackBody(transaction) {
+  const stkCallback = {
+    MerchantRequestID: transaction.merchantRequestID,
+    CheckoutRequestID: transaction.checkoutRequestID,
+    ResultCode: transaction.resultCode,
+    ResultDesc: transaction.resultDesc
+  };
+
+  if (transaction.resultCode === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: transaction.amount },
+        { Name: 'MpesaReceiptNumber', Value: transaction.mpesaReceipt },
+        { Name: 'TransactionDate', Value: Number(transaction.transactionDate) },
+        { Name: 'PhoneNumber', Value: Number(transaction.phone) }
+      ]
+    };
+  }
+
+  return { Body: { stkCallback } };
+}
+
+async function sendCallback(transaction) {
+  try {
+    await axios.post(transaction.callbackUrl, callbackBody(transaction), { timeout: 10000 });
+    console.log(`Callback sent for ${transaction.checkoutRequestID} (ResultCode ${transaction.resultCode})`);
+  } catch (error) {
+    console.error(`Callback for ${transaction.checkoutRequestID} failed:`, error.message);
+  }
+}
+
+// Finish a pending push the way the customer's phone would
+function settle(transaction) {
+  const scenario = scenarioFor(transaction.phone);
+
+  transaction.status = 'completed';
+  transaction.resultCode = scenario.resultCode;
+  transaction.resultDesc = scenario.resultDesc;
+  if (scenario.resultCode === 0) {
+    transaction.mpesaReceipt = mpesaReceipt();
+    transaction.transactionDate = darajaTimestamp();
+  }
+
+  if (scenario.skipCallback) return;
+
+  sendCallback(transaction).then(() => {
+    if (scenario.repeatCallback) sendCallback(transaction);
+  });
+}
+
+function refundResultBody(refund) {
+  const Result = {
+    ResultType: 0,
+    ResultCode: refund.resultCode,
+    ResultDesc: refund.resultDesc,
+    OriginatorConversationID: refund.originatorConversationID,
+    ConversationID: refund.conversationID,
+    TransactionID: refund.receipt || randomId('sim')
+  };
+
+  if (refund.resultCode === 0) {
+    Result.ResultParameters = {
+      ResultParameter: [
+        { Key: 'TransactionAmount', Value: refund.amount },
+        { Key: 'TransactionReceipt', Value: refund.receipt },
+        { Key: 'TransactionCompletedDateTime', Value: darajaTimestamp() }
+      ]
+    };
+  }
+
+  return { Result };
+}
+
+// Answer a refund request on its result URL, or on the timeout URL if it "timed out"
+function settleRefund(refund, { timeout = false } = {}) {
+  refund.status = timeout ? 'timed_out' : 'completed';
+  if (refund.resultCode === 0) {
+    refund.receipt = mpesaReceipt();
+  }
+
+  const url = timeout ? refund.timeoutUrl : refund.resultUrl;
+  axios.post(url, refundResultBody(refund), { timeout: 10000 })
+    .then(() => console.log(`Refund result sent for ${refund.conversationID} (ResultCode ${refund.resultCode})`))
+    .catch(error => console.error(`Refund result for ${refund.conversationID} failed:`, error.message));
+}
+
+function acceptRefund(res, refund, options) {
+  refunds.set(refund.conversationID, refund);
+  setTimeout(() => settleRefund(refund, options), CALLBACK_DELAY_MS).unref();
+
+  res.json({
+    ConversationID: refund.conversationID,
+    OriginatorConversationID: refund.originatorConversationID,
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.'
+  });
+}
+
+// OAuth token issuance
+app.get('/oauth/v1/generate', (req, res) => {
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  const [key, secret] = Buffer.from(encoded || '', 'base64').toString().split(':');
+
+  if (scheme !== 'Basic' || !key || !secret) {
+    return darajaError(res, 400, '400.008.01', 'Invalid Authentication passed');
+  }
+
+  const token = crypto.randomBytes(16).toString('hex');
+  tokens.set(token, Date.now() + TOKEN_TTL_SECONDS * 1000);
+  res.json({ access_token: token, expires_in: String(TOKEN_TTL_SECONDS) });
+});
+
+// STK push
+app.post('/mpesa/stkpush/v1/processrequest', requireBearerToken, (req, res) => {
+  const missing = REQUIRED_STK_FIELDS.filter(field => req.body[field] === undefined || req.body[field] === '');
+  if (missing.length > 0) {
+    return darajaError(res, 400, '400.002.02', `Bad Request - Invalid ${missing[0]}`);
+  }
+
+  const amount = Number(req.body.Amount);
+  if (!Number.isInteger(amount) || amount < 1) {
+    return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid Amount');
+  }
+
+  if (!/^254\d{9}$/.test(String(req.body.PhoneNumber))) {
+    return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid PhoneNumber');
+  }
+
+  const transaction = {
+    merchantRequestID: randomId('sim-merchant'),
+    checkoutRequestID: `ws_CO_${darajaTimestamp()}${crypto.randomBytes(4).toString('hex')}`,
+    phone: String(req.body.PhoneNumber),
+    amount,
+    callbackUrl: req.body.CallBackURL,
+    status: 'pending'
+  };
+  transactions.set(transaction.checkoutRequestID, transaction);
+
+  setTimeout(() => settle(transaction), CALLBACK_DELAY_MS).unref();
+
+  res.json({
+    MerchantRequestID: transaction.merchantRequestID,
+    CheckoutRequestID: transaction.checkoutRequestID,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+});
+
+// STK push status query
+app.post('/mpesa/stkpushquery/v1/query', requireBearerToken, (req, res) => {
+  const transaction = transactions.get(req.body.CheckoutRequestID);
+
+  if (!transaction) {
+    return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid CheckoutRequestID');
+  }
+
+  if (transaction.status === 'pending') {
+    return darajaError(res, 500, '500.001.1001', 'The transaction is being processed');
+  }
+
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successfully',
+    MerchantRequestID: transaction.merchantRequestID,
+    CheckoutRequestID: transaction.checkoutRequestID,
+    ResultCode: String(transaction.resultCode),
+    ResultDesc: transaction.resultDesc
+  });
+});
+
+// B2C payment, used for refunds to the customer's phone
+app.post('/mpesa/b2c/v1/paymentrequest', requireBearerToken, (req, res) => {
+  const missing = REQUIRED_B2C_FIELDS.filter(field => req.body[field] === undefined || req.body[field] === '');
+  if (missing.length > 0) {
+    return darajaError(res, 400, '400.002.02', `Bad Request - Invalid ${missing[0]}`);
+  }
+
+  const amount = Number(req.body.Amount);
+  if (!Number.isInteger(amount) || amount < 1) {
+    return darajaError(res, 400, '400.002.02', 'Bad Request - Invalid Amount');
+  }
+
+  const scenario = B2C_SCENARIOS[String(req.body.PartyB).slice(-1)] || SUCCESS;
+
+  acceptRefund(res, {
+    type: 'b2c',
+    conversationID: `AG_${darajaTimestamp()}_${crypto.randomBytes(6).toString('hex')}`,
+    originatorConversationID: req.body.OriginatorConversationID || randomId('sim-originator'),
+    phone: String(req.body.PartyB),
+    amount,
+    resultUrl: req.body.ResultURL,
+    timeoutUrl: req.body.QueueTimeOutURL,
+    resultCode: scenario.resultCode,
+    resultDesc: scenario.resultDesc,
+    status: 'pending'
+  }, { timeout: scenario.timeout });
+});
+
+// Reversal of a payment the simulator took
+app.post('/mpesa/reversal/v1/request', requireBearerToken, (req, res) => {
+  const missing = REQUIRED_REVERSAL_FIELDS.filter(field => req.body[field] === undefined || req.body[field] === '');
+  if (missing.length > 0) {
+    return darajaError(res, 400, '400.002.02', `Bad Request - Invalid ${missing[0]}`);
+  }
+
+  const payment = Array.from(transactions.values()).find(t => t.mpesaReceipt === req.body.TransactionID);
+  let outcome = SUCCESS;
+  if (!payment) {
+    outcome = { resultCode: 'R000002', resultDesc: 'The OriginalTransactionID is invalid.' };
+  } else if (payment.reversed) {
+    outcome = { resultCode: 'R000001', resultDesc: 'The transaction has already been reversed.' };
+  } else if (Number(req.body.Amount) !== payment.amount) {
+    outcome = { resultCode: 2, resultDesc: 'Declined due to limit rule: amount does not match the transaction.' };
+  } else {
+    payment.reversed = true;
+  }
+
+  acceptRefund(res, {
+    type: 'reversal',
+    conversationID: `AG_${darajaTimestamp()}_${crypto.randomBytes(6).toString('hex')}`,
+    originatorConversationID: randomId('sim-originator'),
+    transactionID: req.body.TransactionID,
+    amount: Number(req.body.Amount),
+    resultUrl: req.body.ResultURL,
+    timeoutUrl: req.body.QueueTimeOutURL,
+    resultCode: outcome.resultCode,
+    resultDesc: outcome.resultDesc,
+    status: 'pending'
+  });
+});
+
+// Everything the simulator has seen, for checking results by hand
+app.get('/simulator/transactions', (req, res) => {
+  res.json(Array.from(transactions.values()));
+});
+
+app.get('/simulator/refunds', (req, res) => {
+  res.json(Array.from(refunds.values()));
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`M-Pesa simulator running on http://localhost:${PORT}`);
+    console.log(`Set MPESA_BASE_URL=http://localhost:${PORT} on the server to use it`);
+  });
+}
+
+module.exports = app;
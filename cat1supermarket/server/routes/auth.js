@@ -1,7 +1,7 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { db } = require('../database');
+const { db, runAsync } = require('../database');
 const { JWT_SECRET } = require('../middleware/auth');
 
 const router = express.Router();
@@ -94,21 +94,18 @@ router.post('/register', (req, res) => {
     try {
       const hashedPassword = await bcrypt.hash(password, 10);
       
-      db.run(
+      runAsync(
         'INSERT INTO users (username, password, role) VALUES (?, ?, ?)',
-        [username, hashedPassword, role],
-        function(err) {
-          if (err) {
-            console.error('Error creating user:', err);
-            return res.status(500).json({ error: 'Failed to create user' });
-          }
-
-          res.json({
-            success: true,
-            message: 'User registered successfully'
-          });
-        }
-      );
+        [username, hashedPassword, role]
+      ).then(() => {
+        res.json({
+          success: true,
+          message: 'User registered successfully'
+        });
+      }).catch((err) => {
+        console.error('Error creating user:', err);
+        res.status(500).json({ error: 'Failed to create user' });
+      });
     } catch (hashError) {
       console.error('Password hash error:', hashError);
       res.status(500).json({ error: 'Registration failed' });
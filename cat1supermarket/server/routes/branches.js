@@ -0,0 +1,97 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const {
+  listBranches,
+  getBranch,
+  createBranch,
+  updateBranch,
+  deleteBranch
+} = require('../services/branches');
+
+const router = express.Router();
+
+// Tell every open screen to reload its branch selectors
+function emitBranchesUpdated(req, payload) {
+  const io = req.app.get('io');
+  io.to('admin-room').emit('branches-updated', payload);
+  io.to('customer-room').emit('branches-updated', payload);
+}
+
+// List branches. Customers get the open ones; admins get all of them unless ?active=1.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const activeOnly = req.user.role !== 'admin' || req.query.active === '1';
+    res.json(await listBranches({ activeOnly }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch branches');
+  }
+});
+
+// Get a single branch
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const branch = await getBranch(req.params.id);
+    if (!branch || (req.user.role !== 'admin' && !branch.is_active)) {
+      return res.status(404).json({ error: 'Branch not found' });
+    }
+    res.json(branch);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch branch');
+  }
+});
+
+// Open a new branch (admin only)
+router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const branch = await createBranch(req.body);
+
+    emitBranchesUpdated(req, {
+      action: 'created',
+      branch,
+      message: `Branch Update: ${branch.name} added (by Admin ${req.user.username}).`
+    });
+
+    res.status(201).json(branch);
+  } catch (error) {
+    sendError(res, error, 'Failed to create branch');
+  }
+});
+
+// Update a branch; renames carry over to its stock, orders and M-Pesa account (admin only)
+router.put('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { before, branch } = await updateBranch(req.params.id, req.body);
+
+    const renamed = before.name !== branch.name ? ` (was ${before.name})` : '';
+    const status = before.is_active !== branch.is_active ? (branch.is_active ? ' reopened' : ' closed') : ' updated';
+    emitBranchesUpdated(req, {
+      action: 'updated',
+      branch,
+      message: `Branch Update: ${branch.name}${renamed}${status} (by Admin ${req.user.username}).`
+    });
+
+    res.json(branch);
+  } catch (error) {
+    sendError(res, error, 'Failed to update branch');
+  }
+});
+
+// Delete a branch that never stocked or sold anything (admin only)
+router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const branch = await deleteBranch(req.params.id);
+
+    emitBranchesUpdated(req, {
+      action: 'deleted',
+      branch,
+      message: `Branch Update: ${branch.name} removed (by Admin ${req.user.username}).`
+    });
+
+    res.json({ success: true, message: 'Branch deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete branch');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { findCustomer, creditBalance, creditHistory } = require('../services/store-credit');
+const {
+  listEmptiesReturns,
+  returnEmpties,
+  collectEmpties,
+  countEmpties,
+  emptiesOnHand,
+  depositLiability
+} = require('../services/deposits');
+
+const router = express.Router();
+
+function emitEmptiesUpdated(req, message) {
+  req.app.get('io').to('admin-room').emit('empties-updated', { message });
+}
+
+// Empties held at each branch (admin only; query params: ?branch=Kisumu)
+router.get('/empties', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await emptiesOnHand(req.query));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch empties on hand');
+  }
+});
+
+// Hand empties back to the supplier (body: { branch, items: [{ product, quantity }], note })
+router.post('/empties/collect', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const onHand = await collectEmpties(req.body, req.user.id);
+    emitEmptiesUpdated(req, `Empties collected from ${req.body.branch} (by Admin ${req.user.username}).`);
+    res.json(onHand);
+  } catch (error) {
+    sendError(res, error, 'Failed to record empties collection');
+  }
+});
+
+// Correct empties held to a physical count (body: { branch, items: [{ product, quantity }], note })
+router.post('/empties/count', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const onHand = await countEmpties(req.body, req.user.id);
+    emitEmptiesUpdated(req, `Empties counted at ${req.body.branch} (by Admin ${req.user.username}).`);
+    res.json(onHand);
+  } catch (error) {
+    sendError(res, error, 'Failed to record empties count');
+  }
+});
+
+// List empties returns, newest first (admin only; query params: ?branch=&customer=)
+router.get('/returns', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listEmptiesReturns(req.query));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch empties returns');
+  }
+});
+
+// Take back empties and give back their deposits
+// (body: { branch, items: [{ product, quantity }], settlement: 'cash'|'credit', customer, note })
+router.post('/returns', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const empties = await returnEmpties(req.body, req.user.id);
+    const payout = empties.settlement === 'credit'
+      ? `credited to ${empties.customer}`
+      : 'paid out in cash';
+    emitEmptiesUpdated(req, `Empties returned at ${empties.branch}: KES ${empties.total_amount} ${payout} (by Admin ${req.user.username}).`);
+    res.status(201).json(empties);
+  } catch (error) {
+    sendError(res, error, 'Failed to record empties return');
+  }
+});
+
+// Deposits owed to customers by branch and product, plus unspent store credit (?branch=)
+router.get('/liability', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await depositLiability(req.query));
+  } catch (error) {
+    sendError(res, error, 'Failed to build deposit liability report');
+  }
+});
+
+// Store credit balance and history; customers see their own, admins pass ?customer=
+router.get('/credit', authenticateToken, async (req, res) => {
+  try {
+    let customer = req.user;
+    if (req.user.role === 'admin') {
+      customer = await findCustomer(req.query.customer);
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+    }
+
+    res.json({
+      customer: customer.username,
+      balance: await creditBalance(customer.id),
+      history: await creditHistory(customer.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch store credit');
+  }
+});
+
+module.exports = router;
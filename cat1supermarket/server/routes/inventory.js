@@ -1,7 +1,36 @@
 const express = require('express');
-const { db } = require('../database');
+const { db, getAsync, allAsync, runAsync, withTransaction } = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
 const { cloudinary, uploadSingleImage } = require("../cloudinary");
+const { RESERVED_QUANTITY_SQL } = require('../services/reservations');
+const { EXPIRED_QUANTITY_SQL, listLots, expiringLots } = require('../services/lots');
+const {
+  INVENTORY_COLUMNS,
+  INVENTORY_FROM,
+  findOrCreateProduct,
+  priceOverride
+} = require('../services/catalog');
+const { resolveBranch } = require('../services/branches');
+const { sellsFromUnits, withPackStock } = require('../services/packs');
+const {
+  StockError,
+  cleanLot,
+  recordMovement,
+  adjustStock,
+  setStock,
+  listMovements,
+  ledgerBalances,
+  rebuildStock
+} = require('../services/stock');
+const {
+  ALERT_STATUSES,
+  checkStockLevel,
+  listAlerts,
+  acknowledgeAlert,
+  lowStockReport
+} = require('../services/stock-alerts');
+const { reorderSuggestions } = require('../services/forecasting');
 
 const router = express.Router();
 
@@ -51,22 +80,19 @@ router.post('/counties', authenticateToken, (req, res) => {
     return res.status(400).json({ error: 'County name is required' });
   }
 
-  db.run(
+  runAsync(
     `INSERT INTO counties (name, latitude, longitude) VALUES (?, ?, ?)`,
-    [name, latitude || null, longitude || null],
-    function (err) {
-      if (err) {
-        console.error('Error adding county:', err);
-        return res.status(500).json({ error: 'Failed to add county' });
-      }
-
-      res.status(201).json({
-        success: true,
-        id: this.lastID,
-        message: 'County added successfully'
-      });
-    }
-  );
+    [name, latitude || null, longitude || null]
+  ).then(({ lastID }) => {
+    res.status(201).json({
+      success: true,
+      id: lastID,
+      message: 'County added successfully'
+    });
+  }).catch((err) => {
+    console.error('Error adding county:', err);
+    res.status(500).json({ error: 'Failed to add county' });
+  });
 });
 
 // Update county
@@ -77,22 +103,19 @@ router.put('/counties/:id', authenticateToken, (req, res) => {
 
   const { name, latitude, longitude, is_active } = req.body;
 
-  db.run(
+  runAsync(
     `UPDATE counties SET name = ?, latitude = ?, longitude = ?, is_active = ? WHERE id = ?`,
-    [name, latitude, longitude, is_active, req.params.id],
-    function (err) {
-      if (err) {
-        console.error('Error updating county:', err);
-        return res.status(500).json({ error: 'Failed to update county' });
-      }
-
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'County not found' });
-      }
-
-      res.json({ success: true, message: 'County updated successfully' });
+    [name, latitude, longitude, is_active, req.params.id]
+  ).then(({ changes }) => {
+    if (changes === 0) {
+      return res.status(404).json({ error: 'County not found' });
     }
-  );
+
+    res.json({ success: true, message: 'County updated successfully' });
+  }).catch((err) => {
+    console.error('Error updating county:', err);
+    res.status(500).json({ error: 'Failed to update county' });
+  });
 });
 
 // Delete county
@@ -102,158 +125,395 @@ router.delete('/counties/:id', authenticateToken, (req, res) => {
   }
 
   // Soft delete - just deactivate
-  db.run(
+  runAsync(
     `UPDATE counties SET is_active = 0 WHERE id = ?`,
-    [req.params.id],
-    function (err) {
-      if (err) {
-        console.error('Error deleting county:', err);
-        return res.status(500).json({ error: 'Failed to delete county' });
-      }
-
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'County not found' });
-      }
-
-      res.json({ success: true, message: 'County deleted successfully' });
+    [req.params.id]
+  ).then(({ changes }) => {
+    if (changes === 0) {
+      return res.status(404).json({ error: 'County not found' });
     }
-  );
+
+    res.json({ success: true, message: 'County deleted successfully' });
+  }).catch((err) => {
+    console.error('Error deleting county:', err);
+    res.status(500).json({ error: 'Failed to delete county' });
+  });
 });
 
+// Format response to match original structure. `stock` is what is on the shelf,
+// `available` is what can still be sold once pending payments and expired lots are held
+// back. `price` is what this branch charges: its override, or the catalog default, and
+// `deposit_amount` is charged on top for returnable bottles and crates. Only admins see
+// `cost_price`, the unit cost of the last goods received. Packs sold from unit stock show
+// how many whole packs their unit's stock makes up, and `stock_inventory_id` is that unit's row.
+function formatItem(row, user) {
+  const item = {
+    id: row.id,
+    branch: row.branch,
+    branch_id: row.branch_id,
+    product_id: row.product_id,
+    product: row.product,
+    sku: row.sku,
+    category: row.category,
+    brand: row.brand,
+    price: row.price,
+    default_price: row.default_price,
+    price_override: row.price_override,
+    deposit_amount: row.deposit_amount,
+    parent_id: row.parent_id,
+    variant_name: row.variant_name,
+    pack_size: row.pack_size,
+    pack_unit_id: row.pack_unit_id,
+    pack_stock: row.pack_stock,
+    stock_inventory_id: row.stock_inventory_id || null,
+    stock: row.stock,
+    reserved: row.reserved,
+    expired: row.expired,
+    available: Math.max(0, row.stock - row.reserved - row.expired),
+    reorder_point: row.reorder_point,
+    reorder_quantity: row.reorder_quantity,
+    low_stock: !sellsFromUnits(row) && row.stock <= row.reorder_point,
+    imageUrl: row.imageUrl
+  };
+  if (user && user.role === 'admin') {
+    item.cost_price = row.cost_price;
+  }
+  return item;
+}
+
 // Get all inventory items
-router.get('/', authenticateToken, (req, res) => {
+router.get('/', authenticateToken, async (req, res) => {
   const { branch } = req.query;
 
-  let query = 'SELECT * FROM inventory';
+  let query = `SELECT ${INVENTORY_COLUMNS}, ${RESERVED_QUANTITY_SQL} AS reserved, ${EXPIRED_QUANTITY_SQL} AS expired
+    FROM ${INVENTORY_FROM}`;
   const params = [];
 
   if (branch && branch !== 'All') {
-    query += ' WHERE branch = ?';
+    query += ' WHERE inventory.branch = ?';
     params.push(branch);
   }
 
-  query += ' ORDER BY branch, product';
+  query += ' ORDER BY inventory.branch, products.name';
+
+  try {
+    const rows = await withPackStock(await allAsync(query, params));
+    res.json(rows.map(row => formatItem(row, req.user)));
+  } catch (error) {
+    console.error('Error fetching inventory:', error);
+    res.status(500).json({ error: 'Failed to fetch inventory' });
+  }
+});
+
+// Compare each item's stock with what its ledger adds up to (admin only).
+// Only drifted items are listed unless ?all=1.
+router.get('/ledger/drift', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
 
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      console.error('Error fetching inventory:', err);
-      return res.status(500).json({ error: 'Failed to fetch inventory' });
+  try {
+    res.json(await ledgerBalances({ branch: req.query.branch, driftOnly: req.query.all !== '1' }));
+  } catch (error) {
+    console.error('Error checking stock drift:', error);
+    res.status(500).json({ error: 'Failed to check stock drift' });
+  }
+});
+
+// Reset drifted items to the stock their ledger adds up to (admin only). Pass inventory_id to fix one item.
+router.post('/ledger/rebuild', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  try {
+    const rebuilt = await withTransaction(() => rebuildStock({ inventoryId: req.body.inventory_id }));
+
+    if (rebuilt.length > 0) {
+      req.app.get('io').to('admin-room').emit('stock-restocked', {
+        rebuilt: rebuilt.map(row => row.inventory_id),
+        updatedBy: req.user.username,
+        message: `Stock Rebuild: ${rebuilt.length} item${rebuilt.length === 1 ? '' : 's'} reset to the ledger (by Admin ${req.user.username}).`
+      });
     }
 
-    // Format response to match original structure
-    const items = rows.map(row => ({
-      id: row.id,
-      branch: row.branch,
-      product: row.product,
-      price: row.price,
-      stock: row.stock,
-      imageUrl: row.imageUrl
+    res.json({ success: true, rebuilt });
+  } catch (error) {
+    console.error('Error rebuilding stock:', error);
+    res.status(500).json({ error: 'Failed to rebuild stock' });
+  }
+});
+
+// Items at or below their reorder point, with stock on order and a suggested order quantity (admin only)
+router.get('/low-stock', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  try {
+    res.json(await lowStockReport({ branch: req.query.branch }));
+  } catch (error) {
+    console.error('Error fetching low-stock report:', error);
+    res.status(500).json({ error: 'Failed to fetch low-stock report' });
+  }
+});
+
+// Forecast demand per item and suggest what to reorder (admin only).
+// ?branch=, ?cover_days=14, ?history_days=56, ?all=1 to include items that need nothing.
+router.get('/reorder-suggestions', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  try {
+    res.json(await reorderSuggestions({
+      branch: req.query.branch,
+      history_days: req.query.history_days,
+      cover_days: req.query.cover_days,
+      all: req.query.all === '1'
     }));
+  } catch (error) {
+    sendError(res, error, 'Failed to forecast demand');
+  }
+});
 
-    res.json(items);
-  });
+// Lots expiring within ?days=30 days, expired ones included (admin only, ?branch=)
+router.get('/expiring', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    return res.status(400).json({ error: 'Days must be a whole number from 0 to 365' });
+  }
+
+  try {
+    res.json(await expiringLots({ days, branch: req.query.branch }));
+  } catch (error) {
+    console.error('Error fetching expiring lots:', error);
+    res.status(500).json({ error: 'Failed to fetch expiring lots' });
+  }
 });
 
-// Get single inventory item
-router.get('/:id', authenticateToken, (req, res) => {
-  db.get('SELECT * FROM inventory WHERE id = ?', [req.params.id], (err, row) => {
-    if (err) {
-      console.error('Error fetching item:', err);
-      return res.status(500).json({ error: 'Failed to fetch item' });
-    }
+// Low-stock alerts, newest first (admin only). ?status=open|acknowledged|resolved|all; unresolved by default.
+router.get('/alerts', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  const { status = 'active', branch } = req.query;
+  if (![...ALERT_STATUSES, 'active', 'all'].includes(status)) {
+    return res.status(400).json({ error: `Status must be one of ${[...ALERT_STATUSES, 'active', 'all'].join(', ')}` });
+  }
+
+  try {
+    res.json(await listAlerts({ status, branch }));
+  } catch (error) {
+    console.error('Error fetching stock alerts:', error);
+    res.status(500).json({ error: 'Failed to fetch stock alerts' });
+  }
+});
+
+// Acknowledge a low-stock alert (admin only). It stays listed until stock is back above the reorder point.
+router.post('/alerts/:id/acknowledge', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
 
+  try {
+    res.json(await acknowledgeAlert(req.params.id, req.user.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to acknowledge stock alert');
+  }
+});
+
+// Get single inventory item
+router.get('/:id', authenticateToken, async (req, res) => {
+  const query = `SELECT ${INVENTORY_COLUMNS}, ${RESERVED_QUANTITY_SQL} AS reserved, ${EXPIRED_QUANTITY_SQL} AS expired
+    FROM ${INVENTORY_FROM} WHERE inventory.id = ?`;
+  try {
+    const row = await getAsync(query, [req.params.id]);
     if (!row) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
-    res.json({
-      id: row.id,
-      branch: row.branch,
-      product: row.product,
-      price: row.price,
-      stock: row.stock
-    });
-  });
+    const [item] = await withPackStock([row]);
+    res.json(formatItem(item, req.user));
+  } catch (error) {
+    console.error('Error fetching item:', error);
+    res.status(500).json({ error: 'Failed to fetch item' });
+  }
 });
 
-// Update stock (restock)
-router.put('/:id/stock', authenticateToken, (req, res) => {
-  const { id } = req.params;
-  const { stock } = req.body;
+// An item's stock movement history, newest first (admin only)
+router.get('/:id/movements', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
 
-  if (stock === undefined || stock < 0) {
-    return res.status(400).json({ error: 'Valid stock value is required' });
+  try {
+    const [balance] = await ledgerBalances({ inventoryId: req.params.id });
+    if (!balance) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ ...balance, movements: await listMovements(req.params.id, { limit }) });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({ error: 'Failed to fetch stock movements' });
+  }
+});
+
+// An item's lots with units left, in the order they will be sold (admin only)
+router.get('/:id/lots', authenticateToken, async (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
   }
 
-  // Get current stock for WebSocket event
-  db.get('SELECT * FROM inventory WHERE id = ?', [id], (err, oldItem) => {
-    if (err || !oldItem) {
+  try {
+    const item = await getAsync('SELECT stock FROM inventory WHERE id = ?', [req.params.id]);
+    if (!item) {
       return res.status(404).json({ error: 'Item not found' });
     }
 
-    db.run(
-      'UPDATE inventory SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [stock, id],
-      function (err) {
-        if (err) {
-          console.error('Error updating stock:', err);
-          return res.status(500).json({ error: 'Failed to update stock' });
-        }
-
-        // Format notification message
-        const adminName = req.user.username;
-        const increase = stock - oldItem.stock;
-        const notificationMessage = `Restock Update: ${oldItem.branch} ${oldItem.product} stock increased by ${increase} unit${increase !== 1 ? 's' : ''}. New total: ${stock} (Updated by Admin ${adminName}).`;
-
-        // Emit WebSocket event to notify all connected clients
-        const io = req.app.get('io');
-        io.to('admin-room').emit('stock-restocked', {
-          id: parseInt(id),
-          branch: oldItem.branch,
-          product: oldItem.product,
-          oldStock: oldItem.stock,
-          newStock: stock,
-          updatedBy: req.user.username,
-          message: notificationMessage
-        });
+    const lots = await listLots(req.params.id);
+    const inLots = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    res.json({ stock: item.stock, untracked: Math.max(0, item.stock - inLots), lots });
+  } catch (error) {
+    console.error('Error fetching lots:', error);
+    res.status(500).json({ error: 'Failed to fetch lots' });
+  }
+});
 
-        io.to('customer-room').emit('inventory-updated', {
-          branch: oldItem.branch,
-          product: oldItem.product,
-          newStock: stock
-        });
+// Update stock (restock). Increases are recorded as restocks, decreases as adjustments.
+// An increase with batch_number and/or expiry_date goes into that lot.
+router.put('/:id/stock', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const { stock, note } = req.body;
+
+  if (stock === undefined || !Number.isInteger(Number(stock)) || stock < 0) {
+    return res.status(400).json({ error: 'Valid stock value is required' });
+  }
 
-        res.json({ success: true, message: 'Stock updated successfully' });
+  try {
+    const newStock = Number(stock);
+    const lot = cleanLot(req.body);
+
+    // The stock read for the movement is the one it replaces, so it is read in the same transaction
+    const { item, oldStock } = await withTransaction(async () => {
+      const item = await getAsync(`SELECT ${INVENTORY_COLUMNS} FROM ${INVENTORY_FROM} WHERE inventory.id = ?`, [id]);
+      if (!item) {
+        throw new StockError(404, 'Item not found');
       }
-    );
-  });
+
+      const { oldStock } = await setStock({
+        inventoryId: item.id,
+        stock: newStock,
+        type: newStock >= item.stock ? 'restock' : 'adjustment',
+        userId: req.user.id,
+        note: note || null,
+        lots: lot && newStock > item.stock ? [{ ...lot, quantity: newStock - item.stock }] : []
+      });
+      return { item, oldStock };
+    });
+
+    // Format notification message
+    const adminName = req.user.username;
+    const increase = newStock - oldStock;
+    const notificationMessage = `Restock Update: ${item.branch} ${item.product} stock increased by ${increase} unit${increase !== 1 ? 's' : ''}. New total: ${newStock} (Updated by Admin ${adminName}).`;
+
+    // Emit WebSocket event to notify all connected clients
+    const io = req.app.get('io');
+    io.to('admin-room').emit('stock-restocked', {
+      id: parseInt(id),
+      branch: item.branch,
+      product: item.product,
+      oldStock,
+      newStock,
+      updatedBy: req.user.username,
+      message: notificationMessage
+    });
+
+    io.to('customer-room').emit('inventory-updated', {
+      branch: item.branch,
+      product: item.product,
+      newStock
+    });
+
+    res.json({ success: true, message: 'Stock updated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to update stock');
+  }
 });
 
-// Update inventory item (price and stock)
-router.put('/:id', authenticateToken, (req, res) => {
+// Update inventory item (branch price, stock and reorder settings). A null price puts the branch back on
+// the catalog default. A stock change here is a correction and goes into the ledger as an adjustment.
+router.put('/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
-  const { price, stock } = req.body;
+  const { price, stock, note, reorder_point, reorder_quantity } = req.body;
+
+  if (price === undefined && stock === undefined && reorder_point === undefined && reorder_quantity === undefined) {
+    return res.status(400).json({ error: 'At least price, stock or a reorder setting is required' });
+  }
+
+  if (reorder_point !== undefined && (!Number.isInteger(Number(reorder_point)) || reorder_point === null || reorder_point < 0)) {
+    return res.status(400).json({ error: 'Valid reorder point is required' });
+  }
 
-  if (price === undefined && stock === undefined) {
-    return res.status(400).json({ error: 'At least price or stock is required' });
+  if (reorder_quantity !== undefined && reorder_quantity !== null && reorder_quantity !== '' &&
+      (!Number.isInteger(Number(reorder_quantity)) || reorder_quantity <= 0)) {
+    return res.status(400).json({ error: 'Valid reorder quantity is required' });
   }
 
-  if (price !== undefined && (isNaN(price) || price < 0)) {
+  if (price !== undefined && price !== null && (isNaN(price) || price < 0)) {
     return res.status(400).json({ error: 'Valid price is required' });
   }
 
-  if (stock !== undefined && (isNaN(stock) || stock < 0)) {
+  if (stock !== undefined && (!Number.isInteger(Number(stock)) || stock < 0)) {
     return res.status(400).json({ error: 'Valid stock value is required' });
   }
 
-  // Get current item for WebSocket event
-  db.get('SELECT * FROM inventory WHERE id = ?', [id], (err, oldItem) => {
-    if (err || !oldItem) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
+  try {
+    // Read the item in the same transaction that changes it, so the stock it replaces is current
+    const { oldItem, newPrice, newStock, newReorderPoint } = await withTransaction(async () => {
+      const oldItem = await getAsync(`SELECT ${INVENTORY_COLUMNS} FROM ${INVENTORY_FROM} WHERE inventory.id = ?`, [id]);
+      if (!oldItem) {
+        throw new StockError(404, 'Item not found');
+      }
 
-    const newPrice = price !== undefined ? price : oldItem.price;
-    const newStock = stock !== undefined ? stock : oldItem.stock;
+      const newOverride = price !== undefined ? priceOverride(price, oldItem.default_price) : oldItem.price_override;
+      const newStock = stock !== undefined ? Number(stock) : oldItem.stock;
+      const newReorderPoint = reorder_point !== undefined ? Number(reorder_point) : oldItem.reorder_point;
+      const newReorderQuantity = reorder_quantity === undefined
+        ? oldItem.reorder_quantity
+        : (reorder_quantity === null || reorder_quantity === '' ? null : Number(reorder_quantity));
+
+      await runAsync(
+        `UPDATE inventory SET price_override = ?, reorder_point = ?, reorder_quantity = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [newOverride, newReorderPoint, newReorderQuantity, id]
+      );
+      if (newStock !== oldItem.stock) {
+        await setStock({
+          inventoryId: oldItem.id,
+          stock: newStock,
+          type: 'adjustment',
+          userId: req.user.id,
+          note: note || null
+        });
+      } else if (newReorderPoint !== oldItem.reorder_point) {
+        await checkStockLevel(oldItem.id);
+      }
+
+      return {
+        oldItem,
+        newPrice: newOverride !== null ? newOverride : oldItem.default_price,
+        newStock,
+        newReorderPoint
+      };
+    });
 
     // Format notification message
     const adminName = req.user.username;
@@ -264,165 +524,179 @@ router.put('/:id', authenticateToken, (req, res) => {
     if (price !== undefined) {
       notificationMessage += ` New price: KES ${newPrice}.`;
     }
+    if (reorder_point !== undefined) {
+      notificationMessage += ` Reorder point: ${newReorderPoint}.`;
+    }
     notificationMessage += ` (Updated by Admin ${adminName}).`;
 
-    db.run(
-      'UPDATE inventory SET price = ?, stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [newPrice, newStock, id],
-      function (err) {
-        if (err) {
-          console.error('Error updating item:', err);
-          return res.status(500).json({ error: 'Failed to update item' });
-        }
-
-        // Emit WebSocket event to notify all connected clients
-        const io = req.app.get('io');
-        io.to('admin-room').emit('stock-restocked', {
-          id: parseInt(id),
-          branch: oldItem.branch,
-          product: oldItem.product,
-          oldStock: oldItem.stock,
-          newStock: newStock,
-          updatedBy: req.user.username,
-          message: notificationMessage
-        });
+    // Emit WebSocket event to notify all connected clients
+    const io = req.app.get('io');
+    io.to('admin-room').emit('stock-restocked', {
+      id: parseInt(id),
+      branch: oldItem.branch,
+      product: oldItem.product,
+      oldStock: oldItem.stock,
+      newStock: newStock,
+      updatedBy: req.user.username,
+      message: notificationMessage
+    });
 
-        io.to('customer-room').emit('inventory-updated', {
-          branch: oldItem.branch,
-          product: oldItem.product,
-          newStock: newStock
-        });
+    io.to('customer-room').emit('inventory-updated', {
+      branch: oldItem.branch,
+      product: oldItem.product,
+      newStock: newStock
+    });
 
-        res.json({ success: true, message: 'Item updated successfully' });
-      }
-    );
-  });
+    res.json({ success: true, message: 'Item updated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to update item');
+  }
 });
 
-// Add new inventory item (admin only)
-router.post('/', authenticateToken, uploadSingleImage('image'), (req, res) => {
+// Add new inventory item (admin only). The product is picked from the catalog by
+// product_id or name; a name the catalog does not know yet is added to it at this price.
+// Stock sent with batch_number and/or expiry_date is booked into that lot.
+router.post('/', authenticateToken, uploadSingleImage('image'), async (req, res) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
   }
 
-  console.log('Add product request body:', req.body);
-  console.log('Add product request file:', req.file);
+  const { branch, product, product_id, price, stock } = req.body;
+  const quantity = Number(stock);
 
-  const { branch, product, price, stock } = req.body;
-
-  if (!branch || !product || price === undefined || stock === undefined) {
-    return res.status(400).json({ error: 'All fields are required' });
+  if (!branch || (!product && !product_id) || stock === undefined || !Number.isInteger(quantity) || quantity < 0) {
+    return res.status(400).json({ error: 'Branch, product and a valid stock are required' });
+  }
+  if (price !== undefined && price !== '' && (isNaN(price) || Number(price) < 0)) {
+    return res.status(400).json({ error: 'Valid price is required' });
   }
 
-  // Ensure imageUrl is never undefined to avoid SQLITE_CONSTRAINT
+  // Ensure imageUrl is never undefined
   const imageUrl = req.file ? (req.file.path || req.file.url || req.file.secure_url || '') : '';
-  console.log('Determined imageUrl:', imageUrl);
 
-  // Check if item with same branch and product already exists
-  db.get(
-    'SELECT * FROM inventory WHERE branch = ? AND product = ?',
-    [branch, product],
-    (err, existingItem) => {
-      if (err) {
-        console.error('Error checking existing item:', err);
-        return res.status(500).json({ error: 'Failed to add item' });
-      }
+  try {
+    const lot = cleanLot(req.body);
+    const { id: branchId, name: branchName } = await resolveBranch(branch);
+    const { product: catalogProduct } = await findOrCreateProduct({
+      productId: product_id,
+      name: product,
+      price,
+      imageUrl
+    });
+
+    const io = req.app.get('io');
+    const lots = lot && quantity > 0 ? [{ ...lot, quantity }] : [];
+
+    // Looked up and added in one transaction, so two requests cannot both add the product
+    const { existingItem, inventoryId, oldStock, newStock } = await withTransaction(async () => {
+      const existingItem = await getAsync(
+        'SELECT * FROM inventory WHERE branch_id = ? AND product_id = ?',
+        [branchId, catalogProduct.id]
+      );
 
       if (existingItem) {
-        // ...Existing update logic...
-        const newStock = existingItem.stock + stock;
-
-        db.run(
-          'UPDATE inventory SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [newStock, existingItem.id],
-          function (err) {
-            if (err) {
-              console.error('Error updating stock:', err);
-              return res.status(500).json({ error: 'Failed to update stock' });
-            }
-
-            const io = req.app.get('io');
-            io.to('admin-room').emit('stock-restocked', {
-              id: existingItem.id,
-              branch: branch,
-              product: product,
-              oldStock: existingItem.stock,
-              newStock: newStock,
-              updatedBy: req.user.username,
-              message: `Restock Update: ${branch} ${product} stock increased by ${stock}.`
-            });
-
-            res.status(200).json({
-              success: true,
-              id: existingItem.id,
-              message: `Stock updated: ${product} in ${branch}`
-            });
-          }
-        );
-      } else {
-        // Item doesn't exist - create new entry
-        console.log('Inserting new item with values:', { branch, product, price, stock, imageUrl });
-        db.run(
-          'INSERT INTO inventory (branch, product, price, stock, imageUrl) VALUES (?, ?, ?, ?, ?)',
-          [branch, product, price, stock, imageUrl],
-          function (err) {
-            if (err) {
-              console.error('FULL SQL ERROR:', err);
-              console.error('Values attempted:', [branch, product, price, stock, imageUrl]);
-              return res.status(500).json({ error: 'Failed to add item: ' + err.message });
-            }
-
-            res.status(201).json({
-              success: true,
-              id: this.lastID,
-              message: 'Item added successfully'
-            });
-          }
-        );
+        const { oldStock, newStock } = await adjustStock({
+          inventoryId: existingItem.id,
+          delta: quantity,
+          type: 'restock',
+          userId: req.user.id,
+          lots
+        });
+        return { existingItem, inventoryId: existingItem.id, oldStock, newStock };
       }
+
+      if (quantity > 0 && sellsFromUnits(catalogProduct)) {
+        throw new StockError(409, `${catalogProduct.name} is sold from unit stock; stock its unit instead`);
+      }
+
+      const { lastID: inventoryId } = await runAsync(
+        'INSERT INTO inventory (branch, branch_id, product_id, price_override, stock) VALUES (?, ?, ?, ?, ?)',
+        [branchName, branchId, catalogProduct.id, priceOverride(price, catalogProduct.default_price), quantity]
+      );
+      await recordMovement({
+        inventoryId,
+        type: 'restock',
+        delta: quantity,
+        userId: req.user.id,
+        note: 'Initial stock',
+        lots
+      });
+      return { existingItem: null, inventoryId };
+    });
+
+    if (existingItem) {
+      io.to('admin-room').emit('stock-restocked', {
+        id: existingItem.id,
+        branch: branchName,
+        product: catalogProduct.name,
+        oldStock,
+        newStock,
+        updatedBy: req.user.username,
+        message: `Restock Update: ${branchName} ${catalogProduct.name} stock increased by ${quantity}.`
+      });
+
+      return res.status(200).json({
+        success: true,
+        id: existingItem.id,
+        product_id: catalogProduct.id,
+        message: `Stock updated: ${catalogProduct.name} in ${branchName}`
+      });
     }
-  );
+
+    res.status(201).json({
+      success: true,
+      id: inventoryId,
+      product_id: catalogProduct.id,
+      message: 'Item added successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to add item');
+  }
 });
 
-// Delete inventory item (admin only)
-router.delete('/:id', authenticateToken, (req, res) => {
+// Delete inventory item (admin only). Only an empty row can go: its stock must be written off
+// or transferred first, and units held for pending orders keep it until they are released.
+router.delete('/:id', authenticateToken, async (req, res) => {
   if (req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
   }
 
-  // Get item info before deletion for notification
-  db.get('SELECT * FROM inventory WHERE id = ?', [req.params.id], (err, item) => {
-    if (err || !item) {
-      return res.status(404).json({ error: 'Item not found' });
-    }
-
-    const adminName = req.user.username;
-    const notificationMessage = `Delete Update: ${item.branch} ${item.product} has been removed from inventory (Deleted by Admin ${adminName}).`;
-
-    db.run('DELETE FROM inventory WHERE id = ?', [req.params.id], function (err) {
-      if (err) {
-        console.error('Error deleting item:', err);
-        return res.status(500).json({ error: 'Failed to delete item' });
+  try {
+    const item = await withTransaction(async () => {
+      const item = await getAsync(
+        `SELECT ${INVENTORY_COLUMNS}, ${RESERVED_QUANTITY_SQL} AS reserved FROM ${INVENTORY_FROM} WHERE inventory.id = ?`,
+        [req.params.id]
+      );
+      if (!item) {
+        throw new StockError(404, 'Item not found');
       }
-
-      if (this.changes === 0) {
-        return res.status(404).json({ error: 'Item not found' });
+      if (item.reserved > 0) {
+        throw new StockError(409, `${item.reserved} ${item.product} at ${item.branch} are held for pending orders`);
+      }
+      if (item.stock !== 0) {
+        throw new StockError(409, `${item.product} at ${item.branch} still has ${item.stock} in stock; write it off or transfer it first`);
       }
 
-      // Emit WebSocket event to notify all connected admins
-      const io = req.app.get('io');
-      io.to('admin-room').emit('stock-restocked', {
-        id: parseInt(req.params.id),
-        branch: item.branch,
-        product: item.product,
-        deleted: true,
-        updatedBy: req.user.username,
-        message: notificationMessage
-      });
+      await runAsync('DELETE FROM stock_alerts WHERE inventory_id = ?', [item.id]);
+      await runAsync('DELETE FROM inventory WHERE id = ?', [item.id]);
+      return item;
+    });
 
-      res.json({ success: true, message: 'Item deleted successfully' });
+    // Emit WebSocket event to notify all connected admins
+    const io = req.app.get('io');
+    io.to('admin-room').emit('stock-restocked', {
+      id: item.id,
+      branch: item.branch,
+      product: item.product,
+      deleted: true,
+      updatedBy: req.user.username,
+      message: `Delete Update: ${item.branch} ${item.product} has been removed from inventory (Deleted by Admin ${req.user.username}).`
     });
-  });
+
+    res.json({ success: true, message: 'Item deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete item');
+  }
 });
 
 module.exports = router;
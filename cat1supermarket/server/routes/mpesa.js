@@ -1,154 +1,79 @@
 const express = require('express');
-const axios = require('axios');
-const { db } = require('../database');
-const { authenticateToken } = require('../middleware/auth');
+const multer = require('multer');
+const { db, getAsync } = require('../database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { checkout } = require('../services/payments');
+const {
+  listAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount
+} = require('../services/mpesa-accounts');
+const {
+  mpesaConfig,
+  MPESA_CONFIG,
+  getAccessToken,
+  hasCachedToken,
+  tokenSecondsLeft,
+  accountForBranch,
+  accountForTransaction,
+  queryStkStatus,
+  recordStkQueryResult,
+  formatPhone,
+  handleStkCallback
+} = require('../services/mpesa');
+const {
+  importStatement,
+  listReports,
+  getReport,
+  reportToCsv
+} = require('../services/mpesa-statements');
+const {
+  requestRefund,
+  recordRefundResult,
+  listRefunds,
+  getTransactionRefunds
+} = require('../services/refunds');
 
 const router = express.Router();
 
-// Validate required environment variables on startup
-function validateEnvVariables() {
-  const required = [
-    'MPESA_CONSUMER_KEY',
-    'MPESA_CONSUMER_SECRET', 
-    'MPESA_SHORTCODE',
-    'MPESA_PASSKEY',
-    'MPESA_CALLBACK_URL'
-  ];
-  
-  const missing = [];
-  const envWarnings = [];
-  
-  // Build config status object for API responses
-  const configStatus = {
-    valid: true,
-    missing: [],
-    warnings: [],
-    shortcode: null,
-    hasValidCredentials: false
-  };
-  
-  required.forEach(envVar => {
-    if (!process.env[envVar]) {
-      missing.push(envVar);
-      configStatus.missing.push(envVar);
+// Statements are parsed straight from memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+function uploadStatement(req, res, next) {
+  statementUpload.single('statement')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE' ? 'Statement file must be 5 MB or smaller' : err.message;
+      return res.status(400).json({ error: message });
     }
+    next();
   });
-  
-  // Check for example/default values that should be replaced
-  if (!process.env.MPESA_CONSUMER_KEY || process.env.MPESA_CONSUMER_KEY === 'your_consumer_key_here') {
-    envWarnings.push('MPESA_CONSUMER_KEY is still set to default placeholder value');
-  }
-  if (!process.env.MPESA_PASSKEY || process.env.MPESA_PASSKEY === 'your_passkey_here') {
-    envWarnings.push('MPESA_PASSKEY is still set to default placeholder value');
-  }
-  
-  configStatus.warnings = envWarnings;
-  configStatus.shortcode = process.env.MPESA_SHORTCODE || null;
-  configStatus.hasValidCredentials = missing.length === 0 && envWarnings.length === 0;
-  
-  if (missing.length > 0) {
-    configStatus.valid = false;
-    console.error('\n❌ M-Pesa Configuration Error:');
-    console.error('   Missing required environment variables:');
-    missing.forEach(v => console.error(`   - ${v}`));
-    console.error('\n   Please copy .env.example to .env and fill in your credentials.');
-    console.error('   See MPESA_SETUP.md for detailed instructions.\n');
-  }
-  
-  if (envWarnings.length > 0) {
-    console.warn('\n⚠️  M-Pesa Configuration Warnings:');
-    envWarnings.forEach(v => console.warn(`   - ${v}`));
-    console.warn('   These should be replaced with actual Daraja API credentials.\n');
-    configStatus.valid = false;
-  }
-  
-  if (configStatus.valid) {
-    console.log('\n✅ M-Pesa configuration validated successfully');
-    console.log(`   Shortcode: ${process.env.MPESA_SHORTCODE}`);
-    console.log(`   Callback URL: ${process.env.MPESA_CALLBACK_URL}\n`);
-  }
-  
-  return configStatus;
 }
 
-// Validate immediately on module load and export config status
-const mpesaConfig = validateEnvVariables();
-
-// M-Pesa Daraja API configuration
-const MPESA_CONFIG = {
-  consumerKey: process.env.MPESA_CONSUMER_KEY,
-  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
-  shortcode: process.env.MPESA_SHORTCODE,
-  passkey: process.env.MPESA_PASSKEY,
-  callbackUrl: process.env.MPESA_CALLBACK_URL,
-  // Daraja API endpoints
-  authUrl: 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-  stkPushUrl: 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-  stkQueryUrl: 'https://sandbox.safaricom.co.ke/mpesa/stkpushquery/v1/query'
-};
-
-// Cache for access token
-let accessToken = null;
-let tokenExpiry = null;
-
-// Helper function to get M-Pesa access token
-async function getAccessToken() {
+// Get M-Pesa configuration status (for debugging and frontend)
+router.get('/config-status', authenticateToken, async (req, res) => {
+  let branchAccounts = [];
   try {
-    // Check if we have a valid cached token
-    if (accessToken && tokenExpiry && Date.now() < tokenExpiry) {
-      return accessToken;
-    }
-
-    // Validate that we have credentials
-    if (!MPESA_CONFIG.consumerKey || !MPESA_CONFIG.consumerSecret) {
-      throw new Error('M-Pesa credentials not configured');
-    }
-
-    const auth = Buffer.from(`${MPESA_CONFIG.consumerKey}:${MPESA_CONFIG.consumerSecret}`).toString('base64');
-
-    console.log('Requesting M-Pesa access token...');
-    const response = await axios.get(MPESA_CONFIG.authUrl, {
-      headers: {
-        'Authorization': `Basic ${auth}`
-      },
-      timeout: 30000 // 30 second timeout
-    });
-
-    accessToken = response.data.access_token;
-    // Set expiry to 50 minutes (tokens are valid for 1 hour)
-    tokenExpiry = Date.now() + (50 * 60 * 1000);
-
-    console.log('M-Pesa access token obtained successfully');
-    return accessToken;
+    branchAccounts = (await listAccounts()).filter(account => account.is_active);
   } catch (error) {
-    console.error('Error getting M-Pesa access token:');
-    console.error('  Response:', error.response?.data || error.message);
-    console.error('  Status:', error.response?.status || 'N/A');
-    
-    if (error.code === 'ECONNREFUSED') {
-      throw new Error('Cannot connect to M-Pesa API. Please check your internet connection.');
-    } else if (error.response?.status === 401) {
-      throw new Error('Invalid M-Pesa credentials. Please check your Consumer Key and Secret.');
-    }
-    throw new Error('Failed to get M-Pesa access token: ' + (error.response?.data?.errorDescription || error.message));
+    console.error('Error loading M-Pesa accounts:', error);
   }
-}
-
-// Helper function to generate M-Pesa password
-function generateMpesaPassword() {
-  const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
-  const password = Buffer.from(`${MPESA_CONFIG.shortcode}${MPESA_CONFIG.passkey}${timestamp}`).toString('base64');
-  return { password, timestamp };
-}
 
-// Get M-Pesa configuration status (for debugging and frontend)
-router.get('/config-status', authenticateToken, (req, res) => {
   res.json({
-    configured: mpesaConfig.valid,
+    configured: mpesaConfig.valid || branchAccounts.length > 0,
     hasCredentials: mpesaConfig.hasValidCredentials,
     missingVariables: mpesaConfig.missing,
     warnings: mpesaConfig.warnings,
     shortcode: mpesaConfig.shortcode,
+    environment: MPESA_CONFIG.environment,
+    baseUrl: MPESA_CONFIG.baseUrl,
+    branchAccounts: branchAccounts.map(({ branch, shortcode, transaction_type, environment }) => ({
+      branch, shortcode, transactionType: transaction_type, environment
+    })),
     setupInstructions: 'See MPESA_SETUP.md for detailed instructions'
   });
 });
@@ -173,7 +98,7 @@ router.get('/test-connection', authenticateToken, async (req, res) => {
       success: true,
       message: 'M-Pesa API connection successful',
       tokenReceived: true,
-      expiresIn: tokenExpiry ? Math.round((tokenExpiry - Date.now()) / 1000) : 0
+      expiresIn: tokenSecondsLeft(MPESA_CONFIG)
     });
   } catch (error) {
     console.error('M-Pesa connection test failed:', error.message);
@@ -186,34 +111,17 @@ router.get('/test-connection', authenticateToken, async (req, res) => {
 });
 
 // STK Push endpoint
+// Kept for clients that pay the whole basket by M-Pesa; it is a checkout with a single
+// M-Pesa tender. The amount charged always comes from server-side pricing of the items.
 router.post('/stkpush', authenticateToken, async (req, res) => {
-  // Check if configuration is valid
-  if (!mpesaConfig.valid) {
-    return res.status(500).json({ 
-      error: 'M-Pesa configuration is incomplete',
-      message: 'Please configure your M-Pesa credentials in the .env file',
-      missingVariables: mpesaConfig.missing,
-      warnings: mpesaConfig.warnings,
-      setupGuide: 'See MPESA_SETUP.md for detailed instructions'
-    });
-  }
-
-  const { phone, amount, branch, product } = req.body;
+  const { phone, amount: expectedAmount, branch, items } = req.body;
 
-  if (!phone || !amount) {
-    return res.status(400).json({ error: 'Phone and amount are required' });
-  }
-
-  // Format phone number to 254XXXXXXXXX format
-  let formattedPhone = phone.replace(/[^0-9]/g, '');
-  if (formattedPhone.startsWith('0')) {
-    formattedPhone = '254' + formattedPhone.substring(1);
-  } else if (!formattedPhone.startsWith('254')) {
-    formattedPhone = '254' + formattedPhone;
+  if (!phone || !Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Phone and order items are required' });
   }
 
   // Validate phone format
-  if (!/^254[0-9]{9}$/.test(formattedPhone)) {
+  if (!formatPhone(phone)) {
     return res.status(400).json({ 
       error: 'Invalid phone number format',
       message: 'Phone must be in format 254XXXXXXXXX (12 digits starting with 254)'
@@ -221,179 +129,69 @@ router.post('/stkpush', authenticateToken, async (req, res) => {
   }
 
   try {
-    const { password, timestamp } = generateMpesaPassword();
-    const token = await getAccessToken();
-
-    // Prepare STK Push request payload
-    const stkPushPayload = {
-      BusinessShortCode: MPESA_CONFIG.shortcode,
-      Password: password,
-      Timestamp: timestamp,
-      TransactionType: 'CustomerPayBillOnline',
-      Amount: Math.round(amount), // Must be integer
-      PartyA: formattedPhone,
-      PartyB: MPESA_CONFIG.shortcode,
-      PhoneNumber: formattedPhone,
-      CallBackURL: MPESA_CONFIG.callbackUrl,
-      AccountReference: `Supermarket-${branch || 'Main'}`,
-      TransactionDesc: `Purchase ${product || 'Items'} at ${branch || 'Main'}`
-    };
-
-    console.log('Initiating STK Push...', {
-      phone: formattedPhone,
-      amount: Math.round(amount),
-      timestamp,
-      shortcode: MPESA_CONFIG.shortcode
-    });
-
-    // Make actual call to M-Pesa Daraja STK Push API
-    const response = await axios.post(MPESA_CONFIG.stkPushUrl, stkPushPayload, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000 // 30 second timeout
-    });
-
-    const stkResponse = response.data;
-
-    console.log('STK Push response:', stkResponse);
-
-    // Store pending transaction for callback verification
-    db.run(
-      `INSERT INTO mpesa_transactions 
-       (merchant_request_id, checkout_request_id, phone, amount, branch, product, status) 
-       VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
-      [stkResponse.MerchantRequestID, stkResponse.CheckoutRequestID, formattedPhone, amount, branch, product],
-      function(err) {
-        if (err) {
-          console.error('Error storing transaction:', err);
-        }
-      }
-    );
-
-    // Emit WebSocket event for real-time payment status
-    const io = req.app.get('io');
-    io.to('admin-room').emit('mpesa-initiated', {
-      phone: formattedPhone,
-      amount,
+    const { order, payments } = await checkout({
+      user: req.user,
       branch,
-      product,
-      merchantRequestId: stkResponse.MerchantRequestID
-    });
+      items,
+      expectedTotal: expectedAmount,
+      tenders: [{ provider: 'mpesa', phone }]
+    }, req.app.get('io'));
+    const { details } = payments[0];
 
     res.json({
       success: true,
       message: 'STK Push initiated successfully. Please check your phone.',
       data: {
-        merchantRequestID: stkResponse.MerchantRequestID,
-        checkoutRequestID: stkResponse.CheckoutRequestID,
-        responseCode: stkResponse.ResponseCode,
-        responseDescription: stkResponse.ResponseDescription,
-        customerMessage: stkResponse.CustomerMessage
+        merchantRequestID: details.merchantRequestID,
+        checkoutRequestID: details.checkoutRequestID,
+        orderId: order.id,
+        amount: order.total_amount,
+        responseCode: details.responseCode,
+        responseDescription: details.responseDescription,
+        customerMessage: details.customerMessage
       }
     });
   } catch (error) {
-    console.error('STK Push error:', error.response?.data || error.message);
-    
-    // Provide more helpful error messages
-    const errorData = error.response?.data;
-    let errorMessage = 'Failed to initiate STK Push';
-    let errorCode = 'UNKNOWN_ERROR';
-    
-    if (errorData?.errorMessage) {
-      errorMessage = errorData.errorMessage;
-    } else if (errorData?.errorCode) {
-      errorCode = errorData.errorCode;
-    }
-    
-    if (error.code === 'ECONNREFUSED') {
-      errorMessage = 'Cannot connect to M-Pesa API. Please check your internet connection.';
-      errorCode = 'CONNECTION_ERROR';
-    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-      errorMessage = 'M-Pesa API request timed out. Please try again.';
-      errorCode = 'TIMEOUT';
-    } else if (error.response?.status === 500) {
-      errorMessage = 'M-Pesa API returned an internal error. Please try again later.';
-      errorCode = 'MPESA_SERVER_ERROR';
-    } else if (error.response?.status === 401) {
-      errorMessage = 'Invalid M-Pesa credentials. Please check your configuration.';
-      errorCode = 'AUTH_ERROR';
-    }
-
-    res.status(500).json({ 
-      error: errorMessage,
-      errorCode: errorCode,
-      details: errorData || error.message,
-      hint: 'See MPESA_SETUP.md for troubleshooting guide'
-    });
+    sendError(res, error, 'Failed to initiate STK Push');
   }
 });
 
 // STK Push Status Query
 router.post('/stkquery', authenticateToken, async (req, res) => {
-  // Check if configuration is valid
-  if (!mpesaConfig.valid) {
-    return res.status(500).json({ 
-      error: 'M-Pesa configuration is incomplete',
-      message: 'Please configure your M-Pesa credentials in the .env file'
-    });
-  }
-
-  const { checkoutRequestID, merchantRequestID } = req.body;
+  const { checkoutRequestID } = req.body;
 
   if (!checkoutRequestID) {
     return res.status(400).json({ error: 'CheckoutRequestID is required' });
   }
 
   try {
-    const { password, timestamp } = generateMpesaPassword();
-    const token = await getAccessToken();
-
-    const queryPayload = {
-      BusinessShortCode: MPESA_CONFIG.shortcode,
-      Password: password,
-      Timestamp: timestamp,
-      CheckoutRequestID: checkoutRequestID
-    };
-
-    const response = await axios.post(MPESA_CONFIG.stkQueryUrl, queryPayload, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
-    });
+    const transaction = await getAsync(
+      'SELECT * FROM mpesa_transactions WHERE checkout_request_id = ?',
+      [checkoutRequestID]
+    );
+    const account = transaction ? await accountForTransaction(transaction) : await accountForBranch(null);
 
-    const queryResponse = response.data;
-
-    // Update local transaction status
-    if (merchantRequestID) {
-      db.run(
-        `UPDATE mpesa_transactions 
-         SET status = ?, result_code = ?, result_desc = ?, completed_at = CURRENT_TIMESTAMP 
-         WHERE merchant_request_id = ?`,
-        [
-          queryResponse.ResultCode === 0 ? 'completed' : 'failed',
-          queryResponse.ResultCode,
-          queryResponse.ResultDesc,
-          merchantRequestID
-        ],
-        function(err) {
-          if (err) {
-            console.error('Error updating transaction:', err);
-          }
-        }
-      );
+    // Check if configuration is valid
+    if (!account) {
+      return res.status(500).json({ 
+        error: 'M-Pesa configuration is incomplete',
+        message: 'Please configure your M-Pesa credentials in the .env file'
+      });
     }
 
+    const queryResponse = await queryStkStatus(account, checkoutRequestID);
+
+    // Update local transaction status and settle its order once the outcome is final
+    const resultCode = Number(queryResponse.ResultCode);
+    const settled = await recordStkQueryResult(checkoutRequestID, queryResponse, req.app.get('io'), 'query');
+
     res.json({
       success: true,
       data: {
         checkoutRequestID: queryResponse.CheckoutRequestID,
         resultCode: queryResponse.ResultCode,
         resultDesc: queryResponse.ResultDesc,
-        status: queryResponse.ResultCode === 0 ? 'success' : 'failed'
+        status: settled === 'flagged' ? 'flagged' : resultCode === 0 ? 'success' : 'failed'
       }
     });
   } catch (error) {
@@ -406,94 +204,195 @@ router.post('/stkquery', authenticateToken, async (req, res) => {
 });
 
 // M-Pesa Callback endpoint
+// Safaricom may deliver the same callback more than once; the service logs every payload and
+// only acts on the first one for a pending transaction.
 router.post('/callback', async (req, res) => {
-  const { Body } = req.body;
-  console.log("the callback response is ", Body)
+  res.json(await handleStkCallback(req.body, req.app.get('io')));
+});
 
+// List per-branch M-Pesa accounts (admin only). Secrets are never returned.
+router.get('/accounts', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    if (Body && Body.stkCallback) {
-      const callback = Body.stkCallback;
-      const merchantRequestID = callback.MerchantRequestID;
-      const checkoutRequestID = callback.CheckoutRequestID;
-      const resultCode = callback.ResultCode;
-      const resultDesc = callback.ResultDesc;
-      
-      // Extract metadata if available
-      console.log("the call back is", callback)
-      const metaData = callback.CallbackMetadata?.Item || [];
-      console.log("the metaData is ", metaData);
-      const amount = metaData.find(item => item.Name === 'Amount')?.Value;
-      const mpesaReceiptNumber = metaData.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
-      const transactionDate = metaData.find(item => item.Name === 'TransactionDate')?.Value;
-      const phoneNumber = metaData.find(item => item.Name === 'PhoneNumber')?.Value;
-
-      console.log('M-Pesa Callback received:', {
-        merchantRequestID,
-        checkoutRequestID,
-        resultCode,
-        resultDesc,
-        amount,
-        mpesaReceiptNumber
-      });
+    res.json(await listAccounts());
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch M-Pesa accounts');
+  }
+});
 
-      // Update transaction status
-      db.run(
-        `UPDATE mpesa_transactions 
-         SET status = ?, result_code = ?, result_desc = ?, mpesa_receipt = ?, completed_at = CURRENT_TIMESTAMP 
-         WHERE merchant_request_id = ?`,
-        [resultCode === 0 ? 'completed' : 'failed', resultCode, resultDesc, mpesaReceiptNumber, merchantRequestID],
-        function(err) {
-          if (err) {
-            console.error('Error updating transaction:', err);
-          }
-        }
-      );
-
-      // Emit WebSocket event for real-time payment confirmation
-      const io = req.app.get('io');
-      io.to('admin-room').emit('mpesa-callback', {
-        merchantRequestID,
-        checkoutRequestID,
-        status: resultCode === 0 ? 'success' : 'failed',
-        resultDesc,
-        amount,
-        mpesaReceiptNumber
-      });
+// Add an M-Pesa account for a branch (admin only)
+router.post('/accounts', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const account = await createAccount(req.body);
+    res.status(201).json({ success: true, account });
+  } catch (error) {
+    sendError(res, error, 'Failed to create M-Pesa account');
+  }
+});
 
-      // If payment successful, emit sale event
-      if (resultCode === 0) {
-        db.get(
-          'SELECT * FROM mpesa_transactions WHERE merchant_request_id = ?',
-          [merchantRequestID],
-          (err, transaction) => {
-            if (transaction) {
-              io.to('admin-room').emit('sale-completed', {
-                branch: transaction.branch,
-                product: transaction.product,
-                quantity: 1, // Default quantity for callback
-                total_amount: transaction.amount,
-                paymentMethod: 'mpesa',
-                mpesaReceipt: mpesaReceiptNumber
-              });
-            }
-          }
-        );
-      }
+// Update an M-Pesa account (admin only). Leave passkey/consumer_secret out to keep them.
+router.put('/accounts/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const account = await updateAccount(req.params.id, req.body);
+    res.json({ success: true, account });
+  } catch (error) {
+    sendError(res, error, 'Failed to update M-Pesa account');
+  }
+});
+
+// Remove an M-Pesa account (admin only). The branch falls back to the .env account.
+router.delete('/accounts/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    await deleteAccount(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete M-Pesa account');
+  }
+});
+
+// Upload an M-Pesa org portal statement (CSV) and reconcile it (admin only).
+// Optional fields: from and to (YYYY-MM-DD) to set the period, branch to limit it.
+router.post('/statements', authenticateToken, requireRole('admin'), uploadStatement, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Statement CSV file is required' });
+  }
+
+  const { from, to, branch } = req.body;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+  }
+
+  try {
+    const report = await importStatement({
+      text: req.file.buffer.toString('utf8'),
+      filename: req.file.originalname,
+      uploadedBy: req.user.id,
+      from,
+      to,
+      branch
+    });
+    res.status(201).json({ success: true, report });
+  } catch (error) {
+    sendError(res, error, 'Failed to reconcile statement');
+  }
+});
+
+// List uploaded statement reconciliations (admin only)
+router.get('/statements', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listReports());
+  } catch (error) {
+    console.error('Error fetching statement reports:', error);
+    res.status(500).json({ error: 'Failed to fetch statement reports' });
+  }
+});
+
+// Get one reconciliation report with its entries (admin only)
+router.get('/statements/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const report = await getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Statement report not found' });
     }
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching statement report:', error);
+    res.status(500).json({ error: 'Failed to fetch statement report' });
+  }
+});
 
-    // Always respond with success to M-Pesa
-    res.json({ ResultCode: 0, ResultDesc: 'Success' });
+// Download a reconciliation report as CSV (admin only)
+router.get('/statements/:id/export', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const report = await getReport(req.params.id);
+    if (!report) {
+      return res.status(404).json({ error: 'Statement report not found' });
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="mpesa-reconciliation-${report.id}.csv"`);
+    res.send(reportToCsv(report));
+  } catch (error) {
+    console.error('Error exporting statement report:', error);
+    res.status(500).json({ error: 'Failed to export statement report' });
+  }
+});
+
+// Refund status, returnable items and how much is left to refund for a payment (admin only)
+router.get('/transactions/:id/refunds', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await getTransactionRefunds(req.params.id));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch refunds');
+  }
+});
+
+// Refund an M-Pesa payment (admin only).
+// Body: method ('b2c' or 'reversal'), amount (defaults to what is left), reason,
+// items [{ order_item_id, quantity }] to put back on the shelf once the refund succeeds.
+router.post('/transactions/:id/refunds', authenticateToken, requireRole('admin'), async (req, res) => {
+  const { method, amount, reason, items } = req.body;
+
+  if (items !== undefined && !Array.isArray(items)) {
+    return res.status(400).json({ error: 'items must be an array' });
+  }
+
+  try {
+    const refund = await requestRefund({
+      transactionId: req.params.id,
+      method,
+      amount,
+      reason,
+      items,
+      requestedBy: req.user.id
+    });
+
+    req.app.get('io').to('admin-room').emit('mpesa-refund-updated', refund);
+    res.status(202).json({ success: true, refund });
+  } catch (error) {
+    sendError(res, error, 'Failed to request refund');
+  }
+});
+
+// Recent refunds across all payments (admin only)
+router.get('/refunds', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listRefunds());
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch refunds');
+  }
+});
+
+// Daraja result for a B2C or reversal refund
+router.post('/refunds/result', async (req, res) => {
+  try {
+    const { outcome, refund } = await recordRefundResult(req.body, req.app.get('io'));
+    console.log('M-Pesa refund result:', outcome, refund ? `refund ${refund.id}` : '');
+  } catch (error) {
+    console.error('Refund result error:', error);
+  }
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
+// Daraja gave up on a refund request waiting in its queue
+router.post('/refunds/timeout', async (req, res) => {
+  try {
+    const { outcome, refund } = await recordRefundResult(req.body, req.app.get('io'), { timedOut: true });
+    console.warn('M-Pesa refund timed out:', outcome, refund ? `refund ${refund.id}` : '');
   } catch (error) {
-    console.error('Callback error:', error);
-    // Still return success to M-Pesa to prevent retries
-    res.json({ ResultCode: 0, ResultDesc: 'Success' });
+    console.error('Refund timeout error:', error);
   }
+  res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
 });
 
 // Get transaction history
 router.get('/transactions', authenticateToken, (req, res) => {
   db.all(
-    `SELECT * FROM mpesa_transactions ORDER BY created_at DESC LIMIT 50`,
+    `SELECT t.*,
+            (SELECT COALESCE(SUM(amount), 0) FROM refunds r
+             WHERE r.transaction_id = t.id AND r.status = 'completed') AS refunded_amount,
+            (SELECT status FROM refunds r
+             WHERE r.transaction_id = t.id ORDER BY r.id DESC LIMIT 1) AS refund_status
+     FROM mpesa_transactions t ORDER BY t.created_at DESC LIMIT 50`,
     [],
     (err, rows) => {
       if (err) {
@@ -507,6 +406,10 @@ router.get('/transactions', authenticateToken, (req, res) => {
         branch: row.branch,
         product: row.product,
         status: row.status,
+        resultDesc: row.result_desc,
+        settledBy: row.settled_by,
+        refundedAmount: row.refunded_amount,
+        refundStatus: row.refund_status,
         mpesaReceipt: row.mpesa_receipt,
         createdAt: row.created_at,
         completedAt: row.completed_at
@@ -518,9 +421,9 @@ router.get('/transactions', authenticateToken, (req, res) => {
 // Get access token status (for debugging)
 router.get('/token-status', authenticateToken, (req, res) => {
   res.json({
-    hasToken: !!accessToken,
-    expiresIn: tokenExpiry ? Math.round((tokenExpiry - Date.now()) / 1000) : 0,
-    isExpired: tokenExpiry ? Date.now() >= tokenExpiry : true
+    hasToken: hasCachedToken(MPESA_CONFIG),
+    expiresIn: tokenSecondsLeft(MPESA_CONFIG),
+    isExpired: tokenSecondsLeft(MPESA_CONFIG) <= 0
   });
 });
 
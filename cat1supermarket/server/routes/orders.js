@@ -0,0 +1,88 @@
+const express = require('express');
+const { db } = require('../database');
+const { authenticateToken } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { quoteOrder, createOrder, getOrder, emitOrderCompleted } = require('../services/orders');
+
+const router = express.Router();
+
+// Place an order for the whole cart
+router.post('/', authenticateToken, async (req, res) => {
+  const { branch, items, expected_total } = req.body;
+
+  try {
+    const order = await createOrder({
+      userId: req.user.id,
+      branch,
+      items,
+      expectedTotal: expected_total
+    });
+
+    emitOrderCompleted(req.app.get('io'), order);
+
+    res.status(201).json({
+      success: true,
+      order,
+      message: 'Order placed successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to place order');
+  }
+});
+
+// Price a cart on the server without placing the order
+router.post('/quote', authenticateToken, async (req, res) => {
+  const { branch, items } = req.body;
+
+  try {
+    res.json(await quoteOrder({ branch, items }));
+  } catch (error) {
+    sendError(res, error, 'Failed to price order');
+  }
+});
+
+// List orders - admins see every order, customers only their own
+router.get('/', authenticateToken, (req, res) => {
+  const { branch } = req.query;
+
+  let query = 'SELECT * FROM orders WHERE 1=1';
+  const params = [];
+
+  if (req.user.role !== 'admin') {
+    query += ' AND user_id = ?';
+    params.push(req.user.id);
+  }
+
+  if (branch && branch !== 'All') {
+    query += ' AND branch = ?';
+    params.push(branch);
+  }
+
+  query += ' ORDER BY created_at DESC, id DESC';
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      console.error('Error fetching orders:', err);
+      return res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+    res.json(rows);
+  });
+});
+
+// Get a single order with its items
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const order = await getOrder(req.params.id);
+
+    if (!order || (req.user.role !== 'admin' && order.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ error: 'Failed to fetch order' });
+  }
+});
+
+module.exports = router;
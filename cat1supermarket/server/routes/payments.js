@@ -0,0 +1,120 @@
+const express = require('express');
+const { getAsync } = require('../database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const {
+  getProvider,
+  availableProviders,
+  checkout,
+  queryPayment,
+  refundPayment,
+  listOrderPayments,
+  getPayment
+} = require('../services/payments');
+
+const router = express.Router();
+
+// Customers only see the payments of their own orders
+async function findOwnPayment(req) {
+  const payment = await getPayment(req.params.id);
+  if (!payment) return null;
+
+  const order = await getAsync('SELECT user_id FROM orders WHERE id = ?', [payment.order_id]);
+  if (req.user.role !== 'admin' && (!order || order.user_id !== req.user.id)) return null;
+  return payment;
+}
+
+// Payment methods the signed-in user can check out with
+router.get('/providers', authenticateToken, (req, res) => {
+  res.json(availableProviders(req.user));
+});
+
+// Place an order and pay for it with one or more tenders
+router.post('/checkout', authenticateToken, async (req, res) => {
+  const { branch, items, expected_total, tenders } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: 'Order items are required' });
+  }
+
+  try {
+    const result = await checkout({
+      user: req.user,
+      branch,
+      items,
+      expectedTotal: expected_total,
+      tenders
+    }, req.app.get('io'));
+
+    res.status(201).json({
+      success: true,
+      ...result,
+      message: result.status === 'completed'
+        ? 'Payment received'
+        : 'Waiting for the remaining payment to be confirmed'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to check out');
+  }
+});
+
+// Payments made towards one order
+router.get('/order/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const order = await getAsync('SELECT user_id FROM orders WHERE id = ?', [req.params.orderId]);
+    if (!order || (req.user.role !== 'admin' && order.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json(await listOrderPayments(req.params.orderId));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch payments');
+  }
+});
+
+// Ask the provider for the latest status of a payment
+router.post('/:id/query', authenticateToken, async (req, res) => {
+  try {
+    if (!await findOwnPayment(req)) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    res.json(await queryPayment(req.params.id, req.app.get('io')));
+  } catch (error) {
+    sendError(res, error, 'Failed to query payment');
+  }
+});
+
+// Refund all or part of one tender
+router.post('/:id/refund', authenticateToken, requireRole('admin'), async (req, res) => {
+  const { amount, reason, items } = req.body;
+
+  try {
+    const result = await refundPayment(req.params.id, {
+      amount,
+      reason,
+      items,
+      user: req.user
+    }, req.app.get('io'));
+
+    res.status(result.status === 'pending' ? 202 : 200).json({
+      success: true,
+      ...result,
+      payment: await getPayment(req.params.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to refund payment');
+  }
+});
+
+// Result notifications from providers that settle asynchronously
+router.post('/:provider/callback', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    res.json(await provider.handleCallback(req.body, req.app.get('io')));
+  } catch (error) {
+    sendError(res, error, 'Failed to handle payment callback');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { uploadSingleImage } = require('../cloudinary');
+const {
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct
+} = require('../services/catalog');
+
+const router = express.Router();
+
+function uploadedImageUrl(req) {
+  return req.file ? (req.file.path || req.file.url || req.file.secure_url || '') : undefined;
+}
+
+// Tell every open screen to reload the catalog and the inventory built on it
+function emitCatalogUpdated(req, payload) {
+  const io = req.app.get('io');
+  io.to('admin-room').emit('catalog-updated', payload);
+  io.to('customer-room').emit('catalog-updated', payload);
+}
+
+// List catalog products
+router.get('/', authenticateToken, async (req, res) => {
+  const { search, category } = req.query;
+
+  try {
+    res.json(await listProducts({ search, category }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch products');
+  }
+});
+
+// Get a single product with the branches that stock it
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const product = await getProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(product);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch product');
+  }
+});
+
+// Add a product to the catalog (admin only)
+router.post('/', authenticateToken, requireRole('admin'), uploadSingleImage('image'), async (req, res) => {
+  const imageUrl = uploadedImageUrl(req);
+
+  try {
+    const product = await createProduct({ ...req.body, ...(imageUrl ? { image_url: imageUrl } : {}) });
+
+    emitCatalogUpdated(req, {
+      action: 'created',
+      product,
+      message: `Catalog Update: ${product.name} added (by Admin ${req.user.username}).`
+    });
+
+    res.status(201).json(product);
+  } catch (error) {
+    sendError(res, error, 'Failed to create product');
+  }
+});
+
+// Update a product; the change applies at every branch that stocks it (admin only)
+router.put('/:id', authenticateToken, requireRole('admin'), uploadSingleImage('image'), async (req, res) => {
+  const imageUrl = uploadedImageUrl(req);
+
+  try {
+    const { before, product } = await updateProduct(req.params.id, {
+      ...req.body,
+      ...(imageUrl ? { image_url: imageUrl } : {})
+    });
+
+    const renamed = before.name !== product.name ? ` (was ${before.name})` : '';
+    emitCatalogUpdated(req, {
+      action: 'updated',
+      product,
+      message: `Catalog Update: ${product.name}${renamed} updated (by Admin ${req.user.username}).`
+    });
+
+    res.json(product);
+  } catch (error) {
+    sendError(res, error, 'Failed to update product');
+  }
+});
+
+// Remove a product no branch stocks any more (admin only)
+router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const product = await deleteProduct(req.params.id);
+
+    emitCatalogUpdated(req, {
+      action: 'deleted',
+      product,
+      message: `Catalog Update: ${product.name} removed (by Admin ${req.user.username}).`
+    });
+
+    res.json({ success: true, message: 'Product deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete product');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const {
+  getPromotion,
+  listPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../services/promotions');
+
+const router = express.Router();
+
+// Open carts are priced again when promotions change
+function emitPromotionsUpdated(req, message) {
+  const io = req.app.get('io');
+  io.to('admin-room').emit('promotions-updated', { message });
+  io.to('customer-room').emit('promotions-updated', { message });
+}
+
+// List promotions, newest first (admin only; query params: ?status=live|scheduled|ended|inactive&branch=)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listPromotions(req.query));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch promotions');
+  }
+});
+
+// Get a single promotion with how often it has been used (admin only)
+router.get('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await getPromotion(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+    res.json(promotion);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch promotion');
+  }
+});
+
+// Add a promotion (admin only)
+router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await createPromotion(req.body, req.user.id);
+    emitPromotionsUpdated(req, `Promotion added: ${promotion.name} (by Admin ${req.user.username}).`);
+    res.status(201).json(promotion);
+  } catch (error) {
+    sendError(res, error, 'Failed to create promotion');
+  }
+});
+
+// Update a promotion, including is_active to switch it off (admin only)
+router.put('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const promotion = await updatePromotion(req.params.id, req.body);
+    emitPromotionsUpdated(req, `Promotion updated: ${promotion.name} (by Admin ${req.user.username}).`);
+    res.json(promotion);
+  } catch (error) {
+    sendError(res, error, 'Failed to update promotion');
+  }
+});
+
+// Delete a promotion no order has used (admin only)
+router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    await deletePromotion(req.params.id);
+    emitPromotionsUpdated(req, `Promotion deleted (by Admin ${req.user.username}).`);
+    res.json({ success: true, message: 'Promotion deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete promotion');
+  }
+});
+
+module.exports = router;
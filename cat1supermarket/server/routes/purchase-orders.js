@@ -0,0 +1,126 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const {
+  PURCHASE_ORDER_STATUSES,
+  listPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receiveGoods,
+  cancelPurchaseOrder
+} = require('../services/purchase-orders');
+
+const router = express.Router();
+
+function emitPurchaseOrderUpdated(req, action, purchaseOrder, verb) {
+  req.app.get('io').to('admin-room').emit('purchase-order-updated', {
+    action,
+    purchaseOrder,
+    message: `Purchasing Update: PO #${purchaseOrder.id} to ${purchaseOrder.supplier} for ${purchaseOrder.branch} ${verb} (by Admin ${req.user.username}).`
+  });
+}
+
+// List purchase orders, newest first (admin only; query params: ?status=sent&branch=Kisumu&supplier=3,
+// or ?outstanding=1 for orders still waiting on goods)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  const { status, branch, supplier, outstanding } = req.query;
+  if (status && !PURCHASE_ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of ${PURCHASE_ORDER_STATUSES.join(', ')}` });
+  }
+
+  try {
+    res.json(await listPurchaseOrders({ status, branch, supplier, outstanding: outstanding === '1' }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch purchase orders');
+  }
+});
+
+// Get a purchase order with its lines and goods-received notes (admin only)
+router.get('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const purchaseOrder = await getPurchaseOrder(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({ error: 'Purchase order not found' });
+    }
+    res.json(purchaseOrder);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch purchase order');
+  }
+});
+
+// Draft a purchase order ({ supplier, branch, items: [{ product_id, quantity, unit_cost }], expected_date, note })
+router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const purchaseOrder = await createPurchaseOrder(req.body, req.user.id);
+    emitPurchaseOrderUpdated(req, 'drafted', purchaseOrder, 'drafted');
+    res.status(201).json(purchaseOrder);
+  } catch (error) {
+    sendError(res, error, 'Failed to create purchase order');
+  }
+});
+
+// Edit a draft purchase order; items replace the draft's lines (admin only)
+router.put('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const purchaseOrder = await updatePurchaseOrder(req.params.id, req.body);
+    emitPurchaseOrderUpdated(req, 'updated', purchaseOrder, 'updated');
+    res.json(purchaseOrder);
+  } catch (error) {
+    sendError(res, error, 'Failed to update purchase order');
+  }
+});
+
+// Approve a draft and send it to the supplier (admin only)
+router.post('/:id/send', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const purchaseOrder = await sendPurchaseOrder(req.params.id, req.user.id);
+    emitPurchaseOrderUpdated(req, 'sent', purchaseOrder, 'sent');
+    res.json(purchaseOrder);
+  } catch (error) {
+    sendError(res, error, 'Failed to send purchase order');
+  }
+});
+
+// Record a goods-received note ({ items: [{ id, quantity, unit_cost }], delivery_reference, note }).
+// Stock goes up at the order's branch; partial deliveries leave the rest outstanding.
+router.post('/:id/receive', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { purchaseOrder, grn, changes } = await receiveGoods(req.params.id, req.body, req.user.id);
+
+    emitPurchaseOrderUpdated(req, 'received', purchaseOrder,
+      purchaseOrder.status === 'received' ? 'fully received' : 'partially received');
+
+    const io = req.app.get('io');
+    changes.forEach(change => {
+      io.to('admin-room').emit('stock-restocked', {
+        ...change,
+        updatedBy: req.user.username,
+        message: `Goods Received: ${change.branch} ${change.product} stock increased by ${change.quantity}. New total: ${change.newStock}.`
+      });
+      io.to('customer-room').emit('inventory-updated', {
+        branch: change.branch,
+        product: change.product,
+        newStock: change.newStock
+      });
+    });
+
+    res.status(201).json({ purchaseOrder, grn });
+  } catch (error) {
+    sendError(res, error, 'Failed to receive goods');
+  }
+});
+
+// Cancel a purchase order; goods already received stay in stock (admin only)
+router.post('/:id/cancel', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const purchaseOrder = await cancelPurchaseOrder(req.params.id, req.user.id);
+    emitPurchaseOrderUpdated(req, 'cancelled', purchaseOrder, 'cancelled');
+    res.json(purchaseOrder);
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel purchase order');
+  }
+});
+
+module.exports = router;
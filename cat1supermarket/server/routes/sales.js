@@ -1,98 +1,84 @@
 const express = require('express');
 const { db } = require('../database');
 const { authenticateToken } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { createOrder, emitOrderCompleted } = require('../services/orders');
 
 const router = express.Router();
 
-// Record a sale
-router.post('/', authenticateToken, (req, res) => {
+// Record a single-line sale (kept for older clients - new code posts the whole cart to /api/orders).
+// The amount is priced on the server; a total_amount that disagrees with it is rejected.
+router.post('/', authenticateToken, async (req, res) => {
   const { branch, product, quantity, total_amount } = req.body;
 
-  if (!branch || !product || !quantity || total_amount === undefined) {
-    return res.status(400).json({ error: 'All fields are required' });
+  if (!branch || !product || !quantity) {
+    return res.status(400).json({ error: 'Branch, product and quantity are required' });
   }
 
-  if (quantity <= 0 || total_amount < 0) {
-    return res.status(400).json({ error: 'Invalid quantity or amount' });
+  if (quantity <= 0) {
+    return res.status(400).json({ error: 'Invalid quantity' });
   }
 
-  db.run(
-    `INSERT INTO sales (user_id, branch, product, quantity, total_amount, timestamp) 
-     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-    [req.user.id, branch, product, quantity, total_amount],
-    function (err) {
-      if (err) {
-        console.error('Error recording sale:', err);
-        return res.status(500).json({ error: 'Failed to record sale' });
-      }
+  try {
+    const order = await createOrder({
+      userId: req.user.id,
+      branch,
+      items: [{ branch, product, quantity }],
+      expectedTotal: total_amount
+    });
 
-      // Get updated stock for the item
-      db.get(
-        'SELECT stock FROM inventory WHERE branch = ? AND product = ?',
-        [branch, product],
-        (err, stockRow) => {
-          const currentStock = stockRow ? stockRow.stock : 0;
-          const newStock = Math.max(0, currentStock - quantity);
-
-          // Update inventory stock
-          db.run(
-            'UPDATE inventory SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE branch = ? AND product = ?',
-            [newStock, branch, product],
-            (err) => {
-              if (err) console.error('Error updating stock:', err);
-            }
-          );
-
-          // Emit WebSocket event to notify all connected clients
-          const io = req.app.get('io');
-          io.to('admin-room').emit('inventory-updated', {
-            branch,
-            product,
-            oldStock: currentStock,
-            newStock,
-            saleId: this.lastID
-          });
-
-          io.to('customer-room').emit('inventory-updated', {
-            branch,
-            product,
-            newStock
-          });
-        }
-      );
-
-      res.status(201).json({
-        success: true,
-        id: this.lastID,
-        message: 'Sale recorded successfully'
-      });
-    }
-  );
+    emitOrderCompleted(req.app.get('io'), order);
+
+    res.status(201).json({
+      success: true,
+      id: order.id,
+      total_amount: order.total_amount,
+      message: 'Sale recorded successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to record sale');
+  }
 });
 
-// Get sales report
+// Get sales report - one row per order line
 router.get('/report', authenticateToken, (req, res) => {
   const { startDate, endDate, branch } = req.query;
 
-  let query = `SELECT * FROM sales WHERE 1=1`;
+  let query = `
+    SELECT
+      oi.id,
+      oi.order_id,
+      o.user_id,
+      oi.branch,
+      oi.product_id,
+      oi.product,
+      oi.quantity,
+      oi.unit_price,
+      oi.discount_amount,
+      oi.total_amount,
+      o.created_at as timestamp
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE o.status = 'completed'
+  `;
   const params = [];
 
   if (startDate) {
-    query += ' AND timestamp >= ?';
+    query += ' AND o.created_at >= ?';
     params.push(startDate);
   }
 
   if (endDate) {
-    query += ' AND timestamp <= ?';
+    query += ' AND o.created_at <= ?';
     params.push(endDate);
   }
 
   if (branch && branch !== 'All') {
-    query += ' AND branch = ?';
+    query += ' AND o.branch = ?';
     params.push(branch);
   }
 
-  query += ' ORDER BY timestamp DESC';
+  query += ' ORDER BY o.created_at DESC, oi.id';
 
   db.all(query, params, (err, rows) => {
     if (err) {
@@ -104,21 +90,23 @@ router.get('/report', authenticateToken, (req, res) => {
   });
 });
 
-// Get sales summary statistics
+// Get sales summary statistics. Deposits on returnable bottles are owed back, so they
+// are left out of revenue.
 router.get('/summary', authenticateToken, (req, res) => {
   const { branch } = req.query;
 
   let query = `
     SELECT 
-      SUM(quantity) as total_items_sold,
-      SUM(total_amount) as total_revenue,
+      SUM(item_count) as total_items_sold,
+      SUM(total_amount - deposit_total) as total_revenue,
       COUNT(*) as total_transactions
-    FROM sales
+    FROM orders
+    WHERE status = 'completed'
   `;
   const params = [];
 
   if (branch && branch !== 'All') {
-    query += ' WHERE branch = ?';
+    query += ' AND branch = ?';
     params.push(branch);
   }
 
@@ -136,25 +124,31 @@ router.get('/summary', authenticateToken, (req, res) => {
   });
 });
 
-// Get sales by product
+// Get sales by product. Lines are grouped by catalog product, so sales made before a
+// rename count towards the product under its current name.
 router.get('/by-product', authenticateToken, (req, res) => {
   const { branch } = req.query;
 
   let query = `
     SELECT 
-      product,
-      SUM(quantity) as total_quantity,
-      SUM(total_amount) as total_revenue
-    FROM sales
+      oi.product_id,
+      COALESCE(p.name, oi.product) as product,
+      SUM(oi.quantity) as total_quantity,
+      SUM(oi.total_amount) as total_revenue,
+      COUNT(DISTINCT oi.order_id) as total_orders
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    LEFT JOIN products p ON p.id = oi.product_id
+    WHERE o.status = 'completed'
   `;
   const params = [];
 
   if (branch && branch !== 'All') {
-    query += ' WHERE branch = ?';
+    query += ' AND o.branch = ?';
     params.push(branch);
   }
 
-  query += ' GROUP BY product ORDER BY total_quantity DESC';
+  query += ' GROUP BY COALESCE(oi.product_id, oi.product) ORDER BY total_quantity DESC';
 
   db.all(query, params, (err, rows) => {
     if (err) {
@@ -172,9 +166,10 @@ router.get('/by-branch', authenticateToken, (req, res) => {
     SELECT 
       branch,
       COUNT(*) as total_sales,
-      SUM(quantity) as total_items,
-      SUM(total_amount) as total_revenue
-    FROM sales
+      SUM(item_count) as total_items,
+      SUM(total_amount - deposit_total) as total_revenue
+    FROM orders
+    WHERE status = 'completed'
     GROUP BY branch
     ORDER BY total_revenue DESC
   `;
@@ -192,7 +187,21 @@ router.get('/by-branch', authenticateToken, (req, res) => {
 // Get current user's sales history
 router.get('/my-purchases', authenticateToken, (req, res) => {
   db.all(
-    'SELECT * FROM sales WHERE user_id = ? ORDER BY timestamp DESC',
+    `SELECT
+       oi.id,
+       oi.order_id,
+       oi.branch,
+       oi.product_id,
+       oi.product,
+       oi.quantity,
+       oi.unit_price,
+       oi.discount_amount,
+       oi.total_amount,
+       o.created_at as timestamp
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE o.user_id = ? AND o.status = 'completed'
+     ORDER BY o.created_at DESC, oi.id`,
     [req.user.id],
     (err, rows) => {
       if (err) {
@@ -205,4 +214,3 @@ router.get('/my-purchases', authenticateToken, (req, res) => {
 });
 
 module.exports = router;
-
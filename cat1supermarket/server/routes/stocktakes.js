@@ -0,0 +1,147 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const {
+  STOCKTAKE_STATUSES,
+  listStocktakes,
+  getStocktake,
+  createStocktake,
+  recordCounts,
+  submitStocktake,
+  reopenStocktake,
+  postStocktake,
+  cancelStocktake
+} = require('../services/stocktakes');
+
+const router = express.Router();
+
+function describe(stocktake) {
+  return `#${stocktake.id} at ${stocktake.branch}${stocktake.category ? ` (${stocktake.category})` : ''}`;
+}
+
+// Tell admins the stocktake moved on, and shoppers at the branch whose stock changed
+function emitStocktakeUpdated(req, action, stocktake, message, changes = []) {
+  const io = req.app.get('io');
+  io.to('admin-room').emit('stocktake-updated', { action, stocktake, message });
+
+  changes.forEach(change => {
+    io.to('customer-room').emit('inventory-updated', change);
+  });
+}
+
+// List stocktakes, newest first (admin only; query params: ?status=counting&branch=Kisumu)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  const { status, branch } = req.query;
+  if (status && !STOCKTAKE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of ${STOCKTAKE_STATUSES.join(', ')}` });
+  }
+
+  try {
+    res.json(await listStocktakes({ status, branch }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch stocktakes');
+  }
+});
+
+// Get a stocktake with its lines and variances
+router.get('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const stocktake = await getStocktake(req.params.id);
+    if (!stocktake) {
+      return res.status(404).json({ error: 'Stocktake not found' });
+    }
+    res.json(stocktake);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch stocktake');
+  }
+});
+
+// Open a count for a branch, optionally of one category ({ branch, category, note })
+router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const stocktake = await createStocktake(req.body, req.user.id);
+
+    emitStocktakeUpdated(req, 'opened', stocktake,
+      `Stocktake Update: ${describe(stocktake)} opened with ${stocktake.line_count} items to count (by Admin ${req.user.username}).`);
+
+    res.status(201).json(stocktake);
+  } catch (error) {
+    sendError(res, error, 'Failed to open stocktake');
+  }
+});
+
+// Enter counts ({ items: [{ id | sku | product, counted_quantity | add, note }] }). Counters
+// are not announced one by one; the count screens listen for `stocktake-counted`.
+router.post('/:id/counts', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const stocktake = await recordCounts(req.params.id, req.body, req.user.id);
+
+    req.app.get('io').to('admin-room').emit('stocktake-counted', {
+      stocktakeId: stocktake.id,
+      countedCount: stocktake.counted_count,
+      lineCount: stocktake.line_count
+    });
+
+    res.json(stocktake);
+  } catch (error) {
+    sendError(res, error, 'Failed to record counts');
+  }
+});
+
+// Finish counting and move the stocktake to review
+router.post('/:id/submit', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const stocktake = await submitStocktake(req.params.id, req.user.id);
+
+    emitStocktakeUpdated(req, 'submitted', stocktake,
+      `Stocktake Update: ${describe(stocktake)} ready for review with ${stocktake.variance_count} variance${stocktake.variance_count === 1 ? '' : 's'} worth KES ${stocktake.variance_value} (by Admin ${req.user.username}).`);
+
+    res.json(stocktake);
+  } catch (error) {
+    sendError(res, error, 'Failed to submit stocktake');
+  }
+});
+
+// Send a stocktake in review back for recounts
+router.post('/:id/reopen', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const stocktake = await reopenStocktake(req.params.id);
+
+    emitStocktakeUpdated(req, 'reopened', stocktake,
+      `Stocktake Update: ${describe(stocktake)} reopened for recounts (by Admin ${req.user.username}).`);
+
+    res.json(stocktake);
+  } catch (error) {
+    sendError(res, error, 'Failed to reopen stocktake');
+  }
+});
+
+// Post the approved variances to stock ({ skip: [lineId] } for variances not to apply)
+router.post('/:id/post', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { stocktake, changes } = await postStocktake(req.params.id, req.body, req.user.id);
+
+    emitStocktakeUpdated(req, 'posted', stocktake,
+      `Stocktake Update: ${describe(stocktake)} posted, ${changes.length} item${changes.length === 1 ? '' : 's'} adjusted (by Admin ${req.user.username}).`, changes);
+
+    res.json(stocktake);
+  } catch (error) {
+    sendError(res, error, 'Failed to post stocktake');
+  }
+});
+
+// Abandon a count that hasn't been posted
+router.post('/:id/cancel', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const stocktake = await cancelStocktake(req.params.id, req.user.id);
+
+    emitStocktakeUpdated(req, 'cancelled', stocktake,
+      `Stocktake Update: ${describe(stocktake)} cancelled (by Admin ${req.user.username}).`);
+
+    res.json(stocktake);
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel stocktake');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const {
+  listSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier
+} = require('../services/suppliers');
+
+const router = express.Router();
+
+// List suppliers with their open purchase order count (admin only; ?active=1 for active ones)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listSuppliers({ activeOnly: req.query.active === '1' }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch suppliers');
+  }
+});
+
+// Get a single supplier (admin only)
+router.get('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const supplier = await getSupplier(req.params.id);
+    if (!supplier) {
+      return res.status(404).json({ error: 'Supplier not found' });
+    }
+    res.json(supplier);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch supplier');
+  }
+});
+
+// Add a supplier (admin only)
+router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await createSupplier(req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to create supplier');
+  }
+});
+
+// Update a supplier, including is_active to stop ordering from it (admin only)
+router.put('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await updateSupplier(req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, 'Failed to update supplier');
+  }
+});
+
+// Delete a supplier that was never ordered from (admin only)
+router.delete('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    await deleteSupplier(req.params.id);
+    res.json({ success: true, message: 'Supplier deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete supplier');
+  }
+});
+
+module.exports = router;
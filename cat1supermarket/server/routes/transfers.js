@@ -0,0 +1,116 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const {
+  TRANSFER_STATUSES,
+  listTransfers,
+  getTransfer,
+  createTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+} = require('../services/transfers');
+
+const router = express.Router();
+
+function describe(transfer) {
+  const units = transfer.items.reduce((sum, item) => sum + item.quantity, 0);
+  return `#${transfer.id} from ${transfer.from_branch} to ${transfer.to_branch} (${units} unit${units === 1 ? '' : 's'})`;
+}
+
+// Tell admins the transfer moved on, and shoppers at the branches whose stock changed
+function emitTransferUpdated(req, action, transfer, message, changes = []) {
+  const io = req.app.get('io');
+  io.to('admin-room').emit('transfer-updated', { action, transfer, message });
+
+  changes.forEach(change => {
+    io.to('customer-room').emit('inventory-updated', change);
+  });
+}
+
+// List transfers, newest first (admin only; query params: ?status=in_transit&branch=Nakuru)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  const { status, branch } = req.query;
+  if (status && !TRANSFER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of ${TRANSFER_STATUSES.join(', ')}` });
+  }
+
+  try {
+    res.json(await listTransfers({ status, branch }));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch transfers');
+  }
+});
+
+// Get a single transfer with its lines
+router.get('/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const transfer = await getTransfer(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Transfer not found' });
+    }
+    res.json(transfer);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch transfer');
+  }
+});
+
+// Request stock from one branch for another ({ from_branch, to_branch, items: [{ product_id, quantity }], note })
+router.post('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const transfer = await createTransfer(req.body, req.user.id);
+
+    emitTransferUpdated(req, 'requested', transfer,
+      `Transfer Update: ${describe(transfer)} requested (by Admin ${req.user.username}).`);
+
+    res.status(201).json(transfer);
+  } catch (error) {
+    sendError(res, error, 'Failed to create transfer');
+  }
+});
+
+// Send the stock: it leaves the source branch and the transfer is in transit
+router.post('/:id/dispatch', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { transfer, changes } = await dispatchTransfer(req.params.id, req.user.id);
+
+    emitTransferUpdated(req, 'dispatched', transfer,
+      `Transfer Update: ${describe(transfer)} dispatched (by Admin ${req.user.username}).`, changes);
+
+    res.json(transfer);
+  } catch (error) {
+    sendError(res, error, 'Failed to dispatch transfer');
+  }
+});
+
+// Book the stock in at the destination ({ items: [{ id, received_quantity, note }] } for lines that arrived short or over)
+router.post('/:id/receive', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { transfer, changes } = await receiveTransfer(req.params.id, req.body, req.user.id);
+
+    const discrepancies = transfer.items.filter(item => item.discrepancy !== 0).length;
+    const flagged = discrepancies > 0 ? ` with ${discrepancies} discrepanc${discrepancies === 1 ? 'y' : 'ies'}` : '';
+    emitTransferUpdated(req, 'received', transfer,
+      `Transfer Update: ${describe(transfer)} received${flagged} (by Admin ${req.user.username}).`, changes);
+
+    res.json(transfer);
+  } catch (error) {
+    sendError(res, error, 'Failed to receive transfer');
+  }
+});
+
+// Cancel a transfer that hasn't arrived; dispatched stock goes back to the source branch
+router.post('/:id/cancel', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { transfer, changes } = await cancelTransfer(req.params.id, req.user.id);
+
+    emitTransferUpdated(req, 'cancelled', transfer,
+      `Transfer Update: ${describe(transfer)} cancelled (by Admin ${req.user.username}).`, changes);
+
+    res.json(transfer);
+  } catch (error) {
+    sendError(res, error, 'Failed to cancel transfer');
+  }
+});
+
+module.exports = router;
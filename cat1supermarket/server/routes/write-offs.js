@@ -0,0 +1,65 @@
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { sendError } = require('../middleware/errors');
+const { uploadSingleImage } = require('../cloudinary');
+const {
+  listWriteOffs,
+  recordWriteOff,
+  shrinkageReport
+} = require('../services/write-offs');
+
+const router = express.Router();
+
+function uploadedImageUrl(req) {
+  return req.file ? (req.file.path || req.file.url || req.file.secure_url || null) : null;
+}
+
+// List write-offs, newest first (admin only; query params: ?branch=&reason=&product=&from=&to=)
+router.get('/', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await listWriteOffs(req.query));
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch write-offs');
+  }
+});
+
+// Shrinkage valued at cost by branch, product, reason and period (?period=day|week|month plus the list filters)
+router.get('/report', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await shrinkageReport(req.query));
+  } catch (error) {
+    sendError(res, error, 'Failed to build shrinkage report');
+  }
+});
+
+// Write off lost stock (multipart: inventory_id, quantity, reason, note, lot_id, and an optional photo)
+router.post('/', authenticateToken, requireRole('admin'), uploadSingleImage('photo'), async (req, res) => {
+  try {
+    const { writeOff, oldStock, newStock } = await recordWriteOff(req.body, {
+      userId: req.user.id,
+      photoUrl: uploadedImageUrl(req)
+    });
+
+    const io = req.app.get('io');
+    io.to('admin-room').emit('stock-restocked', {
+      id: writeOff.inventory_id,
+      branch: writeOff.branch,
+      product: writeOff.product,
+      oldStock,
+      newStock,
+      updatedBy: req.user.username,
+      message: `Write-off: ${writeOff.quantity} ${writeOff.product} at ${writeOff.branch} written off as ${writeOff.reason.replace('_', ' ')}, KES ${writeOff.value} at cost (by Admin ${req.user.username}).`
+    });
+    io.to('customer-room').emit('inventory-updated', {
+      branch: writeOff.branch,
+      product: writeOff.product,
+      newStock
+    });
+
+    res.status(201).json(writeOff);
+  } catch (error) {
+    sendError(res, error, 'Failed to record write-off');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const { HttpError } = require('./errors');
+
+class BranchError extends HttpError {}
+
+const BRANCH_SELECT = `
+  SELECT b.*, c.name AS county, u.username AS manager
+  FROM branches b
+  LEFT JOIN counties c ON c.id = b.county_id
+  LEFT JOIN users u ON u.id = b.manager_id
+`;
+
+// Tables that keep the branch name next to branch_id, updated together when a branch is renamed
+const BRANCH_NAME_TABLES = ['inventory', 'sales', 'orders', 'order_items', 'mpesa_accounts', 'mpesa_transactions'];
+
+function cleanText(value) {
+  if (value === undefined) return undefined;
+  const text = String(value === null ? '' : value).trim();
+  return text === '' ? null : text;
+}
+
+function cleanNumber(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new BranchError(400, `${field} must be a number`);
+  }
+  return number;
+}
+
+// Validate and normalise a create or update body. Only fields present in the body are
+// returned, so updates can be partial. The county is given by name or county_id and the
+// manager by username or manager_id.
+async function branchFields(body, { creating }) {
+  const fields = {};
+
+  if (body.name !== undefined || creating) {
+    fields.name = cleanText(body.name);
+    if (!fields.name) {
+      throw new BranchError(400, 'Branch name is required');
+    }
+  }
+
+  ['address', 'phone', 'opening_hours'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = cleanText(body[field]);
+  });
+
+  if (body.latitude !== undefined) fields.latitude = cleanNumber(body.latitude, 'Latitude');
+  if (body.longitude !== undefined) fields.longitude = cleanNumber(body.longitude, 'Longitude');
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active === true || body.is_active === 1 || body.is_active === '1' || body.is_active === 'true' ? 1 : 0;
+  }
+
+  if (body.county_id !== undefined || body.county !== undefined) {
+    const county = body.county_id !== undefined ? body.county_id : cleanText(body.county);
+    if (county === null || county === '') {
+      fields.county_id = null;
+    } else {
+      const row = await getAsync('SELECT id FROM counties WHERE id = ? OR name = ? COLLATE NOCASE', [county, county]);
+      if (!row) {
+        throw new BranchError(400, `Unknown county: ${county}`);
+      }
+      fields.county_id = row.id;
+    }
+  }
+
+  if (body.manager_id !== undefined || body.manager !== undefined) {
+    const manager = body.manager_id !== undefined ? body.manager_id : cleanText(body.manager);
+    if (manager === null || manager === '') {
+      fields.manager_id = null;
+    } else {
+      const row = await getAsync(
+        'SELECT id FROM users WHERE id = ? OR username = ?',
+        [body.manager_id !== undefined ? manager : null, manager]
+      );
+      if (!row) {
+        throw new BranchError(400, `Unknown manager: ${manager}`);
+      }
+      fields.manager_id = row.id;
+    }
+  }
+
+  return fields;
+}
+
+function duplicateError(error) {
+  if (error.code === 'SQLITE_CONSTRAINT' && /branches\.name/.test(error.message)) {
+    return new BranchError(409, 'A branch with this name already exists');
+  }
+  return error;
+}
+
+// Branches with their county and manager. Customers only ever see active ones.
+function listBranches({ activeOnly = false } = {}) {
+  return allAsync(
+    `${BRANCH_SELECT} ${activeOnly ? 'WHERE b.is_active = 1' : ''} ORDER BY b.name`
+  );
+}
+
+function getBranch(id) {
+  return getAsync(`${BRANCH_SELECT} WHERE b.id = ?`, [id]);
+}
+
+// The branch a request names, by id or name. Stock and sales can only be recorded against
+// a branch that exists; `activeOnly` also turns away branches that have been closed.
+async function resolveBranch(value, { activeOnly = false } = {}) {
+  const key = typeof value === 'string' ? value.trim() : value;
+  if (key === undefined || key === null || key === '') {
+    throw new BranchError(400, 'Branch is required');
+  }
+
+  const branch = await getAsync(`${BRANCH_SELECT} WHERE b.id = ? OR b.name = ?`, [key, key]);
+  if (!branch) {
+    throw new BranchError(400, `Unknown branch: ${key}`);
+  }
+  if (activeOnly && !branch.is_active) {
+    throw new BranchError(409, `${branch.name} branch is closed`);
+  }
+  return branch;
+}
+
+async function createBranch(body) {
+  const fields = await branchFields(body, { creating: true });
+  const columns = Object.keys(fields);
+
+  try {
+    const { lastID } = await runAsync(
+      `INSERT INTO branches (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => fields[column])
+    );
+    return getBranch(lastID);
+  } catch (error) {
+    throw duplicateError(error);
+  }
+}
+
+// A rename is carried over to every row that stores the branch name, so stock, orders and
+// the branch's M-Pesa account stay attached to it
+async function updateBranch(id, body) {
+  const fields = await branchFields(body, { creating: false });
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    throw new BranchError(400, 'Nothing to update');
+  }
+
+  return withTransaction(async () => {
+    const before = await getBranch(id);
+    if (!before) {
+      throw new BranchError(404, 'Branch not found');
+    }
+
+    try {
+      await runAsync(
+        `UPDATE branches SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...columns.map(column => fields[column]), id]
+      );
+    } catch (error) {
+      throw duplicateError(error);
+    }
+
+    if (fields.name && fields.name !== before.name) {
+      for (const table of BRANCH_NAME_TABLES) {
+        await runAsync(`UPDATE ${table} SET branch = ? WHERE branch = ?`, [fields.name, before.name]);
+      }
+    }
+
+    return { before, branch: await getBranch(id) };
+  });
+}
+
+// Branches with stock, sales, transfer or purchasing history can only be closed (is_active = 0), not deleted
+async function deleteBranch(id) {
+  const branch = await getBranch(id);
+  if (!branch) {
+    throw new BranchError(404, 'Branch not found');
+  }
+
+  const { used } = await getAsync(
+    `SELECT (SELECT COUNT(*) FROM inventory WHERE branch_id = ?)
+          + (SELECT COUNT(*) FROM orders WHERE branch_id = ?)
+          + (SELECT COUNT(*) FROM sales WHERE branch_id = ?)
+          + (SELECT COUNT(*) FROM stock_transfers WHERE from_branch_id = ? OR to_branch_id = ?)
+          + (SELECT COUNT(*) FROM purchase_orders WHERE branch_id = ?) AS used`,
+    [id, id, id, id, id, id]
+  );
+  if (used > 0) {
+    throw new BranchError(409, `${branch.name} has stock, sales, transfers or purchase orders on record; mark it inactive instead`);
+  }
+
+  await runAsync('DELETE FROM branches WHERE id = ?', [id]);
+  return branch;
+}
+
+module.exports = {
+  BranchError,
+  listBranches,
+  getBranch,
+  resolveBranch,
+  createBranch,
+  updateBranch,
+  deleteBranch
+};
@@ -0,0 +1,373 @@
+const { getAsync, allAsync, runAsync } = require('../database');
+const { HttpError } = require('./errors');
+
+class CatalogError extends HttpError {}
+
+// Inventory rows joined to their catalog product. `product`, `price` and `imageUrl` keep the
+// names the API has always returned; the price is the branch's override when it has one.
+// Use as `SELECT ${INVENTORY_COLUMNS} FROM ${INVENTORY_FROM}` and qualify inventory columns.
+const INVENTORY_COLUMNS = `inventory.*,
+  products.name AS product,
+  products.sku,
+  products.category,
+  products.brand,
+  products.default_price,
+  products.deposit_amount,
+  products.parent_id,
+  products.variant_name,
+  products.pack_size,
+  products.pack_unit_id,
+  products.pack_stock,
+  COALESCE(inventory.price_override, products.default_price) AS price,
+  COALESCE(products.image_url, '') AS imageUrl`;
+
+const INVENTORY_FROM = 'inventory JOIN products ON products.id = inventory.product_id';
+
+// True for packs that sell from their unit's stock. Their own inventory rows only carry the
+// branch's price and hold no stock. Needs products joined.
+const SELLS_FROM_UNITS_SQL = "(products.pack_unit_id IS NOT NULL AND products.pack_stock = 'units')";
+
+const PRODUCT_FIELDS = [
+  'sku', 'name', 'description', 'category', 'brand', 'default_price', 'image_url', 'deposit_amount',
+  'parent_id', 'variant_name', 'pack_size', 'pack_unit_id', 'pack_stock'
+];
+
+// How a pack is stocked: as units of the product it contains, or counted in packs
+const PACK_STOCK_MODES = ['units', 'own'];
+
+function cleanText(value) {
+  if (value === undefined) return undefined;
+  const text = String(value === null ? '' : value).trim();
+  return text === '' ? null : text;
+}
+
+// Validate and normalise the fields of a create or update body. Only fields present in the
+// body are returned, so updates can be partial.
+function productFields(body, { creating }) {
+  const fields = {};
+
+  PRODUCT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.name !== undefined || creating) {
+    fields.name = cleanText(fields.name);
+    if (!fields.name) {
+      throw new CatalogError(400, 'Product name is required');
+    }
+  }
+
+  if (fields.default_price !== undefined || creating) {
+    const price = Number(fields.default_price);
+    if (fields.default_price === undefined || fields.default_price === '' || !Number.isFinite(price) || price < 0) {
+      throw new CatalogError(400, 'Valid default price is required');
+    }
+    fields.default_price = price;
+  }
+
+  // Returnable bottles and crates carry a deposit on top of the price; blank or 0 means none
+  if (fields.deposit_amount !== undefined) {
+    const deposit = fields.deposit_amount === null || fields.deposit_amount === '' ? 0 : Number(fields.deposit_amount);
+    if (!Number.isFinite(deposit) || deposit < 0) {
+      throw new CatalogError(400, 'Deposit amount must be zero or more');
+    }
+    fields.deposit_amount = deposit > 0 ? deposit : null;
+  }
+
+  ['parent_id', 'pack_unit_id'].forEach(field => {
+    if (fields[field] === undefined) return;
+    const id = cleanText(fields[field]);
+    if (id !== null && !(Number.isInteger(Number(id)) && Number(id) > 0)) {
+      throw new CatalogError(400, `Invalid ${field}`);
+    }
+    fields[field] = id === null ? null : Number(id);
+  });
+
+  if (fields.pack_size !== undefined) {
+    const size = cleanText(fields.pack_size);
+    if (size !== null && !(Number.isInteger(Number(size)) && Number(size) >= 2)) {
+      throw new CatalogError(400, 'Pack size must be a whole number of at least 2');
+    }
+    fields.pack_size = size === null ? null : Number(size);
+  }
+
+  if (fields.pack_stock !== undefined) {
+    fields.pack_stock = cleanText(fields.pack_stock);
+    if (fields.pack_stock !== null && !PACK_STOCK_MODES.includes(fields.pack_stock)) {
+      throw new CatalogError(400, `Pack stock must be one of ${PACK_STOCK_MODES.join(', ')}`);
+    }
+  }
+
+  if (fields.sku !== undefined) {
+    fields.sku = cleanText(fields.sku);
+    fields.sku = fields.sku && fields.sku.toUpperCase();
+  }
+
+  ['description', 'category', 'brand', 'image_url', 'variant_name'].forEach(field => {
+    if (fields[field] !== undefined) fields[field] = cleanText(fields[field]);
+  });
+
+  return fields;
+}
+
+// Check a product's place among variants and packs against the rest of the catalog. Families
+// are one level deep: a variant's parent is not a variant itself. A pack's unit is a single
+// item, not another pack sold from units. `product` is the product being updated, if any.
+async function checkVariantFields(fields, product = null) {
+  const merged = { ...(product || {}), ...fields };
+  const selfId = product ? product.id : null;
+
+  if (fields.parent_id) {
+    const parent = await getAsync('SELECT id, name, parent_id FROM products WHERE id = ?', [fields.parent_id]);
+    if (!parent || parent.id === selfId) {
+      throw new CatalogError(400, 'Parent product not found');
+    }
+    if (parent.parent_id) {
+      throw new CatalogError(400, `${parent.name} is itself a variant; choose the product it belongs to`);
+    }
+    if (selfId && await getAsync('SELECT 1 FROM products WHERE parent_id = ?', [selfId])) {
+      throw new CatalogError(409, `${product.name} has variants of its own, so it can't be a variant`);
+    }
+  }
+
+  if (!merged.pack_unit_id) {
+    if (fields.pack_size) {
+      throw new CatalogError(400, 'Choose the product the pack contains');
+    }
+    if (fields.pack_unit_id === null) {
+      fields.pack_size = null;
+      fields.pack_stock = null;
+    }
+    return fields;
+  }
+
+  if (fields.pack_unit_id) {
+    const unit = await getAsync('SELECT id, name, pack_unit_id, pack_stock FROM products WHERE id = ?', [fields.pack_unit_id]);
+    if (!unit || unit.id === selfId) {
+      throw new CatalogError(400, 'Pack unit product not found');
+    }
+    if (unit.pack_unit_id && unit.pack_stock === 'units') {
+      throw new CatalogError(400, `${unit.name} is sold from another product's stock, so it can't be a pack unit`);
+    }
+  }
+  if (!merged.pack_size) {
+    throw new CatalogError(400, 'Pack size is required for a pack');
+  }
+  if (!merged.pack_stock) {
+    fields.pack_stock = 'units';
+  }
+
+  // Switching an existing product to sell from units would strand the stock it holds
+  const sellsFromUnits = (fields.pack_stock || merged.pack_stock) === 'units';
+  const soldFromUnits = product && product.pack_unit_id && product.pack_stock === 'units';
+  if (sellsFromUnits && selfId && !soldFromUnits) {
+    const { stock } = await getAsync('SELECT COALESCE(SUM(stock), 0) AS stock FROM inventory WHERE product_id = ?', [selfId]);
+    if (stock > 0) {
+      throw new CatalogError(409, `${product.name} still has ${stock} in stock; sell, move or write it off before selling it from unit stock`);
+    }
+    const pack = await getAsync(
+      "SELECT name FROM products WHERE pack_unit_id = ? AND pack_stock = 'units'",
+      [selfId]
+    );
+    if (pack) {
+      throw new CatalogError(409, `${pack.name} sells from ${product.name}'s stock, so ${product.name} can't sell from another product's`);
+    }
+  }
+  return fields;
+}
+
+// SKU for a product added without one, e.g. "Coca Cola 500ml" -> COCA-COLA-500ML
+async function generateSku(name) {
+  const base = name.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'PRODUCT';
+  let sku = base;
+
+  for (let n = 2; await getAsync('SELECT 1 FROM products WHERE sku = ?', [sku]); n++) {
+    sku = `${base}-${n}`;
+  }
+  return sku;
+}
+
+function duplicateError(error) {
+  if (error.code === 'SQLITE_CONSTRAINT' && /products\.sku/.test(error.message)) {
+    return new CatalogError(409, 'Another product already uses this SKU');
+  }
+  if (error.code === 'SQLITE_CONSTRAINT' && /products\.name/.test(error.message)) {
+    return new CatalogError(409, 'A product with this name already exists');
+  }
+  return error;
+}
+
+// Catalog products with how many branches stock them and the stock across all branches.
+// Variants come straight after the product they belong to.
+function listProducts({ search, category } = {}) {
+  let query = `
+    SELECT p.*, parent.name AS parent_name, unit.name AS pack_unit_name,
+           COUNT(i.id) AS branch_count, COALESCE(SUM(i.stock), 0) AS total_stock
+    FROM products p
+    LEFT JOIN products parent ON parent.id = p.parent_id
+    LEFT JOIN products unit ON unit.id = p.pack_unit_id
+    LEFT JOIN inventory i ON i.product_id = p.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (search) {
+    query += ' AND (p.name LIKE ? OR p.sku LIKE ? OR p.brand LIKE ?)';
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+
+  if (category) {
+    query += ' AND p.category = ?';
+    params.push(category);
+  }
+
+  query += ' GROUP BY p.id ORDER BY COALESCE(parent.name, p.name), p.parent_id IS NOT NULL, p.name';
+  return allAsync(query, params);
+}
+
+// A product with the branches that stock it and the price each one charges, and its variants
+async function getProduct(id) {
+  const product = await getAsync(
+    `SELECT p.*, parent.name AS parent_name, unit.name AS pack_unit_name
+     FROM products p
+     LEFT JOIN products parent ON parent.id = p.parent_id
+     LEFT JOIN products unit ON unit.id = p.pack_unit_id
+     WHERE p.id = ?`,
+    [id]
+  );
+  if (!product) return null;
+
+  product.variants = await allAsync(
+    'SELECT id, sku, name, variant_name, default_price, pack_size, pack_unit_id, pack_stock FROM products WHERE parent_id = ? ORDER BY name',
+    [id]
+  );
+
+  product.branches = await allAsync(
+    `SELECT inventory.id, inventory.branch, inventory.stock, inventory.price_override,
+            COALESCE(inventory.price_override, ?) AS price
+     FROM inventory
+     WHERE inventory.product_id = ?
+     ORDER BY inventory.branch`,
+    [product.default_price, id]
+  );
+  return product;
+}
+
+async function createProduct(body) {
+  const fields = await checkVariantFields(productFields(body, { creating: true }));
+  if (!fields.sku) {
+    fields.sku = await generateSku(fields.name);
+  }
+
+  const columns = Object.keys(fields);
+  try {
+    const { lastID } = await runAsync(
+      `INSERT INTO products (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => fields[column])
+    );
+    return getProduct(lastID);
+  } catch (error) {
+    throw duplicateError(error);
+  }
+}
+
+// Renames and price changes show up at every branch at once, since inventory only refers to the product
+async function updateProduct(id, body) {
+  const product = await getAsync('SELECT * FROM products WHERE id = ?', [id]);
+  if (!product) {
+    throw new CatalogError(404, 'Product not found');
+  }
+
+  const fields = await checkVariantFields(productFields(body, { creating: false }), product);
+  if (fields.sku === null) {
+    throw new CatalogError(400, 'SKU cannot be empty');
+  }
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    throw new CatalogError(400, 'Nothing to update');
+  }
+
+  try {
+    await runAsync(
+      `UPDATE products SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...columns.map(column => fields[column]), id]
+    );
+  } catch (error) {
+    throw duplicateError(error);
+  }
+
+  return { before: product, product: await getProduct(id) };
+}
+
+// Only products no branch stocks can go; past order lines keep the name they were sold under
+async function deleteProduct(id) {
+  const product = await getAsync('SELECT * FROM products WHERE id = ?', [id]);
+  if (!product) {
+    throw new CatalogError(404, 'Product not found');
+  }
+
+  const { stocked } = await getAsync('SELECT COUNT(*) AS stocked FROM inventory WHERE product_id = ?', [id]);
+  if (stocked > 0) {
+    throw new CatalogError(409, `${product.name} is stocked at ${stocked} branch${stocked === 1 ? '' : 'es'}; remove it there first`);
+  }
+
+  const dependant = await getAsync('SELECT name FROM products WHERE parent_id = ? OR pack_unit_id = ?', [id, id]);
+  if (dependant) {
+    throw new CatalogError(409, `${dependant.name} is a variant or pack of ${product.name}; change or remove it first`);
+  }
+
+  await runAsync('DELETE FROM products WHERE id = ?', [id]);
+  return product;
+}
+
+// The catalog product an inventory request refers to, by id or by name. A name not yet in
+// the catalog becomes a new product priced at the given price.
+async function findOrCreateProduct({ productId, name, price, imageUrl }) {
+  let product;
+
+  if (productId) {
+    product = await getAsync('SELECT * FROM products WHERE id = ?', [productId]);
+    if (!product) {
+      throw new CatalogError(404, 'Product not found');
+    }
+  } else {
+    product = await getAsync('SELECT * FROM products WHERE name = ?', [cleanText(name)]);
+  }
+
+  if (!product) {
+    return { product: await createProduct({ name, default_price: price, image_url: imageUrl }), created: true };
+  }
+
+  if (imageUrl) {
+    await runAsync(
+      'UPDATE products SET image_url = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [imageUrl, product.id]
+    );
+    product.image_url = imageUrl;
+  }
+  return { product, created: false };
+}
+
+// What to store as a branch's price: nothing when it matches the catalog default, so the
+// branch keeps following the default if it changes later
+function priceOverride(price, defaultPrice) {
+  if (price === undefined || price === null || price === '') return null;
+  return Number(price) === defaultPrice ? null : Number(price);
+}
+
+module.exports = {
+  CatalogError,
+  INVENTORY_COLUMNS,
+  INVENTORY_FROM,
+  SELLS_FROM_UNITS_SQL,
+  PACK_STOCK_MODES,
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  findOrCreateProduct,
+  priceOverride
+};
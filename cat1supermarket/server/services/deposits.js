@@ -0,0 +1,328 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const { resolveBranch } = require('./branches');
+const { findCustomer, addCredit } = require('./store-credit');
+const { HttpError } = require('./errors');
+
+class DepositError extends HttpError {}
+
+// How the deposits on returned empties are given back: handed over at the counter, or put
+// on the customer's store credit to spend later
+const EMPTIES_SETTLEMENTS = ['cash', 'credit'];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Returnable products named by `product_id` or `product` (name or SKU), with whole quantities.
+// The same product on more than one line is added up.
+async function emptiesLines(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new DepositError(400, 'At least one line of empties is required');
+  }
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item !== 'object') {
+      throw new DepositError(400, `Line ${index + 1} must be an object`);
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new DepositError(400, `Invalid quantity on line ${index + 1}`);
+    }
+
+    const key = item.product_id !== undefined ? item.product_id : item.product;
+    const product = await getAsync(
+      'SELECT id, name, deposit_amount FROM products WHERE id = ? OR name = ? COLLATE NOCASE OR sku = ? COLLATE NOCASE',
+      [key, key, key]
+    );
+    if (!product) {
+      throw new DepositError(404, `Product not found: ${key}`);
+    }
+    if (!(product.deposit_amount > 0)) {
+      throw new DepositError(400, `${product.name} is not returnable`);
+    }
+
+    const existing = lines.find(line => line.product.id === product.id);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.push({ product, quantity });
+    }
+  }
+  return lines;
+}
+
+function recordEmptiesMovement({ branchId, productId, type, delta, referenceType = null, referenceId = null, note = null, userId = null }) {
+  return runAsync(
+    `INSERT INTO empties_movements (branch_id, product_id, type, delta, reference_type, reference_id, note, user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [branchId, productId, type, delta, referenceType, referenceId, note, userId]
+  );
+}
+
+async function emptiesHeld(branchId, productId) {
+  const { on_hand } = await getAsync(
+    'SELECT COALESCE(SUM(delta), 0) AS on_hand FROM empties_movements WHERE branch_id = ? AND product_id = ?',
+    [branchId, productId]
+  );
+  return on_hand;
+}
+
+async function getEmptiesReturn(id) {
+  const empties = await getAsync(
+    `SELECT r.*, b.name AS branch, c.username AS customer, u.username AS created_by_username
+     FROM empties_returns r
+     JOIN branches b ON b.id = r.branch_id
+     LEFT JOIN users c ON c.id = r.customer_id
+     LEFT JOIN users u ON u.id = r.created_by
+     WHERE r.id = ?`,
+    [id]
+  );
+  if (!empties) return null;
+
+  empties.items = await allAsync(
+    `SELECT ri.*, p.name AS product FROM empties_return_items ri
+     JOIN products p ON p.id = ri.product_id
+     WHERE ri.return_id = ? ORDER BY ri.id`,
+    [id]
+  );
+  return empties;
+}
+
+// Empties returns newest first
+async function listEmptiesReturns({ branch, customer, limit = 100 } = {}) {
+  let query = `
+    SELECT r.*, b.name AS branch, c.username AS customer, u.username AS created_by_username
+    FROM empties_returns r
+    JOIN branches b ON b.id = r.branch_id
+    LEFT JOIN users c ON c.id = r.customer_id
+    LEFT JOIN users u ON u.id = r.created_by
+    WHERE 1=1
+  `;
+  const params = [];
+  if (branch && branch !== 'All') {
+    query += ' AND (b.id = ? OR b.name = ?)';
+    params.push(branch, branch);
+  }
+  if (customer) {
+    query += ' AND (c.id = ? OR c.username = ?)';
+    params.push(customer, customer);
+  }
+  query += ' ORDER BY r.id DESC LIMIT ?';
+  params.push(limit);
+
+  const returns = await allAsync(query, params);
+  if (returns.length === 0) return returns;
+
+  const items = await allAsync(
+    `SELECT ri.*, p.name AS product FROM empties_return_items ri
+     JOIN products p ON p.id = ri.product_id
+     WHERE ri.return_id IN (${returns.map(() => '?').join(', ')})`,
+    returns.map(empties => empties.id)
+  );
+  return returns.map(empties => ({ ...empties, items: items.filter(item => item.return_id === empties.id) }));
+}
+
+// Take back empty bottles and crates at a branch and give back their deposits at today's
+// deposit amounts, in cash or as store credit for the named customer
+async function returnEmpties({ branch, items, settlement = 'cash', customer, note }, userId) {
+  if (!EMPTIES_SETTLEMENTS.includes(settlement)) {
+    throw new DepositError(400, `Settlement must be one of ${EMPTIES_SETTLEMENTS.join(', ')}`);
+  }
+  const branchRow = await resolveBranch(branch, { activeOnly: true });
+  const lines = await emptiesLines(items);
+
+  const customerRow = await findCustomer(customer);
+  if (customer && !customerRow) {
+    throw new DepositError(404, `Unknown customer: ${customer}`);
+  }
+  if (settlement === 'credit' && !customerRow) {
+    throw new DepositError(400, 'Name the customer to credit');
+  }
+
+  const total = round(lines.reduce((sum, line) => sum + line.product.deposit_amount * line.quantity, 0));
+  const cleanNote = note ? String(note).trim() || null : null;
+
+  const id = await withTransaction(async () => {
+    const { lastID } = await runAsync(
+      `INSERT INTO empties_returns (branch_id, customer_id, settlement, total_amount, note, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [branchRow.id, customerRow ? customerRow.id : null, settlement, total, cleanNote, userId]
+    );
+
+    for (const line of lines) {
+      await runAsync(
+        `INSERT INTO empties_return_items (return_id, product_id, quantity, unit_deposit, total_amount)
+         VALUES (?, ?, ?, ?, ?)`,
+        [lastID, line.product.id, line.quantity, line.product.deposit_amount, round(line.product.deposit_amount * line.quantity)]
+      );
+      await recordEmptiesMovement({
+        branchId: branchRow.id,
+        productId: line.product.id,
+        type: 'return',
+        delta: line.quantity,
+        referenceType: 'empties_return',
+        referenceId: lastID,
+        userId
+      });
+    }
+
+    if (settlement === 'credit') {
+      await addCredit({
+        userId: customerRow.id,
+        amount: total,
+        referenceType: 'empties_return',
+        referenceId: lastID,
+        note: `Empties returned at ${branchRow.name}`,
+        createdBy: userId
+      });
+    }
+    return lastID;
+  });
+
+  return getEmptiesReturn(id);
+}
+
+// Empties leaving a branch, collected by the supplier for their deposit
+async function collectEmpties({ branch, items, note }, userId) {
+  const branchRow = await resolveBranch(branch);
+  const lines = await emptiesLines(items);
+
+  return withTransaction(async () => {
+    for (const line of lines) {
+      const held = await emptiesHeld(branchRow.id, line.product.id);
+      if (line.quantity > held) {
+        throw new DepositError(409, `${branchRow.name} only holds ${held} empty ${line.product.name}`);
+      }
+      await recordEmptiesMovement({
+        branchId: branchRow.id,
+        productId: line.product.id,
+        type: 'collection',
+        delta: -line.quantity,
+        note: note ? String(note).trim() || null : null,
+        userId
+      });
+    }
+    return emptiesOnHand({ branch: branchRow.name });
+  });
+}
+
+// Set what a branch holds to a physical count, recording the difference
+async function countEmpties({ branch, items, note }, userId) {
+  const branchRow = await resolveBranch(branch);
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new DepositError(400, 'At least one count is required');
+  }
+  // Counts may be zero, which emptiesLines rejects, so validate them here
+  const counted = items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw new DepositError(400, `Line ${index + 1} must be an object`);
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new DepositError(400, `Invalid count on line ${index + 1}`);
+    }
+    return quantity;
+  });
+  const lines = await emptiesLines(items.map(item => ({ ...item, quantity: 1 })));
+
+  return withTransaction(async () => {
+    for (const [index, line] of lines.entries()) {
+      const delta = counted[index] - await emptiesHeld(branchRow.id, line.product.id);
+      if (delta === 0) continue;
+      await recordEmptiesMovement({
+        branchId: branchRow.id,
+        productId: line.product.id,
+        type: 'count',
+        delta,
+        note: note ? String(note).trim() || null : null,
+        userId
+      });
+    }
+    return emptiesOnHand({ branch: branchRow.name });
+  });
+}
+
+// Empties each branch holds, by product
+function emptiesOnHand({ branch } = {}) {
+  let query = `
+    SELECT b.name AS branch, m.branch_id, p.name AS product, m.product_id, p.deposit_amount,
+           SUM(m.delta) AS on_hand, MAX(m.created_at) AS last_movement_at
+    FROM empties_movements m
+    JOIN branches b ON b.id = m.branch_id
+    JOIN products p ON p.id = m.product_id
+    WHERE 1=1
+  `;
+  const params = [];
+  if (branch && branch !== 'All') {
+    query += ' AND (b.id = ? OR b.name = ?)';
+    params.push(branch, branch);
+  }
+  query += ' GROUP BY m.branch_id, m.product_id HAVING SUM(m.delta) != 0 ORDER BY b.name, p.name';
+  return allAsync(query, params);
+}
+
+// Deposits still owed to customers: charged on completed orders less what was given back
+// for returned empties, by branch and product. Deposits already given back as store credit
+// that hasn't been spent are owed too, and reported as `store_credit_outstanding`.
+async function depositLiability({ branch } = {}) {
+  const branchFilter = branch && branch !== 'All' ? ' AND (b.id = ? OR b.name = ?)' : '';
+  const branchParams = branchFilter ? [branch, branch] : [];
+
+  const rows = await allAsync(
+    `SELECT branch, product, SUM(units_sold) AS units_sold, SUM(charged) AS charged,
+            SUM(units_returned) AS units_returned, SUM(returned) AS returned
+     FROM (
+       SELECT b.name AS branch, p.name AS product,
+              oi.quantity AS units_sold, oi.quantity * oi.deposit_amount AS charged,
+              0 AS units_returned, 0 AS returned
+       FROM order_items oi
+       JOIN orders o ON o.id = oi.order_id
+       JOIN branches b ON b.id = o.branch_id
+       JOIN products p ON p.id = oi.product_id
+       WHERE o.status = 'completed' AND oi.deposit_amount > 0${branchFilter}
+       UNION ALL
+       SELECT b.name, p.name, 0, 0, ri.quantity, ri.total_amount
+       FROM empties_return_items ri
+       JOIN empties_returns r ON r.id = ri.return_id
+       JOIN branches b ON b.id = r.branch_id
+       JOIN products p ON p.id = ri.product_id
+       WHERE 1=1${branchFilter}
+     )
+     GROUP BY branch, product
+     ORDER BY branch, product`,
+    [...branchParams, ...branchParams]
+  );
+
+  const lines = rows.map(row => ({
+    ...row,
+    charged: round(row.charged),
+    returned: round(row.returned),
+    outstanding_units: row.units_sold - row.units_returned,
+    outstanding: round(row.charged - row.returned)
+  }));
+
+  const { store_credit } = await getAsync(
+    `SELECT COALESCE(SUM(balance), 0) AS store_credit FROM (
+       SELECT SUM(amount) AS balance FROM store_credit_entries GROUP BY user_id HAVING SUM(amount) > 0
+     )`
+  );
+
+  return {
+    charged: round(lines.reduce((sum, line) => sum + line.charged, 0)),
+    returned: round(lines.reduce((sum, line) => sum + line.returned, 0)),
+    outstanding: round(lines.reduce((sum, line) => sum + line.outstanding, 0)),
+    store_credit_outstanding: round(store_credit),
+    lines
+  };
+}
+
+module.exports = {
+  DepositError,
+  EMPTIES_SETTLEMENTS,
+  getEmptiesReturn,
+  listEmptiesReturns,
+  returnEmpties,
+  collectEmpties,
+  countEmpties,
+  emptiesOnHand,
+  depositLiability
+};
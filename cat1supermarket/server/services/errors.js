@@ -0,0 +1,18 @@
+// Error carrying the HTTP status the route should answer with. Each service throws its own
+// subclass so logs say where it came from; `details` (e.g. the lines short of stock) are
+// sent along with the message.
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.details = details;
+  }
+
+  // The JSON body the route answers with
+  toResponse() {
+    return { error: this.message, details: this.details };
+  }
+}
+
+module.exports = { HttpError };
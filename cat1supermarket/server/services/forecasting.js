@@ -0,0 +1,193 @@
+const { allAsync } = require('../database');
+const { ON_ORDER_SQL } = require('./stock-alerts');
+const { SELLS_FROM_UNITS_SQL } = require('./catalog');
+const { HttpError } = require('./errors');
+
+class ForecastError extends HttpError {}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weight of the newest day when smoothing demand; higher reacts faster to change
+const SMOOTHING = 0.3;
+
+// Weekday patterns need two full weeks of history before they are trusted
+const MIN_SEASONAL_DAYS = 14;
+
+// Days of cover are not projected further out than this
+const MAX_COVER_DAYS = 365;
+
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function wholeDays(value, name, { fallback, min, max }) {
+  if (value === undefined || value === '') return fallback;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < min || days > max) {
+    throw new ForecastError(400, `${name} must be a whole number of days from ${min} to ${max}`);
+  }
+  return days;
+}
+
+// Average demand per weekday over the overall average, so a Saturday that sells twice as much as
+// the typical day gets 2. Flat (all 1) until there is enough history to see a pattern.
+function seasonalIndices(history) {
+  const indices = Array(7).fill(1);
+  if (history.length < MIN_SEASONAL_DAYS) return indices;
+
+  const overall = history.reduce((sum, day) => sum + day.quantity, 0) / history.length;
+  if (overall === 0) return indices;
+
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const days = history.filter(day => day.weekday === weekday);
+    indices[weekday] = days.reduce((sum, day) => sum + day.quantity, 0) / days.length / overall;
+  }
+  return indices;
+}
+
+// Forecast one item from its daily sales: exponential smoothing of the deseasonalised series
+// gives the underlying daily demand, which each weekday's index scales back up.
+function forecastItem(history, today, coverDays, stock) {
+  const indices = seasonalIndices(history);
+  const deseasonalised = history
+    .filter(day => indices[day.weekday] > 0)
+    .map(day => day.quantity / indices[day.weekday]);
+
+  let level = 0;
+  if (deseasonalised.length > 0) {
+    const opening = deseasonalised.slice(0, 7);
+    level = opening.reduce((sum, value) => sum + value, 0) / opening.length;
+    for (const value of deseasonalised.slice(opening.length)) {
+      level = SMOOTHING * value + (1 - SMOOTHING) * level;
+    }
+  }
+
+  const demandOn = offset => level * indices[new Date(today + offset * DAY_MS).getUTCDay()];
+
+  let forecastDemand = 0;
+  for (let offset = 0; offset < coverDays; offset++) {
+    forecastDemand += demandOn(offset);
+  }
+
+  // Walk forward day by day until the forecast uses up what is on the shelf
+  let daysOfCover = null;
+  if (level > 0) {
+    let remaining = stock;
+    daysOfCover = MAX_COVER_DAYS;
+    for (let offset = 0; offset < MAX_COVER_DAYS; offset++) {
+      const demand = demandOn(offset);
+      if (remaining < demand) {
+        daysOfCover = offset + remaining / demand;
+        break;
+      }
+      remaining -= demand;
+    }
+  }
+
+  const recent = history.slice(-28);
+  return {
+    daily_demand: level,
+    moving_average: recent.length ? recent.reduce((sum, day) => sum + day.quantity, 0) / recent.length : 0,
+    forecast_demand: forecastDemand,
+    days_of_cover: daysOfCover,
+    weekday_factors: indices
+  };
+}
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// What each branch should reorder to cover the next `cover_days`, from `history_days` of sales.
+// Demand over the cover period plus the reorder point (kept back as safety stock), less stock
+// on hand and on order, is rounded up to whole reorder quantities where one is set. Only items
+// that need ordering or will run out within the cover period are listed unless `all` is set.
+async function reorderSuggestions({ branch, history_days, cover_days, all = false } = {}) {
+  const historyDays = wholeDays(history_days, 'history_days', { fallback: 56, min: 7, max: 365 });
+  const coverDays = wholeDays(cover_days, 'cover_days', { fallback: 14, min: 1, max: 90 });
+
+  // Only whole days count, so today's partial sales don't drag the forecast down
+  const today = Date.parse(`${dayKey(Date.now())}T00:00:00Z`);
+  const since = today - historyDays * DAY_MS;
+
+  let query = `
+    SELECT inventory.id AS inventory_id, inventory.branch, inventory.branch_id, inventory.product_id,
+           products.name AS product, products.sku, inventory.stock, inventory.reorder_point,
+           inventory.reorder_quantity, inventory.cost_price, ${ON_ORDER_SQL} AS on_order
+    FROM inventory
+    JOIN products ON products.id = inventory.product_id
+    JOIN branches ON branches.id = inventory.branch_id
+    WHERE branches.is_active = 1 AND NOT ${SELLS_FROM_UNITS_SQL}
+  `;
+  const params = [];
+  if (branch && branch !== 'All') {
+    query += ' AND inventory.branch = ?';
+    params.push(branch);
+  }
+
+  const [items, sales] = await Promise.all([
+    allAsync(query, params),
+    // Completed order lines are the sales history; legacy sales rows are carried over into them.
+    // Packs sold from unit stock count as the units they took.
+    allAsync(
+      `SELECT o.branch_id, COALESCE(shelf.product_id, oi.product_id) AS product_id, date(o.created_at) AS day,
+              SUM(COALESCE(oi.stock_quantity, oi.quantity)) AS quantity
+       FROM order_items oi
+       JOIN orders o ON o.id = oi.order_id
+       LEFT JOIN inventory shelf ON shelf.id = oi.stock_inventory_id
+       WHERE o.status = 'completed' AND o.created_at >= ? AND o.created_at < ?
+         AND o.branch_id IS NOT NULL AND oi.product_id IS NOT NULL
+       GROUP BY o.branch_id, COALESCE(shelf.product_id, oi.product_id), day`,
+      [dayKey(since), dayKey(today)]
+    )
+  ]);
+
+  const salesByItem = new Map();
+  for (const sale of sales) {
+    const key = `${sale.branch_id}:${sale.product_id}`;
+    if (!salesByItem.has(key)) salesByItem.set(key, new Map());
+    salesByItem.get(key).set(sale.day, sale.quantity);
+  }
+
+  const suggestions = items.map(item => {
+    const daily = salesByItem.get(`${item.branch_id}:${item.product_id}`) || new Map();
+
+    // History starts at the first sale in the window so newly stocked lines aren't diluted by
+    // the days before the branch carried them
+    const firstSale = [...daily.keys()].sort()[0];
+    const history = [];
+    for (let time = firstSale ? Date.parse(`${firstSale}T00:00:00Z`) : today; time < today; time += DAY_MS) {
+      history.push({ weekday: new Date(time).getUTCDay(), quantity: daily.get(dayKey(time)) || 0 });
+    }
+
+    const forecast = forecastItem(history, today, coverDays, item.stock);
+    let suggested = Math.max(0, Math.ceil(forecast.forecast_demand + item.reorder_point - item.stock - item.on_order - 1e-9));
+    if (suggested > 0 && item.reorder_quantity) {
+      suggested = Math.ceil(suggested / item.reorder_quantity) * item.reorder_quantity;
+    }
+
+    return {
+      ...item,
+      history_days: history.length,
+      daily_demand: round(forecast.daily_demand),
+      moving_average: round(forecast.moving_average),
+      weekday_factors: forecast.weekday_factors.map(factor => round(factor)),
+      forecast_demand: round(forecast.forecast_demand, 1),
+      days_of_cover: forecast.days_of_cover === null ? null : round(forecast.days_of_cover, 1),
+      suggested_quantity: suggested,
+      estimated_cost: item.cost_price === null ? null : round(suggested * item.cost_price)
+    };
+  });
+
+  return suggestions
+    .filter(row => all || row.suggested_quantity > 0 || (row.days_of_cover !== null && row.days_of_cover < coverDays))
+    .sort((a, b) =>
+      (a.days_of_cover === null) - (b.days_of_cover === null) ||
+      (a.days_of_cover || 0) - (b.days_of_cover || 0) ||
+      a.branch.localeCompare(b.branch) ||
+      a.product.localeCompare(b.product)
+    );
+}
+
+module.exports = {
+  ForecastError,
+  reorderSuggestions
+};
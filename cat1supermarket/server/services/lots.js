@@ -0,0 +1,87 @@
+const { allAsync } = require('../database');
+
+// Units of an inventory row in lots past their best-before date. Correlated on inventory.id
+// like RESERVED_QUANTITY_SQL. Expired units stay in stock until written off but can't be sold.
+const EXPIRED_QUANTITY_SQL = `(
+  SELECT COALESCE(SUM(l.quantity), 0) FROM stock_lots l
+  WHERE l.inventory_id = inventory.id
+    AND l.quantity > 0
+    AND l.expiry_date < date('now')
+)`;
+
+// First-expiring-first-out: lots are used soonest best-before first, undated lots last
+const FEFO_ORDER = 'l.expiry_date IS NULL, l.expiry_date, l.id';
+
+const LOT_SELECT = `
+  SELECT l.*, inventory.branch, products.name AS product, l.expiry_date < date('now') AS expired,
+         CAST(julianday(l.expiry_date) - julianday(date('now')) AS INTEGER) AS days_to_expiry
+  FROM stock_lots l
+  JOIN inventory ON inventory.id = l.inventory_id
+  JOIN products ON products.id = inventory.product_id
+`;
+
+// An item's lots with units left, in the order they will be sold, plus the stock not in any lot
+async function listLots(inventoryId) {
+  const lots = await allAsync(
+    `${LOT_SELECT} WHERE l.inventory_id = ? AND l.quantity > 0 ORDER BY ${FEFO_ORDER}`,
+    [inventoryId]
+  );
+  return lots.map(lot => ({ ...lot, expired: Boolean(lot.expired) }));
+}
+
+// Lots with units left that expire within `days` days, already expired ones first
+async function expiringLots({ days = 30, branch } = {}) {
+  let query = `${LOT_SELECT}
+    WHERE l.quantity > 0 AND l.expiry_date IS NOT NULL AND l.expiry_date <= date('now', ?)`;
+  const params = [`+${days} days`];
+
+  if (branch && branch !== 'All') {
+    query += ' AND inventory.branch = ?';
+    params.push(branch);
+  }
+  query += ` ORDER BY ${FEFO_ORDER}`;
+
+  const lots = await allAsync(query, params);
+  return lots.map(lot => ({ ...lot, expired: Boolean(lot.expired) }));
+}
+
+// Net units per lot moved on an item by the movements against the given references, soonest
+// expiry first. Negative quantities were taken out of the lot, positive ones put back in.
+function lotsMoved(inventoryId, referenceType, referenceIds) {
+  if (referenceIds.length === 0) return Promise.resolve([]);
+
+  return allAsync(
+    `SELECT l.id AS lot_id, l.batch_number, l.expiry_date, SUM(ml.quantity) AS quantity
+     FROM stock_movement_lots ml
+     JOIN stock_movements sm ON sm.id = ml.movement_id
+     JOIN stock_lots l ON l.id = ml.lot_id
+     WHERE sm.inventory_id = ? AND sm.reference_type = ? AND sm.reference_id IN (${referenceIds.map(() => '?').join(', ')})
+     GROUP BY l.id
+     ORDER BY ${FEFO_ORDER}`,
+    [inventoryId, referenceType, ...referenceIds]
+  );
+}
+
+// Spread `quantity` over lots that can take at most `lot.quantity` each, in the order given
+function spreadOverLots(lots, quantity) {
+  const allocation = [];
+  let remaining = quantity;
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const take = Math.min(lot.quantity, remaining);
+    if (take > 0) {
+      allocation.push({ ...lot, quantity: take });
+      remaining -= take;
+    }
+  }
+  return allocation;
+}
+
+module.exports = {
+  EXPIRED_QUANTITY_SQL,
+  FEFO_ORDER,
+  listLots,
+  expiringLots,
+  lotsMoved,
+  spreadOverLots
+};
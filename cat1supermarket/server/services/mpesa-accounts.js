@@ -0,0 +1,190 @@
+const { getAsync, allAsync, runAsync } = require('../database');
+const { encryptSecret, decryptSecret } = require('./secrets');
+const { HttpError } = require('./errors');
+
+const TRANSACTION_TYPES = ['CustomerPayBillOnline', 'CustomerBuyGoodsOnline'];
+
+const DARAJA_HOSTS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+// Columns safe to send to the admin UI. Secrets are only reported as present or not.
+const PUBLIC_COLUMNS = `id, branch, shortcode, till_number, transaction_type, environment, consumer_key,
+  passkey_encrypted IS NOT NULL AS has_passkey,
+  consumer_secret_encrypted IS NOT NULL AS has_consumer_secret,
+  is_active, created_at, updated_at`;
+
+class MpesaAccountError extends HttpError {}
+
+// MPESA_BASE_URL overrides the host for every environment, e.g. to use the local simulator
+function darajaBaseUrl(environment) {
+  return (process.env.MPESA_BASE_URL || DARAJA_HOSTS[environment] || DARAJA_HOSTS.sandbox).replace(/\/+$/, '');
+}
+
+function validateAccount(fields, existing) {
+  const account = { ...existing, ...fields };
+
+  if (!account.branch || !String(account.branch).trim()) {
+    throw new MpesaAccountError(400, 'Branch is required');
+  }
+  if (!/^\d{5,7}$/.test(String(account.shortcode || ''))) {
+    throw new MpesaAccountError(400, 'Shortcode must be 5 to 7 digits');
+  }
+  if (!TRANSACTION_TYPES.includes(account.transaction_type)) {
+    throw new MpesaAccountError(400, `Transaction type must be one of ${TRANSACTION_TYPES.join(', ')}`);
+  }
+  if (account.transaction_type === 'CustomerBuyGoodsOnline' && !/^\d{5,7}$/.test(String(account.till_number || ''))) {
+    throw new MpesaAccountError(400, 'Buy Goods accounts need a till number of 5 to 7 digits');
+  }
+  if (!DARAJA_HOSTS[account.environment]) {
+    throw new MpesaAccountError(400, `Environment must be one of ${Object.keys(DARAJA_HOSTS).join(', ')}`);
+  }
+  if (!existing && !fields.passkey) {
+    throw new MpesaAccountError(400, 'Passkey is required');
+  }
+  if (account.consumer_key && !fields.consumer_secret && !(existing && existing.consumer_secret_encrypted)) {
+    throw new MpesaAccountError(400, 'A consumer key needs its consumer secret');
+  }
+}
+
+function listAccounts() {
+  return allAsync(`SELECT ${PUBLIC_COLUMNS} FROM mpesa_accounts ORDER BY branch`);
+}
+
+function getAccount(id) {
+  return getAsync(`SELECT ${PUBLIC_COLUMNS} FROM mpesa_accounts WHERE id = ?`, [id]);
+}
+
+async function createAccount(fields) {
+  const account = {
+    transaction_type: 'CustomerPayBillOnline',
+    environment: 'sandbox',
+    ...fields
+  };
+  validateAccount(account, null);
+
+  try {
+    const { lastID } = await runAsync(
+      `INSERT INTO mpesa_accounts
+       (branch, shortcode, till_number, transaction_type, environment, passkey_encrypted,
+        consumer_key, consumer_secret_encrypted, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(account.branch).trim(),
+        String(account.shortcode),
+        account.transaction_type === 'CustomerBuyGoodsOnline' ? String(account.till_number) : null,
+        account.transaction_type,
+        account.environment,
+        encryptSecret(account.passkey),
+        account.consumer_key || null,
+        account.consumer_secret ? encryptSecret(account.consumer_secret) : null,
+        account.is_active === false || account.is_active === 0 ? 0 : 1
+      ]
+    );
+    return getAccount(lastID);
+  } catch (err) {
+    if (/UNIQUE/.test(err.message)) {
+      throw new MpesaAccountError(409, `An M-Pesa account already exists for ${account.branch}`);
+    }
+    throw err;
+  }
+}
+
+// Secrets left out of the update keep their stored value
+async function updateAccount(id, fields) {
+  const existing = await getAsync('SELECT * FROM mpesa_accounts WHERE id = ?', [id]);
+  if (!existing) {
+    throw new MpesaAccountError(404, 'M-Pesa account not found');
+  }
+
+  const editable = ['branch', 'shortcode', 'till_number', 'transaction_type', 'environment', 'consumer_key', 'is_active'];
+  const changes = {};
+  editable.forEach(column => {
+    if (fields[column] !== undefined) changes[column] = fields[column];
+  });
+  validateAccount({ ...changes, passkey: fields.passkey, consumer_secret: fields.consumer_secret }, existing);
+
+  const account = { ...existing, ...changes };
+  try {
+    await runAsync(
+      `UPDATE mpesa_accounts
+       SET branch = ?, shortcode = ?, till_number = ?, transaction_type = ?, environment = ?,
+           passkey_encrypted = ?, consumer_key = ?, consumer_secret_encrypted = ?, is_active = ?,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        String(account.branch).trim(),
+        String(account.shortcode),
+        account.transaction_type === 'CustomerBuyGoodsOnline' ? String(account.till_number) : null,
+        account.transaction_type,
+        account.environment,
+        fields.passkey ? encryptSecret(fields.passkey) : existing.passkey_encrypted,
+        account.consumer_key || null,
+        !account.consumer_key ? null
+          : fields.consumer_secret ? encryptSecret(fields.consumer_secret) : existing.consumer_secret_encrypted,
+        account.is_active === false || account.is_active === 0 ? 0 : 1,
+        id
+      ]
+    );
+  } catch (err) {
+    if (/UNIQUE/.test(err.message)) {
+      throw new MpesaAccountError(409, `An M-Pesa account already exists for ${account.branch}`);
+    }
+    throw err;
+  }
+  return getAccount(id);
+}
+
+async function deleteAccount(id) {
+  const { changes } = await runAsync('DELETE FROM mpesa_accounts WHERE id = ?', [id]);
+  if (changes === 0) {
+    throw new MpesaAccountError(404, 'M-Pesa account not found');
+  }
+}
+
+// Everything needed to talk to Daraja for one account, with secrets decrypted.
+// Consumer credentials fall back to the .env app when the account has none of its own.
+function toDarajaAccount(row) {
+  return {
+    id: row.id,
+    branch: row.branch,
+    shortcode: row.shortcode,
+    partyB: row.transaction_type === 'CustomerBuyGoodsOnline' ? row.till_number : row.shortcode,
+    transactionType: row.transaction_type,
+    environment: row.environment,
+    passkey: decryptSecret(row.passkey_encrypted),
+    consumerKey: row.consumer_key || process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: row.consumer_secret_encrypted
+      ? decryptSecret(row.consumer_secret_encrypted)
+      : process.env.MPESA_CONSUMER_SECRET,
+    callbackUrl: process.env.MPESA_CALLBACK_URL,
+    baseUrl: darajaBaseUrl(row.environment)
+  };
+}
+
+async function findBranchAccount(branch) {
+  const row = await getAsync(
+    'SELECT * FROM mpesa_accounts WHERE branch = ? AND is_active = 1',
+    [branch]
+  );
+  return row ? toDarajaAccount(row) : null;
+}
+
+async function findAccountById(id) {
+  const row = await getAsync('SELECT * FROM mpesa_accounts WHERE id = ?', [id]);
+  return row ? toDarajaAccount(row) : null;
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  MpesaAccountError,
+  darajaBaseUrl,
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  findBranchAccount,
+  findAccountById
+};
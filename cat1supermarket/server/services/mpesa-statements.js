@@ -0,0 +1,357 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const { HttpError } = require('./errors');
+
+// Reconciles an M-Pesa org portal statement (CSV export) against mpesa_transactions.
+// Each paid-in statement line and each completed transaction ends up in one category.
+const CATEGORIES = ['matched', 'amount_mismatch', 'phone_mismatch', 'missing_in_system', 'missing_in_statement'];
+
+// Statement times are East Africa Time; the database stores UTC
+const STATEMENT_UTC_OFFSET_HOURS = 3;
+
+// Receipts looked up per query, well under SQLite's bound parameter limit
+const RECEIPT_LOOKUP_BATCH = 500;
+
+class StatementError extends HttpError {}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+function parseAmount(value) {
+  const amount = parseFloat(String(value || '').replace(/,/g, ''));
+  return Number.isNaN(amount) ? 0 : amount;
+}
+
+// Statements use either 2024-01-31 13:45:00 or 31-01-2024 13:45:00
+function parseStatementTime(value) {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (match) {
+    const [, year, month, day, hour, minute, second = '00'] = match;
+    return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+  }
+  match = text.match(/^(\d{2})[-/](\d{2})[-/](\d{4})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+  if (match) {
+    const [, day, month, year, hour, minute, second = '00'] = match;
+    return `${year}-${month}-${day} ${hour}:${minute}:${second}`;
+  }
+  return null;
+}
+
+function statementTimeToUtc(time) {
+  const date = new Date(`${time.replace(' ', 'T')}Z`);
+  date.setUTCHours(date.getUTCHours() - STATEMENT_UTC_OFFSET_HOURS);
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// "254712345678 - JOHN DOE" or a masked "2547******78 - JOHN DOE"
+function parseOtherParty(value) {
+  const match = String(value || '').match(/^\s*([0-9*]{9,12})/);
+  return match ? match[1] : null;
+}
+
+// A masked statement phone matches when every digit it does show agrees
+function phonesMatch(statementPhone, systemPhone) {
+  if (!statementPhone || !systemPhone) return true;
+  if (statementPhone.length !== systemPhone.length) return false;
+  return [...statementPhone].every((digit, i) => digit === '*' || digit === systemPhone[i]);
+}
+
+// Pull the paid-in lines out of a statement. The portal puts account details above the
+// table, so the header row is found by looking for the receipt column.
+function parseStatement(text) {
+  const rows = parseCsv(String(text).replace(/^\uFEFF/, ''));
+  const headerIndex = rows.findIndex(cells => cells.some(cell => normalizeHeader(cell).startsWith('receiptno')));
+  if (headerIndex === -1) {
+    throw new StatementError(400, 'Could not find the "Receipt No." column in the statement');
+  }
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const column = (...names) => headers.findIndex(header => names.includes(header));
+  const columns = {
+    receipt: column('receiptno'),
+    completedAt: column('completiontime'),
+    status: column('transactionstatus'),
+    paidIn: column('paidin'),
+    otherParty: column('otherpartyinfo'),
+    details: column('details')
+  };
+
+  if (columns.paidIn === -1) {
+    throw new StatementError(400, 'Could not find the "Paid In" column in the statement');
+  }
+
+  return rows.slice(headerIndex + 1)
+    .map(cells => ({
+      receipt: (cells[columns.receipt] || '').trim(),
+      completedAt: parseStatementTime(cells[columns.completedAt]),
+      status: columns.status === -1 ? 'Completed' : (cells[columns.status] || '').trim(),
+      amount: parseAmount(cells[columns.paidIn]),
+      phone: parseOtherParty(cells[columns.otherParty]),
+      details: columns.details === -1 ? null : (cells[columns.details] || '').trim()
+    }))
+    .filter(line => line.receipt && line.amount > 0 && /^completed$/i.test(line.status));
+}
+
+// Compare statement lines with stored transactions. Completed transactions are only
+// expected on the statement when they fall inside the period it covers, which is taken
+// from the statement unless from/to dates (YYYY-MM-DD, local time) are given.
+async function reconcileStatement(lines, { from, to, branch } = {}) {
+  const times = lines.map(line => line.completedAt).filter(Boolean).sort();
+  const periodStart = from ? `${from} 00:00:00` : times[0] || null;
+  const periodEnd = to ? `${to} 23:59:59` : times[times.length - 1] || null;
+
+  const receipts = lines.map(line => line.receipt);
+  const byReceipt = new Map();
+  for (let i = 0; i < receipts.length; i += RECEIPT_LOOKUP_BATCH) {
+    const batch = receipts.slice(i, i + RECEIPT_LOOKUP_BATCH);
+    const rows = await allAsync(
+      `SELECT * FROM mpesa_transactions WHERE mpesa_receipt IN (${batch.map(() => '?').join(', ')})`,
+      batch
+    );
+    rows.forEach(row => byReceipt.set(row.mpesa_receipt, row));
+  }
+
+  const entries = lines.map(line => {
+    const transaction = byReceipt.get(line.receipt);
+    const entry = {
+      receipt: line.receipt,
+      statement_amount: line.amount,
+      statement_phone: line.phone,
+      statement_time: line.completedAt,
+      transaction_id: transaction ? transaction.id : null,
+      system_amount: transaction ? transaction.amount : null,
+      system_phone: transaction ? transaction.phone : null,
+      system_status: transaction ? transaction.status : null,
+      branch: transaction ? transaction.branch : null
+    };
+
+    if (!transaction || transaction.status !== 'completed') {
+      return {
+        ...entry,
+        category: 'missing_in_system',
+        details: transaction
+          ? `Transaction is ${transaction.status} in the system`
+          : 'No transaction with this receipt'
+      };
+    }
+    if (Math.round(transaction.amount) !== Math.round(line.amount)) {
+      return {
+        ...entry,
+        category: 'amount_mismatch',
+        details: `Statement KES ${line.amount}, system KES ${transaction.amount}`
+      };
+    }
+    if (!phonesMatch(line.phone, transaction.phone)) {
+      return {
+        ...entry,
+        category: 'phone_mismatch',
+        details: `Statement ${line.phone}, system ${transaction.phone}`
+      };
+    }
+    return { ...entry, category: 'matched', details: null };
+  });
+
+  if (periodStart && periodEnd) {
+    const params = [statementTimeToUtc(periodStart), statementTimeToUtc(periodEnd)];
+    let branchFilter = '';
+    if (branch) {
+      branchFilter = 'AND branch = ?';
+      params.push(branch);
+    }
+
+    const completed = await allAsync(
+      `SELECT * FROM mpesa_transactions
+       WHERE status = 'completed' AND completed_at BETWEEN ? AND ? ${branchFilter}
+       ORDER BY completed_at`,
+      params
+    );
+
+    const statementReceipts = new Set(receipts);
+    completed
+      .filter(transaction => !statementReceipts.has(transaction.mpesa_receipt))
+      .forEach(transaction => entries.push({
+        receipt: transaction.mpesa_receipt,
+        statement_amount: null,
+        statement_phone: null,
+        statement_time: null,
+        transaction_id: transaction.id,
+        system_amount: transaction.amount,
+        system_phone: transaction.phone,
+        system_status: transaction.status,
+        branch: transaction.branch,
+        category: 'missing_in_statement',
+        details: `Completed ${transaction.completed_at} UTC but not on the statement`
+      }));
+  }
+
+  const summary = {};
+  CATEGORIES.forEach(category => {
+    const inCategory = entries.filter(entry => entry.category === category);
+    summary[category] = {
+      count: inCategory.length,
+      amount: inCategory.reduce((sum, entry) => sum + (entry.statement_amount ?? entry.system_amount ?? 0), 0)
+    };
+  });
+
+  return { periodStart, periodEnd, entries, summary };
+}
+
+async function saveReport({ filename, uploadedBy, branch, lineCount, result }) {
+  return withTransaction(async () => {
+    const { lastID } = await runAsync(
+      `INSERT INTO mpesa_statement_reports
+       (filename, uploaded_by, branch, period_start, period_end, line_count, summary)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        filename,
+        uploadedBy,
+        branch || null,
+        result.periodStart,
+        result.periodEnd,
+        lineCount,
+        JSON.stringify(result.summary)
+      ]
+    );
+
+    for (const entry of result.entries) {
+      await runAsync(
+        `INSERT INTO mpesa_statement_entries
+         (report_id, category, receipt, statement_amount, statement_phone, statement_time,
+          transaction_id, system_amount, system_phone, system_status, branch, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          lastID,
+          entry.category,
+          entry.receipt,
+          entry.statement_amount,
+          entry.statement_phone,
+          entry.statement_time,
+          entry.transaction_id,
+          entry.system_amount,
+          entry.system_phone,
+          entry.system_status,
+          entry.branch,
+          entry.details
+        ]
+      );
+    }
+
+    return lastID;
+  });
+}
+
+async function importStatement({ text, filename, uploadedBy, from, to, branch }) {
+  const lines = parseStatement(text);
+  const result = await reconcileStatement(lines, { from, to, branch });
+  const id = await saveReport({ filename, uploadedBy, branch, lineCount: lines.length, result });
+  return getReport(id);
+}
+
+function withSummary(report) {
+  return { ...report, summary: JSON.parse(report.summary) };
+}
+
+async function listReports() {
+  const reports = await allAsync('SELECT * FROM mpesa_statement_reports ORDER BY created_at DESC, id DESC');
+  return reports.map(withSummary);
+}
+
+async function getReport(id) {
+  const report = await getAsync('SELECT * FROM mpesa_statement_reports WHERE id = ?', [id]);
+  if (!report) return null;
+
+  const entries = await allAsync(
+    `SELECT * FROM mpesa_statement_entries WHERE report_id = ?
+     ORDER BY CASE category
+       WHEN 'amount_mismatch' THEN 0 WHEN 'phone_mismatch' THEN 1
+       WHEN 'missing_in_system' THEN 2 WHEN 'missing_in_statement' THEN 3 ELSE 4 END, id`,
+    [id]
+  );
+  return { ...withSummary(report), entries };
+}
+
+function reportToCsv(report) {
+  const header = [
+    'Category', 'Receipt', 'Statement Amount', 'System Amount', 'Statement Phone',
+    'System Phone', 'Statement Time', 'System Status', 'Transaction ID', 'Branch', 'Details'
+  ];
+  return toCsv([
+    header,
+    ...report.entries.map(entry => [
+      entry.category,
+      entry.receipt,
+      entry.statement_amount,
+      entry.system_amount,
+      entry.statement_phone,
+      entry.system_phone,
+      entry.statement_time,
+      entry.system_status,
+      entry.transaction_id,
+      entry.branch,
+      entry.details
+    ])
+  ]);
+}
+
+module.exports = {
+  CATEGORIES,
+  StatementError,
+  parseStatement,
+  reconcileStatement,
+  importStatement,
+  listReports,
+  getReport,
+  reportToCsv
+};
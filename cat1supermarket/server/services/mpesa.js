@@ -0,0 +1,725 @@
+const axios = require('axios');
+const { runAsync, getAsync, allAsync } = require('../database');
+const { cancelPendingOrder } = require('./orders');
+const { darajaBaseUrl, findBranchAccount, findAccountById } = require('./mpesa-accounts');
+
+// Validate required environment variables on startup
+function validateEnvVariables() {
+  const required = [
+    'MPESA_CONSUMER_KEY',
+    'MPESA_CONSUMER_SECRET', 
+    'MPESA_SHORTCODE',
+    'MPESA_PASSKEY',
+    'MPESA_CALLBACK_URL'
+  ];
+  
+  const missing = [];
+  const envWarnings = [];
+  
+  // Build config status object for API responses
+  const configStatus = {
+    valid: true,
+    missing: [],
+    warnings: [],
+    shortcode: null,
+    hasValidCredentials: false
+  };
+  
+  required.forEach(envVar => {
+    if (!process.env[envVar]) {
+      missing.push(envVar);
+      configStatus.missing.push(envVar);
+    }
+  });
+  
+  // Check for example/default values that should be replaced
+  if (!process.env.MPESA_CONSUMER_KEY || process.env.MPESA_CONSUMER_KEY === 'your_consumer_key_here') {
+    envWarnings.push('MPESA_CONSUMER_KEY is still set to default placeholder value');
+  }
+  if (!process.env.MPESA_PASSKEY || process.env.MPESA_PASSKEY === 'your_passkey_here') {
+    envWarnings.push('MPESA_PASSKEY is still set to default placeholder value');
+  }
+  
+  configStatus.warnings = envWarnings;
+  configStatus.shortcode = process.env.MPESA_SHORTCODE || null;
+  configStatus.hasValidCredentials = missing.length === 0 && envWarnings.length === 0;
+  
+  if (missing.length > 0) {
+    configStatus.valid = false;
+    console.error('\n❌ M-Pesa Configuration Error:');
+    console.error('   Missing required environment variables:');
+    missing.forEach(v => console.error(`   - ${v}`));
+    console.error('\n   Please copy .env.example to .env and fill in your credentials.');
+    console.error('   See MPESA_SETUP.md for detailed instructions.\n');
+  }
+  
+  if (envWarnings.length > 0) {
+    console.warn('\n⚠️  M-Pesa Configuration Warnings:');
+    envWarnings.forEach(v => console.warn(`   - ${v}`));
+    console.warn('   These should be replaced with actual Daraja API credentials.\n');
+    configStatus.valid = false;
+  }
+  
+  if (configStatus.valid) {
+    console.log('\n✅ M-Pesa configuration validated successfully');
+    console.log(`   Shortcode: ${process.env.MPESA_SHORTCODE}`);
+    console.log(`   Callback URL: ${process.env.MPESA_CALLBACK_URL}`);
+    console.log(`   Daraja URL: ${darajaBaseUrl(process.env.MPESA_ENVIRONMENT || 'sandbox')}\n`);
+  }
+  
+  return configStatus;
+}
+
+// Validate immediately on module load and export config status
+const mpesaConfig = validateEnvVariables();
+
+const MPESA_ENVIRONMENT = process.env.MPESA_ENVIRONMENT || 'sandbox';
+
+// Default Daraja account from .env, used for branches without an M-Pesa account of their own
+const MPESA_CONFIG = {
+  id: null,
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortcode: process.env.MPESA_SHORTCODE,
+  partyB: process.env.MPESA_SHORTCODE,
+  transactionType: 'CustomerPayBillOnline',
+  environment: MPESA_ENVIRONMENT,
+  passkey: process.env.MPESA_PASSKEY,
+  callbackUrl: process.env.MPESA_CALLBACK_URL,
+  baseUrl: darajaBaseUrl(MPESA_ENVIRONMENT)
+};
+
+// Daraja API endpoints for an account's environment
+function darajaUrls(account) {
+  return {
+    authUrl: `${account.baseUrl}/oauth/v1/generate?grant_type=client_credentials`,
+    stkPushUrl: `${account.baseUrl}/mpesa/stkpush/v1/processrequest`,
+    stkQueryUrl: `${account.baseUrl}/mpesa/stkpushquery/v1/query`,
+    b2cUrl: `${account.baseUrl}/mpesa/b2c/v1/paymentrequest`,
+    reversalUrl: `${account.baseUrl}/mpesa/reversal/v1/request`
+  };
+}
+
+// Cache for access tokens, one per Daraja app
+const accessTokens = new Map();
+
+function tokenCacheKey(account) {
+  return `${account.baseUrl}|${account.consumerKey}`;
+}
+
+// Helper function to get M-Pesa access token
+async function getAccessToken(account = MPESA_CONFIG) {
+  try {
+    // Check if we have a valid cached token
+    const cached = accessTokens.get(tokenCacheKey(account));
+    if (cached && Date.now() < cached.expiry) {
+      return cached.token;
+    }
+
+    // Validate that we have credentials
+    if (!account.consumerKey || !account.consumerSecret) {
+      throw new Error('M-Pesa credentials not configured');
+    }
+
+    const auth = Buffer.from(`${account.consumerKey}:${account.consumerSecret}`).toString('base64');
+
+    console.log('Requesting M-Pesa access token...');
+    const response = await axios.get(darajaUrls(account).authUrl, {
+      headers: {
+        'Authorization': `Basic ${auth}`
+      },
+      timeout: 30000 // 30 second timeout
+    });
+
+    // Set expiry to 50 minutes (tokens are valid for 1 hour)
+    accessTokens.set(tokenCacheKey(account), {
+      token: response.data.access_token,
+      expiry: Date.now() + (50 * 60 * 1000)
+    });
+
+    console.log('M-Pesa access token obtained successfully');
+    return response.data.access_token;
+  } catch (error) {
+    console.error('Error getting M-Pesa access token:');
+    console.error('  Response:', error.response?.data || error.message);
+    console.error('  Status:', error.response?.status || 'N/A');
+    
+    if (error.code === 'ECONNREFUSED') {
+      throw new Error('Cannot connect to M-Pesa API. Please check your internet connection.');
+    } else if (error.response?.status === 401) {
+      throw new Error('Invalid M-Pesa credentials. Please check your Consumer Key and Secret.');
+    }
+    throw new Error('Failed to get M-Pesa access token: ' + (error.response?.data?.errorDescription || error.message));
+  }
+}
+
+function hasCachedToken(account) {
+  return accessTokens.has(tokenCacheKey(account));
+}
+
+function tokenSecondsLeft(account) {
+  const cached = accessTokens.get(tokenCacheKey(account));
+  return cached ? Math.round((cached.expiry - Date.now()) / 1000) : 0;
+}
+
+// Helper function to generate M-Pesa password
+function generateMpesaPassword(account = MPESA_CONFIG) {
+  const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
+  const password = Buffer.from(`${account.shortcode}${account.passkey}${timestamp}`).toString('base64');
+  return { password, timestamp };
+}
+
+// 254XXXXXXXXX from 07..., 01..., 7... or 254... input; null when it is not a Kenyan mobile number
+function formatPhone(phone) {
+  let formattedPhone = String(phone || '').replace(/[^0-9]/g, '');
+  if (formattedPhone.startsWith('0')) {
+    formattedPhone = '254' + formattedPhone.substring(1);
+  } else if (!formattedPhone.startsWith('254')) {
+    formattedPhone = '254' + formattedPhone;
+  }
+  return /^254[0-9]{9}$/.test(formattedPhone) ? formattedPhone : null;
+}
+
+// The Daraja account that collects payments for a branch: its own account when one is
+// configured, otherwise the default from .env (if that is complete)
+async function accountForBranch(branch) {
+  const account = await findBranchAccount(branch);
+  if (account) return account;
+  return mpesaConfig.valid ? MPESA_CONFIG : null;
+}
+
+// The account a transaction was pushed through, so queries go to the same shortcode
+async function accountForTransaction(transaction) {
+  const account = transaction.mpesa_account_id && await findAccountById(transaction.mpesa_account_id);
+  return account || accountForBranch(transaction.branch);
+}
+
+// What an STK result code means for the customer. Anything not listed is a plain failure.
+const STK_RESULT_STATUSES = {
+  0: 'success',
+  1: 'insufficient_funds',
+  1032: 'cancelled',
+  1037: 'timeout',
+  2001: 'invalid_pin'
+};
+
+function stkResultStatus(resultCode) {
+  return STK_RESULT_STATUSES[resultCode] || 'failed';
+}
+
+// Finish the payment behind a transaction once its outcome is known. For an order paid
+// through the payments service this settles the M-Pesa tender, and the order completes when
+// every tender has; older transactions complete or release their order directly.
+// The customer who placed the order hears about it in their own room.
+async function settleTransactionOrder(checkoutRequestID, { resultCode, resultDesc, mpesaReceipt }, io) {
+  // Required here: the payments service loads this module through its M-Pesa provider
+  const { settlePayment, completePaidOrder, failOrder } = require('./payments');
+
+  try {
+    const transaction = await getAsync(
+      'SELECT * FROM mpesa_transactions WHERE checkout_request_id = ?',
+      [checkoutRequestID]
+    );
+    if (!transaction || !transaction.order_id) return;
+
+    const status = stkResultStatus(resultCode);
+    const orderStatus = status === 'cancelled' ? 'cancelled' : 'failed';
+    let order;
+
+    if (transaction.payment_id) {
+      order = await settlePayment(transaction.payment_id, {
+        succeeded: resultCode === 0,
+        reference: mpesaReceipt,
+        orderStatus
+      }, io);
+    } else if (resultCode === 0) {
+      order = await completePaidOrder(transaction.order_id, io, { paymentReference: mpesaReceipt });
+    } else {
+      order = await failOrder(transaction.order_id, orderStatus, io);
+    }
+
+    if (order && order.user_id) {
+      io.to(`user-${order.user_id}`).emit('payment-status', {
+        orderId: order.id,
+        checkoutRequestID,
+        status: status === 'success' && order.status === 'needs_review' ? 'needs_review' : status,
+        orderStatus: order.status,
+        resultCode,
+        resultDesc,
+        mpesaReceipt
+      });
+    }
+  } catch (error) {
+    console.error('Error settling order for transaction:', checkoutRequestID, error);
+  }
+}
+
+// Turn a failed Daraja request into a message and code the caller can show
+function describeDarajaError(error) {
+  const errorData = error.response?.data;
+  let errorMessage = 'Failed to initiate STK Push';
+  let errorCode = 'UNKNOWN_ERROR';
+
+  if (errorData?.errorMessage) {
+    errorMessage = errorData.errorMessage;
+  } else if (errorData?.errorCode) {
+    errorCode = errorData.errorCode;
+  }
+
+  if (error.code === 'ECONNREFUSED') {
+    errorMessage = 'Cannot connect to M-Pesa API. Please check your internet connection.';
+    errorCode = 'CONNECTION_ERROR';
+  } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+    errorMessage = 'M-Pesa API request timed out. Please try again.';
+    errorCode = 'TIMEOUT';
+  } else if (error.response?.status === 500) {
+    errorMessage = 'M-Pesa API returned an internal error. Please try again later.';
+    errorCode = 'MPESA_SERVER_ERROR';
+  } else if (error.response?.status === 401) {
+    errorMessage = 'Invalid M-Pesa credentials. Please check your configuration.';
+    errorCode = 'AUTH_ERROR';
+  }
+
+  return { errorMessage, errorCode, details: errorData || error.message };
+}
+
+// Send an STK push for an order and store the pending transaction its callback will settle
+async function initiateStkPush({ account, phone, amount, branch, product, orderId, paymentId = null }) {
+  const { password, timestamp } = generateMpesaPassword(account);
+  const token = await getAccessToken(account);
+
+  // Prepare STK Push request payload
+  const stkPushPayload = {
+    BusinessShortCode: account.shortcode,
+    Password: password,
+    Timestamp: timestamp,
+    TransactionType: account.transactionType,
+    Amount: Math.round(amount), // Must be integer
+    PartyA: phone,
+    PartyB: account.partyB,
+    PhoneNumber: phone,
+    CallBackURL: account.callbackUrl,
+    AccountReference: `Supermarket-${branch}`,
+    TransactionDesc: `Purchase ${product} at ${branch}`
+  };
+
+  console.log('Initiating STK Push...', {
+    phone,
+    amount: Math.round(amount),
+    timestamp,
+    shortcode: account.shortcode,
+    branch
+  });
+
+  // Make actual call to M-Pesa Daraja STK Push API
+  const response = await axios.post(darajaUrls(account).stkPushUrl, stkPushPayload, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 30000 // 30 second timeout
+  });
+
+  const stkResponse = response.data;
+  console.log('STK Push response:', stkResponse);
+
+  // Store pending transaction for callback verification
+  try {
+    await runAsync(
+      `INSERT INTO mpesa_transactions 
+       (merchant_request_id, checkout_request_id, phone, amount, branch, product, order_id, mpesa_account_id,
+        payment_id, status) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+      [
+        stkResponse.MerchantRequestID,
+        stkResponse.CheckoutRequestID,
+        phone,
+        amount,
+        branch,
+        product,
+        orderId,
+        account.id,
+        paymentId
+      ]
+    );
+  } catch (err) {
+    console.error('Error storing transaction:', err);
+  }
+
+  return stkResponse;
+}
+
+// Record what was decided about a logged callback
+function setCallbackOutcome(logId, outcome, detail = null) {
+  return runAsync(
+    'UPDATE mpesa_callback_log SET outcome = ?, outcome_detail = ? WHERE id = ?',
+    [outcome, detail, logId]
+  );
+}
+
+// Check a successful callback against what we asked the customer to pay
+function callbackMismatch(transaction, { amount, phoneNumber }) {
+  if (Number(amount) !== Math.round(transaction.amount)) {
+    return `amount ${amount} does not match expected ${Math.round(transaction.amount)}`;
+  }
+  if (String(phoneNumber) !== transaction.phone) {
+    return `phone ${phoneNumber} does not match ${transaction.phone}`;
+  }
+  return null;
+}
+
+// Hold a transaction that was just marked 'flagged' for an admin instead of settling it:
+// its payment is flagged too and its order released to wait for review
+async function flagTransaction(transaction, { reason, mpesaReceipt = null }, io) {
+  if (transaction.payment_id) {
+    await runAsync(
+      `UPDATE payments SET status = 'flagged', reference = COALESCE(?, reference), completed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [mpesaReceipt, transaction.payment_id]
+    );
+  }
+  if (transaction.order_id) {
+    await cancelPendingOrder(transaction.order_id, 'needs_review');
+    io.to('customer-room').emit('stock-released', { orderIds: [transaction.order_id] });
+  }
+  io.to('admin-room').emit('mpesa-flagged', {
+    transactionId: transaction.id,
+    orderId: transaction.order_id,
+    checkoutRequestID: transaction.checkout_request_id,
+    mpesaReceiptNumber: mpesaReceipt,
+    reason
+  });
+}
+
+// Act on an STK callback body and return what to answer Safaricom with.
+// Safaricom may deliver the same callback more than once, so every payload is logged and only
+// the first one for a pending transaction is acted on.
+async function handleStkCallback(body, io) {
+  const callback = body && body.Body && body.Body.stkCallback;
+  let logId;
+
+  try {
+    const metaData = callback?.CallbackMetadata?.Item || [];
+    const metaValue = (name) => metaData.find(item => item.Name === name)?.Value;
+    const mpesaReceiptNumber = metaValue('MpesaReceiptNumber');
+
+    const log = await runAsync(
+      `INSERT INTO mpesa_callback_log (merchant_request_id, checkout_request_id, mpesa_receipt, result_code, payload)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        callback?.MerchantRequestID || null,
+        callback?.CheckoutRequestID || null,
+        mpesaReceiptNumber || null,
+        callback ? Number(callback.ResultCode) : null,
+        JSON.stringify(body)
+      ]
+    );
+    logId = log.lastID;
+
+    if (!callback) {
+      await setCallbackOutcome(logId, 'invalid', 'Missing Body.stkCallback');
+      return { ResultCode: 1, ResultDesc: 'Rejected' };
+    }
+
+    const merchantRequestID = callback.MerchantRequestID;
+    const checkoutRequestID = callback.CheckoutRequestID;
+    const resultCode = Number(callback.ResultCode);
+    const resultDesc = callback.ResultDesc;
+    const amount = metaValue('Amount');
+    const phoneNumber = metaValue('PhoneNumber');
+
+    console.log('M-Pesa Callback received:', {
+      merchantRequestID,
+      checkoutRequestID,
+      resultCode,
+      resultDesc,
+      amount,
+      mpesaReceiptNumber
+    });
+
+    const transaction = await getAsync(
+      'SELECT * FROM mpesa_transactions WHERE merchant_request_id = ? AND checkout_request_id = ?',
+      [merchantRequestID, checkoutRequestID]
+    );
+
+    if (!transaction) {
+      console.warn('Rejected M-Pesa callback for unknown request:', merchantRequestID, checkoutRequestID);
+      await setCallbackOutcome(logId, 'unknown_request');
+      return { ResultCode: 1, ResultDesc: 'Rejected' };
+    }
+
+    if (transaction.status !== 'pending') {
+      await setCallbackOutcome(logId, 'duplicate', `Transaction already ${transaction.status}`);
+      return { ResultCode: 0, ResultDesc: 'Success' };
+    }
+
+    if (mpesaReceiptNumber) {
+      const receiptOwner = await getAsync(
+        'SELECT id FROM mpesa_transactions WHERE mpesa_receipt = ? AND id != ?',
+        [mpesaReceiptNumber, transaction.id]
+      );
+      if (receiptOwner) {
+        await setCallbackOutcome(logId, 'duplicate', `Receipt already used by transaction ${receiptOwner.id}`);
+        return { ResultCode: 0, ResultDesc: 'Success' };
+      }
+    }
+
+    const mismatch = resultCode === 0 ? callbackMismatch(transaction, { amount, phoneNumber }) : null;
+    const status = mismatch ? 'flagged' : resultCode === 0 ? 'completed' : 'failed';
+
+    // Claiming the pending row is what makes a concurrent duplicate a no-op
+    const { changes } = await runAsync(
+      `UPDATE mpesa_transactions 
+       SET status = ?, result_code = ?, result_desc = ?, mpesa_receipt = ?, settled_by = 'callback',
+           completed_at = CURRENT_TIMESTAMP 
+       WHERE id = ? AND status = 'pending'`,
+      [status, resultCode, mismatch || resultDesc, mpesaReceiptNumber, transaction.id]
+    );
+
+    if (changes === 0) {
+      await setCallbackOutcome(logId, 'duplicate', 'Transaction settled by another request');
+      return { ResultCode: 0, ResultDesc: 'Success' };
+    }
+
+    if (mismatch) {
+      console.warn('Flagged M-Pesa callback:', checkoutRequestID, mismatch);
+      await setCallbackOutcome(logId, 'flagged', mismatch);
+      await flagTransaction(transaction, { reason: mismatch, mpesaReceipt: mpesaReceiptNumber }, io);
+      return { ResultCode: 0, ResultDesc: 'Success' };
+    }
+
+    await setCallbackOutcome(logId, 'processed');
+    await settleTransactionOrder(checkoutRequestID, {
+      resultCode,
+      resultDesc,
+      mpesaReceipt: mpesaReceiptNumber
+    }, io);
+
+    // Emit WebSocket event for real-time payment confirmation
+    io.to('admin-room').emit('mpesa-callback', {
+      merchantRequestID,
+      checkoutRequestID,
+      status: resultCode === 0 ? 'success' : 'failed',
+      resultDesc,
+      amount,
+      mpesaReceiptNumber
+    });
+
+    return { ResultCode: 0, ResultDesc: 'Success' };
+  } catch (error) {
+    console.error('Callback error:', error);
+    if (logId) {
+      await setCallbackOutcome(logId, 'error', error.message).catch(() => {});
+    }
+    // Still return success to M-Pesa to prevent retries
+    return { ResultCode: 0, ResultDesc: 'Success' };
+  }
+}
+
+// Ask Daraja how an STK push ended. Daraja answers with an error while the customer has
+// not responded yet, which is thrown like any other failure.
+async function queryStkStatus(account, checkoutRequestID) {
+  const { password, timestamp } = generateMpesaPassword(account);
+  const token = await getAccessToken(account);
+
+  const queryPayload = {
+    BusinessShortCode: account.shortcode,
+    Password: password,
+    Timestamp: timestamp,
+    CheckoutRequestID: checkoutRequestID
+  };
+
+  const response = await axios.post(darajaUrls(account).stkQueryUrl, queryPayload, {
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 30000
+  });
+
+  return response.data;
+}
+
+// Store a query result on a still-pending transaction and settle its order.
+// settledBy records what finished it: 'query' (someone asked) or 'job' (reconciliation).
+// A success is checked against the amount and phone like a callback when the answer
+// carries them. Returns the new status, or null when the transaction had already been settled.
+async function recordStkQueryResult(checkoutRequestID, queryResponse, io, settledBy) {
+  const transaction = await getAsync('SELECT * FROM mpesa_transactions WHERE checkout_request_id = ?', [checkoutRequestID]);
+  if (!transaction || transaction.status !== 'pending') return null;
+
+  const resultCode = Number(queryResponse.ResultCode);
+  const metaData = queryResponse.CallbackMetadata?.Item || [];
+  const metaValue = (name) => metaData.find(item => item.Name === name)?.Value;
+  const mpesaReceipt = metaValue('MpesaReceiptNumber');
+
+  const mismatch = resultCode === 0 && metaData.length > 0
+    ? callbackMismatch(transaction, { amount: metaValue('Amount'), phoneNumber: metaValue('PhoneNumber') })
+    : null;
+  const status = mismatch ? 'flagged' : resultCode === 0 ? 'completed' : 'failed';
+
+  const { changes } = await runAsync(
+    `UPDATE mpesa_transactions 
+     SET status = ?, result_code = ?, result_desc = ?, mpesa_receipt = COALESCE(?, mpesa_receipt), settled_by = ?,
+         completed_at = CURRENT_TIMESTAMP 
+     WHERE id = ? AND status = 'pending'`,
+    [status, resultCode, mismatch || queryResponse.ResultDesc, mpesaReceipt || null, settledBy, transaction.id]
+  );
+
+  if (changes === 0) return null;
+
+  if (mismatch) {
+    console.warn('Flagged M-Pesa query result:', checkoutRequestID, mismatch);
+    await flagTransaction(transaction, { reason: mismatch, mpesaReceipt: mpesaReceipt || null }, io);
+    return status;
+  }
+
+  await settleTransactionOrder(checkoutRequestID, {
+    resultCode,
+    resultDesc: queryResponse.ResultDesc,
+    mpesaReceipt
+  }, io);
+  return status;
+}
+
+// Minutes a transaction may wait for its callback before the job asks Daraja about it
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES, 10) || 3;
+const RECONCILE_INTERVAL_SECONDS = parseInt(process.env.MPESA_RECONCILE_INTERVAL_SECONDS, 10) || 60;
+const RECONCILE_BATCH_SIZE = 20;
+// After this many queries, or this many hours, a transaction still without an outcome is
+// flagged for an admin to check against the M-Pesa statement
+const RECONCILE_MAX_ATTEMPTS = parseInt(process.env.MPESA_RECONCILE_MAX_ATTEMPTS, 10) || 10;
+const RECONCILE_MAX_AGE_HOURS = parseInt(process.env.MPESA_RECONCILE_MAX_AGE_HOURS, 10) || 24;
+
+// Stop asking Daraja about transactions that have had their queries or their time
+async function abandonStuckTransactions(io) {
+  const abandoned = await allAsync(
+    `SELECT * FROM mpesa_transactions
+     WHERE status = 'pending'
+       AND (COALESCE(reconcile_attempts, 0) >= ? OR created_at <= datetime('now', ?))
+     ORDER BY created_at
+     LIMIT ?`,
+    [RECONCILE_MAX_ATTEMPTS, `-${RECONCILE_MAX_AGE_HOURS} hours`, RECONCILE_BATCH_SIZE]
+  );
+
+  const flagged = [];
+  for (const transaction of abandoned) {
+    const reason = (transaction.reconcile_attempts || 0) >= RECONCILE_MAX_ATTEMPTS
+      ? `No result after ${transaction.reconcile_attempts} status queries`
+      : `No result within ${RECONCILE_MAX_AGE_HOURS} hours`;
+    const { changes } = await runAsync(
+      `UPDATE mpesa_transactions
+       SET status = 'flagged', result_desc = ?, settled_by = 'job', completed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [reason, transaction.id]
+    );
+    if (changes === 0) continue;
+
+    console.warn(`Gave up reconciling M-Pesa transaction ${transaction.checkout_request_id}: ${reason}`);
+    await flagTransaction(transaction, { reason }, io);
+    flagged.push({
+      id: transaction.id,
+      orderId: transaction.order_id,
+      checkoutRequestID: transaction.checkout_request_id,
+      status: 'flagged',
+      resultDesc: reason
+    });
+  }
+
+  return flagged;
+}
+
+// Query Daraja for transactions whose callback never arrived and settle the ones that
+// have an outcome. Each transaction is asked about at most once per RECONCILE_AFTER_MINUTES,
+// until it is abandoned.
+async function reconcilePendingTransactions(io) {
+  const settled = await abandonStuckTransactions(io);
+  const wait = `-${RECONCILE_AFTER_MINUTES} minutes`;
+  const stuck = await allAsync(
+    `SELECT * FROM mpesa_transactions
+     WHERE status = 'pending'
+       AND created_at <= datetime('now', ?)
+       AND (last_reconcile_at IS NULL OR last_reconcile_at <= datetime('now', ?))
+     ORDER BY created_at
+     LIMIT ?`,
+    [wait, wait, RECONCILE_BATCH_SIZE]
+  );
+
+  for (const transaction of stuck) {
+    await runAsync(
+      `UPDATE mpesa_transactions
+       SET reconcile_attempts = COALESCE(reconcile_attempts, 0) + 1, last_reconcile_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [transaction.id]
+    );
+
+    try {
+      const account = await accountForTransaction(transaction);
+      if (!account) continue;
+
+      const queryResponse = await queryStkStatus(account, transaction.checkout_request_id);
+      const status = await recordStkQueryResult(transaction.checkout_request_id, queryResponse, io, 'job');
+      if (status) {
+        settled.push({
+          id: transaction.id,
+          orderId: transaction.order_id,
+          checkoutRequestID: transaction.checkout_request_id,
+          status,
+          resultDesc: queryResponse.ResultDesc
+        });
+      }
+    } catch (error) {
+      console.warn(
+        `STK reconciliation for ${transaction.checkout_request_id} failed:`,
+        error.response?.data?.errorMessage || error.message
+      );
+    }
+  }
+
+  return settled;
+}
+
+// Periodically settle payments whose callback never reached us
+function startStkReconciliation(io, intervalMs = RECONCILE_INTERVAL_SECONDS * 1000) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const settled = await reconcilePendingTransactions(io);
+      if (settled.length > 0) {
+        console.log(`Reconciled M-Pesa transactions: ${settled.map(t => t.checkoutRequestID).join(', ')}`);
+        io.to('admin-room').emit('mpesa-reconciled', { transactions: settled });
+      }
+    } catch (error) {
+      console.error('Error reconciling M-Pesa transactions:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  mpesaConfig,
+  MPESA_CONFIG,
+  darajaUrls,
+  getAccessToken,
+  hasCachedToken,
+  tokenSecondsLeft,
+  generateMpesaPassword,
+  formatPhone,
+  accountForBranch,
+  accountForTransaction,
+  describeDarajaError,
+  initiateStkPush,
+  handleStkCallback,
+  settleTransactionOrder,
+  queryStkStatus,
+  recordStkQueryResult,
+  reconcilePendingTransactions,
+  startStkReconciliation
+};
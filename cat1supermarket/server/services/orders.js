@@ -0,0 +1,456 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const {
+  RESERVED_QUANTITY_SQL,
+  reserveStock,
+  markReservationsConverted,
+  releaseReservations
+} = require('./reservations');
+const { INVENTORY_COLUMNS } = require('./catalog');
+const { recordMovement } = require('./stock');
+const { EXPIRED_QUANTITY_SQL } = require('./lots');
+const { STOCK_ROW_SELECT, stockSource } = require('./packs');
+const { applyPromotions, promotionLines, recordOrderPromotions, orderPromotions } = require('./promotions');
+const { HttpError } = require('./errors');
+
+class OrderError extends HttpError {}
+
+// Find the inventory row a cart line points at, by id or by branch + catalog product (id or name)
+function findInventoryRow(line) {
+  if (line.inventory_id) {
+    return getAsync(`${STOCK_ROW_SELECT} WHERE inventory.id = ?`, [line.inventory_id]);
+  }
+  if (line.product_id) {
+    return getAsync(`${STOCK_ROW_SELECT} WHERE inventory.branch = ? AND inventory.product_id = ?`, [line.branch, line.product_id]);
+  }
+  return getAsync(`${STOCK_ROW_SELECT} WHERE inventory.branch = ? AND products.name = ?`, [line.branch, line.product]);
+}
+
+function validateLines(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new OrderError(400, 'Order must contain at least one item');
+  }
+
+  items.forEach((line, index) => {
+    if (!line || typeof line !== 'object') {
+      throw new OrderError(400, `Line ${index + 1} must be an object`);
+    }
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new OrderError(400, `Invalid quantity on line ${index + 1}`);
+    }
+    if (!line.inventory_id && (!line.branch || (!line.product && !line.product_id))) {
+      throw new OrderError(400, `Line ${index + 1} must reference an inventory item`);
+    }
+  });
+}
+
+// Price every line from the current inventory row. Client-side prices and totals are never used.
+// Promotions running at the branch come off the lines (see applyPromotions), and returnable
+// products add their deposit per unit; the order total is the discounted lines plus deposits.
+// Each line also knows the row its stock comes off (`stockRow`) and the `units` it takes
+// there, which for a pack sold from unit stock is the pack size times the quantity.
+async function priceLines(branch, items) {
+  const lines = [];
+
+  for (const item of items) {
+    const row = await findInventoryRow({ branch, ...item });
+    if (!row) {
+      throw new OrderError(404, `Item not found: ${item.product || item.inventory_id}`);
+    }
+    if (branch && row.branch !== branch) {
+      throw new OrderError(400, 'All items in an order must come from the same branch');
+    }
+    branch = row.branch;
+
+    // The same item may appear on more than one line
+    const existing = lines.find(line => line.row.id === row.id);
+    const quantity = Number(item.quantity);
+
+    if (existing) {
+      existing.quantity += quantity;
+      existing.total_amount = existing.row.price * existing.quantity;
+      existing.units = existing.quantity * existing.factor;
+    } else {
+      const { stockRow, factor } = await stockSource(row);
+      if (!stockRow) {
+        throw new OrderError(409, `${row.product} is sold from unit stock that ${row.branch} doesn't carry`);
+      }
+      lines.push({ row, quantity, total_amount: row.price * quantity, stockRow, factor, units: quantity * factor });
+    }
+  }
+
+  // Closed branches keep their stock on record but take no new orders
+  const branchId = lines[0].row.branch_id;
+  const branchRow = await getAsync('SELECT is_active FROM branches WHERE id = ?', [branchId]);
+  if (branchRow && !branchRow.is_active) {
+    throw new OrderError(409, `${branch} branch is closed`);
+  }
+
+  const { subtotal, discountTotal, applied } = await applyPromotions(lines, { branchId });
+  const depositTotal = lines.reduce((sum, line) => sum + (line.row.deposit_amount || 0) * line.quantity, 0);
+  const totalAmount = Math.round((subtotal - discountTotal + depositTotal) * 100) / 100;
+  const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  return { branch, branchId, lines, subtotal, discountTotal, applied, totalAmount, depositTotal, itemCount };
+}
+
+// The deposit line of an order: one entry per returnable product, from order lines with
+// `product`, `quantity` and the unit `deposit_amount`
+function depositLines(items) {
+  return items
+    .filter(item => item.deposit_amount > 0)
+    .map(item => ({
+      product: item.product,
+      quantity: item.quantity,
+      unit_deposit: item.deposit_amount,
+      total_amount: item.deposit_amount * item.quantity
+    }));
+}
+
+function shortage(line, available) {
+  return {
+    inventory_id: line.row.id,
+    branch: line.row.branch,
+    product: line.row.product,
+    requested: line.quantity,
+    available
+  };
+}
+
+// Lines asking for more than the unreserved, in-date stock of the row they take from. Lines
+// sharing a row (a pack and its unit) draw on it in turn, and `available` is in the line's own
+// items, e.g. whole crates.
+function findShortages(lines) {
+  const remaining = new Map();
+  const shortages = [];
+
+  for (const line of lines) {
+    const shelf = line.stockRow;
+    if (!remaining.has(shelf.id)) {
+      remaining.set(shelf.id, Math.max(0, shelf.stock - (shelf.reserved || 0) - (shelf.expired || 0)));
+    }
+
+    const available = Math.floor(remaining.get(shelf.id) / line.factor);
+    remaining.set(shelf.id, remaining.get(shelf.id) - Math.min(available, line.quantity) * line.factor);
+    if (available < line.quantity) {
+      shortages.push(shortage(line, available));
+    }
+  }
+  return shortages;
+}
+
+function insufficientStockError(shortages) {
+  const summary = shortages
+    .map(item => `${item.product} (${item.available} available, ${item.requested} requested)`)
+    .join(', ');
+
+  return new OrderError(409, `Not enough stock for: ${summary}`, { shortages });
+}
+
+// The client may send the total it showed the shopper. If prices moved since then
+// the order is refused rather than charging a different amount.
+function checkExpectedTotal(expectedTotal, totalAmount) {
+  if (expectedTotal === undefined || expectedTotal === null) return;
+
+  if (Math.abs(Number(expectedTotal) - totalAmount) > 0.009) {
+    throw new OrderError(409, `Order total has changed to KES ${totalAmount}`, {
+      expected_total: Number(expectedTotal),
+      total_amount: totalAmount
+    });
+  }
+}
+
+// Work out what an order would cost without recording anything
+async function quoteOrder({ branch, items, expectedTotal }) {
+  validateLines(items);
+
+  const priced = await priceLines(branch, items);
+  const { lines, totalAmount, depositTotal, itemCount } = priced;
+  checkExpectedTotal(expectedTotal, totalAmount);
+
+  const quoted = lines.map(line => ({
+    inventory_id: line.row.id,
+    product: line.row.product,
+    quantity: line.quantity,
+    unit_price: line.row.price,
+    discount_amount: line.discount_amount,
+    total_amount: line.total_amount,
+    deposit_amount: line.row.deposit_amount || 0
+  }));
+  return {
+    branch: priced.branch,
+    subtotal: priced.subtotal,
+    discount_total: priced.discountTotal,
+    total_amount: totalAmount,
+    deposit_total: depositTotal,
+    item_count: itemCount,
+    items: quoted,
+    promotions: promotionLines(priced.applied),
+    deposits: depositLines(quoted)
+  };
+}
+
+// Take sold quantities off the shelf. Only decrements when enough unreserved, in-date stock
+// is still there, so nothing can oversell even if another writer touched the row after it
+// was read. Each decrement goes into the stock ledger against the order. Must run inside
+// a transaction. `oldStock` and `newStock` are the stock of the row the units came off.
+async function decrementStock(lines, { orderId, userId }) {
+  const changed = [];
+
+  for (const line of lines) {
+    const { changes } = await runAsync(
+      `UPDATE inventory SET stock = stock - ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND stock - ${RESERVED_QUANTITY_SQL} - ${EXPIRED_QUANTITY_SQL} >= ?`,
+      [line.units, line.stockRow.id, line.units]
+    );
+
+    if (changes === 0) {
+      const current = await getAsync(
+        `SELECT stock - ${RESERVED_QUANTITY_SQL} - ${EXPIRED_QUANTITY_SQL} AS available FROM inventory WHERE id = ?`,
+        [line.stockRow.id]
+      );
+      throw insufficientStockError([shortage(line, current ? Math.max(0, Math.floor(current.available / line.factor)) : 0)]);
+    }
+
+    const { balance } = await recordMovement({
+      inventoryId: line.stockRow.id,
+      type: 'sale',
+      delta: -line.units,
+      userId,
+      referenceType: 'order',
+      referenceId: orderId,
+      note: line.factor > 1 ? `${line.quantity} × ${line.row.product}` : null
+    });
+
+    changed.push({
+      inventory_id: line.row.id,
+      product: line.row.product,
+      quantity: line.quantity,
+      unit_price: line.unit_price !== undefined ? line.unit_price : line.row.price,
+      discount_amount: line.discount_amount || 0,
+      total_amount: line.total_amount,
+      stock_inventory_id: line.stockRow.id,
+      oldStock: balance + line.units,
+      newStock: balance
+    });
+  }
+
+  return changed;
+}
+
+// Create an order header and its items in one transaction. Either every line is
+// recorded or none is. A normal order takes the stock straight away; with `reserve`
+// the order waits on payment and its quantities are only held until it completes.
+async function createOrder({ userId, branch, items, expectedTotal, reserve = false }) {
+  validateLines(items);
+
+  return withTransaction(async () => {
+    const priced = await priceLines(branch, items);
+    const { branchId, lines, discountTotal, applied, totalAmount, depositTotal, itemCount } = priced;
+    branch = priced.branch;
+
+    checkExpectedTotal(expectedTotal, totalAmount);
+
+    const shortages = findShortages(lines);
+    if (shortages.length > 0) {
+      throw insufficientStockError(shortages);
+    }
+
+    const status = reserve ? 'pending_payment' : 'completed';
+    const { lastID: orderId } = await runAsync(
+      `INSERT INTO orders (user_id, branch, branch_id, total_amount, deposit_total, discount_total, item_count, status,
+                           created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [userId, branch, branchId, totalAmount, depositTotal, discountTotal, itemCount, status]
+    );
+
+    for (const line of lines) {
+      const { lastID } = await runAsync(
+        `INSERT INTO order_items (order_id, inventory_id, product_id, branch, product, quantity, unit_price, total_amount,
+                                  deposit_amount, discount_amount, stock_inventory_id, stock_quantity)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [orderId, line.row.id, line.row.product_id, line.row.branch, line.row.product, line.quantity, line.row.price,
+          line.total_amount, line.row.deposit_amount || 0, line.discount_amount, line.stockRow.id, line.units]
+      );
+      line.order_item_id = lastID;
+    }
+    await recordOrderPromotions(orderId, applied);
+
+    let orderItems;
+    if (reserve) {
+      await reserveStock(orderId, lines.map(line => ({ inventory_id: line.stockRow.id, quantity: line.units })));
+      orderItems = lines.map(line => ({
+        inventory_id: line.row.id,
+        product: line.row.product,
+        quantity: line.quantity,
+        unit_price: line.row.price,
+        discount_amount: line.discount_amount,
+        total_amount: line.total_amount
+      }));
+    } else {
+      orderItems = await decrementStock(lines, { orderId, userId });
+    }
+
+    return {
+      id: orderId,
+      user_id: userId,
+      branch,
+      total_amount: totalAmount,
+      deposit_total: depositTotal,
+      discount_total: discountTotal,
+      item_count: itemCount,
+      status,
+      items: orderItems,
+      promotions: promotionLines(applied),
+      deposits: depositLines(lines.map(line => ({
+        product: line.row.product,
+        quantity: line.quantity,
+        deposit_amount: line.row.deposit_amount || 0
+      })))
+    };
+  });
+}
+
+// Turn a paid order into a sale: it is marked paid and its reservations become stock decrements.
+// Calling it again for an order that is already completed changes nothing.
+// If the payment arrives after the reservation lapsed and the stock has gone since,
+// the order is flagged 'needs_review' instead so an admin can refund or restock.
+async function completeOrder(orderId, { paymentReference = null } = {}) {
+  return withTransaction(async () => {
+    const order = await getAsync('SELECT * FROM orders WHERE id = ?', [orderId]);
+    if (!order) {
+      throw new OrderError(404, 'Order not found');
+    }
+    if (order.status === 'completed') {
+      return { order, alreadyCompleted: true };
+    }
+
+    // Converting first means the order's own reservation no longer counts against it
+    await markReservationsConverted(orderId);
+
+    // Each line joined to the row its stock comes off; lines from before packs take their own
+    const rows = await allAsync(
+      `SELECT oi.inventory_id AS item_id, oi.product AS item_product, oi.quantity AS item_quantity,
+              oi.unit_price AS item_unit_price, oi.discount_amount AS item_discount, oi.total_amount AS item_total,
+              COALESCE(oi.stock_quantity, oi.quantity) AS item_units,
+              ${INVENTORY_COLUMNS}, ${RESERVED_QUANTITY_SQL} AS reserved, ${EXPIRED_QUANTITY_SQL} AS expired
+       FROM order_items oi
+       JOIN inventory ON inventory.id = COALESCE(oi.stock_inventory_id, oi.inventory_id)
+       JOIN products ON products.id = inventory.product_id
+       WHERE oi.order_id = ?`,
+      [orderId]
+    );
+    const lines = rows.map(row => ({
+      row: { id: row.item_id, branch: row.branch, product: row.item_product, price: row.item_unit_price },
+      stockRow: row,
+      quantity: row.item_quantity,
+      factor: row.item_units / row.item_quantity,
+      units: row.item_units,
+      unit_price: row.item_unit_price,
+      discount_amount: row.item_discount,
+      total_amount: row.item_total
+    }));
+
+    const shortages = findShortages(lines);
+    if (shortages.length > 0) {
+      await runAsync(
+        `UPDATE orders SET status = 'needs_review', paid_at = CURRENT_TIMESTAMP, payment_reference = ?
+         WHERE id = ?`,
+        [paymentReference, orderId]
+      );
+      return { order: { ...order, status: 'needs_review' }, shortages };
+    }
+
+    const items = await decrementStock(lines, { orderId, userId: order.user_id });
+
+    await runAsync(
+      `UPDATE orders SET status = 'completed', paid_at = CURRENT_TIMESTAMP, payment_reference = ?
+       WHERE id = ?`,
+      [paymentReference, orderId]
+    );
+
+    return { order: { ...order, status: 'completed', payment_reference: paymentReference, items } };
+  });
+}
+
+// Give up on an order that was waiting for payment and release its stock
+async function cancelPendingOrder(orderId, status = 'failed') {
+  return withTransaction(async () => {
+    const { changes } = await runAsync(
+      `UPDATE orders SET status = ? WHERE id = ? AND status = 'pending_payment'`,
+      [status, orderId]
+    );
+    await releaseReservations(orderId);
+    return changes > 0;
+  });
+}
+
+// Mark a paid order refunded once the money given back across all of its tenders covers
+// what they took. M-Pesa refunds are summed from refunds; the other tenders keep their total
+// on payments.refunded_amount, so their refunds rows are left out. M-Pesa takes whole
+// shillings, so its tenders (and orders from before tenders existed) count rounded, and the
+// sums are compared to the cent. One statement, so nothing can change between check and update.
+async function refreshRefundedStatus(orderId) {
+  const { changes } = await runAsync(
+    `UPDATE orders SET status = 'refunded'
+     WHERE id = ? AND status IN ('completed', 'needs_review')
+       AND ROUND(
+         (SELECT COALESCE(SUM(amount), 0) FROM refunds
+          WHERE order_id = orders.id AND transaction_id IS NOT NULL AND status = 'completed') +
+         (SELECT COALESCE(SUM(refunded_amount), 0) FROM payments
+          WHERE order_id = orders.id AND provider != 'mpesa' AND status IN ('completed', 'refunded')), 2
+       ) >= ROUND(COALESCE(
+         (SELECT SUM(CASE WHEN provider = 'mpesa' THEN ROUND(amount) ELSE amount END) FROM payments
+          WHERE order_id = orders.id AND status IN ('completed', 'refunded')),
+         ROUND(total_amount)
+       ), 2)`,
+    [orderId]
+  );
+  return changes > 0;
+}
+
+async function getOrder(id) {
+  const order = await getAsync('SELECT * FROM orders WHERE id = ?', [id]);
+  if (!order) return null;
+
+  order.items = await allAsync('SELECT * FROM order_items WHERE order_id = ? ORDER BY id', [id]);
+  order.promotions = await orderPromotions(id);
+  order.deposits = depositLines(order.items);
+  return order;
+}
+
+// Tell admins and shoppers about a completed order with a single event
+function emitOrderCompleted(io, order) {
+  const items = order.items.map(item => ({
+    inventory_id: item.inventory_id,
+    product: item.product,
+    quantity: item.quantity,
+    oldStock: item.oldStock,
+    newStock: item.newStock
+  }));
+
+  io.to('admin-room').emit('order-completed', {
+    orderId: order.id,
+    branch: order.branch,
+    total_amount: order.total_amount,
+    item_count: order.item_count,
+    items
+  });
+
+  io.to('customer-room').emit('order-completed', {
+    orderId: order.id,
+    branch: order.branch,
+    items: items.map(({ product, newStock }) => ({ product, newStock }))
+  });
+}
+
+module.exports = {
+  OrderError,
+  quoteOrder,
+  createOrder,
+  completeOrder,
+  cancelPendingOrder,
+  refreshRefundedStatus,
+  getOrder,
+  emitOrderCompleted
+};
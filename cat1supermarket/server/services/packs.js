@@ -0,0 +1,61 @@
+const { getAsync, allAsync } = require('../database');
+const { INVENTORY_COLUMNS, INVENTORY_FROM } = require('./catalog');
+const { RESERVED_QUANTITY_SQL } = require('./reservations');
+const { EXPIRED_QUANTITY_SQL } = require('./lots');
+
+// Inventory rows with their held-back units, as the order and inventory code reads them
+const STOCK_ROW_SELECT = `SELECT ${INVENTORY_COLUMNS}, ${RESERVED_QUANTITY_SQL} AS reserved, ${EXPIRED_QUANTITY_SQL} AS expired
+  FROM ${INVENTORY_FROM}`;
+
+// A pack that sells from its unit's stock, e.g. a crate of 24 taking 24 bottles off the shelf
+function sellsFromUnits(row) {
+  return Boolean(row.pack_unit_id) && row.pack_stock === 'units';
+}
+
+// The inventory row an item's stock comes off and how many of its units one item takes.
+// `stockRow` is null when the branch doesn't carry the pack's unit.
+async function stockSource(row) {
+  if (!sellsFromUnits(row)) {
+    return { stockRow: row, factor: 1 };
+  }
+
+  const stockRow = await getAsync(
+    `${STOCK_ROW_SELECT} WHERE inventory.branch_id = ? AND inventory.product_id = ?`,
+    [row.branch_id, row.pack_unit_id]
+  );
+  return { stockRow: stockRow || null, factor: row.pack_size };
+}
+
+// Give packs sold from unit stock the stock of their unit in whole packs, so `stock`,
+// `reserved` and what is left available read the same as for any other item.
+// `stock_inventory_id` is the unit's row, or null when the branch doesn't carry it.
+async function withPackStock(rows) {
+  const packs = rows.filter(sellsFromUnits);
+  if (packs.length === 0) return rows;
+
+  const unitIds = [...new Set(packs.map(row => row.pack_unit_id))];
+  const units = await allAsync(
+    `${STOCK_ROW_SELECT} WHERE inventory.product_id IN (${unitIds.map(() => '?').join(', ')})`,
+    unitIds
+  );
+
+  return rows.map(row => {
+    if (!sellsFromUnits(row)) return row;
+
+    const unit = units.find(item => item.branch_id === row.branch_id && item.product_id === row.pack_unit_id);
+    if (!unit) {
+      return { ...row, stock: 0, reserved: 0, expired: 0, stock_inventory_id: null };
+    }
+
+    const stock = Math.floor(unit.stock / row.pack_size);
+    const available = Math.floor(Math.max(0, unit.stock - unit.reserved - unit.expired) / row.pack_size);
+    return { ...row, stock, reserved: stock - available, expired: 0, stock_inventory_id: unit.id };
+  });
+}
+
+module.exports = {
+  STOCK_ROW_SELECT,
+  sellsFromUnits,
+  stockSource,
+  withPackStock
+};
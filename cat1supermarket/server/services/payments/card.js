@@ -0,0 +1,132 @@
+const axios = require('axios');
+const { PaymentError } = require('./errors');
+
+// Card payments go through a gateway speaking a small tokens/charges/refunds API. Until a
+// real acquirer is signed up this is the local stub in card-gateway-stub.js. The browser
+// sends card details to the gateway itself (publicUrl, publishableKey) and hands this server
+// a single-use token, so card numbers never reach it.
+const CARD_GATEWAY = {
+  url: (process.env.CARD_GATEWAY_URL || 'http://localhost:4100').replace(/\/+$/, ''),
+  publicUrl: (process.env.CARD_GATEWAY_PUBLIC_URL || process.env.CARD_GATEWAY_URL || 'http://localhost:4100').replace(/\/+$/, ''),
+  apiKey: process.env.CARD_GATEWAY_KEY || 'sk_test_stub',
+  publishableKey: process.env.CARD_GATEWAY_PUBLISHABLE_KEY || 'pk_test_stub'
+};
+
+// The gateway works in cents
+function toMinorUnits(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function gatewayRequest(method, path, data) {
+  return axios({
+    method,
+    url: `${CARD_GATEWAY.url}${path}`,
+    data,
+    headers: {
+      'Authorization': `Bearer ${CARD_GATEWAY.apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 30000
+  });
+}
+
+function gatewayError(error, fallbackMessage) {
+  if (error instanceof PaymentError) return error;
+
+  if (error.response) {
+    return new PaymentError(
+      error.response.status === 402 ? 402 : 400,
+      error.response.data?.error?.message || fallbackMessage,
+      { declineCode: error.response.data?.error?.code }
+    );
+  }
+  console.error(`${fallbackMessage}:`, error.message);
+  return new PaymentError(502, 'Card gateway is unreachable. Please try again.');
+}
+
+const cardProvider = {
+  name: 'card',
+  label: 'Card',
+  staffOnly: false,
+  settlesImmediately: true,
+  clientConfig: {
+    gatewayUrl: CARD_GATEWAY.publicUrl,
+    publishableKey: CARD_GATEWAY.publishableKey
+  },
+
+  validate(tender) {
+    if (tender.card) {
+      throw new PaymentError(400, 'Card details go to the card gateway, not this server; send its card_token');
+    }
+    if (typeof tender.card_token !== 'string' || !tender.card_token) {
+      throw new PaymentError(400, 'A card_token from the card gateway is required');
+    }
+  },
+
+  // tender.card_token is the gateway's single-use token for the card. Only the brand and
+  // last four digits come back and are kept.
+  async initiate({ payment, order, tender }) {
+    try {
+      const { data } = await gatewayRequest('post', '/v1/charges', {
+        amount: toMinorUnits(payment.amount),
+        currency: 'KES',
+        reference: `order-${order.id}-payment-${payment.id}`,
+        source: tender.card_token
+      });
+
+      if (data.status !== 'succeeded') {
+        throw new PaymentError(402, `Card declined: ${data.decline_message || data.decline_code}`, {
+          declineCode: data.decline_code
+        });
+      }
+
+      return {
+        status: 'completed',
+        reference: data.id,
+        details: { brand: data.card.brand, last4: data.card.last4 }
+      };
+    } catch (error) {
+      throw gatewayError(error, 'Card payment failed');
+    }
+  },
+
+  async query(payment) {
+    if (!payment.reference) {
+      return { status: payment.status };
+    }
+
+    try {
+      const { data } = await gatewayRequest('get', `/v1/charges/${encodeURIComponent(payment.reference)}`);
+      return {
+        status: payment.status,
+        reference: payment.reference,
+        details: { gatewayStatus: data.status, refunded: data.amount_refunded / 100 }
+      };
+    } catch (error) {
+      throw gatewayError(error, 'Failed to query card payment');
+    }
+  },
+
+  async handleCallback() {
+    throw new PaymentError(404, 'Card payments are settled synchronously and have no callbacks');
+  },
+
+  async refund(payment, { amount, reason }) {
+    try {
+      const { data } = await gatewayRequest('post', '/v1/refunds', {
+        charge: payment.reference,
+        amount: toMinorUnits(amount),
+        reason
+      });
+
+      if (data.status !== 'succeeded') {
+        throw new PaymentError(402, `Card refund failed: ${data.failure_message || data.status}`);
+      }
+      return { status: 'completed', reference: data.id, details: { amount } };
+    } catch (error) {
+      throw gatewayError(error, 'Card refund failed');
+    }
+  }
+};
+
+module.exports = cardProvider;
@@ -0,0 +1,54 @@
+const { PaymentError } = require('./errors');
+
+// Notes and coins taken at the till. Only staff can record them, and they settle at once.
+const cashProvider = {
+  name: 'cash',
+  label: 'Cash',
+  staffOnly: true,
+  settlesImmediately: true,
+
+  validate(tender) {
+    if (tender.tendered !== undefined && tender.tendered !== '' && !(Number(tender.tendered) > 0)) {
+      throw new PaymentError(400, 'Cash tendered must be a positive amount');
+    }
+  },
+
+  // tender.tendered is what the customer handed over; the difference is their change
+  async initiate({ payment, tender }) {
+    const tendered = tender.tendered === undefined || tender.tendered === ''
+      ? payment.amount
+      : Number(tender.tendered);
+
+    if (!Number.isFinite(tendered) || tendered < payment.amount) {
+      throw new PaymentError(400, `Cash tendered must cover the cash amount of KES ${payment.amount}`);
+    }
+
+    return {
+      status: 'completed',
+      reference: `CASH-${payment.id}`,
+      details: {
+        tendered,
+        change: Math.round((tendered - payment.amount) * 100) / 100
+      }
+    };
+  },
+
+  async query(payment) {
+    return { status: payment.status, reference: payment.reference };
+  },
+
+  async handleCallback() {
+    throw new PaymentError(404, 'Cash payments have no callbacks');
+  },
+
+  // The money is handed back over the counter
+  async refund(payment, { amount }) {
+    return {
+      status: 'completed',
+      reference: `CASH-REFUND-${payment.id}`,
+      details: { amount }
+    };
+  }
+};
+
+module.exports = cashProvider;
@@ -0,0 +1,69 @@
+const { PaymentError } = require('./errors');
+const { findCustomer, creditBalance, addCredit, spendCredit } = require('../store-credit');
+
+// Store credit the shop owes a customer, e.g. deposits on empties they brought back.
+// Customers spend their own; at the till staff name the customer in tender.customer
+// (username or id). It settles at once.
+const creditProvider = {
+  name: 'credit',
+  label: 'Store credit',
+  staffOnly: false,
+  settlesImmediately: true,
+
+  async initiate({ payment, tender, user }) {
+    let customer = user;
+    if (user.role === 'admin') {
+      customer = await findCustomer(tender.customer);
+      if (!customer) {
+        throw new PaymentError(400, tender.customer
+          ? `Unknown customer: ${tender.customer}`
+          : 'Name the customer whose store credit is used');
+      }
+    }
+
+    const spent = await spendCredit({
+      userId: customer.id,
+      amount: payment.amount,
+      referenceType: 'payment',
+      referenceId: payment.id,
+      note: `Order #${payment.order_id}`,
+      createdBy: user.id
+    });
+    if (!spent) {
+      throw new PaymentError(409, `Only KES ${await creditBalance(customer.id)} store credit available`);
+    }
+
+    return {
+      status: 'completed',
+      reference: `CREDIT-${payment.id}`,
+      details: { customer_id: customer.id, balance: await creditBalance(customer.id) }
+    };
+  },
+
+  async query(payment) {
+    return { status: payment.status, reference: payment.reference };
+  },
+
+  async handleCallback() {
+    throw new PaymentError(404, 'Store credit payments have no callbacks');
+  },
+
+  // The money goes back onto the customer's credit
+  async refund(payment, { amount, user }) {
+    await addCredit({
+      userId: payment.details.customer_id,
+      amount,
+      referenceType: 'payment_refund',
+      referenceId: payment.id,
+      note: `Refund on order #${payment.order_id}`,
+      createdBy: user ? user.id : null
+    });
+    return {
+      status: 'completed',
+      reference: `CREDIT-REFUND-${payment.id}`,
+      details: { amount }
+    };
+  }
+};
+
+module.exports = creditProvider;
@@ -0,0 +1,11 @@
+const { HttpError } = require('../errors');
+
+// Thrown by providers when a tender cannot be taken. Its details (e.g. the card decline
+// code) go into the response alongside the message rather than under `details`.
+class PaymentError extends HttpError {
+  toResponse() {
+    return { error: this.message, ...this.details };
+  }
+}
+
+module.exports = { PaymentError };
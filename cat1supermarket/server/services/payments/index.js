@@ -0,0 +1,446 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../../database');
+const {
+  createOrder,
+  completeOrder,
+  cancelPendingOrder,
+  getOrder,
+  emitOrderCompleted,
+  refreshRefundedStatus
+} = require('../orders');
+const {
+  orderItemsWithReturns,
+  validateReturnedItems,
+  restockRefundItems,
+  emitRestocked
+} = require('../refunds');
+const { PaymentError } = require('./errors');
+
+// Every way an order can be paid. A provider is an object with:
+//   name, label      - stored on payments rows / shown to users
+//   staffOnly        - only admins may take this tender
+//   settlesImmediately - initiate() returns 'completed' or throws; otherwise it returns 'pending'
+//   clientConfig     - optional public settings the browser needs, e.g. where to tokenize a card
+//   validate(tender)  - optional check run before any stock is reserved
+//   initiate({ payment, order, tender, user, io }) -> { status, reference, details }
+//   query(payment, io)                              -> latest { status, reference, details }
+//   handleCallback(body, io)                        -> body to answer the provider with
+//   refund(payment, { amount, reason, items, user, io }) -> { status, reference, details }
+// Failures are thrown as PaymentError.
+const PROVIDERS = {
+  mpesa: require('./mpesa'),
+  cash: require('./cash'),
+  card: require('./card'),
+  credit: require('./credit')
+};
+
+const MAX_TENDERS = 4;
+
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new PaymentError(400, `Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+function availableProviders(user) {
+  return Object.values(PROVIDERS)
+    .filter(provider => !provider.staffOnly || user.role === 'admin')
+    .map(({ name, label, staffOnly, clientConfig }) => ({ name, label, staffOnly, clientConfig }));
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Check the tenders before the order is created so nothing is reserved for a request
+// that could never be paid. One tender may leave out its amount to take the balance.
+function validateTenders(tenders, user) {
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    throw new PaymentError(400, 'At least one tender is required');
+  }
+  if (tenders.some(tender => !tender || typeof tender !== 'object')) {
+    throw new PaymentError(400, 'Each tender must be an object');
+  }
+  if (tenders.length > MAX_TENDERS) {
+    throw new PaymentError(400, `An order can be split across at most ${MAX_TENDERS} tenders`);
+  }
+
+  const balanceTenders = tenders.filter(tender => tender.amount === undefined || tender.amount === null || tender.amount === '');
+  if (balanceTenders.length > 1) {
+    throw new PaymentError(400, 'Only one tender can leave out its amount');
+  }
+  if (tenders.filter(tender => tender.provider === 'mpesa').length > 1) {
+    throw new PaymentError(400, 'An order can only have one M-Pesa tender');
+  }
+
+  tenders.forEach((tender, index) => {
+    const provider = getProvider(tender.provider);
+    if (provider.staffOnly && user.role !== 'admin') {
+      throw new PaymentError(403, `${provider.label} payments can only be taken by staff`);
+    }
+    if (!balanceTenders.includes(tender) && !(Number(tender.amount) > 0)) {
+      throw new PaymentError(400, `Invalid amount on tender ${index + 1}`);
+    }
+    if (provider.validate) {
+      provider.validate(tender);
+    }
+  });
+}
+
+// Give every tender its share of the order total
+function allocateTenders(tenders, total) {
+  const fixed = roundAmount(tenders
+    .filter(tender => tender.amount !== undefined && tender.amount !== null && tender.amount !== '')
+    .reduce((sum, tender) => sum + Number(tender.amount), 0));
+  const balance = roundAmount(total - fixed);
+  const hasBalanceTender = tenders.some(tender => tender.amount === undefined || tender.amount === null || tender.amount === '');
+
+  if (hasBalanceTender ? balance <= 0 : Math.abs(balance) > 0.009) {
+    throw new PaymentError(400, `Tenders add up to KES ${fixed} but the order total is KES ${total}`, {
+      tendered_total: fixed,
+      total_amount: total
+    });
+  }
+
+  return tenders.map(tender => ({
+    ...tender,
+    amount: tender.amount === undefined || tender.amount === null || tender.amount === ''
+      ? balance
+      : roundAmount(Number(tender.amount))
+  }));
+}
+
+async function recordPaymentResult(paymentId, { status, reference, details }) {
+  await runAsync(
+    `UPDATE payments
+     SET status = ?, reference = COALESCE(?, reference), details = COALESCE(?, details),
+         completed_at = CASE WHEN ? != 'pending' THEN CURRENT_TIMESTAMP ELSE completed_at END
+     WHERE id = ?`,
+    [status, reference || null, details ? JSON.stringify(details) : null, status, paymentId]
+  );
+}
+
+function parsePayment(row) {
+  return { ...row, details: row.details ? JSON.parse(row.details) : null };
+}
+
+// Payments of an order. M-Pesa refunds live in the refunds table, so their total is read from there.
+async function listOrderPayments(orderId) {
+  const rows = await allAsync(
+    `SELECT p.*,
+            CASE WHEN p.provider = 'mpesa' THEN
+              (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r
+               JOIN mpesa_transactions t ON t.id = r.transaction_id
+               WHERE t.payment_id = p.id AND r.status = 'completed')
+            ELSE p.refunded_amount END AS refunded_amount
+     FROM payments p
+     WHERE p.order_id = ?
+     ORDER BY p.id`,
+    [orderId]
+  );
+  return rows.map(parsePayment);
+}
+
+async function getPayment(id) {
+  const row = await getAsync('SELECT * FROM payments WHERE id = ?', [id]);
+  return row ? parsePayment(row) : null;
+}
+
+// Turn a fully paid order into a sale and tell admins and shoppers about it
+async function completePaidOrder(orderId, io, { paymentReference } = {}) {
+  const payments = await allAsync('SELECT provider, reference FROM payments WHERE order_id = ? ORDER BY id', [orderId]);
+  const reference = paymentReference !== undefined
+    ? paymentReference
+    : payments.map(payment => payment.reference).filter(Boolean).join(', ') || null;
+
+  const result = await completeOrder(orderId, { paymentReference: reference });
+  const order = result.order;
+
+  if (result.shortages) {
+    io.to('admin-room').emit('order-needs-review', {
+      orderId: order.id,
+      branch: order.branch,
+      shortages: result.shortages,
+      message: `Order #${order.id} was paid after its stock ran out and needs review`
+    });
+  } else if (!result.alreadyCompleted) {
+    emitOrderCompleted(io, order);
+    io.to('admin-room').emit('sale-completed', {
+      orderId: order.id,
+      branch: order.branch,
+      items: order.items.map(({ product, quantity }) => ({ product, quantity })),
+      quantity: order.item_count,
+      total_amount: order.total_amount,
+      paymentMethod: payments.length > 0 ? [...new Set(payments.map(payment => payment.provider))].join('+') : 'mpesa',
+      paymentReference: reference
+    });
+  }
+
+  return order;
+}
+
+// An order that will not be paid in full: release its stock and give back the tenders
+// that already went through. Cash and card come back at once; an M-Pesa tender is refunded
+// by B2C and tracked in refunds.
+async function failOrder(orderId, orderStatus, io, { reason = 'Order was not paid in full', user = null } = {}) {
+  await cancelPendingOrder(orderId, orderStatus);
+
+  const taken = await allAsync(`SELECT * FROM payments WHERE order_id = ? AND status = 'completed'`, [orderId]);
+  for (const row of taken) {
+    const payment = parsePayment(row);
+    try {
+      const result = await getProvider(payment.provider).refund(payment, {
+        amount: payment.amount,
+        reason,
+        user: user || { id: payment.created_by },
+        io
+      });
+      if (result.status === 'completed') {
+        await runAsync(
+          `UPDATE payments SET status = 'voided', refunded_amount = amount WHERE id = ?`,
+          [payment.id]
+        );
+      }
+    } catch (error) {
+      console.error(`Could not give back ${payment.provider} payment ${payment.id} of order ${orderId}:`, error.message);
+      io.to('admin-room').emit('payment-reversal-failed', {
+        orderId,
+        paymentId: payment.id,
+        provider: payment.provider,
+        amount: payment.amount,
+        message: `Order #${orderId}: ${payment.provider} payment of KES ${payment.amount} must be returned by hand (${error.message})`
+      });
+    }
+  }
+
+  io.to('customer-room').emit('stock-released', { orderIds: [orderId] });
+  return getAsync('SELECT * FROM orders WHERE id = ?', [orderId]);
+}
+
+// Settle a pending payment whose result arrived later (an M-Pesa callback or query).
+// The order completes once every tender is paid, and fails as soon as one is not. Claiming
+// the payment and counting the tenders still outstanding happen in one transaction, so two
+// tenders settling at once cannot both miss (or both see) the last one.
+async function settlePayment(paymentId, { succeeded, reference = null, orderStatus = 'failed' }, io) {
+  const settled = await withTransaction(async () => {
+    const payment = await getAsync('SELECT * FROM payments WHERE id = ?', [paymentId]);
+    if (!payment) return null;
+
+    const { changes } = await runAsync(
+      `UPDATE payments
+       SET status = ?, reference = COALESCE(?, reference), completed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [succeeded ? 'completed' : 'failed', reference, paymentId]
+    );
+    if (changes === 0 || !succeeded) {
+      return { orderId: payment.order_id, claimed: changes > 0, outstanding: null };
+    }
+
+    const { outstanding } = await getAsync(
+      `SELECT COUNT(*) AS outstanding FROM payments WHERE order_id = ? AND status != 'completed'`,
+      [payment.order_id]
+    );
+    return { orderId: payment.order_id, claimed: true, outstanding };
+  });
+  if (!settled) return null;
+
+  if (!settled.claimed || settled.outstanding > 0) {
+    return getAsync('SELECT * FROM orders WHERE id = ?', [settled.orderId]);
+  }
+  if (!succeeded) {
+    return failOrder(settled.orderId, orderStatus, io);
+  }
+
+  return completePaidOrder(settled.orderId, io);
+}
+
+// Price the basket, hold its stock and take each tender. Tenders that settle on the spot
+// (cash, card) go first so an M-Pesa prompt is only sent once they have succeeded.
+// Resolves with the order and its payments; the order is 'completed' straight away unless
+// it is waiting for M-Pesa.
+async function checkout({ user, branch, items, expectedTotal, tenders }, io) {
+  validateTenders(tenders, user);
+
+  const order = await createOrder({
+    userId: user.id,
+    branch,
+    items,
+    expectedTotal,
+    reserve: true
+  });
+
+  let allocated;
+  try {
+    allocated = allocateTenders(tenders, order.total_amount);
+  } catch (error) {
+    await cancelPendingOrder(order.id, 'failed');
+    throw error;
+  }
+
+  const planned = allocated
+    .map(tender => ({ tender, provider: getProvider(tender.provider) }))
+    .sort((a, b) => Number(b.provider.settlesImmediately) - Number(a.provider.settlesImmediately));
+
+  const payments = [];
+  for (const { tender } of planned) {
+    const { lastID } = await runAsync(
+      `INSERT INTO payments (order_id, provider, amount, status, created_by) VALUES (?, ?, ?, 'pending', ?)`,
+      [order.id, tender.provider, tender.amount, user.id]
+    );
+    payments.push({ id: lastID, order_id: order.id, provider: tender.provider, amount: tender.amount, tender });
+  }
+
+  for (const payment of payments) {
+    try {
+      const result = await getProvider(payment.provider).initiate({
+        payment,
+        order,
+        tender: payment.tender,
+        user,
+        io
+      });
+      await recordPaymentResult(payment.id, result);
+    } catch (error) {
+      await recordPaymentResult(payment.id, { status: 'failed', details: { error: error.message } });
+      // Tenders after the failed one are never taken
+      await runAsync(
+        `UPDATE payments SET status = 'cancelled' WHERE order_id = ? AND status = 'pending'`,
+        [order.id]
+      );
+      await failOrder(order.id, 'failed', io, { user });
+      throw error;
+    }
+  }
+
+  const { outstanding } = await getAsync(
+    `SELECT COUNT(*) AS outstanding FROM payments WHERE order_id = ? AND status != 'completed'`,
+    [order.id]
+  );
+  if (outstanding === 0) {
+    await completePaidOrder(order.id, io);
+  }
+
+  const saved = await getOrder(order.id);
+  return {
+    order: saved,
+    payments: await listOrderPayments(order.id),
+    status: saved.status
+  };
+}
+
+// Ask the provider for the latest state of a payment
+async function queryPayment(id, io) {
+  const payment = await getPayment(id);
+  if (!payment) {
+    throw new PaymentError(404, 'Payment not found');
+  }
+
+  const result = await getProvider(payment.provider).query(payment, io);
+  return { ...(await getPayment(id)), query: result };
+}
+
+// Give money back on one tender. Cash, card and store credit refunds finish immediately; an
+// M-Pesa refund is pending until its Daraja result arrives. The amount is held on the payment
+// before the provider is asked, so two refunds at once cannot both give back the balance.
+// Returned items go back on the shelf through the same refunds rows M-Pesa refunds use.
+async function refundPayment(id, { amount, reason, items, user }, io) {
+  const payment = await getPayment(id);
+  if (!payment) {
+    throw new PaymentError(404, 'Payment not found');
+  }
+  if (payment.status !== 'completed') {
+    throw new PaymentError(409, `A ${payment.status} payment cannot be refunded`);
+  }
+
+  const provider = getProvider(payment.provider);
+  if (payment.provider === 'mpesa') {
+    return provider.refund(payment, { amount, reason, items, user, io });
+  }
+
+  const refund = await withTransaction(async () => {
+    const current = await getAsync('SELECT amount, refunded_amount FROM payments WHERE id = ?', [payment.id]);
+    const remaining = roundAmount(current.amount - current.refunded_amount);
+    const refundAmount = amount === undefined || amount === null || amount === '' ? remaining : roundAmount(Number(amount));
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+      throw new PaymentError(400, `Refund amount must be between 0 and ${remaining}`);
+    }
+
+    const { changes } = await runAsync(
+      `UPDATE payments SET refunded_amount = refunded_amount + ?
+       WHERE id = ? AND status = 'completed' AND refunded_amount + ? <= amount + 0.005`,
+      [refundAmount, payment.id, refundAmount]
+    );
+    if (changes === 0) {
+      throw new PaymentError(409, 'This payment has already been refunded');
+    }
+
+    const order = await getAsync('SELECT * FROM orders WHERE id = ?', [payment.order_id]);
+    const returned = validateReturnedItems(items, order, await orderItemsWithReturns(payment.order_id));
+
+    const { lastID } = await runAsync(
+      `INSERT INTO refunds (payment_id, order_id, method, amount, reason, status, requested_by)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [payment.id, payment.order_id, payment.provider, refundAmount, reason || null, user.id]
+    );
+    for (const item of returned) {
+      await runAsync(
+        'INSERT INTO refund_items (refund_id, order_item_id, inventory_id, quantity) VALUES (?, ?, ?, ?)',
+        [lastID, item.order_item_id, item.inventory_id, item.quantity]
+      );
+    }
+
+    return { id: lastID, order_id: payment.order_id, amount: refundAmount, requested_by: user.id };
+  });
+
+  let result;
+  try {
+    result = await provider.refund(payment, { amount: refund.amount, reason, items, user, io });
+  } catch (error) {
+    // Nothing was given back, so the amount and items become refundable again
+    await withTransaction(async () => {
+      await runAsync(
+        `UPDATE refunds SET status = 'failed', result_desc = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [error.message, refund.id]
+      );
+      await runAsync(
+        'UPDATE payments SET refunded_amount = refunded_amount - ? WHERE id = ?',
+        [refund.amount, payment.id]
+      );
+    });
+    throw error;
+  }
+
+  const restocked = await withTransaction(async () => {
+    await runAsync(
+      `UPDATE refunds SET status = 'completed', refund_receipt = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [result.reference || null, refund.id]
+    );
+    await runAsync(
+      `UPDATE payments SET status = 'refunded'
+       WHERE id = ? AND status = 'completed' AND refunded_amount >= amount - 0.005`,
+      [payment.id]
+    );
+    const restocked = await restockRefundItems(refund);
+    await refreshRefundedStatus(payment.order_id);
+    return restocked;
+  });
+  emitRestocked(io, restocked);
+
+  return { ...result, refundId: refund.id, restocked };
+}
+
+module.exports = {
+  PROVIDERS,
+  PaymentError,
+  getProvider,
+  availableProviders,
+  checkout,
+  settlePayment,
+  completePaidOrder,
+  failOrder,
+  queryPayment,
+  refundPayment,
+  listOrderPayments,
+  getPayment
+};
@@ -0,0 +1,157 @@
+const { getAsync } = require('../../database');
+const { PaymentError } = require('./errors');
+const {
+  mpesaConfig,
+  formatPhone,
+  accountForBranch,
+  accountForTransaction,
+  describeDarajaError,
+  initiateStkPush,
+  handleStkCallback,
+  queryStkStatus,
+  recordStkQueryResult
+} = require('../mpesa');
+const { RefundError, requestRefund } = require('../refunds');
+
+function transactionForPayment(payment) {
+  return getAsync('SELECT * FROM mpesa_transactions WHERE payment_id = ?', [payment.id]);
+}
+
+// Lipa Na M-Pesa STK push. The payment stays pending until Daraja's callback (or a status
+// query) settles it through settleTransactionOrder.
+const mpesaProvider = {
+  name: 'mpesa',
+  label: 'M-Pesa',
+  staffOnly: false,
+  settlesImmediately: false,
+
+  validate(tender) {
+    if (!formatPhone(tender.phone)) {
+      throw new PaymentError(400, 'Invalid phone number format', {
+        message: 'Phone must be in format 254XXXXXXXXX (12 digits starting with 254)'
+      });
+    }
+  },
+
+  async initiate({ payment, order, tender, io }) {
+    const phone = formatPhone(tender.phone);
+    const product = order.items.map(item => `${item.quantity}x ${item.product}`).join(', ');
+
+    // Payments are collected on the shortcode of the branch the order is from
+    let account;
+    try {
+      account = await accountForBranch(order.branch);
+    } catch (error) {
+      console.error('Error loading M-Pesa account for branch:', order.branch, error);
+    }
+
+    if (!account || !account.callbackUrl) {
+      throw new PaymentError(500, 'M-Pesa configuration is incomplete', {
+        message: `No M-Pesa account is configured for ${order.branch}. Add one in the admin panel or configure the .env file`,
+        missingVariables: mpesaConfig.missing,
+        warnings: mpesaConfig.warnings,
+        setupGuide: 'See MPESA_SETUP.md for detailed instructions'
+      });
+    }
+
+    let stkResponse;
+    try {
+      stkResponse = await initiateStkPush({
+        account,
+        phone,
+        amount: payment.amount,
+        branch: order.branch,
+        product,
+        orderId: order.id,
+        paymentId: payment.id
+      });
+    } catch (error) {
+      console.error('STK Push error:', error.response?.data || error.message);
+      const { errorMessage, errorCode, details } = describeDarajaError(error);
+      throw new PaymentError(500, errorMessage, {
+        errorCode,
+        details,
+        hint: 'See MPESA_SETUP.md for troubleshooting guide'
+      });
+    }
+
+    // Emit WebSocket event for real-time payment status
+    io.to('admin-room').emit('mpesa-initiated', {
+      phone,
+      amount: payment.amount,
+      branch: order.branch,
+      product,
+      orderId: order.id,
+      merchantRequestId: stkResponse.MerchantRequestID
+    });
+
+    return {
+      status: 'pending',
+      reference: stkResponse.CheckoutRequestID,
+      details: {
+        phone,
+        merchantRequestID: stkResponse.MerchantRequestID,
+        checkoutRequestID: stkResponse.CheckoutRequestID,
+        responseCode: stkResponse.ResponseCode,
+        responseDescription: stkResponse.ResponseDescription,
+        customerMessage: stkResponse.CustomerMessage
+      }
+    };
+  },
+
+  // Ask Daraja about a payment still waiting for its callback
+  async query(payment, io) {
+    const transaction = await transactionForPayment(payment);
+    if (!transaction || transaction.status !== 'pending') {
+      return { status: payment.status, reference: payment.reference };
+    }
+
+    try {
+      const account = await accountForTransaction(transaction);
+      if (!account) {
+        throw new PaymentError(500, 'M-Pesa configuration is incomplete');
+      }
+
+      const queryResponse = await queryStkStatus(account, transaction.checkout_request_id);
+      const status = await recordStkQueryResult(transaction.checkout_request_id, queryResponse, io, 'query');
+      return { status: status || (Number(queryResponse.ResultCode) === 0 ? 'completed' : 'failed') };
+    } catch (error) {
+      if (error instanceof PaymentError) throw error;
+      return {
+        status: 'pending',
+        details: { message: error.response?.data?.errorMessage || error.message }
+      };
+    }
+  },
+
+  handleCallback(body, io) {
+    return handleStkCallback(body, io);
+  },
+
+  // Sent back to the paying phone by B2C; settled later by the refund result callback
+  async refund(payment, { amount, reason, items, user }) {
+    const transaction = await transactionForPayment(payment);
+    if (!transaction) {
+      throw new PaymentError(404, 'No M-Pesa transaction found for this payment');
+    }
+
+    try {
+      const refund = await requestRefund({
+        transactionId: transaction.id,
+        method: 'b2c',
+        amount,
+        reason,
+        items,
+        requestedBy: user.id
+      });
+      return { status: 'pending', reference: String(refund.id), details: { refundId: refund.id } };
+    } catch (error) {
+      if (error instanceof RefundError) {
+        throw new PaymentError(error.status, error.message);
+      }
+      throw error;
+    }
+  }
+};
+
+module.exports = mpesaProvider;
@@ -0,0 +1,415 @@
+const { getAsync, allAsync, runAsync } = require('../database');
+const { resolveBranch } = require('./branches');
+const { HttpError } = require('./errors');
+
+class PromotionError extends HttpError {}
+
+// percentage: `value`% off. fixed: KES `value` off each unit of the product or category, or
+// off the order when the promotion names neither. buy_x_get_y: of every `buy_quantity` +
+// `get_quantity` units of a product, `get_quantity` are free. bundle: every `bundle_quantity`
+// units of a product for `bundle_price` (e.g. 3 for 250).
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buy_x_get_y', 'bundle'];
+
+// Columns each type uses besides the shared name, scope, branch, window and minimum spend
+const TYPE_COLUMNS = {
+  percentage: ['value'],
+  fixed: ['value'],
+  buy_x_get_y: ['buy_quantity', 'get_quantity'],
+  bundle: ['bundle_quantity', 'bundle_price']
+};
+const TYPE_SPECIFIC_COLUMNS = ['value', 'buy_quantity', 'get_quantity', 'bundle_quantity', 'bundle_price'];
+
+const PROMOTION_STATUSES = ['live', 'scheduled', 'ended', 'inactive', 'all'];
+
+const PROMOTION_SELECT = `
+  SELECT pr.*, p.name AS product, b.name AS branch, u.username AS created_by_username,
+         CASE
+           WHEN pr.is_active = 0 THEN 'inactive'
+           WHEN pr.starts_at > CURRENT_TIMESTAMP THEN 'scheduled'
+           WHEN pr.ends_at <= CURRENT_TIMESTAMP THEN 'ended'
+           ELSE 'live'
+         END AS status,
+         (SELECT COUNT(DISTINCT op.order_id) FROM order_promotions op
+          JOIN orders o ON o.id = op.order_id
+          WHERE op.promotion_id = pr.id AND o.status = 'completed') AS order_count,
+         (SELECT COALESCE(SUM(op.discount_amount), 0) FROM order_promotions op
+          JOIN orders o ON o.id = op.order_id
+          WHERE op.promotion_id = pr.id AND o.status = 'completed') AS discount_given
+  FROM promotions pr
+  LEFT JOIN products p ON p.id = pr.product_id
+  LEFT JOIN branches b ON b.id = pr.branch_id
+  LEFT JOIN users u ON u.id = pr.created_by
+`;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Discounts come off in whole shillings, so an order stays a sum M-Pesa can charge in full
+const shillings = amount => Math.round(amount);
+
+function cleanText(value) {
+  if (value === undefined) return undefined;
+  const text = String(value === null ? '' : value).trim();
+  return text === '' ? null : text;
+}
+
+function positiveNumber(value, message, { integer = false, min = 0 } = {}) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= min || (integer && !Number.isInteger(number))) {
+    throw new PromotionError(400, message);
+  }
+  return number;
+}
+
+// A start or end time as SQLite's CURRENT_TIMESTAMP writes it (UTC), so the two compare
+function cleanTime(value, label) {
+  const text = cleanText(value);
+  if (!text) return null;
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw new PromotionError(400, `${label} is not a valid date and time`);
+  }
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Validate and normalise the fields present in a create or update body
+async function promotionFields(body) {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = cleanText(body.name);
+  if (body.type !== undefined) fields.type = cleanText(body.type);
+  if (body.category !== undefined) fields.category = cleanText(body.category);
+
+  if (body.product_id !== undefined || body.product !== undefined) {
+    const key = cleanText(body.product_id !== undefined ? body.product_id : body.product);
+    fields.product_id = null;
+    if (key) {
+      const product = await getAsync(
+        'SELECT id FROM products WHERE id = ? OR name = ? COLLATE NOCASE OR sku = ? COLLATE NOCASE',
+        [key, key, key]
+      );
+      if (!product) {
+        throw new PromotionError(404, `Product not found: ${key}`);
+      }
+      fields.product_id = product.id;
+    }
+  }
+
+  if (body.branch !== undefined || body.branch_id !== undefined) {
+    const key = cleanText(body.branch !== undefined ? body.branch : body.branch_id);
+    fields.branch_id = key && key !== 'All' ? (await resolveBranch(key)).id : null;
+  }
+
+  TYPE_SPECIFIC_COLUMNS.concat('min_spend').forEach(column => {
+    if (body[column] === undefined) return;
+    fields[column] = cleanText(body[column]) === null ? null : Number(body[column]);
+  });
+
+  if (body.starts_at !== undefined) fields.starts_at = cleanTime(body.starts_at, 'Start');
+  if (body.ends_at !== undefined) fields.ends_at = cleanTime(body.ends_at, 'End');
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active === true || body.is_active === 1 || body.is_active === '1' || body.is_active === 'true' ? 1 : 0;
+  }
+
+  return fields;
+}
+
+// Check a whole promotion, as created or after an update, and clear the columns its type
+// doesn't use
+function checkPromotion(promotion) {
+  if (!promotion.name) {
+    throw new PromotionError(400, 'Promotion name is required');
+  }
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    throw new PromotionError(400, `Type must be one of ${PROMOTION_TYPES.join(', ')}`);
+  }
+  if (promotion.product_id && promotion.category) {
+    throw new PromotionError(400, 'A promotion applies to a product or a category, not both');
+  }
+
+  switch (promotion.type) {
+    case 'percentage':
+      positiveNumber(promotion.value, 'Percentage must be more than 0');
+      if (promotion.value > 100) {
+        throw new PromotionError(400, 'Percentage can be at most 100');
+      }
+      break;
+    case 'fixed':
+      positiveNumber(promotion.value, 'Discount amount must be more than 0');
+      break;
+    case 'buy_x_get_y':
+      if (!promotion.product_id) {
+        throw new PromotionError(400, 'Buy X get Y promotions need a product');
+      }
+      positiveNumber(promotion.buy_quantity, 'Buy quantity must be a whole number of at least 1', { integer: true });
+      positiveNumber(promotion.get_quantity, 'Free quantity must be a whole number of at least 1', { integer: true });
+      break;
+    case 'bundle':
+      if (!promotion.product_id) {
+        throw new PromotionError(400, 'Bundle prices need a product');
+      }
+      positiveNumber(promotion.bundle_quantity, 'Bundle quantity must be a whole number of at least 2', { integer: true, min: 1 });
+      positiveNumber(promotion.bundle_price, 'Bundle price must be more than 0');
+      break;
+  }
+
+  if (promotion.min_spend !== null && promotion.min_spend !== undefined) {
+    if (!Number.isFinite(promotion.min_spend) || promotion.min_spend < 0) {
+      throw new PromotionError(400, 'Minimum spend must be zero or more');
+    }
+  }
+  if (promotion.starts_at && promotion.ends_at && promotion.ends_at <= promotion.starts_at) {
+    throw new PromotionError(400, 'End must be after the start');
+  }
+
+  const checked = { ...promotion };
+  TYPE_SPECIFIC_COLUMNS
+    .filter(column => !TYPE_COLUMNS[promotion.type].includes(column))
+    .forEach(column => { checked[column] = null; });
+  return checked;
+}
+
+const STORED_COLUMNS = [
+  'name', 'type', 'product_id', 'category', ...TYPE_SPECIFIC_COLUMNS,
+  'min_spend', 'branch_id', 'starts_at', 'ends_at', 'is_active'
+];
+
+function getPromotion(id) {
+  return getAsync(`${PROMOTION_SELECT} WHERE pr.id = ?`, [id]);
+}
+
+// Promotions newest first, by status (default all) and branch. A branch sees its own
+// promotions and the ones running everywhere.
+async function listPromotions({ status = 'all', branch } = {}) {
+  if (!PROMOTION_STATUSES.includes(status)) {
+    throw new PromotionError(400, `Status must be one of ${PROMOTION_STATUSES.join(', ')}`);
+  }
+
+  let query = `SELECT * FROM (${PROMOTION_SELECT}) WHERE 1=1`;
+  const params = [];
+  if (status !== 'all') {
+    query += ' AND status = ?';
+    params.push(status);
+  }
+  if (branch && branch !== 'All') {
+    const branchRow = await resolveBranch(branch);
+    query += ' AND (branch_id IS NULL OR branch_id = ?)';
+    params.push(branchRow.id);
+  }
+  query += ' ORDER BY id DESC';
+  return allAsync(query, params);
+}
+
+async function createPromotion(body, userId) {
+  const promotion = checkPromotion({ is_active: 1, ...await promotionFields(body) });
+
+  const { lastID } = await runAsync(
+    `INSERT INTO promotions (${STORED_COLUMNS.join(', ')}, created_by)
+     VALUES (${STORED_COLUMNS.map(() => '?').join(', ')}, ?)`,
+    [...STORED_COLUMNS.map(column => promotion[column] === undefined ? null : promotion[column]), userId]
+  );
+  return getPromotion(lastID);
+}
+
+// Change a promotion. Orders already placed keep the discount they were given.
+async function updatePromotion(id, body) {
+  const existing = await getAsync('SELECT * FROM promotions WHERE id = ?', [id]);
+  if (!existing) {
+    throw new PromotionError(404, 'Promotion not found');
+  }
+  const promotion = checkPromotion({ ...existing, ...await promotionFields(body) });
+
+  await runAsync(
+    `UPDATE promotions SET ${STORED_COLUMNS.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...STORED_COLUMNS.map(column => promotion[column] === undefined ? null : promotion[column]), id]
+  );
+  return getPromotion(id);
+}
+
+// Delete a promotion no order has used; used ones are switched off instead so orders
+// keep their history
+async function deletePromotion(id) {
+  const used = await getAsync('SELECT 1 FROM order_promotions WHERE promotion_id = ? LIMIT 1', [id]);
+  if (used) {
+    throw new PromotionError(409, 'Orders have used this promotion; switch it off instead');
+  }
+  const { changes } = await runAsync('DELETE FROM promotions WHERE id = ?', [id]);
+  if (changes === 0) {
+    throw new PromotionError(404, 'Promotion not found');
+  }
+}
+
+// Promotions running now at a branch
+function livePromotions(branchId) {
+  return allAsync(
+    `SELECT pr.* FROM promotions pr
+     WHERE pr.is_active = 1
+       AND (pr.branch_id IS NULL OR pr.branch_id = ?)
+       AND (pr.starts_at IS NULL OR pr.starts_at <= CURRENT_TIMESTAMP)
+       AND (pr.ends_at IS NULL OR pr.ends_at > CURRENT_TIMESTAMP)
+     ORDER BY pr.id`,
+    [branchId]
+  );
+}
+
+// Promotions naming a product or category discount cart lines; the rest discount the order
+const isOrderWide = promotion =>
+  (promotion.type === 'percentage' || promotion.type === 'fixed') && !promotion.product_id && !promotion.category;
+
+// Whether a line's item is covered. Percentage and fixed discounts on a product cover its
+// variants too; buy X get Y and bundle prices only count units of that exact product.
+function coversLine(promotion, row) {
+  if (promotion.product_id) {
+    if (row.product_id === promotion.product_id) return true;
+    return (promotion.type === 'percentage' || promotion.type === 'fixed') && row.parent_id === promotion.product_id;
+  }
+  return Boolean(promotion.category && row.category) &&
+    promotion.category.toLowerCase() === row.category.toLowerCase();
+}
+
+function lineDiscount(promotion, { row, quantity }) {
+  const gross = row.price * quantity;
+  switch (promotion.type) {
+    case 'percentage':
+      return gross * promotion.value / 100;
+    case 'fixed':
+      return Math.min(promotion.value, row.price) * quantity;
+    case 'buy_x_get_y':
+      return Math.floor(quantity / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity * row.price;
+    case 'bundle':
+      return Math.max(0, Math.floor(quantity / promotion.bundle_quantity) *
+        (promotion.bundle_quantity * row.price - promotion.bundle_price));
+    default:
+      return 0;
+  }
+}
+
+// Share an order-wide discount across the lines in proportion to what is left of each, in
+// whole shillings: every line gets the whole part of its share, and the shillings left over
+// go one each to the lines with the largest remainders. No share is below zero or more than
+// what is left of its line. Returns the amount actually shared out.
+function shareOrderDiscount(lines, amount, remaining) {
+  const shares = lines.map((line, index) => {
+    const net = line.row.price * line.quantity - line.discount_amount;
+    const exact = remaining > 0 ? amount * net / remaining : 0;
+    const whole = Math.max(0, Math.min(Math.floor(exact), Math.floor(net)));
+    return { line, index, net, whole, remainder: exact - whole };
+  });
+
+  let left = amount - shares.reduce((sum, share) => sum + share.whole, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(share => {
+      if (left > 0 && share.whole + 1 <= share.net) {
+        share.whole += 1;
+        left -= 1;
+      }
+    });
+
+  shares.forEach(share => {
+    share.line.discount_amount = round(share.line.discount_amount + share.whole);
+  });
+  return amount - left;
+}
+
+// Discount priced cart lines (`{ row, quantity }`) with the promotions running at the branch.
+// Each line gets the biggest of the product and category promotions covering it, then the
+// biggest order-wide promotion comes off what is left, shared across the lines by value.
+// Minimum spends are checked against the goods before any discount, deposits left out.
+// Sets each line's `discount_amount` and its `total_amount` after the discount, and returns
+// the promotions applied with the line (`null` for order-wide) and the amount they took off.
+async function applyPromotions(lines, { branchId }) {
+  const subtotal = round(lines.reduce((sum, line) => sum + line.row.price * line.quantity, 0));
+  const promotions = (await livePromotions(branchId))
+    .filter(promotion => !promotion.min_spend || subtotal >= promotion.min_spend);
+  const applied = [];
+
+  for (const line of lines) {
+    let best = null;
+    promotions
+      .filter(promotion => !isOrderWide(promotion) && coversLine(promotion, line.row))
+      .forEach(promotion => {
+        const amount = Math.min(shillings(lineDiscount(promotion, line)), Math.floor(line.row.price * line.quantity));
+        if (amount > 0 && (!best || amount > best.amount)) best = { promotion, line, amount };
+      });
+
+    line.discount_amount = best ? best.amount : 0;
+    if (best) applied.push(best);
+  }
+
+  const remaining = round(subtotal - lines.reduce((sum, line) => sum + line.discount_amount, 0));
+  let orderWide = null;
+  promotions.filter(isOrderWide).forEach(promotion => {
+    const amount = Math.min(shillings(promotion.type === 'percentage'
+      ? remaining * promotion.value / 100
+      : promotion.value), Math.floor(remaining));
+    if (amount > 0 && (!orderWide || amount > orderWide.amount)) orderWide = { promotion, line: null, amount };
+  });
+
+  if (orderWide) {
+    orderWide.amount = shareOrderDiscount(lines, orderWide.amount, remaining);
+    if (orderWide.amount > 0) applied.push(orderWide);
+  }
+
+  lines.forEach(line => {
+    const gross = line.row.price * line.quantity;
+    if (line.discount_amount < 0 || line.discount_amount > gross) {
+      throw new Error(`Discount of ${line.discount_amount} on ${line.row.product} is outside 0 to ${gross}`);
+    }
+    line.total_amount = round(gross - line.discount_amount);
+  });
+
+  return {
+    subtotal,
+    discountTotal: round(applied.reduce((sum, entry) => sum + entry.amount, 0)),
+    applied
+  };
+}
+
+// Applied promotions as quotes and orders list them
+function promotionLines(applied) {
+  return applied.map(({ promotion, line, amount }) => ({
+    promotion_id: promotion.id,
+    name: promotion.name,
+    type: promotion.type,
+    product: line ? line.row.product : null,
+    discount_amount: amount
+  }));
+}
+
+// Record the promotions an order got. Lines need the `order_item_id` they were saved as.
+// Must run inside the order's transaction.
+async function recordOrderPromotions(orderId, applied) {
+  for (const { promotion, line, amount } of applied) {
+    await runAsync(
+      `INSERT INTO order_promotions (order_id, promotion_id, order_item_id, name, type, product, discount_amount)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [orderId, promotion.id, line ? line.order_item_id : null, promotion.name, promotion.type,
+        line ? line.row.product : null, amount]
+    );
+  }
+}
+
+function orderPromotions(orderId) {
+  return allAsync(
+    `SELECT promotion_id, order_item_id, name, type, product, discount_amount
+     FROM order_promotions WHERE order_id = ? ORDER BY id`,
+    [orderId]
+  );
+}
+
+module.exports = {
+  PromotionError,
+  PROMOTION_TYPES,
+  PROMOTION_STATUSES,
+  getPromotion,
+  listPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  applyPromotions,
+  promotionLines,
+  recordOrderPromotions,
+  orderPromotions
+};
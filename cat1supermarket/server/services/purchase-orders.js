@@ -0,0 +1,353 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const { resolveBranch } = require('./branches');
+const { resolveSupplier } = require('./suppliers');
+const { adjustStock, ensureInventoryRow, cleanLot } = require('./stock');
+const { HttpError } = require('./errors');
+
+class PurchaseOrderError extends HttpError {}
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+const PURCHASE_ORDER_SELECT = `
+  SELECT po.*,
+         s.name AS supplier,
+         b.name AS branch,
+         cu.username AS created_by_username,
+         su.username AS sent_by_username,
+         (SELECT COALESCE(SUM(i.quantity * i.unit_cost), 0) FROM purchase_order_items i
+          WHERE i.purchase_order_id = po.id) AS total_cost,
+         (SELECT COALESCE(SUM(i.quantity - i.received_quantity), 0) FROM purchase_order_items i
+          WHERE i.purchase_order_id = po.id) AS outstanding_quantity
+  FROM purchase_orders po
+  JOIN suppliers s ON s.id = po.supplier_id
+  JOIN branches b ON b.id = po.branch_id
+  LEFT JOIN users cu ON cu.id = po.created_by
+  LEFT JOIN users su ON su.id = po.sent_by
+`;
+
+const PURCHASE_ORDER_ITEM_SELECT = `
+  SELECT i.*, i.quantity - i.received_quantity AS outstanding, p.name AS product, p.sku
+  FROM purchase_order_items i
+  JOIN products p ON p.id = i.product_id
+`;
+
+function cleanText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+function cleanDate(value) {
+  const date = cleanText(value);
+  if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+    throw new PurchaseOrderError(400, 'Expected date must be YYYY-MM-DD');
+  }
+  return date;
+}
+
+// Turn request lines into { product_id, quantity, unit_cost }. Products must already be in
+// the catalog, by product_id or name, and each may appear on one line only.
+async function resolveLines(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PurchaseOrderError(400, 'A purchase order must contain at least one item');
+  }
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item !== 'object') {
+      throw new PurchaseOrderError(400, `Line ${index + 1} must be an object`);
+    }
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new PurchaseOrderError(400, `Invalid quantity on line ${index + 1}`);
+    }
+    const unitCost = Number(item.unit_cost);
+    if (item.unit_cost === undefined || item.unit_cost === '' || !Number.isFinite(unitCost) || unitCost < 0) {
+      throw new PurchaseOrderError(400, `Invalid unit cost on line ${index + 1}`);
+    }
+
+    const product = item.product_id
+      ? await getAsync('SELECT id, name FROM products WHERE id = ?', [item.product_id])
+      : await getAsync('SELECT id, name FROM products WHERE name = ? COLLATE NOCASE', [cleanText(item.product)]);
+    if (!product) {
+      throw new PurchaseOrderError(400, `Unknown product on line ${index + 1}: ${item.product || item.product_id}`);
+    }
+    if (lines.some(line => line.product_id === product.id)) {
+      throw new PurchaseOrderError(400, `${product.name} appears on more than one line`);
+    }
+
+    lines.push({ product_id: product.id, quantity, unit_cost: unitCost });
+  }
+  return lines;
+}
+
+async function insertLines(purchaseOrderId, lines) {
+  for (const line of lines) {
+    await runAsync(
+      'INSERT INTO purchase_order_items (purchase_order_id, product_id, quantity, unit_cost) VALUES (?, ?, ?, ?)',
+      [purchaseOrderId, line.product_id, line.quantity, line.unit_cost]
+    );
+  }
+}
+
+// A purchase order with its lines and every goods-received note booked against it
+async function getPurchaseOrder(id) {
+  const purchaseOrder = await getAsync(`${PURCHASE_ORDER_SELECT} WHERE po.id = ?`, [id]);
+  if (!purchaseOrder) return null;
+
+  const items = await allAsync(`${PURCHASE_ORDER_ITEM_SELECT} WHERE i.purchase_order_id = ? ORDER BY i.id`, [id]);
+  const receipts = await allAsync(
+    `SELECT g.*, u.username AS received_by_username
+     FROM goods_received_notes g
+     LEFT JOIN users u ON u.id = g.received_by
+     WHERE g.purchase_order_id = ?
+     ORDER BY g.id`,
+    [id]
+  );
+  const receiptItems = await allAsync(
+    `SELECT gi.*, p.name AS product
+     FROM goods_received_items gi
+     JOIN goods_received_notes g ON g.id = gi.grn_id
+     JOIN purchase_order_items i ON i.id = gi.purchase_order_item_id
+     JOIN products p ON p.id = i.product_id
+     WHERE g.purchase_order_id = ?
+     ORDER BY gi.id`,
+    [id]
+  );
+
+  return {
+    ...purchaseOrder,
+    items,
+    receipts: receipts.map(receipt => ({
+      ...receipt,
+      items: receiptItems.filter(item => item.grn_id === receipt.id)
+    }))
+  };
+}
+
+// Purchase orders newest first. `outstanding` keeps only orders still waiting on goods.
+async function listPurchaseOrders({ status, branch, supplier, outstanding = false } = {}) {
+  let query = `${PURCHASE_ORDER_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (status) {
+    query += ' AND po.status = ?';
+    params.push(status);
+  }
+  if (outstanding) {
+    query += " AND po.status IN ('sent', 'partially_received')";
+  }
+  if (branch && branch !== 'All') {
+    query += ' AND (b.id = ? OR b.name = ?)';
+    params.push(branch, branch);
+  }
+  if (supplier) {
+    query += ' AND (s.id = ? OR s.name = ?)';
+    params.push(supplier, supplier);
+  }
+  query += ' ORDER BY po.id DESC';
+
+  const purchaseOrders = await allAsync(query, params);
+  if (purchaseOrders.length === 0) return purchaseOrders;
+
+  const items = await allAsync(
+    `${PURCHASE_ORDER_ITEM_SELECT} WHERE i.purchase_order_id IN (${purchaseOrders.map(() => '?').join(', ')}) ORDER BY i.id`,
+    purchaseOrders.map(purchaseOrder => purchaseOrder.id)
+  );
+  return purchaseOrders.map(purchaseOrder => ({
+    ...purchaseOrder,
+    items: items.filter(item => item.purchase_order_id === purchaseOrder.id)
+  }));
+}
+
+// Load a purchase order and check it is in one of the states an action is allowed from
+async function purchaseOrderInState(id, allowed, action) {
+  const purchaseOrder = await getPurchaseOrder(id);
+  if (!purchaseOrder) {
+    throw new PurchaseOrderError(404, 'Purchase order not found');
+  }
+  if (!allowed.includes(purchaseOrder.status)) {
+    throw new PurchaseOrderError(409, `Cannot ${action} a purchase order that is ${purchaseOrder.status.replace('_', ' ')}`);
+  }
+  return purchaseOrder;
+}
+
+async function createPurchaseOrder({ supplier, supplier_id, branch, items, expected_date, note }, userId) {
+  const supplierRow = await resolveSupplier(supplier_id !== undefined ? supplier_id : supplier, { activeOnly: true });
+  const branchRow = await resolveBranch(branch, { activeOnly: true });
+  const lines = await resolveLines(items);
+  const expectedDate = cleanDate(expected_date);
+
+  const id = await withTransaction(async () => {
+    const { lastID } = await runAsync(
+      `INSERT INTO purchase_orders (supplier_id, branch_id, expected_date, note, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [supplierRow.id, branchRow.id, expectedDate, cleanText(note), userId]
+    );
+    await insertLines(lastID, lines);
+    return lastID;
+  });
+  return getPurchaseOrder(id);
+}
+
+// Change a draft. Lines, when given, replace the draft's lines.
+async function updatePurchaseOrder(id, body) {
+  const fields = {};
+  if (body.supplier !== undefined || body.supplier_id !== undefined) {
+    fields.supplier_id = (await resolveSupplier(body.supplier_id !== undefined ? body.supplier_id : body.supplier, { activeOnly: true })).id;
+  }
+  if (body.branch !== undefined) {
+    fields.branch_id = (await resolveBranch(body.branch, { activeOnly: true })).id;
+  }
+  if (body.expected_date !== undefined) fields.expected_date = cleanDate(body.expected_date);
+  if (body.note !== undefined) fields.note = cleanText(body.note);
+  const lines = body.items !== undefined ? await resolveLines(body.items) : null;
+
+  const columns = Object.keys(fields);
+  if (columns.length === 0 && !lines) {
+    throw new PurchaseOrderError(400, 'Nothing to update');
+  }
+
+  await withTransaction(async () => {
+    await purchaseOrderInState(id, ['draft'], 'edit');
+
+    await runAsync(
+      `UPDATE purchase_orders SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...columns.map(column => fields[column]), id]
+    );
+    if (lines) {
+      await runAsync('DELETE FROM purchase_order_items WHERE purchase_order_id = ?', [id]);
+      await insertLines(id, lines);
+    }
+  });
+  return getPurchaseOrder(id);
+}
+
+// Approve a draft and send it to the supplier; goods can be received against it from then on
+async function sendPurchaseOrder(id, userId) {
+  await withTransaction(async () => {
+    await purchaseOrderInState(id, ['draft'], 'send');
+    await runAsync(
+      `UPDATE purchase_orders SET status = 'sent', sent_by = ?, sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [userId, id]
+    );
+  });
+  return getPurchaseOrder(id);
+}
+
+// Book a delivery in as a goods-received note. `items` lists { id, quantity, unit_cost } per
+// purchase order line that arrived; a line can't receive more than is outstanding on it. The
+// stock goes up at the order's branch, whose cost price becomes the unit cost paid (the
+// order's unit cost unless the delivery says otherwise). A line's batch_number and
+// expiry_date book the delivery into that lot.
+async function receiveGoods(id, { items, delivery_reference, note } = {}, userId) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PurchaseOrderError(400, 'A goods-received note must contain at least one item');
+  }
+
+  const { grnId, changes } = await withTransaction(async () => {
+    const purchaseOrder = await purchaseOrderInState(id, ['sent', 'partially_received'], 'receive goods against');
+
+    const lines = items.map((line, index) => {
+      if (!line || typeof line !== 'object') {
+        throw new PurchaseOrderError(400, `Line ${index + 1} must be an object`);
+      }
+      const item = purchaseOrder.items.find(candidate => candidate.id === Number(line.id));
+      if (!item) {
+        throw new PurchaseOrderError(400, `Line ${line.id} is not on this purchase order`);
+      }
+      const quantity = Number(line.quantity);
+      if (!Number.isInteger(quantity) || quantity <= 0) {
+        throw new PurchaseOrderError(400, `Invalid quantity on line ${index + 1}`);
+      }
+      if (quantity > item.outstanding) {
+        throw new PurchaseOrderError(400, `Only ${item.outstanding} of ${item.product} are outstanding`);
+      }
+      const unitCost = line.unit_cost === undefined || line.unit_cost === '' ? item.unit_cost : Number(line.unit_cost);
+      if (!Number.isFinite(unitCost) || unitCost < 0) {
+        throw new PurchaseOrderError(400, `Invalid unit cost for ${item.product}`);
+      }
+      return { item, quantity, unitCost, lot: cleanLot(line) };
+    });
+    if (new Set(lines.map(line => line.item.id)).size !== lines.length) {
+      throw new PurchaseOrderError(400, 'Each purchase order line may appear once per delivery');
+    }
+
+    const { lastID: grnId } = await runAsync(
+      'INSERT INTO goods_received_notes (purchase_order_id, delivery_reference, note, received_by) VALUES (?, ?, ?, ?)',
+      [purchaseOrder.id, cleanText(delivery_reference), cleanText(note), userId]
+    );
+
+    const changes = [];
+    for (const { item, quantity, unitCost, lot } of lines) {
+      const row = await ensureInventoryRow({
+        branchId: purchaseOrder.branch_id,
+        branchName: purchaseOrder.branch,
+        productId: item.product_id
+      });
+
+      await runAsync(
+        `INSERT INTO goods_received_items (grn_id, purchase_order_item_id, inventory_id, quantity, unit_cost, batch_number, expiry_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [grnId, item.id, row.id, quantity, unitCost, lot ? lot.batch_number : null, lot ? lot.expiry_date : null]
+      );
+      await runAsync(
+        'UPDATE purchase_order_items SET received_quantity = received_quantity + ? WHERE id = ?',
+        [quantity, item.id]
+      );
+      await runAsync('UPDATE inventory SET cost_price = ? WHERE id = ?', [unitCost, row.id]);
+
+      const { oldStock, newStock } = await adjustStock({
+        inventoryId: row.id,
+        delta: quantity,
+        type: 'restock',
+        userId,
+        referenceType: 'grn',
+        referenceId: grnId,
+        note: `PO #${purchaseOrder.id} from ${purchaseOrder.supplier}`,
+        lots: lot ? [{ ...lot, quantity }] : []
+      });
+      changes.push({ id: row.id, branch: purchaseOrder.branch, product: item.product, quantity, oldStock, newStock });
+    }
+
+    const { outstanding } = await getAsync(
+      'SELECT SUM(quantity - received_quantity) AS outstanding FROM purchase_order_items WHERE purchase_order_id = ?',
+      [purchaseOrder.id]
+    );
+    await runAsync(
+      'UPDATE purchase_orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [outstanding > 0 ? 'partially_received' : 'received', purchaseOrder.id]
+    );
+    return { grnId, changes };
+  });
+
+  const purchaseOrder = await getPurchaseOrder(id);
+  return { purchaseOrder, grn: purchaseOrder.receipts.find(receipt => receipt.id === grnId), changes };
+}
+
+// Close an order that won't be (fully) delivered. Goods already received stay in stock.
+async function cancelPurchaseOrder(id, userId) {
+  await withTransaction(async () => {
+    await purchaseOrderInState(id, ['draft', 'sent', 'partially_received'], 'cancel');
+    await runAsync(
+      `UPDATE purchase_orders SET status = 'cancelled', cancelled_by = ?, cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [userId, id]
+    );
+  });
+  return getPurchaseOrder(id);
+}
+
+module.exports = {
+  PurchaseOrderError,
+  PURCHASE_ORDER_STATUSES,
+  listPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receiveGoods,
+  cancelPurchaseOrder
+};
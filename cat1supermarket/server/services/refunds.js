@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const { darajaUrls, getAccessToken, accountForTransaction } = require('./mpesa');
+const { refreshRefundedStatus } = require('./orders');
+const { adjustStock } = require('./stock');
+const { lotsMoved, spreadOverLots } = require('./lots');
+const { HttpError } = require('./errors');
+
+// Money goes back either as a B2C payment to the customer's phone (any amount up to what is
+// left to refund) or as a reversal of the original receipt (the whole payment, once).
+const REFUND_METHODS = ['b2c', 'reversal'];
+
+// Daraja initiator allowed to move money out of the shortcode. The security credential is
+// the initiator password encrypted with Safaricom's certificate, as generated on the portal.
+const REFUND_CONFIG = {
+  initiatorName: process.env.MPESA_INITIATOR_NAME,
+  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+  b2cShortcode: process.env.MPESA_B2C_SHORTCODE
+};
+
+// Payments that took the customer's money and can be given back
+const REFUNDABLE_STATUSES = ['completed', 'flagged'];
+
+class RefundError extends HttpError {}
+
+// Daraja posts refund results next to the STK callback unless told otherwise
+function refundUrls(account) {
+  const base = account.callbackUrl;
+  return {
+    resultUrl: process.env.MPESA_REFUND_RESULT_URL || new URL('refunds/result', base).toString(),
+    timeoutUrl: process.env.MPESA_REFUND_TIMEOUT_URL || new URL('refunds/timeout', base).toString()
+  };
+}
+
+// Amount of a transaction not yet refunded or waiting on a refund result
+async function refundableAmount(transaction) {
+  const { refunded } = await getAsync(
+    `SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds
+     WHERE transaction_id = ? AND status != 'failed'`,
+    [transaction.id]
+  );
+  return Math.round(transaction.amount) - refunded;
+}
+
+// Order lines with how many units have already been returned against them
+async function orderItemsWithReturns(orderId) {
+  return allAsync(
+    `SELECT oi.*,
+            (SELECT COALESCE(SUM(ri.quantity), 0) FROM refund_items ri
+             JOIN refunds r ON r.id = ri.refund_id
+             WHERE ri.order_item_id = oi.id AND r.status != 'failed') AS returned_quantity
+     FROM order_items oi
+     WHERE oi.order_id = ?
+     ORDER BY oi.id`,
+    [orderId]
+  );
+}
+
+// Returned units go back on the shelf only for orders whose stock actually left it
+function validateReturnedItems(items, order, orderItems) {
+  if (!items || items.length === 0) return [];
+  if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object')) {
+    throw new RefundError(400, 'Items must be a list of { order_item_id, quantity }');
+  }
+
+  if (!order || order.status !== 'completed') {
+    throw new RefundError(400, 'Items can only be returned to stock from a completed order');
+  }
+
+  return items.map(({ order_item_id, quantity }) => {
+    const line = orderItems.find(item => item.id === Number(order_item_id));
+    const count = Number(quantity);
+
+    if (!line) {
+      throw new RefundError(400, `Order item ${order_item_id} is not part of order #${order.id}`);
+    }
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new RefundError(400, `Invalid return quantity for ${line.product}`);
+    }
+    if (count > line.quantity - line.returned_quantity) {
+      throw new RefundError(
+        400,
+        `Only ${line.quantity - line.returned_quantity} of ${line.product} can still be returned`
+      );
+    }
+    // A pack sold from unit stock goes back onto its unit's row
+    return { order_item_id: line.id, inventory_id: line.stock_inventory_id || line.inventory_id, quantity: count };
+  });
+}
+
+function refundRequest(method, { refund, transaction, account, originatorConversationID }) {
+  const { resultUrl, timeoutUrl } = refundUrls(account);
+  const urls = darajaUrls(account);
+  const remarks = `Refund ${refund.id} for order ${transaction.order_id || '-'}`;
+
+  if (method === 'reversal') {
+    return {
+      url: urls.reversalUrl,
+      payload: {
+        Initiator: REFUND_CONFIG.initiatorName,
+        SecurityCredential: REFUND_CONFIG.securityCredential,
+        CommandID: 'TransactionReversal',
+        TransactionID: transaction.mpesa_receipt,
+        Amount: refund.amount,
+        ReceiverParty: account.shortcode,
+        RecieverIdentifierType: '11',
+        ResultURL: resultUrl,
+        QueueTimeOutURL: timeoutUrl,
+        Remarks: remarks,
+        Occasion: transaction.mpesa_receipt
+      }
+    };
+  }
+
+  return {
+    url: urls.b2cUrl,
+    payload: {
+      OriginatorConversationID: originatorConversationID,
+      InitiatorName: REFUND_CONFIG.initiatorName,
+      SecurityCredential: REFUND_CONFIG.securityCredential,
+      CommandID: 'BusinessPayment',
+      Amount: refund.amount,
+      PartyA: REFUND_CONFIG.b2cShortcode || account.shortcode,
+      PartyB: transaction.phone,
+      Remarks: remarks,
+      QueueTimeOutURL: timeoutUrl,
+      ResultURL: resultUrl,
+      Occasion: transaction.mpesa_receipt || ''
+    }
+  };
+}
+
+// Record a refund for an M-Pesa payment and send it to Daraja. The refund stays 'pending'
+// until Daraja posts its result; returned items are restocked only once it succeeds.
+async function requestRefund({ transactionId, method = 'b2c', amount, reason, items, requestedBy }) {
+  if (!REFUND_METHODS.includes(method)) {
+    throw new RefundError(400, `Refund method must be one of ${REFUND_METHODS.join(', ')}`);
+  }
+  if (!REFUND_CONFIG.initiatorName || !REFUND_CONFIG.securityCredential) {
+    throw new RefundError(500, 'MPESA_INITIATOR_NAME and MPESA_SECURITY_CREDENTIAL must be set to send refunds');
+  }
+
+  const transaction = await getAsync('SELECT * FROM mpesa_transactions WHERE id = ?', [transactionId]);
+  if (!transaction) {
+    throw new RefundError(404, 'Transaction not found');
+  }
+  if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+    throw new RefundError(409, `A ${transaction.status} transaction has nothing to refund`);
+  }
+  if (method === 'reversal' && !transaction.mpesa_receipt) {
+    throw new RefundError(409, 'A reversal needs the M-Pesa receipt of the payment');
+  }
+
+  const account = await accountForTransaction(transaction);
+  if (!account || !account.callbackUrl) {
+    throw new RefundError(500, `No M-Pesa account is configured for ${transaction.branch}`);
+  }
+
+  const refund = await withTransaction(async () => {
+    const refundable = await refundableAmount(transaction);
+    const refundAmount = amount === undefined || amount === null || amount === '' ? refundable : Number(amount);
+
+    if (refundable <= 0) {
+      throw new RefundError(409, 'This payment has already been refunded');
+    }
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      throw new RefundError(400, `Refund amount must be a whole number between 1 and ${refundable}`);
+    }
+    if (method === 'reversal' && refundAmount !== Math.round(transaction.amount)) {
+      throw new RefundError(400, 'A reversal returns the whole payment; use B2C for a partial refund');
+    }
+
+    const order = transaction.order_id
+      ? await getAsync('SELECT * FROM orders WHERE id = ?', [transaction.order_id])
+      : null;
+    const orderItems = order ? await orderItemsWithReturns(order.id) : [];
+    const returned = validateReturnedItems(items, order, orderItems);
+
+    const { lastID } = await runAsync(
+      `INSERT INTO refunds (transaction_id, order_id, method, amount, reason, status, requested_by)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [transaction.id, transaction.order_id, method, refundAmount, reason || null, requestedBy]
+    );
+
+    for (const item of returned) {
+      await runAsync(
+        'INSERT INTO refund_items (refund_id, order_item_id, inventory_id, quantity) VALUES (?, ?, ?, ?)',
+        [lastID, item.order_item_id, item.inventory_id, item.quantity]
+      );
+    }
+
+    return { id: lastID, amount: refundAmount };
+  });
+
+  const originatorConversationID = `refund-${refund.id}-${crypto.randomBytes(4).toString('hex')}`;
+
+  try {
+    const token = await getAccessToken(account);
+    const { url, payload } = refundRequest(method, { refund, transaction, account, originatorConversationID });
+
+    console.log(`Requesting M-Pesa ${method} refund ${refund.id}...`, {
+      transaction: transaction.id,
+      amount: refund.amount
+    });
+
+    const response = await axios.post(url, payload, {
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+
+    await runAsync(
+      'UPDATE refunds SET originator_conversation_id = ?, conversation_id = ? WHERE id = ?',
+      [
+        response.data.OriginatorConversationID || originatorConversationID,
+        response.data.ConversationID,
+        refund.id
+      ]
+    );
+  } catch (error) {
+    const details = error.response?.data?.errorMessage || error.message;
+    console.error(`M-Pesa ${method} refund ${refund.id} was not accepted:`, error.response?.data || error.message);
+
+    // Nothing was sent, so the amount and items become refundable again
+    await runAsync(
+      `UPDATE refunds SET status = 'failed', result_desc = ?, completed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [details, refund.id]
+    );
+    throw new RefundError(502, `Daraja did not accept the refund: ${details}`);
+  }
+
+  return getRefund(refund.id);
+}
+
+// Put the units of a successful refund back on the shelf, as returns in the stock ledger.
+// They go back into the lots the order's sale took them from, less anything earlier refunds
+// of the order already returned. Returned packs sold from unit stock go back as units.
+// Must run inside a transaction.
+async function restockRefundItems(refund) {
+  const items = await allAsync(
+    `SELECT ri.quantity * COALESCE(oi.stock_quantity / oi.quantity, 1) AS quantity,
+            inventory.id, inventory.branch, products.name AS product, inventory.stock
+     FROM refund_items ri
+     LEFT JOIN order_items oi ON oi.id = ri.order_item_id
+     JOIN inventory ON inventory.id = ri.inventory_id
+     JOIN products ON products.id = inventory.product_id
+     WHERE ri.refund_id = ?`,
+    [refund.id]
+  );
+
+  const earlierRefunds = refund.order_id
+    ? await allAsync('SELECT id FROM refunds WHERE order_id = ? AND id != ?', [refund.order_id, refund.id])
+    : [];
+
+  for (const item of items) {
+    const sold = refund.order_id ? await lotsMoved(item.id, 'order', [refund.order_id]) : [];
+    const returned = await lotsMoved(item.id, 'refund', earlierRefunds.map(row => row.id));
+    const returnable = sold.map(lot => {
+      const back = returned.find(row => row.lot_id === lot.lot_id);
+      return { lot_id: lot.lot_id, quantity: -lot.quantity - (back ? back.quantity : 0) };
+    });
+
+    await adjustStock({
+      inventoryId: item.id,
+      delta: item.quantity,
+      type: 'return',
+      userId: refund.requested_by,
+      referenceType: 'refund',
+      referenceId: refund.id,
+      lots: spreadOverLots(returnable, item.quantity)
+    });
+  }
+
+  return items.map(item => ({
+    id: item.id,
+    branch: item.branch,
+    product: item.product,
+    quantity: item.quantity,
+    oldStock: item.stock,
+    newStock: item.stock + item.quantity
+  }));
+}
+
+// Tell admins and shoppers about units a refund put back on the shelf
+function emitRestocked(io, restocked) {
+  restocked.forEach(item => {
+    io.to('admin-room').emit('stock-restocked', {
+      ...item,
+      message: `Refund Return: ${item.branch} ${item.product} stock increased by ${item.quantity}.`
+    });
+    io.to('customer-room').emit('inventory-updated', {
+      branch: item.branch,
+      product: item.product,
+      newStock: item.newStock
+    });
+  });
+}
+
+// Settle a pending refund from a Daraja result (or queue timeout) body.
+// Returns what happened so the route can answer and log it; repeats change nothing.
+async function recordRefundResult(body, io, { timedOut = false } = {}) {
+  const result = body && body.Result;
+  if (!result || (!result.ConversationID && !result.OriginatorConversationID)) {
+    return { outcome: 'invalid' };
+  }
+
+  const refund = await getAsync(
+    'SELECT * FROM refunds WHERE conversation_id = ? OR originator_conversation_id = ?',
+    [result.ConversationID || null, result.OriginatorConversationID || null]
+  );
+  if (!refund) {
+    console.warn('M-Pesa refund result for unknown request:', result.ConversationID, result.OriginatorConversationID);
+    return { outcome: 'unknown_request' };
+  }
+
+  const succeeded = !timedOut && String(result.ResultCode) === '0';
+  const resultDesc = timedOut ? `Timed out in the Daraja queue: ${result.ResultDesc || ''}`.trim() : result.ResultDesc;
+
+  const settled = await withTransaction(async () => {
+    const { changes } = await runAsync(
+      `UPDATE refunds
+       SET status = ?, result_code = ?, result_desc = ?, refund_receipt = ?, completed_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [
+        succeeded ? 'completed' : 'failed',
+        result.ResultCode !== undefined ? String(result.ResultCode) : null,
+        resultDesc,
+        succeeded ? result.TransactionID || null : null,
+        refund.id
+      ]
+    );
+    if (changes === 0) return null;
+
+    if (!succeeded) return { restocked: [] };
+
+    const transaction = await getAsync('SELECT * FROM mpesa_transactions WHERE id = ?', [refund.transaction_id]);
+    const restocked = await restockRefundItems(refund);
+    if (transaction.order_id) {
+      await refreshRefundedStatus(transaction.order_id);
+    }
+    return { restocked };
+  });
+
+  if (!settled) {
+    return { outcome: 'duplicate', refund };
+  }
+
+  const updated = await getRefund(refund.id);
+  io.to('admin-room').emit('mpesa-refund-updated', updated);
+
+  emitRestocked(io, settled.restocked);
+
+  return { outcome: updated.status, refund: updated };
+}
+
+async function getRefund(id) {
+  const refund = await getAsync(
+    `SELECT refunds.*, t.mpesa_receipt, t.branch
+     FROM refunds
+     JOIN mpesa_transactions t ON t.id = refunds.transaction_id
+     WHERE refunds.id = ?`,
+    [id]
+  );
+  if (!refund) return null;
+
+  refund.items = await allAsync(
+    `SELECT ri.*, oi.product FROM refund_items ri
+     LEFT JOIN order_items oi ON oi.id = ri.order_item_id
+     WHERE ri.refund_id = ?`,
+    [id]
+  );
+  return refund;
+}
+
+async function listRefunds({ limit = 50 } = {}) {
+  return allAsync(
+    `SELECT refunds.*, t.mpesa_receipt, t.branch
+     FROM refunds
+     JOIN mpesa_transactions t ON t.id = refunds.transaction_id
+     ORDER BY refunds.created_at DESC, refunds.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+// Everything the admin needs to decide on a refund for one transaction
+async function getTransactionRefunds(transactionId) {
+  const transaction = await getAsync('SELECT * FROM mpesa_transactions WHERE id = ?', [transactionId]);
+  if (!transaction) {
+    throw new RefundError(404, 'Transaction not found');
+  }
+
+  const order = transaction.order_id
+    ? await getAsync('SELECT * FROM orders WHERE id = ?', [transaction.order_id])
+    : null;
+
+  return {
+    transaction: {
+      id: transaction.id,
+      amount: transaction.amount,
+      status: transaction.status,
+      mpesaReceipt: transaction.mpesa_receipt,
+      branch: transaction.branch
+    },
+    order: order && {
+      id: order.id,
+      status: order.status,
+      total_amount: order.total_amount,
+      items: await orderItemsWithReturns(order.id)
+    },
+    refundable: REFUNDABLE_STATUSES.includes(transaction.status) ? await refundableAmount(transaction) : 0,
+    refunds: await allAsync(
+      'SELECT * FROM refunds WHERE transaction_id = ? ORDER BY created_at DESC, id DESC',
+      [transaction.id]
+    )
+  };
+}
+
+module.exports = {
+  REFUND_METHODS,
+  RefundError,
+  orderItemsWithReturns,
+  validateReturnedItems,
+  requestRefund,
+  restockRefundItems,
+  emitRestocked,
+  recordRefundResult,
+  getRefund,
+  listRefunds,
+  getTransactionRefunds
+};
@@ -0,0 +1,92 @@
+const { allAsync, runAsync, withTransaction } = require('../database');
+
+// Minutes stock stays held for an order waiting on payment
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 10;
+
+// Units of an inventory row held by unexpired reservations. Correlated on inventory.id,
+// so it can be used in any query that selects from or updates inventory.
+const RESERVED_QUANTITY_SQL = `(
+  SELECT COALESCE(SUM(r.quantity), 0) FROM stock_reservations r
+  WHERE r.inventory_id = inventory.id
+    AND r.status = 'active'
+    AND r.expires_at > CURRENT_TIMESTAMP
+)`;
+
+// Hold the given quantities for an order. Must run inside a transaction.
+async function reserveStock(orderId, lines, minutes = RESERVATION_MINUTES) {
+  for (const line of lines) {
+    await runAsync(
+      `INSERT INTO stock_reservations (order_id, inventory_id, quantity, status, expires_at)
+       VALUES (?, ?, ?, 'active', datetime('now', ?))`,
+      [orderId, line.inventory_id, line.quantity, `+${minutes} minutes`]
+    );
+  }
+}
+
+// Mark an order's reservations as turned into a sale. Must run inside a transaction.
+function markReservationsConverted(orderId) {
+  return runAsync(
+    `UPDATE stock_reservations SET status = 'converted', released_at = CURRENT_TIMESTAMP
+     WHERE order_id = ? AND status = 'active'`,
+    [orderId]
+  );
+}
+
+// Give an order's reserved stock back. Must run inside a transaction.
+function releaseReservations(orderId, status = 'released') {
+  return runAsync(
+    `UPDATE stock_reservations SET status = ?, released_at = CURRENT_TIMESTAMP
+     WHERE order_id = ? AND status = 'active'`,
+    [status, orderId]
+  );
+}
+
+// Release every reservation past its expiry and expire the orders that held them.
+// Returns the ids of the affected orders.
+function releaseExpiredReservations() {
+  return withTransaction(async () => {
+    const rows = await allAsync(
+      `SELECT DISTINCT order_id FROM stock_reservations
+       WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP`
+    );
+
+    for (const { order_id } of rows) {
+      await releaseReservations(order_id, 'expired');
+      await runAsync(
+        `UPDATE orders SET status = 'expired' WHERE id = ? AND status = 'pending_payment'`,
+        [order_id]
+      );
+    }
+
+    return rows.map(row => row.order_id);
+  });
+}
+
+// Periodically free stock held by payments that never completed
+function startReservationSweeper(io, intervalMs = 60 * 1000) {
+  const timer = setInterval(async () => {
+    try {
+      const orderIds = await releaseExpiredReservations();
+      if (orderIds.length > 0) {
+        console.log(`Released expired stock reservations for orders: ${orderIds.join(', ')}`);
+        io.to('admin-room').emit('reservations-released', { orderIds, reason: 'expired' });
+        io.to('customer-room').emit('stock-released', { orderIds });
+      }
+    } catch (error) {
+      console.error('Error releasing expired reservations:', error);
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RESERVATION_MINUTES,
+  RESERVED_QUANTITY_SQL,
+  reserveStock,
+  markReservationsConverted,
+  releaseReservations,
+  releaseExpiredReservations,
+  startReservationSweeper
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+// Secrets stored in the database (M-Pesa passkeys, consumer secrets) are encrypted with
+// AES-256-GCM. The key is derived from MPESA_ENCRYPTION_KEY, so changing that value makes
+// stored secrets unreadable and they have to be entered again.
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+function encryptionKey() {
+  const secret = process.env.MPESA_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('MPESA_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [FORMAT_VERSION, iv, tag, encrypted].map(part =>
+    Buffer.isBuffer(part) ? part.toString('base64') : part
+  ).join(':');
+}
+
+function decryptSecret(stored) {
+  const [version, iv, tag, encrypted] = String(stored).split(':');
+  if (version !== FORMAT_VERSION || !iv || !tag || !encrypted) {
+    throw new Error('Unrecognised encrypted secret');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+module.exports = { encryptSecret, decryptSecret };
@@ -0,0 +1,161 @@
+const { getAsync, allAsync, runAsync, afterCommit } = require('../database');
+const { SELLS_FROM_UNITS_SQL } = require('./catalog');
+const { HttpError } = require('./errors');
+
+class StockAlertError extends HttpError {}
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+const ALERT_SELECT = `
+  SELECT a.*, inventory.branch, inventory.branch_id, inventory.product_id, products.name AS product,
+         inventory.stock AS current_stock, inventory.reorder_quantity, u.username AS acknowledged_by_username
+  FROM stock_alerts a
+  JOIN inventory ON inventory.id = a.inventory_id
+  JOIN products ON products.id = inventory.product_id
+  LEFT JOIN users u ON u.id = a.acknowledged_by
+`;
+
+// Quantity of an inventory row's product still due from suppliers on sent purchase orders
+const ON_ORDER_SQL = `(
+  SELECT COALESCE(SUM(i.quantity - i.received_quantity), 0)
+  FROM purchase_order_items i
+  JOIN purchase_orders po ON po.id = i.purchase_order_id
+  WHERE po.branch_id = inventory.branch_id AND i.product_id = inventory.product_id
+    AND po.status IN ('sent', 'partially_received')
+)`;
+
+// Set once the server starts so alerts raised anywhere can be pushed to admins
+let io = null;
+
+function startLowStockAlerts(socketServer) {
+  io = socketServer;
+}
+
+function getAlert(id) {
+  return getAsync(`${ALERT_SELECT} WHERE a.id = ?`, [id]);
+}
+
+// Raise or resolve the item's alert after its stock or reorder point changed. An item has at
+// most one unresolved alert, so stock that keeps falling doesn't raise another. Call inside
+// the transaction that made the change; admins hear about new alerts once it commits.
+// Packs sold from unit stock hold none of their own and are left to their unit's alert.
+async function checkStockLevel(inventoryId) {
+  const item = await getAsync(
+    `SELECT inventory.id, inventory.stock, inventory.reorder_point, ${SELLS_FROM_UNITS_SQL} AS from_units
+     FROM inventory JOIN products ON products.id = inventory.product_id
+     WHERE inventory.id = ?`,
+    [inventoryId]
+  );
+  if (!item || item.from_units) return null;
+
+  const active = await getAsync(
+    "SELECT id FROM stock_alerts WHERE inventory_id = ? AND status IN ('open', 'acknowledged')",
+    [inventoryId]
+  );
+
+  if (item.stock > item.reorder_point) {
+    if (active) {
+      await runAsync(
+        "UPDATE stock_alerts SET status = 'resolved', resolved_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [active.id]
+      );
+    }
+    return null;
+  }
+  if (active) return null;
+
+  const { lastID } = await runAsync(
+    'INSERT INTO stock_alerts (inventory_id, stock, reorder_point) VALUES (?, ?, ?)',
+    [inventoryId, item.stock, item.reorder_point]
+  );
+
+  // Re-read after the commit: the same transaction may have deleted the item and its alerts
+  afterCommit(() => {
+    if (!io) return;
+    getAlert(lastID)
+      .then(alert => {
+        if (!alert) return;
+        io.to('admin-room').emit('low-stock', {
+          alert,
+          message: `Low Stock: ${alert.branch} ${alert.product} is down to ${alert.stock} (reorder point ${alert.reorder_point}).`
+        });
+      })
+      .catch(error => console.error('Error sending low-stock alert:', error));
+  });
+  return lastID;
+}
+
+// Alerts newest first. `active` (the default) is every alert not yet resolved.
+function listAlerts({ status = 'active', branch } = {}) {
+  let query = `${ALERT_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (status === 'active') {
+    query += " AND a.status IN ('open', 'acknowledged')";
+  } else if (status && status !== 'all') {
+    query += ' AND a.status = ?';
+    params.push(status);
+  }
+  if (branch && branch !== 'All') {
+    query += ' AND inventory.branch = ?';
+    params.push(branch);
+  }
+  query += ' ORDER BY a.id DESC';
+
+  return allAsync(query, params);
+}
+
+async function acknowledgeAlert(id, userId) {
+  const alert = await getAlert(id);
+  if (!alert) {
+    throw new StockAlertError(404, 'Alert not found');
+  }
+  if (alert.status !== 'open') {
+    throw new StockAlertError(409, `Alert is already ${alert.status}`);
+  }
+
+  await runAsync(
+    "UPDATE stock_alerts SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [userId, id]
+  );
+  return getAlert(id);
+}
+
+// Items at or below their reorder point, with what is already on order from suppliers and
+// what to order: the reorder quantity, or enough to get back above the reorder point.
+function lowStockReport({ branch } = {}) {
+  let query = `
+    SELECT inventory.id AS inventory_id, inventory.branch, inventory.branch_id, inventory.product_id,
+           products.name AS product, products.sku, inventory.stock, inventory.reorder_point,
+           inventory.reorder_quantity, inventory.cost_price,
+           ${ON_ORDER_SQL} AS on_order,
+           (SELECT a.status FROM stock_alerts a
+            WHERE a.inventory_id = inventory.id AND a.status IN ('open', 'acknowledged')) AS alert_status
+    FROM inventory
+    JOIN products ON products.id = inventory.product_id
+    WHERE inventory.stock <= inventory.reorder_point AND NOT ${SELLS_FROM_UNITS_SQL}
+  `;
+  const params = [];
+
+  if (branch && branch !== 'All') {
+    query += ' AND inventory.branch = ?';
+    params.push(branch);
+  }
+  query += ' ORDER BY inventory.stock - inventory.reorder_point, inventory.branch, products.name';
+
+  return allAsync(query, params).then(rows => rows.map(row => ({
+    ...row,
+    suggested_quantity: row.reorder_quantity || row.reorder_point - row.stock + 1
+  })));
+}
+
+module.exports = {
+  StockAlertError,
+  ALERT_STATUSES,
+  ON_ORDER_SQL,
+  startLowStockAlerts,
+  checkStockLevel,
+  listAlerts,
+  acknowledgeAlert,
+  lowStockReport
+};
@@ -0,0 +1,262 @@
+const { getAsync, allAsync, runAsync } = require('../database');
+const { SELLS_FROM_UNITS_SQL } = require('./catalog');
+const { checkStockLevel } = require('./stock-alerts');
+const { FEFO_ORDER, spreadOverLots } = require('./lots');
+const { HttpError } = require('./errors');
+
+class StockError extends HttpError {}
+
+const MOVEMENT_TYPES = ['sale', 'restock', 'adjustment', 'transfer', 'return', 'write-off'];
+
+// Movements that must not take units out of expired lots
+const IN_DATE_ONLY_TYPES = ['sale', 'transfer'];
+
+// What a unit of an inventory row is worth at cost: its cost price, or what it sells for
+// when the cost is unknown. Needs inventory joined to products.
+const UNIT_COST_SQL = 'COALESCE(inventory.cost_price, inventory.price_override, products.default_price)';
+
+// Batch details sent with a restock, or null when there are none
+function cleanLot({ batch_number, expiry_date } = {}) {
+  const batchNumber = batch_number === undefined || batch_number === null ? '' : String(batch_number).trim();
+  const expiryDate = expiry_date === undefined || expiry_date === null ? '' : String(expiry_date).trim();
+  if (!batchNumber && !expiryDate) return null;
+
+  if (expiryDate && (!/^\d{4}-\d{2}-\d{2}$/.test(expiryDate) || Number.isNaN(Date.parse(expiryDate)))) {
+    throw new StockError(400, 'Expiry date must be a date (YYYY-MM-DD)');
+  }
+  return { batch_number: batchNumber || null, expiry_date: expiryDate || null };
+}
+
+// Take units out of an item's lots first-expiring-first-out, or out of the `preferred` lots
+// first when the units taken are known to come from them. Whatever the lots don't cover comes
+// out of untracked stock (units restocked without a batch).
+async function takeFromLots(movementId, inventoryId, quantity, { stockAfter, inDateOnly, preferred = [] }) {
+  const lots = await allAsync(
+    `SELECT l.id, l.quantity, l.expiry_date < date('now') AS expired
+     FROM stock_lots l
+     WHERE l.inventory_id = ? AND l.quantity > 0
+     ORDER BY ${FEFO_ORDER}`,
+    [inventoryId]
+  );
+  if (lots.length === 0) return;
+
+  const inLots = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  const untracked = Math.max(0, stockAfter + quantity - inLots);
+  const ordered = [
+    ...lots.filter(lot => preferred.includes(lot.id)),
+    ...lots.filter(lot => !preferred.includes(lot.id))
+  ];
+  const allocation = spreadOverLots(inDateOnly ? ordered.filter(lot => !lot.expired) : ordered, quantity);
+  const fromLots = allocation.reduce((sum, lot) => sum + lot.quantity, 0);
+
+  if (inDateOnly && quantity - fromLots > untracked) {
+    throw new StockError(409, `Only ${fromLots + untracked} in date; expired stock can't be sold or sent`);
+  }
+
+  for (const lot of allocation) {
+    await runAsync('UPDATE stock_lots SET quantity = quantity - ? WHERE id = ?', [lot.quantity, lot.id]);
+    await runAsync(
+      'INSERT INTO stock_movement_lots (movement_id, lot_id, quantity) VALUES (?, ?, ?)',
+      [movementId, lot.id, -lot.quantity]
+    );
+  }
+}
+
+// Book added units into lots. Each entry either names an existing lot (`lot_id`, for stock
+// coming back) or gives batch details, which top up a matching lot or open a new one.
+// Units beyond the listed lots are untracked.
+async function putIntoLots(movementId, inventoryId, quantity, lots) {
+  const total = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  if (total > quantity) {
+    throw new StockError(400, 'Lot quantities add up to more than the stock added');
+  }
+
+  for (const lot of lots) {
+    if (lot.quantity <= 0) continue;
+
+    let lotId = lot.lot_id;
+    if (lotId) {
+      await runAsync('UPDATE stock_lots SET quantity = quantity + ? WHERE id = ? AND inventory_id = ?', [lot.quantity, lotId, inventoryId]);
+    } else {
+      const existing = await getAsync(
+        'SELECT id FROM stock_lots WHERE inventory_id = ? AND batch_number IS ? AND expiry_date IS ?',
+        [inventoryId, lot.batch_number, lot.expiry_date]
+      );
+      if (existing) {
+        lotId = existing.id;
+        await runAsync(
+          'UPDATE stock_lots SET quantity = quantity + ?, received_quantity = received_quantity + ? WHERE id = ?',
+          [lot.quantity, lot.quantity, lotId]
+        );
+      } else {
+        ({ lastID: lotId } = await runAsync(
+          'INSERT INTO stock_lots (inventory_id, batch_number, expiry_date, quantity, received_quantity) VALUES (?, ?, ?, ?, ?)',
+          [inventoryId, lot.batch_number, lot.expiry_date, lot.quantity, lot.quantity]
+        ));
+      }
+    }
+
+    await runAsync(
+      'INSERT INTO stock_movement_lots (movement_id, lot_id, quantity) VALUES (?, ?, ?)',
+      [movementId, lotId, lot.quantity]
+    );
+  }
+}
+
+// Append one movement to the ledger. Call it straight after the inventory row changed and
+// inside the same transaction, so `balance` is the stock the change left behind. Units taken
+// out come from the item's lots first-expiring-first-out, starting with any `lots` named by
+// `lot_id`; units added go into `lots` (see putIntoLots). Crossing the item's reorder point
+// raises or resolves its low-stock alert.
+async function recordMovement({ inventoryId, type, delta, userId = null, referenceType = null, referenceId = null, note = null, lots = [] }) {
+  if (!MOVEMENT_TYPES.includes(type)) {
+    throw new StockError(400, `Unknown stock movement type: ${type}`);
+  }
+
+  const row = await getAsync('SELECT stock FROM inventory WHERE id = ?', [inventoryId]);
+  if (!row) {
+    throw new StockError(404, 'Item not found');
+  }
+
+  const { lastID } = await runAsync(
+    `INSERT INTO stock_movements (inventory_id, type, delta, balance, user_id, reference_type, reference_id, note)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [inventoryId, type, delta, row.stock, userId, referenceType, referenceId, note]
+  );
+  if (delta < 0) {
+    await takeFromLots(lastID, inventoryId, -delta, {
+      stockAfter: row.stock,
+      inDateOnly: IN_DATE_ONLY_TYPES.includes(type),
+      preferred: lots.filter(lot => lot.lot_id).map(lot => Number(lot.lot_id))
+    });
+  } else if (delta > 0 && lots.length > 0) {
+    await putIntoLots(lastID, inventoryId, delta, lots);
+  }
+  await checkStockLevel(inventoryId);
+  return { id: lastID, balance: row.stock };
+}
+
+// Move stock up or down by `delta` and record why. Must run inside a transaction.
+// Packs sold from unit stock have none of their own; their unit's row is changed instead.
+async function adjustStock({ inventoryId, delta, ...movement }) {
+  const before = await getAsync(
+    `SELECT inventory.stock, products.name, unit.name AS unit_name, ${SELLS_FROM_UNITS_SQL} AS from_units
+     FROM inventory
+     JOIN products ON products.id = inventory.product_id
+     LEFT JOIN products unit ON unit.id = products.pack_unit_id
+     WHERE inventory.id = ?`,
+    [inventoryId]
+  );
+  if (!before) {
+    throw new StockError(404, 'Item not found');
+  }
+  if (before.from_units && delta !== 0) {
+    throw new StockError(409, `${before.name} is sold from ${before.unit_name} stock; change that instead`);
+  }
+  if (before.stock + delta < 0) {
+    throw new StockError(409, `Only ${before.stock} in stock`);
+  }
+
+  await runAsync(
+    'UPDATE inventory SET stock = stock + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [delta, inventoryId]
+  );
+  await recordMovement({ inventoryId, delta, ...movement });
+  return { oldStock: before.stock, newStock: before.stock + delta };
+}
+
+// Set stock to a counted figure, recording the difference. Must run inside a transaction.
+async function setStock({ inventoryId, stock, ...movement }) {
+  const before = await getAsync('SELECT stock FROM inventory WHERE id = ?', [inventoryId]);
+  if (!before) {
+    throw new StockError(404, 'Item not found');
+  }
+  return adjustStock({ inventoryId, delta: stock - before.stock, ...movement });
+}
+
+// The inventory row for a product at a branch, opened at zero stock and the catalog price if
+// the branch has never carried it. Must run inside a transaction.
+async function ensureInventoryRow({ branchId, branchName, productId }) {
+  const existing = await getAsync('SELECT * FROM inventory WHERE branch_id = ? AND product_id = ?', [branchId, productId]);
+  if (existing) return existing;
+
+  const { lastID } = await runAsync(
+    'INSERT INTO inventory (branch, branch_id, product_id, stock) VALUES (?, ?, ?, 0)',
+    [branchName, branchId, productId]
+  );
+  return getAsync('SELECT * FROM inventory WHERE id = ?', [lastID]);
+}
+
+// An item's ledger, newest first
+function listMovements(inventoryId, { limit = 100 } = {}) {
+  return allAsync(
+    `SELECT sm.*, u.username
+     FROM stock_movements sm
+     LEFT JOIN users u ON u.id = sm.user_id
+     WHERE sm.inventory_id = ?
+     ORDER BY sm.id DESC
+     LIMIT ?`,
+    [inventoryId, limit]
+  );
+}
+
+// Stock as the ledger has it next to the stock on the row. Any difference (drift) means
+// something changed inventory.stock without recording a movement.
+function ledgerBalances({ inventoryId, branch, driftOnly = false } = {}) {
+  let query = `
+    SELECT inventory.id AS inventory_id, inventory.branch, products.name AS product, inventory.stock,
+           COALESCE(SUM(sm.delta), 0) AS ledger_stock,
+           inventory.stock - COALESCE(SUM(sm.delta), 0) AS drift,
+           COUNT(sm.id) AS movement_count
+    FROM inventory
+    JOIN products ON products.id = inventory.product_id
+    LEFT JOIN stock_movements sm ON sm.inventory_id = inventory.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (inventoryId) {
+    query += ' AND inventory.id = ?';
+    params.push(inventoryId);
+  }
+  if (branch && branch !== 'All') {
+    query += ' AND inventory.branch = ?';
+    params.push(branch);
+  }
+
+  query += ' GROUP BY inventory.id';
+  if (driftOnly) {
+    query += ' HAVING drift <> 0';
+  }
+  query += ' ORDER BY inventory.branch, products.name';
+
+  return allAsync(query, params);
+}
+
+// Put drifted rows back on the stock their ledger adds up to. Must run inside a transaction.
+async function rebuildStock({ inventoryId } = {}) {
+  const drifted = await ledgerBalances({ inventoryId, driftOnly: true });
+
+  for (const row of drifted) {
+    await runAsync(
+      'UPDATE inventory SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [row.ledger_stock, row.inventory_id]
+    );
+    await checkStockLevel(row.inventory_id);
+  }
+  return drifted;
+}
+
+module.exports = {
+  StockError,
+  MOVEMENT_TYPES,
+  UNIT_COST_SQL,
+  cleanLot,
+  recordMovement,
+  adjustStock,
+  setStock,
+  ensureInventoryRow,
+  listMovements,
+  ledgerBalances,
+  rebuildStock
+};
@@ -0,0 +1,317 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const { resolveBranch } = require('./branches');
+const { StockError, UNIT_COST_SQL, adjustStock } = require('./stock');
+const { SELLS_FROM_UNITS_SQL } = require('./catalog');
+const { HttpError } = require('./errors');
+
+class StocktakeError extends HttpError {}
+
+// counting -> review -> posted, or cancelled before posting. A count in review can be
+// reopened for recounts.
+const STOCKTAKE_STATUSES = ['counting', 'review', 'posted', 'cancelled'];
+
+const STOCKTAKE_SELECT = `
+  SELECT s.*,
+         b.name AS branch,
+         cu.username AS created_by_username,
+         su.username AS submitted_by_username,
+         pu.username AS posted_by_username,
+         xu.username AS cancelled_by_username
+  FROM stocktakes s
+  JOIN branches b ON b.id = s.branch_id
+  LEFT JOIN users cu ON cu.id = s.created_by
+  LEFT JOIN users su ON su.id = s.submitted_by
+  LEFT JOIN users pu ON pu.id = s.posted_by
+  LEFT JOIN users xu ON xu.id = s.cancelled_by
+`;
+
+const STOCKTAKE_ITEM_SELECT = `
+  SELECT si.*, p.name AS product, p.sku, p.category, inventory.stock AS current_stock,
+         u.username AS counted_by_username
+  FROM stocktake_items si
+  JOIN inventory ON inventory.id = si.inventory_id
+  JOIN products p ON p.id = inventory.product_id
+  LEFT JOIN users u ON u.id = si.counted_by
+`;
+
+// Counted minus expected, and what that is worth. Both null until the line is counted.
+function withVariance(item) {
+  const variance = item.counted_quantity === null ? null : item.counted_quantity - item.expected_quantity;
+  return {
+    ...item,
+    variance,
+    variance_value: variance === null ? null : Math.round(variance * item.unit_value * 100) / 100
+  };
+}
+
+// Line counts and the net value of the variances (shrinkage is the value counted short)
+function summarise(items) {
+  const counted = items.filter(item => item.variance !== null);
+  const sum = values => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+  return {
+    line_count: items.length,
+    counted_count: counted.length,
+    variance_count: counted.filter(item => item.variance !== 0).length,
+    variance_units: counted.reduce((total, item) => total + item.variance, 0),
+    variance_value: sum(counted.map(item => item.variance_value)),
+    shrinkage_value: sum(counted.filter(item => item.variance < 0).map(item => item.variance_value))
+  };
+}
+
+async function getStocktake(id) {
+  const stocktake = await getAsync(`${STOCKTAKE_SELECT} WHERE s.id = ?`, [id]);
+  if (!stocktake) return null;
+
+  const items = (await allAsync(`${STOCKTAKE_ITEM_SELECT} WHERE si.stocktake_id = ? ORDER BY p.name`, [id]))
+    .map(withVariance);
+  return { ...stocktake, ...summarise(items), items };
+}
+
+// Stocktakes newest first, with their totals but without lines
+async function listStocktakes({ status, branch } = {}) {
+  let query = `${STOCKTAKE_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (status) {
+    query += ' AND s.status = ?';
+    params.push(status);
+  }
+  if (branch && branch !== 'All') {
+    query += ' AND (b.id = ? OR b.name = ?)';
+    params.push(branch, branch);
+  }
+  query += ' ORDER BY s.id DESC';
+
+  const stocktakes = await allAsync(query, params);
+  if (stocktakes.length === 0) return stocktakes;
+
+  const items = (await allAsync(
+    `SELECT * FROM stocktake_items WHERE stocktake_id IN (${stocktakes.map(() => '?').join(', ')})`,
+    stocktakes.map(stocktake => stocktake.id)
+  )).map(withVariance);
+  return stocktakes.map(stocktake => ({
+    ...stocktake,
+    ...summarise(items.filter(item => item.stocktake_id === stocktake.id))
+  }));
+}
+
+// Load a stocktake and check it is in one of the states an action is allowed from
+async function stocktakeInState(id, allowed, action) {
+  const stocktake = await getStocktake(id);
+  if (!stocktake) {
+    throw new StocktakeError(404, 'Stocktake not found');
+  }
+  if (!allowed.includes(stocktake.status)) {
+    throw new StocktakeError(409, `Cannot ${action} a stocktake that is ${stocktake.status}`);
+  }
+  return stocktake;
+}
+
+// Open a count for a branch, of every item it stocks or of one category, noting what each
+// item should have. A branch can only have one count open at a time.
+async function createStocktake({ branch, category, note }, userId) {
+  const branchRow = await resolveBranch(branch, { activeOnly: true });
+  const categoryName = category ? String(category).trim() || null : null;
+
+  const id = await withTransaction(async () => {
+    const open = await getAsync(
+      "SELECT id FROM stocktakes WHERE branch_id = ? AND status IN ('counting', 'review')",
+      [branchRow.id]
+    );
+    if (open) {
+      throw new StocktakeError(409, `${branchRow.name} already has stocktake #${open.id} open`);
+    }
+
+    let query = `
+      SELECT inventory.id, inventory.stock,
+             ${UNIT_COST_SQL} AS unit_value
+      FROM inventory
+      JOIN products ON products.id = inventory.product_id
+      WHERE inventory.branch_id = ? AND NOT ${SELLS_FROM_UNITS_SQL}
+    `;
+    const params = [branchRow.id];
+    if (categoryName) {
+      query += ' AND products.category = ? COLLATE NOCASE';
+      params.push(categoryName);
+    }
+    const rows = await allAsync(query, params);
+    if (rows.length === 0) {
+      throw new StocktakeError(400, categoryName
+        ? `${branchRow.name} stocks nothing in ${categoryName}`
+        : `${branchRow.name} has no stock to count`);
+    }
+
+    const { lastID } = await runAsync(
+      'INSERT INTO stocktakes (branch_id, category, note, created_by) VALUES (?, ?, ?, ?)',
+      [branchRow.id, categoryName, note ? String(note).trim() || null : null, userId]
+    );
+    for (const row of rows) {
+      await runAsync(
+        'INSERT INTO stocktake_items (stocktake_id, inventory_id, expected_quantity, unit_value) VALUES (?, ?, ?, ?)',
+        [lastID, row.id, row.stock, row.unit_value]
+      );
+    }
+    return lastID;
+  });
+
+  return getStocktake(id);
+}
+
+// Enter counted quantities. Each entry names its line by `id`, or by `sku` or product name
+// so a phone can count by scanning. `counted_quantity` replaces the line's count (null
+// clears it); `add` adds to it instead, one scan at a time. Counting a line resets its
+// expected quantity to the stock on hand right then, so sales and deliveries since the
+// stocktake opened are already on the shelf being counted and don't show as variances.
+async function recordCounts(id, { items } = {}, userId) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new StocktakeError(400, 'At least one count is required');
+  }
+
+  await withTransaction(async () => {
+    const stocktake = await stocktakeInState(id, ['counting'], 'count');
+
+    for (const [index, entry] of items.entries()) {
+      if (!entry || typeof entry !== 'object') {
+        throw new StocktakeError(400, `Entry ${index + 1} must be an object`);
+      }
+      const key = entry.sku !== undefined ? entry.sku : entry.product;
+      const item = entry.id !== undefined
+        ? stocktake.items.find(candidate => candidate.id === Number(entry.id))
+        : stocktake.items.find(candidate => key !== undefined && key !== null &&
+            [candidate.sku, candidate.product].some(value => value && value.toLowerCase() === String(key).trim().toLowerCase()));
+      if (!item) {
+        throw new StocktakeError(404, `${entry.id !== undefined ? `Line ${entry.id}` : key || `Entry ${index + 1}`} is not on this stocktake`);
+      }
+
+      let counted;
+      if (entry.add !== undefined) {
+        const add = Number(entry.add);
+        counted = Number.isInteger(add) ? (item.counted_quantity || 0) + add : NaN;
+      } else {
+        counted = entry.counted_quantity === null || entry.counted_quantity === '' ? null : Number(entry.counted_quantity);
+      }
+      if (counted !== null && (!Number.isInteger(counted) || counted < 0)) {
+        throw new StocktakeError(400, `Invalid count for ${item.product}`);
+      }
+
+      await runAsync(
+        `UPDATE stocktake_items
+         SET counted_quantity = ?, counted_by = ?, counted_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, note = ?,
+             expected_quantity = ?
+         WHERE id = ?`,
+        [
+          counted,
+          counted === null ? null : userId,
+          counted,
+          entry.note !== undefined ? String(entry.note).trim() || null : item.note,
+          counted === null ? item.expected_quantity : item.current_stock,
+          item.id
+        ]
+      );
+      item.counted_quantity = counted;
+    }
+  });
+
+  return getStocktake(id);
+}
+
+// Finish counting and hand the variances over for review
+async function submitStocktake(id, userId) {
+  await withTransaction(async () => {
+    const stocktake = await stocktakeInState(id, ['counting'], 'submit');
+    if (stocktake.counted_count === 0) {
+      throw new StocktakeError(400, 'Nothing has been counted yet');
+    }
+    await runAsync(
+      "UPDATE stocktakes SET status = 'review', submitted_by = ?, submitted_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [userId, id]
+    );
+  });
+  return getStocktake(id);
+}
+
+// Send a stocktake in review back for recounts
+async function reopenStocktake(id) {
+  await withTransaction(async () => {
+    await stocktakeInState(id, ['review'], 'reopen');
+    await runAsync(
+      "UPDATE stocktakes SET status = 'counting', submitted_by = NULL, submitted_at = NULL WHERE id = ?",
+      [id]
+    );
+  });
+  return getStocktake(id);
+}
+
+// Apply the approved variances to stock in one go. Lines listed in `skip` (line ids) and lines
+// never counted are left alone. Each variance moves stock by counted minus the stock on hand
+// when the line was counted, so sales made after counting are kept; it goes into the ledger
+// as an adjustment against the stocktake.
+async function postStocktake(id, { skip = [] } = {}, userId) {
+  if (!Array.isArray(skip)) {
+    throw new StocktakeError(400, 'Skip must be a list of line ids');
+  }
+  const skipped = new Set(skip.map(Number));
+
+  const changes = await withTransaction(async () => {
+    const stocktake = await stocktakeInState(id, ['review'], 'post');
+
+    const changes = [];
+    for (const item of stocktake.items) {
+      if (item.variance === null || skipped.has(item.id)) continue;
+
+      if (item.variance !== 0) {
+        try {
+          const { newStock } = await adjustStock({
+            inventoryId: item.inventory_id,
+            delta: item.variance,
+            type: 'adjustment',
+            userId,
+            referenceType: 'stocktake',
+            referenceId: stocktake.id,
+            note: `Stocktake #${stocktake.id}: expected ${item.expected_quantity}, counted ${item.counted_quantity}`
+          });
+          changes.push({ branch: stocktake.branch, product: item.product, newStock });
+        } catch (error) {
+          if (error instanceof StockError && error.status === 409) {
+            throw new StocktakeError(409, `${item.product} has sold below its count since it was counted (${error.message}); reopen and recount it`);
+          }
+          throw error;
+        }
+      }
+      await runAsync('UPDATE stocktake_items SET adjustment = ? WHERE id = ?', [item.variance, item.id]);
+    }
+
+    await runAsync(
+      "UPDATE stocktakes SET status = 'posted', posted_by = ?, posted_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [userId, stocktake.id]
+    );
+    return changes;
+  });
+
+  return { stocktake: await getStocktake(id), changes };
+}
+
+// Abandon a count that hasn't been posted; stock is left as it is
+async function cancelStocktake(id, userId) {
+  await withTransaction(async () => {
+    await stocktakeInState(id, ['counting', 'review'], 'cancel');
+    await runAsync(
+      "UPDATE stocktakes SET status = 'cancelled', cancelled_by = ?, cancelled_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [userId, id]
+    );
+  });
+  return getStocktake(id);
+}
+
+module.exports = {
+  StocktakeError,
+  STOCKTAKE_STATUSES,
+  listStocktakes,
+  getStocktake,
+  createStocktake,
+  recordCounts,
+  submitStocktake,
+  reopenStocktake,
+  postStocktake,
+  cancelStocktake
+};
@@ -0,0 +1,55 @@
+const { getAsync, allAsync, runAsync } = require('../database');
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// A user by id or username, for staff acting on a customer's account
+function findCustomer(value) {
+  const key = typeof value === 'string' ? value.trim() : value;
+  if (key === undefined || key === null || key === '') return Promise.resolve(null);
+  return getAsync('SELECT id, username, role FROM users WHERE id = ? OR username = ?', [key, key]);
+}
+
+async function creditBalance(userId) {
+  const { balance } = await getAsync(
+    'SELECT COALESCE(SUM(amount), 0) AS balance FROM store_credit_entries WHERE user_id = ?',
+    [userId]
+  );
+  return round(balance);
+}
+
+function addCredit({ userId, amount, referenceType = null, referenceId = null, note = null, createdBy = null }) {
+  return runAsync(
+    `INSERT INTO store_credit_entries (user_id, amount, reference_type, reference_id, note, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, round(amount), referenceType, referenceId, note, createdBy]
+  );
+}
+
+// Take `amount` off a customer's credit. The balance check and the entry are one statement,
+// so two checkouts at once cannot both spend the same credit. Resolves false when the
+// balance doesn't cover it.
+async function spendCredit({ userId, amount, referenceType = null, referenceId = null, note = null, createdBy = null }) {
+  const { changes } = await runAsync(
+    `INSERT INTO store_credit_entries (user_id, amount, reference_type, reference_id, note, created_by)
+     SELECT ?, ?, ?, ?, ?, ?
+     WHERE (SELECT COALESCE(SUM(amount), 0) FROM store_credit_entries WHERE user_id = ?) >= ?`,
+    [userId, -round(amount), referenceType, referenceId, note, createdBy, userId, round(amount) - 0.001]
+  );
+  return changes > 0;
+}
+
+// A customer's credit entries, newest first
+function creditHistory(userId, { limit = 50 } = {}) {
+  return allAsync(
+    'SELECT * FROM store_credit_entries WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+    [userId, limit]
+  );
+}
+
+module.exports = {
+  findCustomer,
+  creditBalance,
+  addCredit,
+  spendCredit,
+  creditHistory
+};
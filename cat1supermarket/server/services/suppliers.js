@@ -0,0 +1,141 @@
+const { getAsync, allAsync, runAsync } = require('../database');
+const { HttpError } = require('./errors');
+
+class SupplierError extends HttpError {}
+
+const SUPPLIER_SELECT = `
+  SELECT s.*,
+         (SELECT COUNT(*) FROM purchase_orders po
+          WHERE po.supplier_id = s.id AND po.status IN ('sent', 'partially_received')) AS open_orders
+  FROM suppliers s
+`;
+
+const TEXT_FIELDS = ['contact_name', 'phone', 'email', 'address'];
+
+function cleanText(value) {
+  if (value === undefined) return undefined;
+  const text = String(value === null ? '' : value).trim();
+  return text === '' ? null : text;
+}
+
+// Validate and normalise a create or update body. Only fields present in the body are
+// returned, so updates can be partial.
+function supplierFields(body, { creating }) {
+  const fields = {};
+
+  if (body.name !== undefined || creating) {
+    fields.name = cleanText(body.name);
+    if (!fields.name) {
+      throw new SupplierError(400, 'Supplier name is required');
+    }
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = cleanText(body[field]);
+  });
+
+  if (fields.email && !/^[^\s@]+@[^\s@]+$/.test(fields.email)) {
+    throw new SupplierError(400, 'Email address is not valid');
+  }
+
+  if (body.is_active !== undefined) {
+    fields.is_active = body.is_active === true || body.is_active === 1 || body.is_active === '1' || body.is_active === 'true' ? 1 : 0;
+  }
+
+  return fields;
+}
+
+function duplicateError(error) {
+  if (error.code === 'SQLITE_CONSTRAINT' && /suppliers\.name/.test(error.message)) {
+    return new SupplierError(409, 'A supplier with this name already exists');
+  }
+  return error;
+}
+
+function listSuppliers({ activeOnly = false } = {}) {
+  return allAsync(`${SUPPLIER_SELECT} ${activeOnly ? 'WHERE s.is_active = 1' : ''} ORDER BY s.name`);
+}
+
+function getSupplier(id) {
+  return getAsync(`${SUPPLIER_SELECT} WHERE s.id = ?`, [id]);
+}
+
+// The supplier a request names, by id or name. New orders can only go to active suppliers.
+async function resolveSupplier(value, { activeOnly = false } = {}) {
+  const key = typeof value === 'string' ? value.trim() : value;
+  if (key === undefined || key === null || key === '') {
+    throw new SupplierError(400, 'Supplier is required');
+  }
+
+  const supplier = await getAsync(`${SUPPLIER_SELECT} WHERE s.id = ? OR s.name = ?`, [key, key]);
+  if (!supplier) {
+    throw new SupplierError(400, `Unknown supplier: ${key}`);
+  }
+  if (activeOnly && !supplier.is_active) {
+    throw new SupplierError(409, `${supplier.name} is no longer an active supplier`);
+  }
+  return supplier;
+}
+
+async function createSupplier(body) {
+  const fields = supplierFields(body, { creating: true });
+  const columns = Object.keys(fields);
+
+  try {
+    const { lastID } = await runAsync(
+      `INSERT INTO suppliers (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => fields[column])
+    );
+    return getSupplier(lastID);
+  } catch (error) {
+    throw duplicateError(error);
+  }
+}
+
+async function updateSupplier(id, body) {
+  const fields = supplierFields(body, { creating: false });
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    throw new SupplierError(400, 'Nothing to update');
+  }
+
+  try {
+    const { changes } = await runAsync(
+      `UPDATE suppliers SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...columns.map(column => fields[column]), id]
+    );
+    if (changes === 0) {
+      throw new SupplierError(404, 'Supplier not found');
+    }
+  } catch (error) {
+    throw duplicateError(error);
+  }
+  return getSupplier(id);
+}
+
+// Suppliers that have been ordered from can only be made inactive, not deleted
+async function deleteSupplier(id) {
+  const supplier = await getSupplier(id);
+  if (!supplier) {
+    throw new SupplierError(404, 'Supplier not found');
+  }
+
+  const { used } = await getAsync('SELECT COUNT(*) AS used FROM purchase_orders WHERE supplier_id = ?', [id]);
+  if (used > 0) {
+    throw new SupplierError(409, `${supplier.name} has purchase orders on record; mark it inactive instead`);
+  }
+
+  await runAsync('DELETE FROM suppliers WHERE id = ?', [id]);
+  return supplier;
+}
+
+module.exports = {
+  SupplierError,
+  listSuppliers,
+  getSupplier,
+  resolveSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier
+};
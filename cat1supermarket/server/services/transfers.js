@@ -0,0 +1,344 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const { RESERVED_QUANTITY_SQL } = require('./reservations');
+const { resolveBranch } = require('./branches');
+const { adjustStock, ensureInventoryRow } = require('./stock');
+const { EXPIRED_QUANTITY_SQL, lotsMoved, spreadOverLots } = require('./lots');
+const { HttpError } = require('./errors');
+
+class TransferError extends HttpError {}
+
+const TRANSFER_STATUSES = ['requested', 'in_transit', 'received', 'cancelled'];
+
+const TRANSFER_SELECT = `
+  SELECT t.*,
+         fb.name AS from_branch,
+         tb.name AS to_branch,
+         ru.username AS requested_by_username,
+         du.username AS dispatched_by_username,
+         rcu.username AS received_by_username,
+         cu.username AS cancelled_by_username
+  FROM stock_transfers t
+  JOIN branches fb ON fb.id = t.from_branch_id
+  JOIN branches tb ON tb.id = t.to_branch_id
+  LEFT JOIN users ru ON ru.id = t.requested_by
+  LEFT JOIN users du ON du.id = t.dispatched_by
+  LEFT JOIN users rcu ON rcu.id = t.received_by
+  LEFT JOIN users cu ON cu.id = t.cancelled_by
+`;
+
+const TRANSFER_ITEM_SELECT = `
+  SELECT ti.*, p.name AS product, p.sku
+  FROM stock_transfer_items ti
+  JOIN products p ON p.id = ti.product_id
+`;
+
+// Received minus sent: negative for a shortage, positive for a surplus, null until received
+function withDiscrepancy(item) {
+  return {
+    ...item,
+    discrepancy: item.received_quantity === null ? null : item.received_quantity - item.quantity
+  };
+}
+
+function positiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// The inventory row holding a product at a branch, with its reserved and expired stock
+function branchStock(branchId, productId) {
+  return getAsync(
+    `SELECT inventory.*, ${RESERVED_QUANTITY_SQL} AS reserved, ${EXPIRED_QUANTITY_SQL} AS expired
+     FROM inventory WHERE branch_id = ? AND product_id = ?`,
+    [branchId, productId]
+  );
+}
+
+// Turn request lines into one { product_id, quantity } per product. A line names the
+// product by inventory_id (which must be a source branch row), product_id or name.
+async function resolveLines(fromBranch, items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new TransferError(400, 'A transfer must contain at least one item');
+  }
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    if (!item || typeof item !== 'object') {
+      throw new TransferError(400, `Line ${index + 1} must be an object`);
+    }
+    const quantity = positiveInteger(item.quantity);
+    if (!quantity) {
+      throw new TransferError(400, `Invalid quantity on line ${index + 1}`);
+    }
+
+    let row;
+    if (item.inventory_id) {
+      row = await getAsync('SELECT * FROM inventory WHERE id = ? AND branch_id = ?', [item.inventory_id, fromBranch.id]);
+    } else if (item.product_id) {
+      row = await branchStock(fromBranch.id, item.product_id);
+    } else if (item.product) {
+      row = await getAsync(
+        `SELECT inventory.* FROM inventory JOIN products ON products.id = inventory.product_id
+         WHERE inventory.branch_id = ? AND products.name = ? COLLATE NOCASE`,
+        [fromBranch.id, String(item.product).trim()]
+      );
+    } else {
+      throw new TransferError(400, `Line ${index + 1} must reference a product`);
+    }
+    if (!row) {
+      throw new TransferError(404, `${fromBranch.name} does not stock ${item.product || item.product_id || `item ${item.inventory_id}`}`);
+    }
+
+    // The same product may appear on more than one line
+    const existing = lines.find(line => line.product_id === row.product_id);
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.push({ product_id: row.product_id, quantity });
+    }
+  }
+  return lines;
+}
+
+async function getTransfer(id) {
+  const transfer = await getAsync(`${TRANSFER_SELECT} WHERE t.id = ?`, [id]);
+  if (!transfer) return null;
+
+  const items = await allAsync(`${TRANSFER_ITEM_SELECT} WHERE ti.transfer_id = ? ORDER BY ti.id`, [id]);
+  return { ...transfer, items: items.map(withDiscrepancy) };
+}
+
+// Transfers newest first. `branch` matches either end, by id or name.
+async function listTransfers({ status, branch } = {}) {
+  let query = `${TRANSFER_SELECT} WHERE 1=1`;
+  const params = [];
+
+  if (status) {
+    query += ' AND t.status = ?';
+    params.push(status);
+  }
+  if (branch && branch !== 'All') {
+    query += ' AND (fb.id = ? OR fb.name = ? OR tb.id = ? OR tb.name = ?)';
+    params.push(branch, branch, branch, branch);
+  }
+  query += ' ORDER BY t.id DESC';
+
+  const transfers = await allAsync(query, params);
+  if (transfers.length === 0) return transfers;
+
+  const items = await allAsync(
+    `${TRANSFER_ITEM_SELECT} WHERE ti.transfer_id IN (${transfers.map(() => '?').join(', ')}) ORDER BY ti.id`,
+    transfers.map(transfer => transfer.id)
+  );
+  return transfers.map(transfer => ({
+    ...transfer,
+    items: items.filter(item => item.transfer_id === transfer.id).map(withDiscrepancy)
+  }));
+}
+
+// Load a transfer and check it is in one of the states an action is allowed from
+async function transferInState(id, allowed, action) {
+  const transfer = await getTransfer(id);
+  if (!transfer) {
+    throw new TransferError(404, 'Transfer not found');
+  }
+  if (!allowed.includes(transfer.status)) {
+    throw new TransferError(409, `Cannot ${action} a transfer that is ${transfer.status.replace('_', ' ')}`);
+  }
+  return transfer;
+}
+
+async function createTransfer({ from_branch, to_branch, items, note }, userId) {
+  const fromBranch = await resolveBranch(from_branch, { activeOnly: true });
+  const toBranch = await resolveBranch(to_branch, { activeOnly: true });
+  if (fromBranch.id === toBranch.id) {
+    throw new TransferError(400, 'A transfer needs two different branches');
+  }
+
+  const lines = await resolveLines(fromBranch, items);
+
+  const id = await withTransaction(async () => {
+    const { lastID } = await runAsync(
+      'INSERT INTO stock_transfers (from_branch_id, to_branch_id, note, requested_by) VALUES (?, ?, ?, ?)',
+      [fromBranch.id, toBranch.id, note ? String(note).trim() || null : null, userId]
+    );
+    for (const line of lines) {
+      await runAsync(
+        'INSERT INTO stock_transfer_items (transfer_id, product_id, quantity) VALUES (?, ?, ?)',
+        [lastID, line.product_id, line.quantity]
+      );
+    }
+    return lastID;
+  });
+  return getTransfer(id);
+}
+
+// Take the stock out of the source branch and mark the transfer in transit. Stock held for
+// unpaid orders or past its expiry date can't be sent; if any line is short nothing is taken.
+// Units leave first-expiring-first-out and keep their batch details on the way.
+async function dispatchTransfer(id, userId) {
+  const changes = await withTransaction(async () => {
+    const transfer = await transferInState(id, ['requested'], 'dispatch');
+
+    const shortages = [];
+    const rows = [];
+    for (const item of transfer.items) {
+      const row = await branchStock(transfer.from_branch_id, item.product_id);
+      const available = row ? row.stock - row.reserved - row.expired : 0;
+      if (available < item.quantity) {
+        shortages.push({ product_id: item.product_id, product: item.product, requested: item.quantity, available: Math.max(0, available) });
+      }
+      rows.push(row);
+    }
+    if (shortages.length > 0) {
+      const summary = shortages.map(item => `${item.product} (${item.available} available, ${item.requested} requested)`).join(', ');
+      throw new TransferError(409, `Not enough stock at ${transfer.from_branch} for: ${summary}`, { shortages });
+    }
+
+    const changes = [];
+    for (const [index, item] of transfer.items.entries()) {
+      const { newStock } = await adjustStock({
+        inventoryId: rows[index].id,
+        delta: -item.quantity,
+        type: 'transfer',
+        userId,
+        referenceType: 'transfer',
+        referenceId: transfer.id,
+        note: `To ${transfer.to_branch}`
+      });
+      changes.push({ branch: transfer.from_branch, product: item.product, newStock });
+    }
+
+    await runAsync(
+      `UPDATE stock_transfers SET status = 'in_transit', dispatched_by = ?, dispatched_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [userId, transfer.id]
+    );
+    return changes;
+  });
+
+  return { transfer: await getTransfer(id), changes };
+}
+
+// Book what arrived into the destination branch. `items` lists { id, received_quantity, note }
+// for lines that didn't arrive as dispatched; unlisted lines are taken as received in full.
+// A branch that has never stocked the product gets a row for it at the catalog price.
+// Arrivals go into lots matching the batches dispatched, soonest expiry first.
+async function receiveTransfer(id, { items = [] } = {}, userId) {
+  if (!Array.isArray(items)) {
+    throw new TransferError(400, 'Items must be a list');
+  }
+
+  const changes = await withTransaction(async () => {
+    const transfer = await transferInState(id, ['in_transit'], 'receive');
+
+    const received = new Map();
+    for (const [index, line] of items.entries()) {
+      if (!line || typeof line !== 'object') {
+        throw new TransferError(400, `Line ${index + 1} must be an object`);
+      }
+      const item = transfer.items.find(candidate => candidate.id === Number(line.id));
+      if (!item) {
+        throw new TransferError(400, `Transfer line ${line.id} is not on this transfer`);
+      }
+      const quantity = Number(line.received_quantity);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        throw new TransferError(400, `Invalid received quantity for ${item.product}`);
+      }
+      received.set(item.id, { quantity, note: line.note ? String(line.note).trim() || null : null });
+    }
+
+    const changes = [];
+    for (const item of transfer.items) {
+      const { quantity, note } = received.get(item.id) || { quantity: item.quantity, note: null };
+
+      await runAsync(
+        'UPDATE stock_transfer_items SET received_quantity = ?, discrepancy_note = ? WHERE id = ?',
+        [quantity, quantity === item.quantity ? null : note, item.id]
+      );
+      if (quantity === 0) continue;
+
+      const row = await ensureInventoryRow({
+        branchId: transfer.to_branch_id,
+        branchName: transfer.to_branch,
+        productId: item.product_id
+      });
+
+      const source = await branchStock(transfer.from_branch_id, item.product_id);
+      const dispatched = source ? await lotsMoved(source.id, 'transfer', [transfer.id]) : [];
+      const lots = spreadOverLots(dispatched.map(lot => ({ ...lot, quantity: -lot.quantity })), quantity)
+        .map(lot => ({ batch_number: lot.batch_number, expiry_date: lot.expiry_date, quantity: lot.quantity }));
+
+      const { newStock } = await adjustStock({
+        inventoryId: row.id,
+        delta: quantity,
+        type: 'transfer',
+        userId,
+        referenceType: 'transfer',
+        referenceId: transfer.id,
+        note: `From ${transfer.from_branch}`,
+        lots
+      });
+      changes.push({ branch: transfer.to_branch, product: item.product, newStock });
+    }
+
+    await runAsync(
+      `UPDATE stock_transfers SET status = 'received', received_by = ?, received_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [userId, transfer.id]
+    );
+    return changes;
+  });
+
+  return { transfer: await getTransfer(id), changes };
+}
+
+// Cancel a transfer that hasn't been received. Stock already dispatched goes back to the source,
+// into the lots it was taken from.
+async function cancelTransfer(id, userId) {
+  const changes = await withTransaction(async () => {
+    const transfer = await transferInState(id, ['requested', 'in_transit'], 'cancel');
+
+    const changes = [];
+    if (transfer.status === 'in_transit') {
+      for (const item of transfer.items) {
+        const row = await branchStock(transfer.from_branch_id, item.product_id);
+        if (!row) {
+          throw new TransferError(409, `${transfer.from_branch} no longer stocks ${item.product}`);
+        }
+        const dispatched = await lotsMoved(row.id, 'transfer', [transfer.id]);
+        const { newStock } = await adjustStock({
+          inventoryId: row.id,
+          delta: item.quantity,
+          type: 'transfer',
+          userId,
+          referenceType: 'transfer',
+          referenceId: transfer.id,
+          note: 'Transfer cancelled',
+          lots: dispatched.map(lot => ({ lot_id: lot.lot_id, quantity: -lot.quantity }))
+        });
+        changes.push({ branch: transfer.from_branch, product: item.product, newStock });
+      }
+    }
+
+    await runAsync(
+      `UPDATE stock_transfers SET status = 'cancelled', cancelled_by = ?, cancelled_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [userId, transfer.id]
+    );
+    return changes;
+  });
+
+  return { transfer: await getTransfer(id), changes };
+}
+
+module.exports = {
+  TransferError,
+  TRANSFER_STATUSES,
+  listTransfers,
+  getTransfer,
+  createTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
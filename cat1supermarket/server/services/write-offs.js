@@ -0,0 +1,195 @@
+const { getAsync, allAsync, runAsync, withTransaction } = require('../database');
+const { INVENTORY_COLUMNS, INVENTORY_FROM } = require('./catalog');
+const { UNIT_COST_SQL, adjustStock } = require('./stock');
+const { RESERVED_QUANTITY_SQL } = require('./reservations');
+const { HttpError } = require('./errors');
+
+class WriteOffError extends HttpError {}
+
+const WRITE_OFF_REASONS = ['damaged', 'expired', 'theft', 'sample', 'internal_use'];
+
+// How the shrinkage report buckets write-offs over time (SQLite strftime formats)
+const REPORT_PERIODS = {
+  day: '%Y-%m-%d',
+  week: '%Y-W%W',
+  month: '%Y-%m'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const WRITE_OFF_SELECT = `
+  SELECT w.*, b.name AS branch, p.name AS product, p.sku, p.category,
+         ROUND(w.quantity * w.unit_cost, 2) AS value,
+         l.batch_number, l.expiry_date, u.username AS created_by_username
+  FROM write_offs w
+  JOIN branches b ON b.id = w.branch_id
+  JOIN products p ON p.id = w.product_id
+  LEFT JOIN stock_lots l ON l.id = w.lot_id
+  LEFT JOIN users u ON u.id = w.created_by
+`;
+
+// WHERE clause shared by the list and the report: ?branch, ?reason, ?product (id or name),
+// and ?from / ?to dates (YYYY-MM-DD, both inclusive)
+function writeOffFilters({ branch, reason, product, from, to } = {}) {
+  if (reason && !WRITE_OFF_REASONS.includes(reason)) {
+    throw new WriteOffError(400, `Reason must be one of ${WRITE_OFF_REASONS.join(', ')}`);
+  }
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    throw new WriteOffError(400, 'from and to must be dates in YYYY-MM-DD format');
+  }
+
+  let where = 'WHERE 1=1';
+  const params = [];
+  if (branch && branch !== 'All') {
+    where += ' AND (b.id = ? OR b.name = ?)';
+    params.push(branch, branch);
+  }
+  if (reason) {
+    where += ' AND w.reason = ?';
+    params.push(reason);
+  }
+  if (product) {
+    where += ' AND (p.id = ? OR p.name = ? COLLATE NOCASE)';
+    params.push(product, product);
+  }
+  if (from) {
+    where += ' AND w.created_at >= ?';
+    params.push(`${from} 00:00:00`);
+  }
+  if (to) {
+    where += ' AND w.created_at <= ?';
+    params.push(`${to} 23:59:59`);
+  }
+  return { where, params };
+}
+
+function getWriteOff(id) {
+  return getAsync(`${WRITE_OFF_SELECT} WHERE w.id = ?`, [id]);
+}
+
+// Write-offs newest first
+function listWriteOffs(filters = {}) {
+  const { where, params } = writeOffFilters(filters);
+  return allAsync(`${WRITE_OFF_SELECT} ${where} ORDER BY w.id DESC LIMIT 500`, params);
+}
+
+// Take lost stock off the shelf: the units leave through the stock ledger as a `write-off`
+// and the loss is kept at today's unit cost for the shrinkage report. With `lot_id` the
+// units come out of that batch first, otherwise first-expiring-first-out, so expired
+// stock goes before stock still in date.
+async function recordWriteOff({ inventory_id, quantity, reason, note, lot_id }, { userId, photoUrl = null } = {}) {
+  const units = Number(quantity);
+  if (!Number.isInteger(units) || units <= 0) {
+    throw new WriteOffError(400, 'Quantity must be a whole number above zero');
+  }
+  if (!WRITE_OFF_REASONS.includes(reason)) {
+    throw new WriteOffError(400, `Reason must be one of ${WRITE_OFF_REASONS.join(', ')}`);
+  }
+  const lotId = lot_id === undefined || lot_id === null || lot_id === '' ? null : Number(lot_id);
+
+  const result = await withTransaction(async () => {
+    const item = await getAsync(
+      `SELECT ${INVENTORY_COLUMNS}, ${UNIT_COST_SQL} AS unit_cost, ${RESERVED_QUANTITY_SQL} AS reserved
+       FROM ${INVENTORY_FROM} WHERE inventory.id = ?`,
+      [inventory_id]
+    );
+    if (!item) {
+      throw new WriteOffError(404, 'Item not found');
+    }
+    // Units held for payments still in progress are spoken for and can't be written off
+    const unreserved = item.stock - item.reserved;
+    if (units > unreserved) {
+      throw new WriteOffError(409, item.reserved > 0
+        ? `Only ${unreserved} ${item.product} at ${item.branch} can be written off; ${item.reserved} are held for pending payments`
+        : `Only ${item.stock} ${item.product} in stock at ${item.branch}`);
+    }
+    if (lotId !== null) {
+      const lot = await getAsync('SELECT id FROM stock_lots WHERE id = ? AND inventory_id = ?', [lotId, item.id]);
+      if (!lot) {
+        throw new WriteOffError(400, `Lot ${lot_id} is not a batch of ${item.product} at ${item.branch}`);
+      }
+    }
+
+    const { lastID } = await runAsync(
+      `INSERT INTO write_offs (inventory_id, branch_id, product_id, lot_id, quantity, reason, unit_cost, note, photo_url, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        item.id, item.branch_id, item.product_id, lotId, units, reason, item.unit_cost,
+        note ? String(note).trim() || null : null, photoUrl, userId
+      ]
+    );
+    const { newStock } = await adjustStock({
+      inventoryId: item.id,
+      delta: -units,
+      type: 'write-off',
+      userId,
+      referenceType: 'write_off',
+      referenceId: lastID,
+      note: `Written off (${reason.replace('_', ' ')})${note ? `: ${String(note).trim()}` : ''}`,
+      lots: lotId !== null ? [{ lot_id: lotId, quantity: units }] : []
+    });
+    return { id: lastID, oldStock: item.stock, newStock };
+  });
+
+  return { ...result, writeOff: await getWriteOff(result.id) };
+}
+
+function totals(rows) {
+  return {
+    quantity: rows.reduce((sum, row) => sum + row.quantity, 0),
+    value: Math.round(rows.reduce((sum, row) => sum + row.value, 0) * 100) / 100
+  };
+}
+
+// Shrinkage over a period valued at cost, broken down by branch, product, reason and by
+// day, week or month
+async function shrinkageReport({ period = 'day', ...filters } = {}) {
+  if (!REPORT_PERIODS[period]) {
+    throw new WriteOffError(400, `Period must be one of ${Object.keys(REPORT_PERIODS).join(', ')}`);
+  }
+  const { where, params } = writeOffFilters(filters);
+
+  const rows = await allAsync(
+    `SELECT b.name AS branch, p.name AS product, w.reason,
+            strftime('${REPORT_PERIODS[period]}', w.created_at) AS period,
+            SUM(w.quantity) AS quantity, SUM(w.quantity * w.unit_cost) AS value
+     FROM write_offs w
+     JOIN branches b ON b.id = w.branch_id
+     JOIN products p ON p.id = w.product_id
+     ${where}
+     GROUP BY b.name, p.name, w.reason, period`,
+    params
+  );
+
+  const breakdown = key => {
+    const groups = new Map();
+    for (const row of rows) {
+      if (!groups.has(row[key])) groups.set(row[key], []);
+      groups.get(row[key]).push(row);
+    }
+    return [...groups.entries()]
+      .map(([name, group]) => ({ [key]: name, ...totals(group) }))
+      .sort((a, b) => b.value - a.value);
+  };
+
+  return {
+    from: filters.from || null,
+    to: filters.to || null,
+    period,
+    ...totals(rows),
+    by_branch: breakdown('branch'),
+    by_product: breakdown('product'),
+    by_reason: breakdown('reason'),
+    by_period: breakdown('period').sort((a, b) => a.period.localeCompare(b.period))
+  };
+}
+
+module.exports = {
+  WriteOffError,
+  WRITE_OFF_REASONS,
+  REPORT_PERIODS,
+  getWriteOff,
+  listWriteOffs,
+  recordWriteOff,
+  shrinkageReport
+};